@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+import { parseArgs } from "node:util"
+import { stderr, stdout } from "node:process"
+import DBFS from "../src/index.js"
+import { renderDiskUsage } from "../src/diskUsage.js"
+
+const USAGE = `Usage: du.js [root] [options]
+
+  --depth <n>                Report the directories at most n levels deep, 1 by default
+  --top <n>                  Report the n largest entries of the root, 5 by default
+  --apparent                 Sum the file sizes instead of the allocated blocks
+  --sort <size|files|path>   Sort the table, size by default
+  --json                     Print the usage tree as JSON
+  --help                     Print this help`
+
+/**
+ * Parses the non-negative integer option.
+ * @throws {TypeError} If the value is not a non-negative integer.
+ * @param {string} name The option name.
+ * @param {string} value The value.
+ * @returns {number} The number.
+ */
+function count(name, value) {
+	const result = Number(value)
+	if (!Number.isInteger(result) || result < 0) {
+		throw new TypeError(`--${name} must be a non-negative integer, got "${value}"`)
+	}
+	return result
+}
+
+async function main(argv = []) {
+	let options
+	try {
+		const { values, positionals } = parseArgs({
+			args: argv,
+			allowPositionals: true,
+			options: {
+				depth: { type: "string", default: "1" },
+				top: { type: "string", default: "5" },
+				apparent: { type: "boolean", default: false },
+				sort: { type: "string", default: "size" },
+				json: { type: "boolean", default: false },
+				help: { type: "boolean", short: "h", default: false },
+			},
+		})
+		if (!["size", "files", "path"].includes(values.sort)) {
+			throw new TypeError(`--sort must be one of: size, files, path, got "${values.sort}"`)
+		}
+		if (positionals.length > 1) {
+			throw new TypeError(`Only one root is allowed, got: ${positionals.join(", ")}`)
+		}
+		options = {
+			root: positionals[0] ?? ".",
+			depth: count("depth", values.depth),
+			top: count("top", values.top),
+			apparent: values.apparent,
+			sort: /** @type {"size"|"files"|"path"} */ (values.sort),
+			json: values.json,
+			help: values.help,
+		}
+	} catch (/** @type {any} */ err) {
+		stderr.write(`${err.message}\n\n${USAGE}\n`)
+		process.exitCode = 2
+		return
+	}
+	if (options.help) {
+		stdout.write(USAGE + "\n")
+		return
+	}
+	const db = new DBFS({ cwd: options.root, atomic: false })
+	await db.connect()
+	const usage = await db.diskUsage(".", options)
+	if (options.json) {
+		stdout.write(JSON.stringify(usage, null, 2) + "\n")
+	} else {
+		stdout.write(renderDiskUsage(usage, options) + "\n")
+	}
+	await db.disconnect()
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+	main(process.argv.slice(2)).catch((e) => {
+		console.error(e)
+		process.exit(1)
+	})
+}
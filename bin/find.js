@@ -1,10 +1,49 @@
 #!/usr/bin/env node
-import { stdout } from "node:process"
+import { stderr, stdout } from "node:process"
 import DBFS, { DocumentEntry } from "../src/index.js"
-import { extname } from "node:path"
+import { FIND_USAGE, parseFindOptions } from "../src/findOptions.js"
+
+/**
+ * Prints the duplicate sets of the root as JSON, the files that cannot be read are counted in `errors`
+ * and listed in stderr.
+ * @param {DBFS} db The database with the root as cwd.
+ * @param {string} root The scanned root.
+ * @returns {Promise<void>}
+ */
+async function printDuplicates(db, root) {
+	/** @type {Map<string, Error>} */
+	const errors = new Map()
+	const sets = await db.findDuplicates(".", { errors })
+	const wasted = sets.reduce((sum, set) => sum + set.wasted, 0)
+	for (const [uri, err] of errors) stderr.write(`${uri}: ${err.message}\n`)
+	stdout.write(JSON.stringify({ root, wasted, errors: errors.size, sets }, null, 2) + "\n")
+}
+
+/**
+ * Formats the size in megabytes.
+ * @param {number} size The size in bytes.
+ * @returns {string} The formatted size.
+ */
+function mb(size) {
+	return (size / 1024 / 1024).toFixed(2) + " Mb"
+}
 
 async function main(argv = []) {
-	const root = argv[0] || "."
+	let options
+	try {
+		options = parseFindOptions(argv)
+	} catch (/** @type {any} */ err) {
+		stderr.write(`${err.message}\n\n${FIND_USAGE}\n`)
+		process.exitCode = 2
+		return
+	}
+	if (options.help) {
+		stdout.write(FIND_USAGE + "\n")
+		return
+	}
+	const { root, output } = options
+	// the progress frame is redrawn in place, it is rendered only into the terminal
+	const progress = options.progress && "text" === output && Boolean(stdout.isTTY)
 	/** @type {DocumentEntry[]} */
 	let files = []
 	let prev = []
@@ -13,7 +52,6 @@ async function main(argv = []) {
 
 	function renderProgress(entry, groups) {
 		const [width] = stdout.getWindowSize()
-		const recent = files[files.length - 1]
 		const elapsed = Date.now() - checkpoint
 		ram.push(process.memoryUsage().heapUsed)
 		const avgRam = ram.reduce((a, b) => a + b, 0) / ram.length
@@ -31,54 +69,77 @@ async function main(argv = []) {
 		frame.push("\r\n" + str + " ".repeat(Math.max(0, String(prev[0] ?? "").trim().length - str.length)))
 		const groupEntries = Object.entries(groups)
 		for (const [name, size] of groupEntries) {
-			frame.push(`\r\n${name}: ${(size / 1024 / 1024).toFixed(2)} Mb     `)
+			frame.push(`\r\n${name}: ${mb(size)}     `)
 		}
 		stdout.write(`\x1b[${prev.length}A` + frame.join(""))
 		prev = frame
 	}
 
-	const groups = {
-		git: entry => `./${entry.file}`.includes("/.git/"),
-		bin: entry => `./${entry.file}`.includes("/bin/"),
-		node: entry => `./${entry.file}`.includes("/node_modules/"),
-		images: entry => [".png", ".jpg", ".jpeg", ".gif", ".svg", ".webp"].includes(extname(entry.file.name).toLocaleLowerCase()),
-		"> 100G": entry => entry.file.stat.size > 1024 * 1024 * 1024 * 100,
-		"> 10G": entry => entry.file.stat.size > 1024 * 1024 * 1024 * 10,
-		"> 1G": entry => entry.file.stat.size > 1024 * 1024 * 1024,
-		"> 100M": entry => entry.file.stat.size > 100 * 1024 * 1024,
-	}
-	const groupStats = {}
-	/**
-	 * @todo make it work properly to find:
-	 * node bin/find.js /Users/blogger
-	 * node bin/find.js .
-	 */
-	const db = new DBFS({ cwd: root })
+	/** @type {Record<string, number>} */
+	const groupStats = Object.fromEntries(options.groups.map(group => [group.name, 0]))
+	const db = new DBFS({ cwd: root, atomic: false, followSymlinks: options.followSymlinks ? "allow" : "within-root" })
 	await db.connect()
 
-	stdout.write("root: " + root + "\n")
+	if (options.duplicates) {
+		await printDuplicates(db, root)
+		await db.disconnect()
+		return
+	}
 
-	const options = { limit: -1, sort: "name", order: "desc", skipStat: false, skipSymbolicLink: false }
-	for await (const entry of db.findStream(root, options)) {
+	if (progress) stdout.write("root: " + root + "\n")
+
+	/** @type {Map<string, Error>} */
+	let errors = new Map()
+	const stream = db.findStream(".", {
+		limit: -1,
+		sort: options.sort,
+		order: options.order,
+		skipStat: false,
+		skipSymbolicLink: !options.followSymlinks,
+		// the deeper directories are not read at all
+		maxDepth: options.maxDepth >= 0 ? options.maxDepth : undefined,
+	})
+	for await (const entry of stream) {
+		errors = entry.errors
+		const { path, name, stat } = entry.file
+		if (!stat.isFile) continue
+		const file = { path, name, size: stat.size, mtimeMs: stat.mtimeMs }
+		if (!options.filter(file)) continue
 		files.push(entry.file)
-		for (const [name, filter] of Object.entries(groups)) {
-			if (filter(entry)) {
-				if (!groupStats[name]) groupStats[name] = 0
-				groupStats[name] += entry.file.stat.size
-			}
+		for (const group of options.groups) {
+			if (group.filter(file)) groupStats[group.name] += file.size
+		}
+		if (progress) {
+			renderProgress(entry, groupStats)
+		} else if ("ndjson" === output) {
+			stdout.write(JSON.stringify(file) + "\n")
+		} else if ("text" === output) {
+			stdout.write(path + "\n")
 		}
-		renderProgress(entry, groupStats)
+		if (options.limit >= 0 && files.length >= options.limit) break
 	}
 
-	if (files.length > 1) {
-		const { errors } = files.pop()
-		stdout.write("\n")
-		for (const error of errors) {
-			stdout.write(`${error.file.name}: ${error.message}\n`)
+	if ("json" === output) {
+		stdout.write(JSON.stringify({
+			root,
+			files: files.map(({ path, name, stat }) => ({ path, name, size: stat.size, mtimeMs: stat.mtimeMs })),
+			groups: groupStats,
+			errors: Array.from(errors, ([path, error]) => ({ path, message: error.message })),
+		}, null, 2) + "\n")
+	} else if ("text" === output) {
+		// the summary goes to stderr when the files are listed, so the list can be piped
+		const out = progress ? stdout : stderr
+		out.write("\n")
+		for (const [path, error] of errors) {
+			out.write(`${path}: ${error.message}\n`)
 		}
+		if (!progress) {
+			for (const [name, size] of Object.entries(groupStats)) {
+				out.write(`${name}: ${mb(size)}\n`)
+			}
+		}
+		out.write(`\n${files.length.toLocaleString()} files. Done.\n`)
 	}
-
-	stdout.write("\nDone.\n")
 	await db.disconnect()
 }
 
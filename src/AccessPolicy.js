@@ -0,0 +1,162 @@
+import { globToRegExp } from "./glob.js"
+import { AccessDeniedError } from "./errors.js"
+import { isOutsideRoot } from "./confine.js"
+
+/**
+ * Human readable names of the access levels.
+ * @type {Record<"r"|"w"|"d", string>}
+ */
+const LEVELS = { r: "read", w: "write", d: "delete" }
+
+/**
+ * Declarative access rule: allows or denies the access levels for the paths matching the glob patterns.
+ * Patterns are matched against the path relative to the root, paths outside of it start with "../".
+ * The wildcards never match the ".." segments, so the rules for the paths outside start with "../" too.
+ */
+export class AccessRule {
+	/**
+	 * The rule name used in the error messages.
+	 * @type {string}
+	 */
+	name
+	/** @type {"allow"|"deny"} */
+	effect
+	/**
+	 * The access levels the rule applies to, any combination of "r", "w" and "d".
+	 * @type {string}
+	 */
+	access
+	/** @type {string[]} */
+	patterns
+	/** @type {RegExp[]} */
+	regexps
+	/**
+	 * @param {object} input
+	 * @param {string} [input.name] The rule name, generated when empty.
+	 * @param {"allow"|"deny"} [input.effect="allow"]
+	 * @param {string | string[]} [input.access="rwd"] The access levels as a string "rw" or an array ["r", "w"].
+	 * @param {string | string[]} input.pattern The glob pattern(s).
+	 */
+	constructor(input) {
+		const { name = "", effect = "allow", access = "rwd", pattern = [] } = input
+		if (!["allow", "deny"].includes(effect)) {
+			throw new TypeError(`Access rule effect must be "allow" or "deny", got "${effect}"`)
+		}
+		this.effect = effect
+		this.access = Array.isArray(access) ? access.join("") : String(access)
+		if (!/^[rwd]+$/.test(this.access)) {
+			throw new TypeError(`Access rule levels must be a combination of "r", "w", "d", got "${this.access}"`)
+		}
+		this.patterns = Array.isArray(pattern) ? pattern : [pattern]
+		if (!this.patterns.length) {
+			throw new TypeError("Access rule must have at least one pattern")
+		}
+		this.regexps = this.patterns.map(p => globToRegExp(p))
+		this.name = name || `${this.effect} ${this.access} ${this.patterns.join(", ")}`
+	}
+	/**
+	 * Checks whether the rule applies to the path and the level.
+	 * @param {string} path The path relative to the root.
+	 * @param {"r"|"w"|"d"} level The access level.
+	 * @returns {boolean} True if the rule applies.
+	 */
+	applies(path, level) {
+		return this.access.includes(level) && this.regexps.some(re => re.test(path))
+	}
+	/**
+	 * @returns {string} The rule name.
+	 */
+	toString() {
+		return this.name
+	}
+	/**
+	 * Creates an AccessRule instance from input parameters.
+	 * @param {object} input The rule or its options.
+	 * @returns {AccessRule}
+	 */
+	static from(input) {
+		if (input instanceof AccessRule) return input
+		return new AccessRule(/** @type {any} */ (input))
+	}
+}
+
+/**
+ * Ordered list of access rules, the first rule that applies decides.
+ * When no rule applies the paths inside of the root get the default effect,
+ * the paths outside of the root are always denied.
+ */
+class AccessPolicy {
+	/**
+	 * The effect for the paths inside of the root when no rule applies.
+	 * @type {"allow"|"deny"}
+	 */
+	default = "allow"
+	/** @type {AccessRule[]} */
+	rules = []
+	/**
+	 * @param {object} [input={}]
+	 * @param {"allow"|"deny"} [input.default="allow"]
+	 * @param {object[]} [input.rules=[]] The rules or their options.
+	 */
+	constructor(input = {}) {
+		const { default: effect = "allow", rules = [] } = /** @type {any} */ (input)
+		if (!["allow", "deny"].includes(effect)) {
+			throw new TypeError(`Access policy default must be "allow" or "deny", got "${effect}"`)
+		}
+		this.default = effect
+		this.rules = rules.map(AccessRule.from)
+	}
+	/**
+	 * Finds the decision for the path and the level.
+	 * @param {string} path The path relative to the root.
+	 * @param {"r"|"w"|"d"} level The access level.
+	 * @returns {{ allowed: boolean, rule: AccessRule | null }} The decision and the rule made it.
+	 */
+	check(path, level) {
+		const normalized = path.startsWith("./") ? path.slice(2) : path
+		const rule = this.rules.find(r => r.applies(normalized, level))
+		if (rule) return { allowed: "allow" === rule.effect, rule }
+		return { allowed: !isOutsideRoot(normalized) && "allow" === this.default, rule: null }
+	}
+	/**
+	 * Ensures the access is allowed.
+	 * @throws {AccessDeniedError} If the access is denied, the error names the rule.
+	 * @param {string} path The path relative to the root.
+	 * @param {"r"|"w"|"d"} level The access level.
+	 * @param {string} [uri=path] The requested URI for the error.
+	 * @returns {AccessRule | null} The rule allowed the access or null when allowed by default.
+	 */
+	ensure(path, level, uri = path) {
+		const { allowed, rule } = this.check(path, level)
+		if (allowed) return rule
+		let message
+		if (rule) {
+			message = `Access denied to ${LEVELS[level]} "${uri}" by rule "${rule.name}"`
+		} else if (isOutsideRoot(path)) {
+			message = "No access outside of the db container"
+		} else {
+			message = `Access denied to ${LEVELS[level]} "${uri}" by default policy`
+		}
+		throw new AccessDeniedError(message, { uri, operation: level, level, rule })
+	}
+	/**
+	 * @returns {{ default: "allow"|"deny", rules: object[] }} The policy document.
+	 */
+	toJSON() {
+		return {
+			default: this.default,
+			rules: this.rules.map(({ name, effect, access, patterns }) => ({ name, effect, access, pattern: patterns })),
+		}
+	}
+	/**
+	 * Creates an AccessPolicy instance from input parameters (a policy document).
+	 * @param {object} [input] The policy or its document.
+	 * @returns {AccessPolicy}
+	 */
+	static from(input = {}) {
+		if (input instanceof AccessPolicy) return input
+		return new AccessPolicy(input)
+	}
+}
+
+export default AccessPolicy
@@ -0,0 +1,147 @@
+import { suite, it, beforeEach } from "node:test"
+import assert from "node:assert/strict"
+import { mkdir, writeFile } from "node:fs/promises"
+import { join } from "node:path"
+import AccessPolicy, { AccessRule } from "./AccessPolicy.js"
+import { AccessDeniedError } from "./errors.js"
+import { useTmpDB } from "./tmpdb.helper.js"
+
+/**
+ * @desc Tests the declarative access policy.
+ */
+suite("AccessPolicy tests", () => {
+	const policy = AccessPolicy.from({
+		rules: [
+			{ name: "read-only config", effect: "deny", access: "wd", pattern: "config/**" },
+			{ name: "keep archive", effect: "deny", access: "d", pattern: "archive/**" },
+			{ name: "shared llm config", effect: "allow", access: "r", pattern: "../**/llm.config.js" },
+		],
+	})
+
+	it("should allow by default inside of the root", () => {
+		assert.deepStrictEqual(policy.check("users/a.json", "w"), { allowed: true, rule: null })
+	})
+
+	it("should deny outside of the root by default", () => {
+		assert.throws(() => policy.ensure("../secret.txt", "r"), /No access outside of the db container/)
+	})
+
+	it("should allow explicit out of root access", () => {
+		const rule = policy.ensure("../shared/llm.config.js", "r")
+		assert.strictEqual(rule?.name, "shared llm config")
+		assert.throws(() => policy.ensure("../shared/llm.config.js", "w"), /No access outside/)
+	})
+
+	it("should not reach outside of the root with the wildcards", () => {
+		const broad = new AccessPolicy({
+			default: "deny",
+			rules: [
+				{ effect: "allow", access: "r", pattern: "**/*.md" },
+				{ effect: "allow", access: "rwd", pattern: "**" },
+			],
+		})
+		assert.strictEqual(broad.check("docs/notes.md", "r").allowed, true)
+		assert.strictEqual(broad.check("..cache/notes.md", "w").allowed, true)
+		assert.deepStrictEqual(broad.check("../../home/u/notes.md", "r"), { allowed: false, rule: null })
+		assert.throws(() => broad.ensure("../../etc/passwd", "w"), /No access outside of the db container/)
+		assert.throws(() => policy.ensure("../../shared/llm.config.js", "r"), /No access outside/)
+	})
+
+	it("should keep config read-only", () => {
+		assert.strictEqual(policy.ensure("config/app.json", "r"), null)
+		assert.throws(() => policy.ensure("config/app.json", "w", "/config/app.json"), (err) => {
+			assert.ok(err instanceof AccessDeniedError)
+			assert.strictEqual(err.name, "AccessDeniedError")
+			assert.strictEqual(err.uri, "/config/app.json")
+			assert.strictEqual(err.level, "w")
+			assert.strictEqual(err.rule?.name, "read-only config")
+			assert.strictEqual(err.message, 'Access denied to write "/config/app.json" by rule "read-only config"')
+			return true
+		})
+	})
+
+	it("should deny delete on archive only", () => {
+		assert.strictEqual(policy.check("archive/2024/a.json", "w").allowed, true)
+		assert.strictEqual(policy.check("archive/2024/a.json", "d").allowed, false)
+	})
+
+	it("should apply the first matching rule", () => {
+		const ordered = new AccessPolicy({
+			default: "deny",
+			rules: [
+				{ effect: "allow", access: "r", pattern: "public/readme.md" },
+				{ effect: "deny", access: "r", pattern: "public/**" },
+			],
+		})
+		assert.strictEqual(ordered.check("public/readme.md", "r").allowed, true)
+		assert.strictEqual(ordered.check("public/other.md", "r").allowed, false)
+		assert.throws(() => ordered.ensure("private.md", "r"), /by default policy/)
+	})
+
+	it("should generate rule names and accept arrays", () => {
+		const rule = AccessRule.from({ effect: "deny", access: ["w", "d"], pattern: ["a/**", "b/**"] })
+		assert.strictEqual(rule.name, "deny wd a/**, b/**")
+		assert.strictEqual(rule.applies("b/c", "d"), true)
+		assert.strictEqual(rule.applies("b/c", "r"), false)
+	})
+
+	it("should validate the rules", () => {
+		assert.throws(() => new AccessRule({ effect: /** @type {any} */ ("maybe"), pattern: "*" }), TypeError)
+		assert.throws(() => new AccessRule({ access: "x", pattern: "*" }), TypeError)
+		assert.throws(() => new AccessRule({ pattern: [] }), TypeError)
+		assert.throws(() => new AccessPolicy({ default: /** @type {any} */ ("maybe") }), TypeError)
+	})
+
+	it("should serialize to the policy document", () => {
+		const restored = AccessPolicy.from(JSON.parse(JSON.stringify(policy)))
+		assert.deepStrictEqual(restored.toJSON(), policy.toJSON())
+	})
+})
+
+/**
+ * @desc Tests the access policy evaluated by ensureAccess.
+ */
+suite("Access policy of the database tests", () => {
+	const tmp = useTmpDB("dbfs-access-")
+
+	beforeEach(async () => {
+		await mkdir(tmp.path("config"), { recursive: true })
+		await mkdir(join(tmp.dir, "shared"))
+		await writeFile(tmp.path("config", "app.json"), "{\"debug\":true}")
+		await writeFile(join(tmp.dir, "shared", "llm.config.js"), "export default {}")
+		await writeFile(tmp.path("access.json"), JSON.stringify({
+			rules: [
+				{ name: "read-only config", effect: "deny", access: "wd", pattern: "config/**" },
+				{ name: "shared llm config", effect: "allow", access: "r", pattern: "../shared/llm.config.js" },
+			],
+		}))
+	})
+
+	it("should not load config from outside without a rule", async () => {
+		const db = tmp.open()
+		await assert.rejects(() => db.loadDocument("../shared/llm.config.js"), /No access outside of the db container/)
+	})
+
+	it("should load the policy document on connect", async () => {
+		const db = tmp.open({ accessFile: "access.json" })
+		await db.connect()
+		assert.deepStrictEqual(await db.loadDocument("config/app.json"), { debug: true })
+		assert.strictEqual(await db.loadDocument("../shared/llm.config.js"), "export default {}")
+		await assert.rejects(() => db.saveDocument("config/app.json", {}), (err) => {
+			assert.ok(err instanceof AccessDeniedError)
+			assert.strictEqual(err.rule?.name, "read-only config")
+			assert.match(err.message, /Access denied to write "config\/app.json" by rule "read-only config"/)
+			return true
+		})
+		await assert.rejects(() => db.dropDocument("config/app.json"), /read-only config/)
+		await db.disconnect()
+	})
+
+	it("should accept the policy in constructor", async () => {
+		const db = tmp.open({
+			access: { default: "deny", rules: [{ effect: "allow", access: "r", pattern: "config/*.json" }] },
+		})
+		assert.deepStrictEqual(await db.loadDocument("config/app.json"), { debug: true })
+		await assert.rejects(() => db.loadDocument("access.json"), /by default policy/)
+	})
+})
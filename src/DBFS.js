@@ -1,31 +1,262 @@
-import { resolve, extname, relative, sep } from "node:path"
-import { appendFileSync, existsSync, mkdirSync, statSync, readdirSync, unlinkSync, rmdirSync } from "node:fs"
+import { resolve, basename, dirname, extname, join, relative, sep } from "node:path"
+import { createReadStream, createWriteStream } from "node:fs"
+import {
+	appendFile, copyFile, cp, lstat, mkdir, open, readFile, readdir, rename, rm, rmdir, stat, unlink, writeFile,
+} from "node:fs/promises"
+import { createInterface } from "node:readline"
+import { Readable, Writable, pipeline } from "node:stream"
 import DB, { DocumentStat, DocumentEntry } from "@nan0web/db"
-import { load, loadFile, save } from "nanoweb-fs"
+import { fromYAML, toYAML } from "nanoweb-fs"
+import { commitFile, parseTempName, removeQuietly, removeTempFiles, tempPathFor } from "./atomic.js"
+import { SYMLINK_POLICIES, findSymlink, isInside, isOutsideRoot, resolveReal } from "./confine.js"
+import AccessPolicy from "./AccessPolicy.js"
+import {
+	AccessDeniedError, DBFSError, DirectoryNotEmptyError, NotADirectoryError, NotFoundError, ParseError, ValidationError,
+	fromSystemError,
+} from "./errors.js"
+import Encryption, { isEncrypted, isEncryptedFile } from "./Encryption.js"
+import Transaction, { isJournalPath } from "./Transaction.js"
+import { FileLock, LOCKS_DIR, LOCK_TIMEOUT, acquireLock, isLockPath } from "./lock.js"
+import {
+	CHECKSUMS_DIR, CHECKSUM_ALGORITHM, ensureAlgorithm, hashFile, isChecksumPath, sameChecksum,
+} from "./checksums.js"
+import { DuplicateSet, findDuplicateSets } from "./duplicates.js"
+import { DiskUsageNode, largestOf } from "./diskUsage.js"
+import { IgnoreList, parseIgnore } from "./ignore.js"
+import {
+	DocumentIndex, INDEXED_EXTENSIONS, INDEXES_DIR, INDEX_META, compileWhere, indexFileName, indexStoreName, isIndexPath,
+	matchDocument, sortResults,
+} from "./indexes.js"
+import { paginate } from "./listing.js"
+import { SchemaRule, formatIssues } from "./schema.js"
+import { SEARCHED_EXTENSIONS, SEARCH_DIR, SEARCH_INDEX, SearchIndex, isSearchPath, snippet } from "./search.js"
+import { isShardName, shardFileName } from "./shards.js"
+import { TRAVERSAL_OPTIONS, Traversal } from "./traversal.js"
+import Watcher from "./Watcher.js"
+import { parseCSV, stringifyCSV } from "./csv.js"
+import {
+	COMPRESSION_FORMATS, compress, compressionOf, compressionSuffix, createCompressStream, createDecompressStream,
+	decompress,
+} from "./compress.js"
+import { TRASH_DIR, TrashEntry, isTrashPath } from "./trash.js"
+import { DocumentVersion, VERSIONS_DIR, createVersionId, isVersionPath, parseVersionId } from "./versions.js"
+import { JSONL_EXTENSIONS, parseJSONL, parseRecord, stringifyJSONL, stringifyRecord } from "./jsonl.js"
+
+/**
+ * The options of DBFS on top of the DB options.
+ * @typedef {object} DBFSOptions
+ * @property {boolean} [atomic=true] Save documents atomically.
+ * @property {boolean} [fsyncDir=false] Fsync the directory after the atomic rename.
+ * @property {boolean} [cleanTempFiles=false] Remove the orphaned temp files of the root on connect().
+ * @property {"deny"|"within-root"|"allow"} [followSymlinks="within-root"] Symbolic links policy.
+ * @property {AccessPolicy | object} [access] Access policy or its document.
+ * @property {string} [accessFile=""] URI of the access policy document loaded on connect().
+ * @property {import("./csv.js").CSVOptions} [csv={}] Options of the CSV and TSV documents.
+ * @property {Record<string, "gzip"|"brotli">} [compress={}] Compression of the saved documents by the URI prefix.
+ * @property {Encryption | object} [encryption] Encryption or its options `{ paths, key, keyId }`.
+ * @property {boolean | { keep?: number, days?: number }} [versioning=false] Keep the previous versions of the documents.
+ * @property {boolean} [trash=false] Move the dropped documents into the trash.
+ * @property {boolean | { timeout?: number }} [locking=false] Lock the documents on write automatically.
+ * @property {boolean | string | { algorithm?: string }} [checksums=false] Keep the checksums of the written documents,
+ * true for "sha256" or the hash algorithm.
+ * @property {(SchemaRule | object)[]} [schemas=[]] The schema rules `{ pattern, schema, onLoad }`.
+ */
 
 class DBFS extends DB {
 	/**
-	 * Array of loader functions that attempt to load data from a file path.
-	 * Each loader returns false if it cannot handle the data format.
-	 * @type {((file: string, data: any, ext: string) => any)[]}
+	 * Save documents atomically: write a sibling temp file, fsync and rename it over the target.
+	 * @type {boolean}
+	 */
+	atomic = true
+	/**
+	 * Also fsync the parent directory after the atomic rename.
+	 * @type {boolean}
+	 */
+	fsyncDir = false
+	/**
+	 * Remove the orphaned temp files of the whole root on connect() in atomic mode,
+	 * the scan reads every directory so it is off by default, see removeTempFiles().
+	 * @type {boolean}
+	 */
+	cleanTempFiles = false
+	/**
+	 * Policy for symbolic links inside the root: "deny", "within-root" or "allow".
+	 * @type {"deny"|"within-root"|"allow"}
+	 */
+	followSymlinks = "within-root"
+	/**
+	 * Access rules evaluated by ensureAccess().
+	 * @type {AccessPolicy}
+	 */
+	access = new AccessPolicy()
+	/**
+	 * URI of the access policy document loaded on connect(), empty for none.
+	 * @type {string}
+	 */
+	accessFile = ""
+	/**
+	 * Options of the CSV and TSV documents, the delimiter is "," for .csv and "\t" for .tsv by default.
+	 * @type {import("./csv.js").CSVOptions}
+	 */
+	csv = {}
+	/**
+	 * Compression of the saved documents by the URI prefix, e.g. `{ "archive/": "gzip" }`:
+	 * the documents under the prefix are stored with the ".gz" or ".br" suffix.
+	 * @type {Record<string, import("./compress.js").CompressionFormat>}
+	 */
+	compress = {}
+	/**
+	 * At-rest encryption of the documents matching its glob patterns.
+	 * @type {Encryption}
+	 */
+	encryption = new Encryption()
+	/**
+	 * Version history retention, null when the versioning is off:
+	 * keep the last `keep` versions and the versions for `days`, 0 for no limit.
+	 * @type {{ keep: number, days: number } | null}
+	 */
+	versioning = null
+	/**
+	 * Soft delete mode: the dropped documents are moved into the trash.
+	 * @type {boolean}
+	 */
+	trash = false
+	/**
+	 * Automatic locking of the writes, null when off: the writes hold the exclusive lock
+	 * of the document, waiting for it up to `timeout` milliseconds.
+	 * @type {{ timeout: number } | null}
+	 */
+	locking = null
+	/**
+	 * The locks acquired with lock() by the path relative to the root.
+	 * @type {Map<string, Set<FileLock>>}
+	 */
+	_locks = new Map()
+	/**
+	 * Checksums of the written documents kept in the hidden `.checksums` store, null when off.
+	 * @type {{ algorithm: string } | null}
+	 */
+	checksums = null
+	/**
+	 * The schemas of the documents by glob, checked in order before save (and after load with `onLoad`).
+	 * @type {SchemaRule[]}
+	 */
+	schemas = []
+	/**
+	 * Pending exclusive operations by path, to serialize the appends inside of the process.
+	 * @type {Map<string, Promise<any>>}
+	 */
+	_queues = new Map()
+	/**
+	 * The secondary indexes by their file name, loaded from the hidden `.indexes` store on the first use.
+	 * @type {Promise<Map<string, DocumentIndex>> | null}
+	 */
+	_indexes = null
+	/**
+	 * The full-text search index, loaded from the hidden `.search` store on the first use, null when there is none.
+	 * @type {Promise<SearchIndex | null> | null}
+	 */
+	_search = null
+	/**
+	 * Array of async loader functions that attempt to load data from a file path.
+	 * Each loader resolves to false if it cannot handle the data format.
+	 * @type {((file: string, data: any, ext: string) => Promise<any>)[]}
 	 */
 	loaders = [
 		/** @param {string} file @param {any} data @param {string} ext */
-		(file, data, ext) => ".txt" === ext ? loadFile(file, "") : false,
+		async (file, data, ext) => ".txt" === ext ? await this.readText(file).catch(err => {
+			if ("ENOENT" === err.code) return ""
+			throw err
+		}) : false,
+		/** @param {string} file @param {any} data @param {string} ext */
+		async (file, data, ext) => ".json" === ext ? await this._parse(file, "json", JSON.parse) : false,
+		/** @param {string} file @param {any} data @param {string} ext */
+		async (file, data, ext) => [".yaml", ".yml", ".nano"].includes(ext) ? await this._parse(file, "yaml", fromYAML) : false,
+		/** @param {string} file @param {any} data @param {string} ext */
+		async (file, data, ext) => JSONL_EXTENSIONS.includes(ext) ? await this._parse(file, "jsonl", parseJSONL) : false,
 		/** @param {string} file @param {any} data @param {string} ext */
-		(file, data, ext) => load(file),
+		async (file, data, ext) => [".csv", ".tsv"].includes(ext)
+			? await this._parse(file, ext.slice(1), text => parseCSV(text, this.csvOptions(ext)))
+			: false,
+		/** @param {string} file @param {any} data @param {string} ext */
+		async (file, data, ext) => await this.readText(file),
 	]
 	/**
-	 * Array of saver functions that attempt to save data to a file path.
-	 * Each saver returns false if it cannot handle the data format.
-	 * @type {((file: string, data: any, ext: string) => any)[]}
+	 * Array of async saver functions that attempt to save data to a file path.
+	 * Each saver resolves to false if it cannot handle the data format.
+	 * @type {((file: string, data: any, ext: string) => Promise<any>)[]}
 	 */
 	savers = [
 		/** @param {string} file @param {any} data @param {string} ext */
-		(file, data, ext) => ".json" === ext ? save(file, data, null, 2) : false,
+		async (file, data, ext) => ".json" === ext ? await this.writeText(file, JSON.stringify(data, null, 2)) : false,
+		/** @param {string} file @param {any} data @param {string} ext */
+		async (file, data, ext) => [".yaml", ".yml", ".nano"].includes(ext) ? await this.writeText(file, toYAML(data)) : false,
+		/** @param {string} file @param {any} data @param {string} ext */
+		async (file, data, ext) => JSONL_EXTENSIONS.includes(ext)
+			? await this.writeText(file, stringifyJSONL(Array.isArray(data) ? data : [data]))
+			: false,
+		/** @param {string} file @param {any} data @param {string} ext */
+		async (file, data, ext) => [".csv", ".tsv"].includes(ext) && Array.isArray(data)
+			? await this.writeText(file, stringifyCSV(data, this.csvOptions(ext)))
+			: false,
 		/** @param {string} file @param {any} data @param {string} ext */
-		(file, data, ext) => save(file, data),
+		async (file, data, ext) => await this.writeText(file, Array.isArray(data) ? data.join("\n") : data),
 	]
+	/**
+	 * Creates a new DBFS instance.
+	 * @param {ConstructorParameters<typeof DB>[0] & DBFSOptions} [input={}] The DB options extended with the DBFS options.
+	 */
+	constructor(input = {}) {
+		super(input)
+		const {
+			atomic = true,
+			fsyncDir = false,
+			cleanTempFiles = false,
+			followSymlinks = "within-root",
+			access = {},
+			accessFile = "",
+			csv = {},
+			compress = {},
+			encryption = {},
+			versioning = false,
+			trash = false,
+			locking = false,
+			checksums = false,
+			schemas = [],
+		} = input
+		if (!SYMLINK_POLICIES.includes(followSymlinks)) {
+			throw new TypeError(`followSymlinks must be one of: ${SYMLINK_POLICIES.join(", ")}`)
+		}
+		for (const [prefix, format] of Object.entries(compress)) {
+			if (!(format in COMPRESSION_FORMATS)) {
+				throw new TypeError(`Unknown compression "${format}" for "${prefix}", use gzip or brotli`)
+			}
+		}
+		this.atomic = Boolean(atomic)
+		this.fsyncDir = Boolean(fsyncDir)
+		this.cleanTempFiles = Boolean(cleanTempFiles)
+		this.followSymlinks = followSymlinks
+		this.access = AccessPolicy.from(access)
+		this.accessFile = String(accessFile)
+		this.csv = { ...csv }
+		this.compress = { ...compress }
+		this.encryption = Encryption.from(encryption)
+		if (versioning) {
+			const { keep = 0, days = 0 } = true === versioning ? {} : versioning
+			this.versioning = { keep: Number(keep), days: Number(days) }
+		}
+		this.trash = Boolean(trash)
+		if (locking) {
+			const { timeout = LOCK_TIMEOUT } = true === locking ? {} : locking
+			this.locking = { timeout: Number(timeout) }
+		}
+		if (checksums) {
+			const { algorithm = CHECKSUM_ALGORITHM } = "string" === typeof checksums ? { algorithm: checksums }
+				: true === checksums ? {} : checksums
+			this.checksums = { algorithm: ensureAlgorithm(algorithm) }
+		}
+		this.schemas = schemas.map((/** @type {any} */ rule) => SchemaRule.from(rule))
+	}
 	/**
 	 * Creates a new DBFS instance with a subset of the data and meta.
 	 * @param {string} uri The URI to extract from the current DB.
@@ -34,18 +265,229 @@ class DBFS extends DB {
 	extract(uri) {
 		const db = super.extract(uri)
 		// Convert the base DB instance to DBFS
-		const dbfs = new DBFS({ root: db.root, cwd: db.cwd })
+		const dbfs = new DBFS({
+			root: db.root,
+			cwd: db.cwd,
+			atomic: this.atomic,
+			fsyncDir: this.fsyncDir,
+			cleanTempFiles: this.cleanTempFiles,
+			followSymlinks: this.followSymlinks,
+			access: this.access,
+			csv: this.csv,
+			compress: this.compress,
+			encryption: this.encryption,
+			versioning: this.versioning ?? false,
+			trash: this.trash,
+			locking: this.locking ?? false,
+			checksums: this.checksums ?? false,
+			schemas: this.schemas,
+		})
 		dbfs.meta = db.meta
 		dbfs.data = db.data
 		return dbfs
 	}
+	/**
+	 * Connects to the database.
+	 * Recovers the transactions interrupted during the commit, with `cleanTempFiles` in atomic mode
+	 * removes the orphaned temp files left by interrupted saves.
+	 * Loads the access policy document if `accessFile` is defined.
+	 * @returns {Promise<void>}
+	 */
+	async connect() {
+		await super.connect()
+		await this.recoverTransactions()
+		if (this.atomic && this.cleanTempFiles) {
+			await this.removeTempFiles()
+		}
+		if (this.accessFile) {
+			await this.loadAccessPolicy(this.accessFile)
+		}
+	}
+	/**
+	 * Removes the orphaned temp files left by the interrupted saves inside of the directory:
+	 * the temp files of the dead processes and the ones older than `maxAge`.
+	 * Only the given directory tree is read, e.g. the directory the crashed writer wrote into.
+	 * @throws {AccessDeniedError} If access is denied.
+	 * @param {string} [uri="."] The directory URI.
+	 * @param {{ maxAge?: number }} [options] The age in milliseconds, a day by default.
+	 * @returns {Promise<string[]>} The paths of the removed files relative to the root.
+	 */
+	async removeTempFiles(uri = ".", { maxAge } = {}) {
+		await this.ensureAccess(uri, "d")
+		const root = this.absolute()
+		const removed = await removeTempFiles(this.absolute(await this.resolve(uri)), { maxAge })
+		return removed.map(path => this.relative(root, path))
+	}
+	/**
+	 * Loads the access policy from the document and applies it.
+	 * The document is read with the current policy, its format is
+	 * `{ default: "allow"|"deny", rules: [{ name, effect, access, pattern }] }`.
+	 * @throws {Error} If the policy document is not found or invalid.
+	 * @param {string} uri The policy document URI.
+	 * @returns {Promise<AccessPolicy>} The applied policy.
+	 */
+	async loadAccessPolicy(uri) {
+		const doc = await this.loadDocument(uri, null)
+		if (null === doc) {
+			throw new NotFoundError(`Access policy document not found: ${uri}`, { uri, operation: "loadAccessPolicy" })
+		}
+		this.access = AccessPolicy.from(doc)
+		return this.access
+	}
 	/**
 	 * Gets the extension of a URI in lowercase.
+	 * The compression suffix is skipped: the extension of "report.json.gz" is ".json".
 	 * @param {string} uri The URI to get the extension from.
 	 * @returns {string} The extension in lowercase, e.g., '.txt'.
 	 */
 	extname(uri) {
-		return extname(uri).toLowerCase()
+		const suffix = compressionSuffix(uri)
+		return extname(suffix ? uri.slice(0, -suffix.length) : uri).toLowerCase()
+	}
+	/**
+	 * Returns the URI the document is stored at: the URIs under the `compress` prefixes
+	 * get the compression suffix, the longest prefix wins.
+	 * @param {string} uri The document URI.
+	 * @returns {string} The stored URI.
+	 */
+	storedUri(uri) {
+		if (compressionSuffix(uri)) return uri
+		const prefix = Object.keys(this.compress)
+			.filter(prefix => uri.startsWith(prefix))
+			.sort((a, b) => b.length - a.length)[0]
+		return undefined === prefix ? uri : uri + COMPRESSION_FORMATS[this.compress[prefix]]
+	}
+	/**
+	 * Returns the URI of the existing document: the stored URI under the `compress` prefixes,
+	 * or the URI itself when only the not compressed document exists (saved before the prefix was set).
+	 * @param {string} uri The document URI.
+	 * @returns {Promise<string>} The URI to read, write or drop.
+	 */
+	async _locate(uri) {
+		const stored = this.storedUri(uri)
+		if (stored === uri) return uri
+		const exists = async (/** @type {string} */ u) => await DBFS.exists(this.absolute(await this.resolve(u)))
+		return !(await exists(stored)) && await exists(uri) ? uri : stored
+	}
+	/**
+	 * Returns the CSV options for the extension.
+	 * @param {string} ext The extension, ".csv" or ".tsv".
+	 * @returns {import("./csv.js").CSVOptions} The options with the delimiter.
+	 */
+	csvOptions(ext) {
+		return { delimiter: ".tsv" === ext ? "\t" : ",", ...this.csv }
+	}
+	/**
+	 * Returns the URI of the file, the atomic temp files get the URI of their target.
+	 * @param {string} file The absolute file path.
+	 * @returns {string} The path relative to the root.
+	 */
+	_uriOf(file) {
+		const temp = parseTempName(basename(file))
+		return this.relative(this.absolute(), temp ? join(dirname(file), temp.name) : file)
+	}
+	/**
+	 * Reads and parses the file, the parser errors are thrown as ParseError.
+	 * @throws {ParseError} If the content cannot be parsed.
+	 * @param {string} file The absolute file path.
+	 * @param {string} format The format name, e.g. "json".
+	 * @param {(text: string) => any} parse The parser.
+	 * @returns {Promise<any>} The parsed document.
+	 */
+	async _parse(file, format, parse) {
+		const text = await this.readText(file)
+		try {
+			return parse(text)
+		} catch (/** @type {any} */ err) {
+			const uri = this._uriOf(file)
+			throw new ParseError(`Cannot parse the ${format} document "${uri}": ${err.message}`, {
+				uri, operation: "loadDocument", format, cause: err,
+			})
+		}
+	}
+	/**
+	 * Checks whether the file is encrypted or must be encrypted on write.
+	 * @param {string} file The absolute file path.
+	 * @returns {Promise<boolean>} True for the encrypted documents.
+	 */
+	async _isEncrypted(file) {
+		return this.encryption.applies(this._uriOf(file)) || await isEncryptedFile(file)
+	}
+	/**
+	 * Reads the whole file as a string in the current encoding.
+	 * The encrypted files are decrypted, the ".gz" and ".br" files are decompressed.
+	 * @throws {import("./errors.js").DecryptionError} If the encrypted file cannot be decrypted.
+	 * @param {string} file The absolute file path.
+	 * @returns {Promise<string>} The file content.
+	 */
+	async readText(file) {
+		const buffer = await this._readPlain(file)
+		return buffer.toString(/** @type {BufferEncoding} */ (this.encoding))
+	}
+	/**
+	 * Reads the whole file decrypted and decompressed.
+	 * @throws {import("./errors.js").DecryptionError} If the encrypted file cannot be decrypted.
+	 * @param {string} file The absolute file path.
+	 * @returns {Promise<Buffer>} The plain content.
+	 */
+	async _readPlain(file) {
+		/** @type {Buffer} */
+		let buffer = await readFile(file)
+		if (isEncrypted(buffer)) {
+			buffer = await this.encryption.decrypt(buffer, this._uriOf(file))
+		}
+		const format = compressionOf(file)
+		if (format) buffer = await decompress(buffer, format)
+		return buffer
+	}
+	/**
+	 * Writes the content to the file, replacing it.
+	 * The ".gz" and ".br" files (and their atomic temp files) are compressed,
+	 * the files matching the encryption paths are encrypted.
+	 * @param {string} file The absolute file path.
+	 * @param {string | Buffer} content The content to write.
+	 * @returns {Promise<boolean>} Always true, errors are thrown.
+	 */
+	async writeText(file, content) {
+		const format = compressionOf(file)
+		let buffer = Buffer.isBuffer(content)
+			? content
+			: Buffer.from(String(content), /** @type {BufferEncoding} */ (this.encoding))
+		if (format) buffer = await compress(buffer, format)
+		if (this.encryption.applies(this._uriOf(file))) buffer = await this.encryption.encrypt(buffer)
+		await writeFile(file, buffer)
+		return true
+	}
+	/**
+	 * Appends the content to the file. The content of the ".gz" files is appended as
+	 * a new gzip member, which is decompressed together with the previous ones.
+	 * The encrypted files are decrypted, extended and encrypted again (atomically in atomic mode).
+	 * @throws {DBFSError} If the file is compressed with brotli, it cannot be appended.
+	 * @param {string} file The absolute file path.
+	 * @param {string} content The content to append.
+	 * @returns {Promise<void>}
+	 */
+	async appendText(file, content) {
+		if (await this._isEncrypted(file)) {
+			const current = await DBFS.exists(file) ? await this.readText(file) : ""
+			const target = this.atomic ? tempPathFor(file) : file
+			try {
+				await this.writeText(target, current + content)
+				if (this.atomic) await commitFile(target, file, { syncDir: this.fsyncDir })
+			} catch (err) {
+				if (this.atomic) await removeQuietly(target)
+				throw err
+			}
+			return
+		}
+		const format = compressionOf(file)
+		if ("brotli" === format) {
+			throw new DBFSError(`Cannot append to the brotli compressed document: ${basename(file)}`, {
+				uri: this._uriOf(file), operation: "append",
+			})
+		}
+		const buffer = Buffer.from(content, /** @type {BufferEncoding} */ (this.encoding))
+		await appendFile(file, format ? await compress(buffer, format) : buffer)
 	}
 	/**
 	 * Resolves a relative URI to a path within the DBFS root.
@@ -91,37 +533,44 @@ class DBFS extends DB {
 	 * ```
 	 * NO ACCESS CHECK!
 	 * ```
+	 * Under the `compress` prefixes the stored (compressed) document is checked.
 	 * @param {string} uri The URI to stat the document from.
 	 * @returns {Promise<DocumentStat>} The document stat.
 	 */
 	async statDocument(uri) {
-		const file = await this.resolve(uri)
+		const file = await this.resolve(await this._locate(uri))
 		const path = resolve(this.cwd, this.root, file)
 		try {
-			if (!existsSync(path)) {
-				return new DocumentStat({
-					error: new Error("Document not found")
-				})
-			}
-			return DBFS.createDocumentStatFrom(statSync(path))
+			return DBFS.createDocumentStatFrom(await stat(path))
 		} catch (/** @type {any} */ err) {
 			return new DocumentStat({
-				error: err
+				error: "ENOENT" === err.code ? new NotFoundError("Document not found", { uri, operation: "stat" }) : err
 			})
 		}
 	}
 	/**
 	 * Loads a document from the given URI.
+	 * The compressed documents are decompressed and loaded by the inner extension,
+	 * under the `compress` prefixes the stored (compressed) document is preferred.
+	 * @throws {ParseError} If the document content is broken in its format.
+	 * @throws {ValidationError} If the loaded document does not match its `onLoad` schema.
 	 * @param {string} uri The URI to load the document from.
 	 * @param {any} defaultValue The default value to return if the document does not exist.
 	 * @returns {Promise<any>} The loaded document or the default value.
 	 */
 	async loadDocument(uri, defaultValue = "") {
+		const stored = this.storedUri(uri)
+		if (stored !== uri) {
+			await this.ensureAccess(stored, "r")
+			if (await DBFS.exists(this.absolute(await this.resolve(stored)))) uri = stored
+		}
 		const ext = this.extname(uri)
 		return await this.loadDocumentAs(ext, uri, defaultValue)
 	}
 	/**
 	 * Loads a document using a specific extension handler.
+	 * @throws {ParseError} If the document content is broken in its format.
+	 * @throws {ValidationError} If the loaded document does not match its `onLoad` schema.
 	 * @param {string} ext The extension of the document.
 	 * @param {string} uri The URI to load the document from.
 	 * @param {any} defaultValue The default value to return if the document does not exist.
@@ -131,15 +580,113 @@ class DBFS extends DB {
 		await this.ensureAccess(uri, "r")
 		const file = await this.resolve(uri)
 		const path = resolve(this.cwd, this.root, file)
-		if (!existsSync(path)) return defaultValue
+		if (!(await DBFS.exists(path))) return defaultValue
+		const document = await this._loadAs(path, ext)
+		await this._ensureValid(uri, document, "loadDocument")
+		return document
+	}
+	/**
+	 * Loads the file with the first loader that accepts the extension.
+	 * @param {string} path The absolute file path.
+	 * @param {string} ext The document extension.
+	 * @returns {Promise<any>} The loaded document or false.
+	 */
+	async _loadAs(path, ext) {
 		for (const loader of this.loaders) {
-			const res = loader(path, null, ext)
+			const res = await loader(path, null, ext)
 			if (false !== res) {
 				return res
 			}
 		}
 		return false
 	}
+	/**
+	 * Saves the document into the file with the first saver that accepts it.
+	 * @param {string} path The absolute file path.
+	 * @param {any} document The document to save.
+	 * @param {string} ext The document extension.
+	 * @returns {Promise<boolean>} True if saved, false if no saver accepts the document.
+	 */
+	async _saveAs(path, document, ext) {
+		for (const saver of this.savers) {
+			if (false !== await saver(path, document, ext)) return true
+		}
+		return false
+	}
+	/**
+	 * Registers the schema of the documents matching the glob pattern(s), relative to the root.
+	 * The schema is a JSON Schema subset checked with the built-in validator (see validateSchema())
+	 * or a custom validator function returning the issues.
+	 * ```js
+	 * db.registerSchema("users/*.json", {
+	 * 	type: "object",
+	 * 	required: ["name", "email"],
+	 * 	properties: { email: { type: "string", pattern: "^[^@]+@[^@]+$" }, age: { type: "integer", minimum: 0 } },
+	 * }, { onLoad: true })
+	 * ```
+	 * @throws {TypeError} If the pattern or the schema is invalid.
+	 * @param {string | string[]} pattern The glob pattern(s).
+	 * @param {import("./schema.js").Schema | import("./schema.js").SchemaValidator} schema The schema or the validator.
+	 * @param {{ onLoad?: boolean }} [options] Set onLoad to validate the loaded documents too.
+	 * @returns {SchemaRule} The registered rule.
+	 */
+	registerSchema(pattern, schema, { onLoad = false } = {}) {
+		const rule = new SchemaRule({ pattern, schema, onLoad })
+		this.schemas.push(rule)
+		return rule
+	}
+	/**
+	 * Validates the document with all the schemas registered for its URI,
+	 * the compressed documents match by the URI without the ".gz" or ".br" suffix.
+	 * @param {string} uri The document URI.
+	 * @param {any} document The document.
+	 * @returns {Promise<import("./schema.js").SchemaIssue[]>} The issues, an empty array for the valid document.
+	 */
+	async validateDocument(uri, document) {
+		return await this._validate(uri, document, this._schemasOf(await this.resolve(uri)))
+	}
+	/**
+	 * Returns the schemas registered for the path.
+	 * @param {string} file The path relative to the root.
+	 * @returns {SchemaRule[]} The matching rules.
+	 */
+	_schemasOf(file) {
+		if (!this.schemas.length) return []
+		const suffix = compressionSuffix(file)
+		const path = suffix ? file.slice(0, -suffix.length) : file
+		return this.schemas.filter(rule => rule.applies(path))
+	}
+	/**
+	 * Validates the document with the rules.
+	 * @param {string} uri The document URI.
+	 * @param {any} document The document.
+	 * @param {SchemaRule[]} rules The rules.
+	 * @returns {Promise<import("./schema.js").SchemaIssue[]>} The issues of all the rules.
+	 */
+	async _validate(uri, document, rules) {
+		const issues = []
+		for (const rule of rules) {
+			issues.push(...await rule.validate(document, uri))
+		}
+		return issues
+	}
+	/**
+	 * Ensures the saved (or with `onLoad` the loaded) document matches its schemas.
+	 * @throws {ValidationError} With the field-level errors if the document is invalid.
+	 * @param {string} uri The document URI.
+	 * @param {any} document The document.
+	 * @param {"saveDocument"|"loadDocument"|"createWriteStream"} operation The operation.
+	 * @returns {Promise<void>}
+	 */
+	async _ensureValid(uri, document, operation) {
+		const rules = this._schemasOf(await this.resolve(uri))
+			.filter(rule => "loadDocument" !== operation || rule.onLoad)
+		if (!rules.length) return
+		const errors = await this._validate(uri, document, rules)
+		if (errors.length) {
+			throw new ValidationError(`Invalid document "${uri}": ${formatIssues(errors)}`, { uri, operation, errors })
+		}
+	}
 	/**
 	 * Ensures the directory path for a given URI exists, creating it if necessary.
 	 * @param {string} uri The URI to build the path for.
@@ -148,157 +695,1983 @@ class DBFS extends DB {
 	async _buildPath(uri) {
 		const dir = await this.resolve(uri, "..")
 		const path = resolve(this.cwd, this.root, dir)
-		mkdirSync(path, { recursive: true })
+		await mkdir(path, { recursive: true })
 	}
 	/**
 	 * Saves a document to the given URI.
+	 * In atomic mode the savers write a sibling temp file which replaces the target
+	 * only when completely written, so the document is never half-written.
+	 * The ".gz" and ".br" documents, and the documents under the `compress` prefixes, are compressed.
+	 * In versioning mode the previous content is kept in the version history,
+	 * in locking mode the document is locked exclusively while saved.
+	 * The document is validated with the schemas registered for its URI first.
+	 * @throws {ValidationError} If the document does not match its schema.
 	 * @throws {Error} If the document cannot be saved.
 	 * @param {string} uri The URI to save the document to.
 	 * @param {any} document The document to save.
+	 * @param {{ atomic?: boolean }} [options] Overrides the instance atomic mode.
 	 * @returns {Promise<boolean>} True if saved successfully, false otherwise.
 	 */
-	async saveDocument(uri, document) {
+	async saveDocument(uri, document, { atomic = this.atomic } = {}) {
+		uri = this.storedUri(uri)
 		await this.ensureAccess(uri, "w")
+		await this._ensureValid(uri, document, "saveDocument")
 		await this._buildPath(uri)
 		const file = await this.resolve(uri)
 		const path = resolve(this.cwd, this.root, file)
 		const ext = this.extname(uri)
-		for (const saver of this.savers) {
-			if (false !== saver(path, document, ext)) {
-				const stat = await this.statDocument(uri)
-				this.meta.set(uri, stat)
-				this.data.set(uri, false)
-				return true
+		return await this._locked(file, async () => {
+			await this._keepVersion(file)
+			const target = atomic ? tempPathFor(path) : path
+			try {
+				if (await this._saveAs(target, document, ext)) {
+					if (atomic) await commitFile(target, path, { syncDir: this.fsyncDir })
+					await this._updateChecksums(file)
+					await this._updateIndexes(file)
+					const stat = await this.statDocument(uri)
+					this.meta.set(uri, stat)
+					this.data.set(uri, false)
+					return true
+				}
+			} catch (err) {
+				if (atomic) await removeQuietly(target)
+				throw err
 			}
-		}
-		return false
+			if (atomic) await removeQuietly(target)
+			return false
+		})
 	}
 	/**
 	 * Appends a chunk of data to a document at the given URI.
+	 * In locking mode the document is locked exclusively while written.
 	 * @throws {Error} If the document cannot be written.
 	 * @param {string} uri The URI to write the document to.
 	 * @param {string} chunk The chunk to write.
 	 * @returns {Promise<boolean>} True if written successfully, false otherwise.
 	 */
 	async writeDocument(uri, chunk) {
+		uri = await this._locate(uri)
 		await this.ensureAccess(uri, "w")
 		await this._buildPath(uri)
 		const file = await this.resolve(uri)
 		const path = resolve(this.cwd, this.root, file)
-		appendFileSync(path, chunk, {
-			encoding: /** @type {BufferEncoding} */ (this.encoding)
+		await this._locked(file, async () => {
+			await this.appendText(path, chunk)
+			await this._updateChecksums(file)
+			await this._updateIndexes(file)
 		})
 		return true
 	}
 	/**
-	 * Deletes a document at the given URI.
-	 * @throws {Error} If the document cannot be dropped.
-	 * @param {string} uri The URI to drop the document from.
-	 * @returns {Promise<boolean>} True if dropped successfully, false otherwise.
+	 * Opens the document for streaming read, e.g. to pipe it into an HTTP response.
+	 * `start` and `end` are inclusive byte positions, see parseRange() for the Range header.
+	 * The ".gz" and ".br" URIs are streamed as stored, the document under a `compress` prefix
+	 * requested without the suffix is decompressed on the fly.
+	 * The encrypted document (and the range of the decompressed one) is read as a whole first,
+	 * the range is cut from the plain content.
+	 * @throws {DBFSError} If access is denied or the document is not found.
+	 * @throws {import("./errors.js").DecryptionError} If the encrypted document cannot be decrypted.
+	 * @param {string} uri The URI of the document.
+	 * @param {{ start?: number, end?: number, highWaterMark?: number, encoding?: BufferEncoding }} [options]
+	 * @returns {Promise<Readable>} The readable stream.
 	 */
-	async dropDocument(uri) {
-		await this.ensureAccess(uri, "d")
+	async createReadStream(uri, options = {}) {
+		const stored = await this._locate(uri)
+		const format = stored === uri ? null : compressionOf(stored)
+		uri = stored
+		await this.ensureAccess(uri, "r")
+		const stat = await this.statDocument(uri)
+		if (!stat.exists || stat.isDirectory) {
+			throw new NotFoundError(`Document not found: ${uri}`, { uri, operation: "createReadStream" })
+		}
+		this.meta.set(uri, stat)
+		const path = this.absolute(await this.resolve(uri))
+		const { start = 0, end = Infinity, highWaterMark, encoding } = options
+		const ranged = undefined !== options.start || undefined !== options.end
+		if (await isEncryptedFile(path) || (format && ranged)) {
+			const plain = format
+				? await this._readPlain(path)
+				: await this.encryption.decrypt(await readFile(path), this._uriOf(path))
+			const stream = Readable.from([plain.subarray(start, end + 1)], { objectMode: false })
+			return encoding ? stream.setEncoding(encoding) : stream
+		}
+		if (format) {
+			const stream = pipeline(createReadStream(path, { highWaterMark }), createDecompressStream(format), () => {})
+			return encoding ? stream.setEncoding(encoding) : stream
+		}
+		return createReadStream(path, options)
+	}
+	/**
+	 * Opens the document for streaming write, the directories are created.
+	 * Like saveDocument() the replacing stream ("w") writes a sibling temp file which replaces the document
+	 * when the stream finishes (in any atomic mode), the schemas registered for the URI are checked
+	 * on the written content and the previous content is kept in versioning mode. Like writeDocument()
+	 * the appending stream ("a") writes in place. In locking mode the document is locked exclusively
+	 * until the stream finishes, then the checksums, the indexes and the cached stat (meta) are updated.
+	 * The "finish" event is emitted when all is done, a failed step is emitted as "error"
+	 * and the previous content of the replaced document is kept.
+	 * The ".gz" and ".br" URIs get the bytes as they are, the document under a `compress` prefix
+	 * requested without the suffix is compressed on the fly.
+	 * The documents covered by the encryption cannot be streamed, they are encrypted as a whole.
+	 * @throws {DBFSError} If the document is encrypted or the brotli compressed one is appended.
+	 * @throws {AccessDeniedError} If access is denied.
+	 * @throws {LockTimeoutError} If the document stays locked in locking mode.
+	 * @param {string} uri The URI of the document.
+	 * @param {{ flags?: "w"|"a", highWaterMark?: number, encoding?: BufferEncoding }} [options]
+	 * The flags are "w" (replace, by default) or "a" (append).
+	 * @returns {Promise<Writable>} The writable stream.
+	 */
+	async createWriteStream(uri, options = {}) {
+		const { flags = "w", highWaterMark, encoding = /** @type {BufferEncoding} */ (this.encoding) } = options
+		if (!["w", "a"].includes(flags)) {
+			throw new TypeError(`flags must be "w" or "a", got "${flags}"`)
+		}
+		const stored = await this._locate(uri)
+		const format = stored === uri ? null : compressionOf(stored)
+		uri = stored
+		if ("brotli" === format && "a" === flags) {
+			throw new DBFSError(`Cannot append to the brotli compressed document: ${uri}`, { uri, operation: "createWriteStream" })
+		}
+		await this.ensureAccess(uri, "w")
 		const file = await this.resolve(uri)
-		let stat = await this.statDocument(uri)
-		if (!stat.exists) return false
-		const path = resolve(this.cwd, this.root, file)
-		if (stat.isDirectory) {
-			const nested = Array.from(this.meta.keys()).filter(u => u.startsWith(file + "/")).length
-			if (nested > 0) {
-				throw new Error("Directory has children, delete them first")
-			}
-			rmdirSync(path)
-			this.meta.delete(file)
-			this.data.delete(file)
-			return true
+		const path = this.absolute(file)
+		if (await this._isEncrypted(path)) {
+			throw new DBFSError(`Cannot stream into the encrypted document, save it as a whole: ${uri}`, {
+				uri, operation: "createWriteStream",
+			})
 		}
-		unlinkSync(path)
-		stat = await this.statDocument(uri)
-		if (!stat.exists) {
-			this.data.delete(file)
-			this.meta.delete(file)
+		await this._buildPath(uri)
+		const lock = await this._exclusiveLock(file)
+		const temp = "w" === flags ? tempPathFor(path) : null
+		const output = createWriteStream(temp ?? path, { flags, highWaterMark })
+		const compressor = format ? createCompressStream(format) : null
+		if (compressor) pipeline(compressor, output, () => {})
+		/** @type {import("node:stream").Writable} */
+		const input = compressor ?? output
+		/** @type {Promise<void>} */
+		const closed = new Promise((resolve, reject) => {
+			output.once("close", resolve)
+			output.once("error", reject)
+		})
+		closed.catch(() => {})
+		/** @type {Promise<void> | null} */
+		let cleaned = null
+		const cleanup = () => cleaned ??= (async () => {
+			if (temp) await removeQuietly(temp)
+			await lock?.release()
+		})()
+		return new Writable({
+			highWaterMark,
+			defaultEncoding: encoding,
+			decodeStrings: false,
+			write: (chunk, chunkEncoding, callback) => {
+				input.write(chunk, chunkEncoding, callback)
+			},
+			final: (callback) => {
+				input.end()
+				closed.then(() => this._commitStream(uri, file, temp))
+					.finally(cleanup)
+					.then(() => callback(), callback)
+			},
+			destroy: (err, callback) => {
+				input.destroy()
+				closed.catch(() => {}).finally(cleanup).then(() => callback(err))
+			},
+		})
+	}
+	/**
+	 * Completes the write stream: validates and commits the temp file of the replacing stream,
+	 * keeps the version, then updates the checksums, the indexes and the cached stat.
+	 * @throws {ValidationError} If the written document does not match its schema.
+	 * @param {string} uri The URI of the document.
+	 * @param {string} file The path relative to the root.
+	 * @param {string | null} temp The absolute temp file path, null for the appending stream.
+	 * @returns {Promise<void>}
+	 */
+	async _commitStream(uri, file, temp) {
+		if (temp) {
+			if (this._schemasOf(file).length) {
+				await this._ensureValid(uri, await this._loadAs(temp, this.extname(file)), "createWriteStream")
+			}
+			await this._keepVersion(file)
+			await commitFile(temp, this.absolute(file), { syncDir: this.fsyncDir })
 		}
-		return !stat.exists
+		await this._updateChecksums(file)
+		await this._updateIndexes(file)
+		this.meta.set(uri, await this.statDocument(uri))
+		this.data.set(uri, false)
 	}
-
 	/**
-	 * Ensures the current operation has proper access rights.
-	 * @param {string} uri The URI to check access for.
-	 * @param {"r"|"w"|"d"} [level="r"] The access level: read, write, or delete.
-	 * @returns {Promise<boolean>} True if access is granted.
+	 * Reads the records of the JSON Lines (NDJSON) document line by line,
+	 * without loading the whole document. A missing document has no records.
+	 * The ".gz" and ".br" documents are decompressed on the fly,
+	 * the encrypted documents are decrypted as a whole to verify them first.
+	 * @throws {ParseError} If the line is not valid JSON and skipInvalid is off.
+	 * @param {string} uri The URI of the document.
+	 * @param {{ skipInvalid?: boolean }} [options] Set skipInvalid to skip the broken lines.
+	 * @returns {AsyncGenerator<any>} The records.
 	 */
-	async ensureAccess(uri, level = "r") {
-		await super.ensureAccess(uri, level)
-		const path = await this.resolve(uri)
-		if (uri.endsWith("/llm.config.js")) {
-			/** @note load config file from anywhere */
-			return true
+	async *readRecords(uri, { skipInvalid = false } = {}) {
+		uri = await this._locate(uri)
+		await this.ensureAccess(uri, "r")
+		const stat = await this.statDocument(uri)
+		if (!stat.exists) return
+		const format = compressionOf(uri)
+		const encoding = /** @type {BufferEncoding} */ (this.encoding)
+		const path = this.absolute(await this.resolve(uri))
+		/** @type {Readable} */
+		let source
+		/** @type {Readable} */
+		let stream
+		if (await isEncryptedFile(path)) {
+			source = stream = Readable.from([await this.readText(path)])
+		} else {
+			source = await this.createReadStream(uri, format ? {} : { encoding })
+			stream = format ? source.pipe(createDecompressStream(format)).setEncoding(encoding) : source
 		}
-		if (path.startsWith("..")) {
-			throw new Error("No access outside of the db container")
+		const lines = createInterface({ input: stream, crlfDelay: Infinity })
+		let lineNumber = 0
+		try {
+			for await (const line of lines) {
+				lineNumber++
+				if ("" === line.trim()) continue
+				let record
+				try {
+					record = parseRecord(line, lineNumber)
+				} catch (/** @type {any} */ err) {
+					if (skipInvalid) continue
+					throw new ParseError(err.message, { uri, operation: "readRecords", format: "jsonl", line: lineNumber, cause: err })
+				}
+				yield record
+			}
+		} finally {
+			lines.close()
+			stream.destroy()
+			source.destroy()
 		}
-		return true
 	}
-
 	/**
-	 * Lists the contents of a directory.
-	 * @param {string} uri The directory URI to list.
-	 * @param {{depth?: number, skipStat?: boolean}} options Options for listing.
-	 * @returns {Promise<DocumentEntry[]>} The list of directory entries.
+	 * Appends the record as one JSON line to the JSON Lines (NDJSON) document.
+	 * The line is written with a single append, a missing new line at the end
+	 * of the document is added first, appends of the process are serialized.
+	 * The line is appended to the ".gz" document as a new gzip member,
+	 * the encrypted document is rewritten. In locking mode the other processes are locked out too,
+	 * the checksum and the indexes are updated under the same lock.
+	 * @throws {Error} If access is denied, the record cannot be serialized or the document is brotli compressed.
+	 * @param {string} uri The URI of the document.
+	 * @param {any} record The record to append.
+	 * @returns {Promise<boolean>} True if appended successfully.
 	 */
-	async listDir(uri, { depth = 0, skipStat = false } = {}) {
-		const path = resolve(this.cwd, this.root, uri)
-		const entries = readdirSync(path, { withFileTypes: true })
-		const files = entries.map((entry) => {
-			let stat = new DocumentStat()
-			if (!skipStat) {
+	async appendRecord(uri, record) {
+		const line = stringifyRecord(record)
+		uri = await this._locate(uri)
+		await this.ensureAccess(uri, "w")
+		await this._buildPath(uri)
+		const file = await this.resolve(uri)
+		const path = this.absolute(file)
+		await this._exclusive(path, () => this._locked(file, async () => {
+			if (compressionOf(path) || await this._isEncrypted(path)) {
+				/** @note the last byte is compressed or encrypted, an empty line is skipped by the readers */
+				const { size } = await stat(path).catch(() => ({ size: 0 }))
+				await this.appendText(path, (size > 0 ? "\n" : "") + line)
+			} else {
+				const handle = await open(path, "a+")
 				try {
-					const entryPath = resolve(path, entry.name)
-					stat = DBFS.createDocumentStatFrom(statSync(entryPath))
-				} catch (err) {
-					stat = new DocumentStat({
-						error: /** @type {Error} */ (err)
-					})
+					const { size } = await handle.stat()
+					let prefix = ""
+					if (size > 0) {
+						const { buffer } = await handle.read(Buffer.alloc(1), 0, 1, size - 1)
+						if (0x0a !== buffer[0]) prefix = "\n"
+					}
+					await handle.write(prefix + line, null, /** @type {BufferEncoding} */ (this.encoding))
+				} finally {
+					await handle.close()
 				}
 			}
-			return new DocumentEntry({
-				stat,
-				name: entry.name,
-				depth,
-			})
-		})
-		files.sort((a, b) => Number(b.stat.isDirectory) - Number(a.stat.isDirectory))
-		return files
+			await this._updateChecksums(file)
+			await this._updateIndexes(file)
+		}))
+		this.meta.set(uri, await this.statDocument(uri))
+		this.data.set(uri, false)
+		return true
 	}
-
 	/**
-	 * Creates a DocumentStat instance from fs.Stats.
-	 * @param {import("node:fs").Stats} stats The fs.Stats object.
-	 * @returns {DocumentStat} A new DocumentStat instance.
+	 * Runs the operations with the same key one after another inside of the process.
+	 * @template T
+	 * @param {string} key The key, usually the absolute path.
+	 * @param {() => Promise<T>} fn The operation.
+	 * @returns {Promise<T>} The operation result.
 	 */
-	static createDocumentStatFrom(stats) {
-		return new DocumentStat({
-			atimeMs: stats.atimeMs,
-			btimeMs: stats.birthtimeMs,
-			blksize: stats.blksize,
-			blocks: stats.blocks,
-			ctimeMs: stats.ctimeMs,
-			dev: stats.dev,
-			gid: stats.gid,
-			ino: stats.ino,
-			mode: stats.mode,
-			mtimeMs: stats.mtimeMs,
-			nlink: stats.nlink,
-			rdev: stats.rdev,
-			size: stats.size,
-			uid: stats.uid,
-			isDirectory: stats.isDirectory(),
-			isFile: stats.isFile(),
-			isBlockDevice: stats.isBlockDevice(),
-			isFIFO: stats.isFIFO(),
-			isSocket: stats.isSocket(),
-			isSymbolicLink: stats.isSymbolicLink(),
+	async _exclusive(key, fn) {
+		const prev = this._queues.get(key) ?? Promise.resolve()
+		const next = prev.catch(() => { }).then(fn)
+		this._queues.set(key, next)
+		try {
+			return await next
+		} finally {
+			if (next === this._queues.get(key)) this._queues.delete(key)
+		}
+	}
+	/**
+	 * Acquires the advisory lock of the document, shared for the readers or exclusive for the writer,
+	 * the lock is respected by the other processes with the same root.
+	 * ```js
+	 * const lock = await db.lock("counters.json")
+	 * try {
+	 * 	const counters = await db.loadDocument("counters.json", {})
+	 * 	await db.saveDocument("counters.json", { ...counters, hits: (counters.hits ?? 0) + 1 })
+	 * } finally {
+	 * 	await lock.release()
+	 * }
+	 * ```
+	 * The writes of the instance skip the automatic locking of the document it holds exclusively.
+	 * @throws {AccessDeniedError} If access is denied or the document is outside of the root.
+	 * @throws {import("./errors.js").LockTimeoutError} If the lock is not acquired in time.
+	 * @param {string} uri The document URI.
+	 * @param {{ shared?: boolean, timeout?: number }} [options] The timeout is in milliseconds,
+	 * the `locking` timeout by default, 0 for a single attempt.
+	 * @returns {Promise<FileLock>} The acquired lock.
+	 */
+	async lock(uri, { shared = false, timeout = this.locking?.timeout ?? LOCK_TIMEOUT } = {}) {
+		await this.ensureAccess(uri, shared ? "r" : "w")
+		const file = await this.resolve(uri)
+		const held = this._locks.get(file) ?? new Set()
+		const lock = await this._lock(file, {
+			shared,
+			timeout,
+			onRelease: (released) => {
+				held.delete(released)
+				if (!held.size) this._locks.delete(file)
+			},
 		})
+		held.add(lock)
+		this._locks.set(file, held)
+		return lock
+	}
+	/**
+	 * Acquires the lock file of the path.
+	 * @throws {AccessDeniedError} If the path is outside of the root.
+	 * @param {string} file The path relative to the root.
+	 * @param {{ shared?: boolean, timeout?: number, onRelease?: (lock: FileLock) => void }} [options]
+	 * @returns {Promise<FileLock>} The acquired lock.
+	 */
+	async _lock(file, options = {}) {
+		if (isOutsideRoot(file)) {
+			throw new AccessDeniedError(`Cannot lock outside of the root: ${file}`, { uri: file, operation: "lock" })
+		}
+		return await acquireLock(this.absolute(LOCKS_DIR, file + ".lock"), { ...options, uri: file })
+	}
+	/**
+	 * Runs the write holding the exclusive lock of the path when the automatic locking is on,
+	 * unless the instance holds the exclusive lock already.
+	 * @template T
+	 * @param {string} file The path relative to the root.
+	 * @param {() => Promise<T>} fn The write.
+	 * @returns {Promise<T>} The write result.
+	 */
+	async _locked(file, fn) {
+		return await this._lockedAll([file], fn)
+	}
+	/**
+	 * Runs the write holding the exclusive locks of all the paths when the automatic locking is on,
+	 * the locks are acquired in the path order so the writers of the same paths cannot deadlock.
+	 * @template T
+	 * @param {string[]} files The paths relative to the root.
+	 * @param {() => Promise<T>} fn The write.
+	 * @returns {Promise<T>} The write result.
+	 */
+	async _lockedAll(files, fn) {
+		/** @type {FileLock[]} */
+		const locks = []
+		try {
+			for (const file of Array.from(new Set(files)).sort()) {
+				const lock = await this._exclusiveLock(file)
+				if (lock) locks.push(lock)
+			}
+			return await fn()
+		} finally {
+			for (const lock of locks.reverse()) await lock.release()
+		}
+	}
+	/**
+	 * Acquires the exclusive lock of the path for a write when the automatic locking is on,
+	 * unless the instance holds the exclusive lock already.
+	 * @throws {LockTimeoutError} If the lock is not acquired in time.
+	 * @param {string} file The path relative to the root.
+	 * @returns {Promise<FileLock | null>} The acquired lock, null when there is nothing to release.
+	 */
+	async _exclusiveLock(file) {
+		const held = Array.from(this._locks.get(file) ?? []).some(lock => !lock.shared)
+		if (!this.locking || held) return null
+		return await this._lock(file, { timeout: this.locking.timeout })
+	}
+	/**
+	 * Re-encrypts the document or the whole directory tree with the new key: the encrypted
+	 * documents are decrypted with their keys, the not encrypted ones matching the encryption
+	 * paths are encrypted too. The new key becomes the current one, the previous keys
+	 * are kept to decrypt the documents outside of the tree.
+	 * @throws {DBFSError} If the document is not found or the key id is the current one.
+	 * @throws {import("./errors.js").DecryptionError} If a document cannot be decrypted.
+	 * @param {string} uri The URI of the document or the directory, "." for the whole root.
+	 * @param {{ key: import("./Encryption.js").EncryptionKey | import("./Encryption.js").KeyProvider, keyId: string }} options
+	 * The new key (or the key provider) and its id.
+	 * @returns {Promise<string[]>} The re-encrypted paths relative to the root.
+	 */
+	async rotateKey(uri, { key, keyId }) {
+		await this.ensureAccess(uri, "w")
+		const stat = await this.statDocument(uri)
+		if (!stat.exists) {
+			throw new NotFoundError(`Document not found: ${uri}`, { uri, operation: "rotateKey" })
+		}
+		const file = await this.resolve(uri)
+		const files = stat.isDirectory ? await this._listTree(file) : [file]
+		const previous = this.encryption
+		const next = previous.withKey(key, keyId)
+		this.encryption = next
+		/** @type {string[]} */
+		const rotated = []
+		for (const nested of files) {
+			const path = this.absolute(nested)
+			if (parseTempName(basename(path)) || !(await lstat(path)).isFile()) continue
+			const buffer = await readFile(path)
+			const encrypted = isEncrypted(buffer)
+			if (!encrypted && !next.applies(nested)) continue
+			const content = encrypted ? await previous.decrypt(buffer, nested) : buffer
+			const target = tempPathFor(path)
+			try {
+				await writeFile(target, await next.encrypt(content))
+				await commitFile(target, path, { syncDir: this.fsyncDir })
+			} catch (err) {
+				await removeQuietly(target)
+				throw err
+			}
+			await this._updateChecksums(nested)
+			rotated.push(nested)
+		}
+		this._forget(file)
+		return rotated
+	}
+	/**
+	 * Returns the suffix of the version files of the document: its extension with the compression suffix.
+	 * @param {string} file The document path relative to the root.
+	 * @returns {string} The suffix, e.g. ".json.gz".
+	 */
+	_versionSuffix(file) {
+		return this.extname(file) + compressionSuffix(file)
+	}
+	/**
+	 * Lists the version files of the document, the newest first.
+	 * @param {string} file The document path relative to the root.
+	 * @returns {Promise<{ version: DocumentVersion, path: string }[]>} The versions and their absolute paths.
+	 */
+	async _versionFiles(file) {
+		const dir = this.absolute(VERSIONS_DIR, file)
+		/** @type {import("node:fs").Dirent[]} */
+		let entries
+		try {
+			entries = await readdir(dir, { withFileTypes: true })
+		} catch (/** @type {any} */ err) {
+			if (["ENOENT", "ENOTDIR"].includes(err.code)) return []
+			throw err
+		}
+		/** @type {{ version: DocumentVersion, path: string }[]} */
+		const result = []
+		for (const entry of entries) {
+			const id = entry.name.split(".")[0]
+			const date = entry.isFile() ? parseVersionId(id) : null
+			if (!date) continue
+			const path = join(dir, entry.name)
+			const { size } = await stat(path)
+			result.push({ version: new DocumentVersion({ id, uri: file, date, size }), path })
+		}
+		return result.sort((a, b) => a.version.id < b.version.id ? 1 : -1)
+	}
+	/**
+	 * Returns the absolute path of the version file.
+	 * @throws {NotFoundError} If the version is not found.
+	 * @param {string} file The document path relative to the root.
+	 * @param {string} id The version id.
+	 * @returns {Promise<string>} The absolute path.
+	 */
+	async _versionPath(file, id) {
+		const found = (await this._versionFiles(file)).find(v => id === v.version.id)
+		if (!found) {
+			throw new NotFoundError(`Version not found: ${file}@${id}`, { uri: file, operation: "version" })
+		}
+		return found.path
+	}
+	/**
+	 * Copies the current content of the document into the history store when the versioning is on,
+	 * then applies the retention to the document versions.
+	 * @param {string} file The document path relative to the root.
+	 * @returns {Promise<string | null>} The version id, null when nothing is kept.
+	 */
+	async _keepVersion(file) {
+		if (!this.versioning || isVersionPath(file)) return null
+		const path = this.absolute(file)
+		try {
+			if (!(await stat(path)).isFile()) return null
+		} catch (/** @type {any} */ err) {
+			if (["ENOENT", "ENOTDIR"].includes(err.code)) return null
+			throw err
+		}
+		const id = createVersionId()
+		const dir = this.absolute(VERSIONS_DIR, file)
+		await mkdir(dir, { recursive: true })
+		await copyFile(path, join(dir, id + this._versionSuffix(file)))
+		await this._pruneVersions(file)
+		return id
+	}
+	/**
+	 * Removes the versions of the document beyond the retention.
+	 * @param {string} file The document path relative to the root.
+	 * @returns {Promise<DocumentVersion[]>} The removed versions.
+	 */
+	async _pruneVersions(file) {
+		if (!this.versioning) return []
+		const { keep, days } = this.versioning
+		const expired = days > 0 ? Date.now() - days * 24 * 60 * 60 * 1000 : -Infinity
+		const removed = (await this._versionFiles(file))
+			.filter(({ version }, index) => (keep > 0 && index >= keep) || version.date.getTime() < expired)
+		for (const { path } of removed) {
+			await removeQuietly(path)
+		}
+		return removed.map(({ version }) => version)
+	}
+	/**
+	 * Lists the kept versions of the document, the newest first.
+	 * @throws {AccessDeniedError} If access is denied.
+	 * @param {string} uri The document URI.
+	 * @returns {Promise<DocumentVersion[]>} The versions.
+	 */
+	async listVersions(uri) {
+		await this.ensureAccess(uri, "r")
+		const file = await this.resolve(uri)
+		return (await this._versionFiles(file)).map(({ version }) => version)
+	}
+	/**
+	 * Loads the kept version of the document with the loader of the document extension.
+	 * @throws {DBFSError} If access is denied or the version is not found.
+	 * @param {string} uri The document URI.
+	 * @param {string} id The version id.
+	 * @returns {Promise<any>} The document version.
+	 */
+	async loadVersion(uri, id) {
+		await this.ensureAccess(uri, "r")
+		const path = await this._versionPath(await this.resolve(uri), id)
+		return await this._loadAs(path, this.extname(uri))
+	}
+	/**
+	 * Restores the kept version of the document (also a dropped one), atomically.
+	 * The current content is kept as a new version, so the restore can be undone.
+	 * @throws {DBFSError} If access is denied or the version is not found.
+	 * @param {string} uri The document URI.
+	 * @param {string} id The version id.
+	 * @returns {Promise<boolean>} True if restored successfully.
+	 */
+	async restoreVersion(uri, id) {
+		await this.ensureAccess(uri, "w")
+		const file = await this.resolve(uri)
+		const source = await this._versionPath(file, id)
+		await this._buildPath(uri)
+		const path = this.absolute(file)
+		const target = tempPathFor(path)
+		try {
+			await copyFile(source, target)
+			await this._keepVersion(file)
+			await commitFile(target, path, { syncDir: this.fsyncDir })
+		} catch (err) {
+			await removeQuietly(target)
+			throw err
+		}
+		await this._updateChecksums(file)
+		await this._updateIndexes(file)
+		this.meta.set(uri, await this.statDocument(uri))
+		this.data.set(uri, false)
+		return true
+	}
+	/**
+	 * Applies the retention to the versions of the document or of all the documents inside of the directory,
+	 * e.g. periodically for the `days` limit.
+	 * @throws {AccessDeniedError} If access is denied.
+	 * @param {string} [uri="."] The document or the directory URI, the whole root by default.
+	 * @returns {Promise<DocumentVersion[]>} The removed versions.
+	 */
+	async pruneVersions(uri = ".") {
+		await this.ensureAccess(uri, "d")
+		const file = await this.resolve(uri)
+		/** @type {DocumentVersion[]} */
+		const removed = []
+		/** @param {string} current */
+		const walk = async (current) => {
+			removed.push(...await this._pruneVersions(current))
+			const entries = await readdir(this.absolute(VERSIONS_DIR, current), { withFileTypes: true }).catch(() => [])
+			for (const entry of entries) {
+				if (entry.isDirectory()) await walk(current ? `${current}/${entry.name}` : entry.name)
+			}
+		}
+		await walk(file)
+		return removed
+	}
+	/**
+	 * Moves the document or the directory into the trash and records its URI and deletion time.
+	 * @param {string} file The path relative to the root.
+	 * @param {boolean} isDirectory True for the directory.
+	 * @param {string} [source] The absolute path of the content, the document path by default.
+	 * @returns {Promise<TrashEntry>} The trash entry.
+	 */
+	async _moveToTrash(file, isDirectory, source = this.absolute(file)) {
+		if ("" === file) {
+			throw new DBFSError("Cannot move the root into the trash", { uri: file, operation: "trash" })
+		}
+		const entry = new TrashEntry({ id: createVersionId(), uri: file, isDirectory })
+		const dir = this.absolute(TRASH_DIR)
+		const record = join(dir, `${entry.id}.json`)
+		await mkdir(dir, { recursive: true })
+		await writeFile(record, JSON.stringify(entry))
+		try {
+			await rename(source, join(dir, entry.id))
+		} catch (err) {
+			await removeQuietly(record)
+			throw err
+		}
+		return entry
+	}
+	/**
+	 * Reads the trash records, the newest first. Broken records and records without content are skipped.
+	 * @returns {Promise<TrashEntry[]>} The trash entries.
+	 */
+	async _trashEntries() {
+		const dir = this.absolute(TRASH_DIR)
+		const names = await readdir(dir).catch(() => /** @type {string[]} */ ([]))
+		/** @type {TrashEntry[]} */
+		const entries = []
+		for (const name of names) {
+			if (!name.endsWith(".json")) continue
+			const entry = await readFile(join(dir, name), "utf-8")
+				.then(text => TrashEntry.from(JSON.parse(text)))
+				.catch(() => null)
+			if (entry && await DBFS.exists(join(dir, entry.id))) entries.push(entry)
+		}
+		return entries.sort((a, b) => a.id < b.id ? 1 : -1)
+	}
+	/**
+	 * Lists the soft deleted documents the access policy allows to read, the newest first.
+	 * @returns {Promise<TrashEntry[]>} The trash entries.
+	 */
+	async listTrash() {
+		return (await this._trashEntries()).filter(entry => this.access.check(entry.uri, "r").allowed)
+	}
+	/**
+	 * Moves the soft deleted document or directory back to its URI.
+	 * @throws {DBFSError} If the entry is not found, access is denied or the destination exists.
+	 * @param {string} id The trash entry id.
+	 * @param {{ overwrite?: boolean }} [options] Set overwrite to replace the existing destination file.
+	 * @returns {Promise<boolean>} True if restored successfully.
+	 */
+	async restoreFromTrash(id, { overwrite = false } = {}) {
+		const entry = (await this._trashEntries()).find(e => id === e.id)
+		if (!entry) {
+			throw new NotFoundError(`Trash entry not found: ${id}`, { uri: id, operation: "restoreFromTrash" })
+		}
+		await this.ensureAccess(entry.uri, "w")
+		const target = this.absolute(entry.uri)
+		if (await DBFS.exists(target)) {
+			if (!overwrite || entry.isDirectory || (await stat(target)).isDirectory()) {
+				throw new DBFSError(`Destination already exists: ${entry.uri}`, { uri: entry.uri, operation: "restoreFromTrash" })
+			}
+		}
+		await this._buildPath(entry.uri)
+		await rename(this.absolute(TRASH_DIR, entry.id), target)
+		await removeQuietly(this.absolute(TRASH_DIR, `${entry.id}.json`))
+		await this._updateChecksums(entry.uri)
+		await this._updateIndexes(entry.uri)
+		this._forget(entry.uri)
+		this.meta.set(entry.uri, await this.statDocument(entry.uri))
+		return true
+	}
+	/**
+	 * Deletes the soft deleted documents permanently, the delete access is checked for all of them first.
+	 * @throws {AccessDeniedError} If access is denied.
+	 * @param {{ olderThan?: Date | number }} [options] Purge the entries deleted before the date
+	 * or more than the milliseconds ago, all by default.
+	 * @returns {Promise<TrashEntry[]>} The purged entries.
+	 */
+	async purgeTrash({ olderThan = 0 } = {}) {
+		const limit = olderThan instanceof Date ? olderThan.getTime() : Date.now() - Number(olderThan)
+		const entries = (await this._trashEntries()).filter(entry => entry.deletedAt.getTime() <= limit)
+		for (const entry of entries) {
+			this.access.ensure(entry.uri, "d")
+		}
+		for (const entry of entries) {
+			await rm(this.absolute(TRASH_DIR, entry.id), { recursive: true, force: true })
+			await removeQuietly(this.absolute(TRASH_DIR, `${entry.id}.json`))
+		}
+		return entries
+	}
+	/**
+	 * Deletes a document at the given URI.
+	 * A directory is deleted only when empty, or with all its content in recursive mode.
+	 * In trash mode the document is moved into the trash unless `permanent` is set,
+	 * in versioning mode the permanently dropped documents are kept in the version history,
+	 * in locking mode the document is locked exclusively while dropped.
+	 * @throws {DirectoryNotEmptyError} If the directory has children and recursive is off.
+	 * @throws {Error} If the document cannot be dropped.
+	 * @param {string} uri The URI to drop the document from.
+	 * @param {{ recursive?: boolean, permanent?: boolean }} [options] Set recursive to delete the whole directory tree,
+	 * permanent to skip the trash.
+	 * @returns {Promise<boolean>} True if dropped successfully, false otherwise.
+	 */
+	async dropDocument(uri, { recursive = false, permanent = !this.trash } = {}) {
+		uri = await this._locate(uri)
+		await this.ensureAccess(uri, "d")
+		const file = await this.resolve(uri)
+		return await this._locked(file, async () => {
+			let stat = await this.statDocument(uri)
+			if (!stat.exists) return false
+			const path = resolve(this.cwd, this.root, file)
+			const toTrash = !permanent && !isTrashPath(file)
+			if (stat.isDirectory && recursive) {
+				for (const nested of await this._listTree(file)) {
+					this.access.ensure(nested, "d")
+				}
+				if (toTrash) {
+					await this._moveToTrash(file, true)
+				} else {
+					for (const nested of await this._listTree(file)) {
+						await this._keepVersion(nested)
+					}
+					await rm(path, { recursive: true })
+				}
+				await this._dropChecksums(file)
+				await this._dropIndexes(file)
+				this._forget(file)
+				return true
+			}
+			if (stat.isDirectory) {
+				const nested = Array.from(this.meta.keys()).filter(u => u.startsWith(file + "/")).length
+				if (nested > 0 || (toTrash && (await readdir(path)).length > 0)) {
+					throw new DirectoryNotEmptyError("Directory has children, delete them first", { uri, operation: "dropDocument" })
+				}
+				if (toTrash) {
+					await this._moveToTrash(file, true)
+				} else {
+					await rmdir(path).catch(err => { throw fromSystemError(err, { uri, operation: "dropDocument" }) })
+				}
+				this.meta.delete(file)
+				this.data.delete(file)
+				return true
+			}
+			if (toTrash) {
+				await this._moveToTrash(file, false)
+			} else {
+				await this._keepVersion(file)
+				await unlink(path)
+			}
+			stat = await this.statDocument(uri)
+			if (!stat.exists) {
+				await this._dropChecksums(file)
+				await this._dropIndexes(file)
+				this.data.delete(file)
+				this.meta.delete(file)
+			}
+			return !stat.exists
+		})
+	}
+	/**
+	 * Hashes the stored content of the document streaming it,
+	 * the compressed and encrypted documents are hashed as stored.
+	 * @throws {DBFSError} If access is denied or the document is not found.
+	 * @param {string} uri The document URI.
+	 * @param {string} [algorithm] The node:crypto hash algorithm, the `checksums` one or "sha256" by default.
+	 * @returns {Promise<string>} The hex digest.
+	 */
+	async hashDocument(uri, algorithm = this.checksums?.algorithm ?? CHECKSUM_ALGORITHM) {
+		uri = await this._locate(uri)
+		await this.ensureAccess(uri, "r")
+		const stat = await this.statDocument(uri)
+		if (!stat.exists || stat.isDirectory) {
+			throw new NotFoundError(`Document not found: ${uri}`, { uri, operation: "hashDocument" })
+		}
+		const { hash } = await hashFile(this.absolute(await this.resolve(uri)), algorithm)
+		return hash
+	}
+	/**
+	 * Checks whether the path is a temp file or inside of the hidden stores.
+	 * @param {string} file The path relative to the root.
+	 * @returns {boolean} True for the internal paths.
+	 */
+	_isInternal(file) {
+		return null !== parseTempName(basename(file)) || isVersionPath(file) || isTrashPath(file)
+			|| isJournalPath(file) || isLockPath(file) || isChecksumPath(file) || isIndexPath(file)
+			|| isSearchPath(file)
+	}
+	/**
+	 * Lists the documents (files) of the path: the document itself or the documents inside of the directory.
+	 * The internal paths and the documents the access policy does not allow to read are skipped.
+	 * @param {string} file The path relative to the root.
+	 * @returns {Promise<string[]>} The document paths relative to the root.
+	 */
+	async _documentFiles(file) {
+		const stats = await lstat(this.absolute(file)).catch(() => null)
+		if (!stats) return []
+		const files = stats.isDirectory() ? await this._listTree(file) : [file]
+		/** @type {string[]} */
+		const result = []
+		for (const nested of files) {
+			if (this._isInternal(nested) || !this.access.check(nested, "r").allowed) continue
+			if ((await lstat(this.absolute(nested))).isFile()) result.push(nested)
+		}
+		return result
+	}
+	/**
+	 * Records the checksums of the document or of all the documents inside of the directory.
+	 * @param {string} file The path relative to the root.
+	 * @param {string} algorithm The hash algorithm.
+	 * @returns {Promise<string[]>} The recorded document paths.
+	 */
+	async _writeChecksums(file, algorithm) {
+		const files = await this._documentFiles(file)
+		for (const nested of files) {
+			const checksum = await hashFile(this.absolute(nested), algorithm)
+			const record = this.absolute(CHECKSUMS_DIR, nested)
+			await rm(record, { recursive: true, force: true })
+			await mkdir(dirname(record), { recursive: true })
+			await writeFile(record, JSON.stringify(checksum))
+		}
+		return files
+	}
+	/**
+	 * Records the checksums of the written document or directory when the checksums are on.
+	 * @param {string} file The path relative to the root.
+	 * @returns {Promise<string[]>} The recorded document paths.
+	 */
+	async _updateChecksums(file) {
+		if (!this.checksums) return []
+		return await this._writeChecksums(file, this.checksums.algorithm)
+	}
+	/**
+	 * Removes the checksums of the dropped document or directory.
+	 * @param {string} file The path relative to the root.
+	 * @returns {Promise<void>}
+	 */
+	async _dropChecksums(file) {
+		if ("" === file) return
+		await rm(this.absolute(CHECKSUMS_DIR, file), { recursive: true, force: true })
+	}
+	/**
+	 * Records the checksums of the document or of all the documents inside of the directory,
+	 * e.g. to start tracking the existing documents.
+	 * @throws {AccessDeniedError} If access is denied.
+	 * @param {string} [uri="."] The document or the directory URI, the whole root by default.
+	 * @returns {Promise<string[]>} The recorded document paths.
+	 */
+	async updateChecksums(uri = ".") {
+		await this.ensureAccess(uri, "r")
+		const file = await this.resolve(uri)
+		return await this._writeChecksums(file, this.checksums?.algorithm ?? CHECKSUM_ALGORITHM)
+	}
+	/**
+	 * Verifies the documents against their recorded checksums to detect bit rot
+	 * and the changes made outside of the database.
+	 * @throws {AccessDeniedError} If access is denied.
+	 * @param {string} [uri="."] The document or the directory URI, the whole root by default.
+	 * @returns {Promise<import("./checksums.js").VerifyReport>} The sorted document paths by status.
+	 */
+	async verify(uri = ".") {
+		await this.ensureAccess(uri, "r")
+		const file = await this.resolve(uri)
+		/** @type {import("./checksums.js").VerifyReport} */
+		const report = { ok: [], mismatched: [], missing: [], untracked: [] }
+		const base = file ? `${CHECKSUMS_DIR}/${file}` : CHECKSUMS_DIR
+		const stats = await lstat(this.absolute(base)).catch(() => null)
+		const records = !stats ? [] : stats.isDirectory() ? await this._listTree(base) : [base]
+		/** @type {Set<string>} */
+		const recorded = new Set()
+		for (const record of records) {
+			const nested = record.slice(CHECKSUMS_DIR.length + 1)
+			if (!this.access.check(nested, "r").allowed || !(await lstat(this.absolute(record))).isFile()) continue
+			recorded.add(nested)
+		}
+		for (const nested of await this._documentFiles(file)) {
+			if (!recorded.delete(nested)) {
+				report.untracked.push(nested)
+				continue
+			}
+			/** @type {import("./checksums.js").Checksum | null} */
+			const expected = await readFile(this.absolute(CHECKSUMS_DIR, nested), "utf-8")
+				.then(text => JSON.parse(text))
+				.catch(() => null)
+			const actual = expected ? await hashFile(this.absolute(nested), expected.algorithm).catch(() => null) : null
+			if (expected && actual && sameChecksum(expected, actual)) {
+				report.ok.push(nested)
+			} else {
+				report.mismatched.push(nested)
+			}
+		}
+		report.missing.push(...recorded)
+		for (const list of Object.values(report)) list.sort()
+		return report
+	}
+	/**
+	 * Creates (or rebuilds) the secondary index of the field over the JSON and YAML documents
+	 * inside of the directory, recursively. The index is persisted in the hidden `.indexes` store
+	 * and maintained by the writes, moves and drops of the database, query() uses it.
+	 * The changes made outside of the database are picked up by creating the index again.
+	 * ```js
+	 * await db.createIndex("users", "role")
+	 * const admins = await db.query("users", { where: { role: "admin" } })
+	 * ```
+	 * @throws {AccessDeniedError} If access is denied.
+	 * @throws {TypeError} If the field path is empty.
+	 * @param {string} dir The directory URI, "." for the whole root.
+	 * @param {string} field The field path, e.g. "role" or "address.city"; the arrays index every item.
+	 * @returns {Promise<DocumentIndex>} The index.
+	 */
+	async createIndex(dir, field) {
+		await this.ensureAccess(dir, "r")
+		const index = new DocumentIndex({ dir: await this.resolve(dir), field })
+		for (const file of await this._indexedFiles(index.dir)) {
+			await this._indexDocument([index], file)
+		}
+		const indexes = await this._loadIndexes()
+		indexes.set(index.fileName, index)
+		await this._saveIndex(index, true)
+		return index
+	}
+	/**
+	 * Removes the index of the field.
+	 * @throws {AccessDeniedError} If access is denied.
+	 * @param {string} dir The directory URI.
+	 * @param {string} field The field path.
+	 * @returns {Promise<boolean>} True if removed, false if there is no such index.
+	 */
+	async dropIndex(dir, field) {
+		await this.ensureAccess(dir, "r")
+		const base = await this.resolve(dir)
+		const name = indexFileName(base, field)
+		const indexes = await this._loadIndexes()
+		if (!indexes.delete(name)) return false
+		await rm(this.absolute(INDEXES_DIR, indexStoreName(base, field)), { recursive: true, force: true })
+		await rm(this.absolute(INDEXES_DIR, name), { force: true })
+		return true
+	}
+	/**
+	 * Lists the indexes.
+	 * @returns {Promise<DocumentIndex[]>} The indexes sorted by the directory and the field.
+	 */
+	async listIndexes() {
+		return Array.from((await this._loadIndexes()).values())
+			.sort((a, b) => a.dir.localeCompare(b.dir) || a.field.localeCompare(b.field))
+	}
+	/**
+	 * Finds the JSON and YAML documents inside of the directory (recursively) meeting all the conditions
+	 * of `where`: a value for the equality or `{ eq, in, gt, gte, lt, lte }`. The candidates are taken
+	 * from the index of the first indexed field, without an index the directory is scanned.
+	 * The candidates are loaded and checked against all the conditions.
+	 * ```js
+	 * const adults = await db.query("users", {
+	 * 	where: { role: { in: ["admin", "editor"] }, age: { gte: 18 } },
+	 * 	sort: "age", order: "desc", limit: 10,
+	 * })
+	 * for (const { uri, document } of adults) console.log(uri, document.name)
+	 * ```
+	 * @throws {AccessDeniedError} If access is denied.
+	 * @throws {TypeError} If the conditions or the options are invalid.
+	 * @throws {ParseError} If a candidate document is broken.
+	 * @param {string} dir The directory URI, "." for the whole root.
+	 * @param {import("./indexes.js").QueryOptions} [options] The conditions, the sort and the limit.
+	 * @returns {Promise<import("./indexes.js").QueryResult[]>} The matching documents with their URIs.
+	 */
+	async query(dir, { where = {}, sort = "", order = "asc", limit = -1 } = {}) {
+		await this.ensureAccess(dir, "r")
+		const clauses = compileWhere(where)
+		if (!["asc", "desc"].includes(order)) {
+			throw new TypeError("order must be asc or desc")
+		}
+		if (!Number.isInteger(limit) || limit < -1) {
+			throw new TypeError("limit must be -1 or more")
+		}
+		const base = await this.resolve(dir)
+		const indexes = await this._loadIndexes()
+		const clause = clauses.find(({ field }) => indexes.has(indexFileName(base, field)))
+		const files = clause
+			? /** @type {DocumentIndex} */ (indexes.get(indexFileName(base, clause.field))).find(clause.condition)
+				.filter(file => this.access.check(file, "r").allowed)
+			: await this._indexedFiles(base)
+		/** @type {import("./indexes.js").QueryResult[]} */
+		const results = []
+		for (const file of files) {
+			const document = await this.loadDocument(file, null)
+			if (null === document || !matchDocument(document, clauses)) continue
+			results.push({ uri: file, document })
+		}
+		sortResults(results, sort, order)
+		return limit < 0 ? results : results.slice(0, limit)
+	}
+	/**
+	 * Loads the indexes from the hidden store once, the broken index documents and shards are skipped.
+	 * The single file indexes of the older versions are loaded when there is no index directory,
+	 * the next save replaces them by the shards.
+	 * @returns {Promise<Map<string, DocumentIndex>>} The indexes by their file name.
+	 */
+	async _loadIndexes() {
+		if (!this._indexes) {
+			this._indexes = (async () => {
+				/** @type {Map<string, DocumentIndex>} */
+				const indexes = new Map()
+				const entries = await readdir(this.absolute(INDEXES_DIR), { withFileTypes: true })
+					.catch(() => /** @type {import("node:fs").Dirent[]} */ ([]))
+				for (const entry of entries.filter(entry => entry.isDirectory())) {
+					const shards = await this._loadShards(this.absolute(INDEXES_DIR, entry.name))
+					const meta = shards?.get(INDEX_META)
+					if (!meta) continue
+					try {
+						const index = new DocumentIndex({ dir: meta.dir, field: meta.field })
+						for (const [name, shard] of shards ?? []) {
+							if (isShardName(name)) index.load(shard)
+						}
+						index.takeChanged()
+						indexes.set(index.fileName, index)
+					} catch {
+						// the broken index is skipped
+					}
+				}
+				for (const entry of entries.filter(entry => entry.isFile())) {
+					if (!entry.name.endsWith(".json") || null !== parseTempName(entry.name)) continue
+					const index = await readFile(this.absolute(INDEXES_DIR, entry.name), "utf-8")
+						.then(text => DocumentIndex.from(JSON.parse(text)))
+						.catch(() => null)
+					if (!index || indexes.has(index.fileName)) continue
+					index.legacy = true
+					indexes.set(index.fileName, index)
+				}
+				return indexes
+			})()
+		}
+		return await this._indexes
+	}
+	/**
+	 * Writes the changed shards of the index into the hidden store, see _saveShards().
+	 * @param {DocumentIndex} index The index.
+	 * @param {boolean} [prune=false] Remove the shards unknown to the index, e.g. after it is rebuilt.
+	 * @returns {Promise<void>}
+	 */
+	async _saveIndex(index, prune = false) {
+		const dir = this.absolute(INDEXES_DIR, index.storeName)
+		if (prune || index.legacy) {
+			await this._writeStore(join(dir, INDEX_META), { dir: index.dir, field: index.field })
+		}
+		await this._saveShards(dir, index, { prune, legacy: this.absolute(INDEXES_DIR, index.fileName) })
+	}
+	/**
+	 * Writes the JSON of the data into the file of the hidden store atomically.
+	 * @param {string} path The absolute file path.
+	 * @param {any} data The data.
+	 * @returns {Promise<void>}
+	 */
+	async _writeStore(path, data) {
+		await mkdir(dirname(path), { recursive: true })
+		const temp = tempPathFor(path)
+		try {
+			await writeFile(temp, JSON.stringify(data))
+			await commitFile(temp, path, { syncDir: this.fsyncDir })
+		} catch (err) {
+			await removeQuietly(temp)
+			throw err
+		}
+	}
+	/**
+	 * Reads the JSON files of the store directory, the broken ones are skipped.
+	 * @param {string} dir The absolute store directory.
+	 * @returns {Promise<Map<string, any> | null>} The data by the file name, null when there is no directory.
+	 */
+	async _loadShards(dir) {
+		/** @type {string[]} */
+		let names
+		try {
+			names = await readdir(dir)
+		} catch (/** @type {any} */ err) {
+			if (["ENOENT", "ENOTDIR"].includes(err.code)) return null
+			throw err
+		}
+		/** @type {Map<string, any>} */
+		const shards = new Map()
+		for (const name of names.sort()) {
+			if (!name.endsWith(".json") || null !== parseTempName(name)) continue
+			const data = await readFile(join(dir, name), "utf-8").then(text => JSON.parse(text)).catch(() => null)
+			if (data) shards.set(name, data)
+		}
+		return shards
+	}
+	/**
+	 * Writes the shards of the index changed since the last save, one file per directory of the documents,
+	 * so a write costs the size of its directory and not of the whole index. The emptied shards are removed.
+	 * @param {string} dir The absolute store directory.
+	 * @param {DocumentIndex | SearchIndex} index The index.
+	 * @param {{ prune?: boolean, legacy?: string }} [options] `prune` removes the shards unknown to the index,
+	 * `legacy` is the single file store of the older versions removed once the shards are written.
+	 * @returns {Promise<void>}
+	 */
+	async _saveShards(dir, index, { prune = false, legacy = "" } = {}) {
+		await mkdir(dir, { recursive: true })
+		const changed = index.takeChanged()
+		try {
+			for (const shard of changed) {
+				const path = join(dir, shardFileName(shard))
+				if (index.shards.has(shard)) {
+					await this._writeStore(path, index.toShard(shard))
+				} else {
+					await removeQuietly(path)
+				}
+			}
+		} catch (err) {
+			index.markChanged(changed)
+			throw err
+		}
+		if (prune) {
+			const kept = new Set(Array.from(index.shards.keys(), shard => shardFileName(shard)))
+			for (const name of await readdir(dir)) {
+				if (isShardName(name) && !kept.has(name)) await removeQuietly(join(dir, name))
+			}
+		}
+		if (index.legacy) {
+			if (legacy) await removeQuietly(legacy)
+			index.legacy = false
+		}
+	}
+	/**
+	 * Lists the indexed documents (JSON and YAML) of the path.
+	 * @param {string} file The path relative to the root.
+	 * @returns {Promise<string[]>} The document paths relative to the root.
+	 */
+	async _indexedFiles(file) {
+		return (await this._documentFiles(file)).filter(nested => INDEXED_EXTENSIONS.includes(this.extname(nested)))
+	}
+	/**
+	 * Loads the document for the index, the broken documents are not indexed.
+	 * @param {string} file The path relative to the root.
+	 * @returns {Promise<any>} The document, undefined if it cannot be loaded.
+	 */
+	async _loadIndexed(file) {
+		return await this._loadAs(this.absolute(file), this.extname(file)).catch(() => undefined)
+	}
+	/**
+	 * Indexes the document in the indexes covering it. The encrypted documents are only marked
+	 * as encrypted, their values never reach the plain text store, query() loads them as candidates.
+	 * @param {DocumentIndex[]} indexes The indexes covering the document.
+	 * @param {string} file The path relative to the root.
+	 * @returns {Promise<void>}
+	 */
+	async _indexDocument(indexes, file) {
+		if (await this._isEncrypted(this.absolute(file))) {
+			for (const index of indexes) index.setEncrypted(file)
+			return
+		}
+		const document = await this._loadIndexed(file)
+		for (const index of indexes) index.set(file, document)
+	}
+	/**
+	 * Returns the indexes affected by the change of the path: covering it or inside of it.
+	 * @param {string} file The path relative to the root.
+	 * @returns {Promise<DocumentIndex[]>} The indexes.
+	 */
+	async _indexesOf(file) {
+		return Array.from((await this._loadIndexes()).values())
+			.filter(index => "" === file || index.covers(file) || index.dir === file || index.dir.startsWith(file + "/"))
+	}
+	/**
+	 * Indexes the written document or all the documents inside of the written directory,
+	 * in the secondary indexes and in the search index.
+	 * @param {string} file The path relative to the root.
+	 * @returns {Promise<void>}
+	 */
+	async _updateIndexes(file) {
+		await this._updateSearch(file)
+		const indexes = await this._indexesOf(file)
+		if (!indexes.length) return
+		for (const index of indexes) index.delete(file)
+		for (const nested of await this._indexedFiles(file)) {
+			const covering = indexes.filter(index => index.covers(nested))
+			if (covering.length) await this._indexDocument(covering, nested)
+		}
+		for (const index of indexes) await this._saveIndex(index)
+	}
+	/**
+	 * Removes the dropped document or directory from the secondary indexes and from the search index.
+	 * @param {string} file The path relative to the root.
+	 * @returns {Promise<void>}
+	 */
+	async _dropIndexes(file) {
+		for (const index of await this._indexesOf(file)) {
+			if (index.delete(file)) await this._saveIndex(index)
+		}
+		const search = await this._loadSearch()
+		if (search?.delete(file)) await this._saveSearch(search)
+	}
+	/**
+	 * Searches the text and markdown documents: the words are lowercased, folded (diacritics, "ї" as "і",
+	 * "ґ" as "г"), stemmed and the English and Ukrainian stop words are skipped. A document has to contain
+	 * every word of the query, the documents are ranked with BM25. With `prefix` the query words match
+	 * the beginnings of the words, for the search as you type. The search index is built with
+	 * rebuildSearchIndex() on the first search, stored in the hidden `.search` directory
+	 * and kept up to date by the writes, moves and drops of the database.
+	 * ```js
+	 * for (const { uri, snippet } of await db.search("документи київ", { limit: 5 })) {
+	 * 	console.log(uri, snippet)
+	 * }
+	 * ```
+	 * @throws {TypeError} If the limit is invalid.
+	 * @param {string} text The query.
+	 * @param {{ prefix?: boolean, limit?: number }} [options] `prefix` matching, `limit` of the results
+	 * (10 by default, -1 for all).
+	 * @returns {Promise<import("./search.js").SearchResult[]>} The most relevant documents first, with the snippets.
+	 */
+	async search(text, { prefix = false, limit = 10 } = {}) {
+		if (!Number.isInteger(limit) || limit < -1) {
+			throw new TypeError("limit must be -1 or more")
+		}
+		const index = await this._loadSearch() ?? await this.rebuildSearchIndex()
+		const hits = index.search(String(text), { prefix })
+			.filter(hit => this.access.check(hit.file, "r").allowed)
+		/** @type {import("./search.js").SearchResult[]} */
+		const results = []
+		for (const hit of limit < 0 ? hits : hits.slice(0, limit)) {
+			const content = await this._loadSearched(hit.file)
+			results.push({ uri: hit.file, score: hit.score, snippet: snippet(content, hit.terms) })
+		}
+		return results
+	}
+	/**
+	 * Builds the search index of the text and markdown documents inside of the directory from scratch
+	 * with findStream(), e.g. after the changes made outside of the database.
+	 * @throws {AccessDeniedError} If access is denied.
+	 * @param {string} [uri="."] The directory URI, the whole root by default.
+	 * @returns {Promise<SearchIndex>} The search index.
+	 */
+	async rebuildSearchIndex(uri = ".") {
+		await this.ensureAccess(uri, "r")
+		const index = await this._loadSearch() ?? new SearchIndex()
+		index.delete(await this.resolve(uri))
+		const suffixes = ["", ...Object.values(COMPRESSION_FORMATS)]
+		const include = SEARCHED_EXTENSIONS.flatMap(ext => suffixes.map(suffix => `*${ext}${suffix}`))
+		for await (const entry of this.findStream(uri, { limit: -1, include })) {
+			const { path, stat } = entry.file
+			if (!stat.isFile || this._isInternal(path) || !this.access.check(path, "r").allowed) continue
+			await this._searchDocument(index, path)
+		}
+		this._search = Promise.resolve(index)
+		await this._saveSearch(index, true)
+		return index
+	}
+	/**
+	 * Loads the search index from the hidden store once, the broken shards are skipped.
+	 * The single file index of the older versions is loaded when there are no shards,
+	 * the next save replaces it by the shards.
+	 * @returns {Promise<SearchIndex | null>} The search index, null when it is not built yet.
+	 */
+	async _loadSearch() {
+		if (!this._search) {
+			this._search = this._loadShards(this.absolute(SEARCH_DIR)).then(shards => {
+				if (!shards) return null
+				const index = new SearchIndex()
+				for (const [name, shard] of shards) {
+					if (isShardName(name)) index.load(shard)
+				}
+				index.takeChanged()
+				const legacy = shards.get(SEARCH_INDEX)
+				if (!index.shards.size && legacy) {
+					index.load(legacy)
+					index.legacy = true
+				}
+				return index
+			}).catch(() => null)
+		}
+		return await this._search
+	}
+	/**
+	 * Writes the changed shards of the search index into the hidden store, see _saveShards().
+	 * @param {SearchIndex} index The search index.
+	 * @param {boolean} [prune=false] Remove the shards unknown to the index, e.g. after it is rebuilt.
+	 * @returns {Promise<void>}
+	 */
+	async _saveSearch(index, prune = false) {
+		await this._saveShards(this.absolute(SEARCH_DIR), index, { prune, legacy: this.absolute(SEARCH_DIR, SEARCH_INDEX) })
+	}
+	/**
+	 * Indexes the text of the document for the search, the encrypted documents are not searched:
+	 * their terms would be stored in plain text.
+	 * @param {SearchIndex} index The search index.
+	 * @param {string} file The path relative to the root.
+	 * @returns {Promise<void>}
+	 */
+	async _searchDocument(index, file) {
+		if (await this._isEncrypted(this.absolute(file))) {
+			index.delete(file)
+			return
+		}
+		index.set(file, await this._loadSearched(file))
+	}
+	/**
+	 * Loads the text of the searched document.
+	 * @param {string} file The path relative to the root.
+	 * @returns {Promise<string>} The text, empty if it cannot be loaded.
+	 */
+	async _loadSearched(file) {
+		const text = await this._loadIndexed(file)
+		return "string" === typeof text ? text : ""
+	}
+	/**
+	 * Indexes the written text documents of the path when the search index is built.
+	 * @param {string} file The path relative to the root.
+	 * @returns {Promise<void>}
+	 */
+	async _updateSearch(file) {
+		const search = await this._loadSearch()
+		if (!search) return
+		search.delete(file)
+		for (const nested of await this._documentFiles(file)) {
+			if (SEARCHED_EXTENSIONS.includes(this.extname(nested))) await this._searchDocument(search, nested)
+		}
+		if (search.changed.size) await this._saveSearch(search)
+	}
+	/**
+	 * Finds the documents with the same content with findStream(): the candidates are grouped by size,
+	 * then by the hash of their first bytes and only then by the hash of the whole content.
+	 * ```js
+	 * for (const { files, wasted } of await db.findDuplicates("media")) {
+	 * 	console.log(files.join(", "), wasted)
+	 * }
+	 * ```
+	 * The files that cannot be read are skipped, their errors are added to `errors` by URI.
+	 * @throws {AccessDeniedError} If access is denied.
+	 * @param {string} [root="."] The directory URI to scan.
+	 * @param {{ minSize?: number, partialSize?: number, algorithm?: string, errors?: Map<string, Error> }} [options]
+	 * The files smaller than `minSize` bytes are skipped (1 by default, the empty files are not duplicates),
+	 * `partialSize` is the number of the first bytes hashed before the whole content, 64 KiB by default.
+	 * @returns {Promise<DuplicateSet[]>} The duplicate sets, the most wasting first.
+	 */
+	async findDuplicates(root = ".", { minSize = 1, partialSize, algorithm = this.checksums?.algorithm, errors } = {}) {
+		await this.ensureAccess(root, "r")
+		/** @type {import("./duplicates.js").DuplicateCandidate[]} */
+		const candidates = []
+		for await (const entry of this.findStream(root, { limit: -1, skipStat: false })) {
+			const { path, stat } = entry.file
+			if (!stat.isFile || stat.size < minSize) continue
+			if (this._isInternal(path) || !this.access.check(path, "r").allowed) continue
+			candidates.push({
+				uri: path,
+				path: this.absolute(path),
+				size: stat.size,
+				inode: stat.ino ? `${stat.dev}:${stat.ino}` : undefined,
+			})
+		}
+		return await findDuplicateSets(candidates, { algorithm, partialSize, errors })
+	}
+	/**
+	 * Reports the disk usage of the directory as a tree: every directory has its cumulative size,
+	 * file and directory counts and its largest direct children. The directories deeper than
+	 * `depth` are counted in their parents only. The hard links are counted once, the symbolic
+	 * links are not followed, the hidden stores (versions, trash, ...) are counted too.
+	 * ```js
+	 * const usage = await db.diskUsage(".", { depth: 2 })
+	 * for (const { path, size } of usage.children) console.log(path, size)
+	 * ```
+	 * @throws {AccessDeniedError} If access is denied.
+	 * @throws {NotFoundError} If the directory does not exist.
+	 * @throws {NotADirectoryError} If the URI is a file.
+	 * @param {string} [uri="."] The directory URI.
+	 * @param {{ depth?: number, apparent?: boolean, top?: number }} [options] The `depth` of the reported
+	 * subdirectories (1 by default, 0 for the totals only), `apparent` to sum the file sizes instead of
+	 * the allocated blocks, `top` is the number of the largest children kept (5 by default).
+	 * @returns {Promise<DiskUsageNode>} The usage tree.
+	 */
+	async diskUsage(uri = ".", { depth = 1, apparent = false, top = 5 } = {}) {
+		await this.ensureAccess(uri, "r")
+		const file = await this.resolve(uri)
+		const stats = await stat(this.absolute(file))
+			.catch(err => { throw fromSystemError(err, { uri, operation: "diskUsage" }) })
+		if (!stats.isDirectory()) {
+			throw new NotADirectoryError(`Not a directory: ${uri}`, { uri, operation: "diskUsage" })
+		}
+		return await this._diskUsage(file, 0, { depth, apparent, top, seen: new Set() })
+	}
+	/**
+	 * Sums the disk usage of the directory recursively.
+	 * @param {string} file The directory path relative to the root.
+	 * @param {number} level The directory level, 0 for the scanned directory.
+	 * @param {{ depth: number, apparent: boolean, top: number, seen: Set<string> }} options
+	 * The options of diskUsage() and the inodes of the counted hard links.
+	 * @returns {Promise<DiskUsageNode>} The usage.
+	 */
+	async _diskUsage(file, level, options) {
+		const node = new DiskUsageNode({ path: file || "." })
+		const sizeOf = (/** @type {import("node:fs").Stats} */ s) => options.apparent ? s.size : s.blocks * 512
+		/** @type {import("./diskUsage.js").UsageItem[]} */
+		const items = []
+		try {
+			node.size = sizeOf(await lstat(this.absolute(file)))
+			const entries = await readdir(this.absolute(file), { withFileTypes: true })
+			for (const entry of entries) {
+				const nested = file ? `${file}/${entry.name}` : entry.name
+				if (entry.isDirectory()) {
+					const child = await this._diskUsage(nested, level + 1, options)
+					node.add(child)
+					if (level < options.depth) node.children.push(child)
+					items.push({ path: nested, size: child.size, isDirectory: true })
+					continue
+				}
+				const stats = await lstat(this.absolute(nested)).catch(() => null)
+				if (!stats) {
+					node.errors++
+					continue
+				}
+				node.files++
+				if (stats.nlink > 1) {
+					const inode = `${stats.dev}:${stats.ino}`
+					if (options.seen.has(inode)) continue
+					options.seen.add(inode)
+				}
+				node.size += sizeOf(stats)
+				items.push({ path: nested, size: sizeOf(stats), isDirectory: false })
+			}
+		} catch {
+			node.errors++
+		}
+		node.children.sort((a, b) => b.size - a.size || a.path.localeCompare(b.path))
+		node.largest = largestOf(items, options.top)
+		return node
+	}
+	/**
+	 * Runs the callback in the transaction: the saves, writes and drops of `tx` are staged
+	 * and committed together when the callback resolves, or discarded when it throws.
+	 * ```js
+	 * await db.transaction(async tx => {
+	 * 	const balance = await tx.loadDocument("accounts/a.json", {})
+	 * 	await tx.saveDocument("accounts/a.json", { ...balance, total: balance.total - 10 })
+	 * 	await tx.writeDocument("ledger.log", "a -10\n")
+	 * })
+	 * ```
+	 * @template T
+	 * @throws {Error} The error of the callback or the commit, nothing is changed then.
+	 * @param {(tx: Transaction) => Promise<T> | T} fn The callback.
+	 * @returns {Promise<T>} The result of the callback.
+	 */
+	async transaction(fn) {
+		const tx = new Transaction(this)
+		let result
+		try {
+			result = await fn(tx)
+			await tx.commit()
+		} catch (err) {
+			/** @note the commit that failed to lock the documents leaves the transaction open */
+			await tx.rollback()
+			throw err
+		}
+		return result
+	}
+	/**
+	 * Completes the transactions interrupted during the commit by their journals:
+	 * the ones interrupted before the first document is replaced are rolled back,
+	 * the others are rolled forward. A corrupt journal is quarantined and its documents are left as they are.
+	 * The journals of the commits still running in the live processes are skipped.
+	 * @returns {Promise<{ id: string, action: "rollback"|"rollforward"|"quarantine" }[]>} The recovered transactions.
+	 */
+	async recoverTransactions() {
+		return await Transaction.recover(this)
+	}
+	/**
+	 * Moves (renames) the document or the whole directory tree.
+	 * Requires read and delete access to the source and write access to the destination,
+	 * for directories to every nested entry.
+	 * Under the `compress` prefixes the stored document is moved, the destination keeps its suffix.
+	 * In locking mode both the source and the destination are locked exclusively while moved.
+	 * @throws {DBFSError} If the source is not found or the destination exists.
+	 * @param {string} from The source URI.
+	 * @param {string} to The destination URI.
+	 * @param {{ overwrite?: boolean }} [options] Set overwrite to replace the existing destination file.
+	 * @returns {Promise<boolean>} True if moved successfully.
+	 */
+	async moveDocument(from, to, { overwrite = false } = {}) {
+		from = await this._locate(from)
+		to = compressionSuffix(to) ? to : to + compressionSuffix(from)
+		const { source, target, fromFile, toFile } = await this._prepareTransfer(from, to, ["r", "d"], overwrite)
+		await this._buildPath(to)
+		await this._lockedAll([fromFile, toFile], async () => {
+			try {
+				await rename(source, target)
+			} catch (/** @type {any} */ err) {
+				if ("EXDEV" !== err.code) throw err
+				/** @note different devices, rename is not possible */
+				await cp(source, target, { recursive: true, force: overwrite, preserveTimestamps: true })
+				await rm(source, { recursive: true })
+			}
+			await this._dropChecksums(fromFile)
+			await this._updateChecksums(toFile)
+			await this._dropIndexes(fromFile)
+			await this._updateIndexes(toFile)
+		})
+		this._forget(fromFile)
+		this._forget(toFile)
+		this.meta.set(to, await this.statDocument(to))
+		return true
+	}
+	/**
+	 * Copies the document or the whole directory tree.
+	 * Requires read access to the source and write access to the destination,
+	 * for directories to every nested entry. A file is copied atomically in atomic mode.
+	 * Under the `compress` prefixes the stored document is copied, the destination keeps its suffix.
+	 * In locking mode the destination is locked exclusively while written.
+	 * @throws {DBFSError} If the source is not found or the destination exists.
+	 * @param {string} from The source URI.
+	 * @param {string} to The destination URI.
+	 * @param {{ overwrite?: boolean }} [options] Set overwrite to replace the existing destination file.
+	 * @returns {Promise<boolean>} True if copied successfully.
+	 */
+	async copyDocument(from, to, { overwrite = false } = {}) {
+		from = await this._locate(from)
+		to = compressionSuffix(to) ? to : to + compressionSuffix(from)
+		const { stat, source, target, toFile } = await this._prepareTransfer(from, to, ["r"], overwrite)
+		await this._buildPath(to)
+		await this._locked(toFile, async () => {
+			if (stat.isDirectory) {
+				await cp(source, target, { recursive: true, errorOnExist: true, force: false, preserveTimestamps: true })
+			} else if (this.atomic) {
+				const tmp = tempPathFor(target)
+				try {
+					await copyFile(source, tmp)
+					await commitFile(tmp, target, { syncDir: this.fsyncDir })
+				} catch (err) {
+					await removeQuietly(tmp)
+					throw err
+				}
+			} else {
+				await copyFile(source, target)
+			}
+			await this._updateChecksums(toFile)
+			await this._updateIndexes(toFile)
+		})
+		this._forget(toFile)
+		this.meta.set(to, await this.statDocument(to))
+		return true
+	}
+	/**
+	 * Checks the access and the paths before moving or copying.
+	 * @throws {DBFSError} If the access is denied, the source is not found or the destination exists.
+	 * @param {string} from The source URI.
+	 * @param {string} to The destination URI.
+	 * @param {("r"|"w"|"d")[]} levels The access levels required for the source.
+	 * @param {boolean} overwrite Whether the destination file can be replaced.
+	 * @returns {Promise<{ stat: DocumentStat, fromFile: string, toFile: string, source: string, target: string }>}
+	 */
+	async _prepareTransfer(from, to, levels, overwrite) {
+		const operation = levels.includes("d") ? "moveDocument" : "copyDocument"
+		for (const level of levels) {
+			await this.ensureAccess(from, level)
+		}
+		await this.ensureAccess(to, "w")
+		const fromFile = await this.resolve(from)
+		const toFile = await this.resolve(to)
+		if (fromFile === toFile) {
+			throw new DBFSError(`Source and destination are the same: ${from}`, { uri: from, operation })
+		}
+		if (toFile.startsWith(fromFile + "/") || "" === fromFile) {
+			throw new DBFSError(`Cannot place a directory inside itself: ${from} -> ${to}`, { uri: from, operation })
+		}
+		const stat = await this.statDocument(from)
+		if (!stat.exists) {
+			throw new NotFoundError(`Document not found: ${from}`, { uri: from, operation })
+		}
+		const targetStat = await this.statDocument(to)
+		if (targetStat.exists && (!overwrite || stat.isDirectory || targetStat.isDirectory)) {
+			throw new DBFSError(`Destination already exists: ${to}`, { uri: to, operation })
+		}
+		if (stat.isDirectory) {
+			for (const nested of await this._listTree(fromFile)) {
+				for (const level of levels) {
+					this.access.ensure(nested, level)
+				}
+				this.access.ensure(toFile + nested.slice(fromFile.length), "w")
+			}
+		}
+		return { stat, fromFile, toFile, source: this.absolute(fromFile), target: this.absolute(toFile) }
+	}
+	/**
+	 * Watches the document or the directory for changes on disk.
+	 * Emits normalized "create", "change", "delete" and "rename" events with the URIs
+	 * relative to the root, debounces editor save bursts and invalidates the cached
+	 * stat and data of the touched URIs. Temp files and not readable URIs are skipped.
+	 * ```js
+	 * const watcher = await db.watch("docs", { recursive: true })
+	 * watcher.on("change", event => console.log(event.uri))
+	 * for await (const event of watcher) { ... }
+	 * watcher.close()
+	 * ```
+	 * @throws {DBFSError} If the document does not exist or access is denied.
+	 * @param {string} [uri="."] The URI to watch.
+	 * @param {{ recursive?: boolean, debounce?: number }} [options] The debounce time is in milliseconds.
+	 * @returns {Promise<Watcher>} The started watcher, an event emitter and an async iterator.
+	 */
+	async watch(uri = ".", { recursive = false, debounce = 50 } = {}) {
+		await this.ensureAccess(uri, "r")
+		const path = await this.resolve(uri)
+		const watcher = new Watcher({
+			root: this.absolute(),
+			path: this.absolute(path),
+			recursive,
+			debounce,
+			ignore: (uri) => this._isInternal(uri) || !this.access.check(uri, "r").allowed,
+			onEvent: (event) => {
+				this._forget(event.uri)
+				if (event.from) this._forget(event.from)
+			},
+		})
+		return await watcher.start()
+	}
+	/**
+	 * Lists the paths of all the entries inside of the directory, recursively.
+	 * @param {string} file The directory path relative to the root.
+	 * @returns {Promise<string[]>} The nested paths relative to the root, parents first.
+	 */
+	async _listTree(file) {
+		/** @type {string[]} */
+		const result = []
+		const entries = await readdir(this.absolute(file), { withFileTypes: true })
+		for (const entry of entries) {
+			const nested = file ? `${file}/${entry.name}` : entry.name
+			result.push(nested)
+			if (entry.isDirectory()) {
+				result.push(...await this._listTree(nested))
+			}
+		}
+		return result
+	}
+	/**
+	 * Removes the cached stat (meta) and data of the document and everything inside of it.
+	 * @param {string} file The path relative to the root.
+	 * @returns {string[]} The removed cache keys.
+	 */
+	_forget(file) {
+		const root = this.absolute()
+		/** @type {string[]} */
+		const removed = []
+		for (const key of new Set([...this.meta.keys(), ...this.data.keys()])) {
+			const path = this.relative(root, this.absolute(key))
+			if ("" === file || path === file || path.startsWith(file + "/")) {
+				this.meta.delete(key)
+				this.data.delete(key)
+				removed.push(key)
+			}
+		}
+		return removed
+	}
+
+	/**
+	 * Ensures the current operation has proper access rights.
+	 * The access policy rules are checked first, paths outside of the root
+	 * are available only with an explicit allow rule, e.g. `../shared/llm.config.js`.
+	 * @throws {AccessDeniedError} If the access is denied, the error names the rule.
+	 * @param {string} uri The URI to check access for.
+	 * @param {"r"|"w"|"d"} [level="r"] The access level: read, write, or delete.
+	 * @returns {Promise<boolean>} True if access is granted.
+	 */
+	async ensureAccess(uri, level = "r") {
+		await super.ensureAccess(uri, level)
+		const path = await this.resolve(uri)
+		this.access.ensure(path, level, uri)
+		if (isOutsideRoot(path)) {
+			/** @note explicitly allowed by the rule, nothing to confine */
+			return true
+		}
+		await this.ensureConfined(path)
+		return true
+	}
+	/**
+	 * Ensures the path does not escape the root through symbolic links,
+	 * following the `followSymlinks` policy. For not existing documents (writes)
+	 * the nearest existing ancestor is checked.
+	 * @throws {AccessDeniedError} If the real path is outside of the root or a link is denied.
+	 * @param {string} path The path relative to the root.
+	 * @returns {Promise<boolean>} True if access is granted.
+	 */
+	async ensureConfined(path) {
+		if ("allow" === this.followSymlinks) return true
+		const root = this.absolute()
+		const abs = this.absolute(path)
+		if ("deny" === this.followSymlinks) {
+			const link = await findSymlink(root, abs)
+			if (link) {
+				throw new AccessDeniedError(`No access through symbolic link: ${this.relative(root, link)}`, {
+					uri: path, operation: "confine",
+				})
+			}
+			return true
+		}
+		const [realRoot, realPath] = await Promise.all([resolveReal(root), resolveReal(abs)])
+		if (!isInside(realRoot, realPath)) {
+			throw new AccessDeniedError("No access outside of the db container", { uri: path, operation: "confine" })
+		}
+		return true
+	}
+
+	/**
+	 * Streams the directory tree with the progress, see `DB.findStream()`.
+	 * The traversal options select the entries while walking the tree: the `include` and `exclude`
+	 * globs (relative to the scanned URI, a glob without a slash matches the name at any depth),
+	 * the `.gitignore`-style `ignoreFiles` honored in every directory, `maxDepth`, `filter(entry)`
+	 * for the files and `prune(dirEntry)` for the directories. The excluded, ignored and pruned
+	 * directories are never read.
+	 * ```js
+	 * const options = { include: "*.md", exclude: ["node_modules", ".git"], ignoreFiles: [".gitignore"] }
+	 * for await (const { file } of db.findStream(".", options)) {
+	 * 	console.log(file.path)
+	 * }
+	 * ```
+	 * @throws {AccessDeniedError} If the directory is outside of the root or denied by the access policy.
+	 * @param {string} uri The directory URI to scan.
+	 * @param {Record<string, any> & import("./traversal.js").TraversalOptions} [options={}] The options
+	 * of `DB.findStream()` (limit, sort, order, skipStat, ...) and the traversal options.
+	 * @returns {AsyncGenerator<any>} The stream entries.
+	 */
+	async *findStream(uri, options = {}) {
+		await this.ensureAccess(uri, "r")
+		if (!Traversal.isSet(options)) {
+			yield* super.findStream(uri, options)
+			return
+		}
+		const traversal = new Traversal(options)
+		const rest = Object.fromEntries(
+			Object.entries(options).filter(([name]) => !TRAVERSAL_OPTIONS.includes(name))
+		)
+		// DB.findStream() reads the tree with this.readDir(), the view reads it pruned
+		const view = Object.create(this, {
+			readDir: { value: (/** @type {string} */ dir) => this._readTree(dir, traversal) },
+		})
+		yield* super.findStream.call(view, uri, rest)
+	}
+	/**
+	 * Reads the directory tree breadth first (directories first) for the traversal,
+	 * the excluded, ignored and pruned directories are not read.
+	 * @param {string} uri The directory URI to read.
+	 * @param {Traversal} traversal The traversal.
+	 * @returns {AsyncGenerator<DocumentEntry>} The entries with the paths relative to the root.
+	 */
+	async *_readTree(uri, traversal) {
+		const start = await this.resolve(uri)
+		/** @type {{ dir: string, depth: number, ignore: IgnoreList }[]} */
+		const queue = [{ dir: "", depth: 0, ignore: new IgnoreList() }]
+		while (queue.length) {
+			const { dir, depth, ignore: inherited } = /** @type {typeof queue[0]} */ (queue.shift())
+			const file = [start, dir].filter(Boolean).join("/")
+			/** @type {DocumentEntry[]} */
+			let entries
+			try {
+				entries = await this.listDir(file || ".", { depth })
+			} catch {
+				continue
+			}
+			let ignore = inherited
+			for (const name of traversal.ignoreFiles) {
+				const text = await readFile(this.absolute(file, name), "utf-8").catch(() => "")
+				ignore = ignore.extend(dir, parseIgnore(text))
+			}
+			for (const entry of entries) {
+				const path = dir ? `${dir}/${entry.name}` : entry.name
+				const isDirectory = Boolean(entry.stat.isDirectory)
+				if (ignore.ignores(path, isDirectory)) continue
+				const found = new DocumentEntry({
+					name: entry.name,
+					path: start ? `${start}/${path}` : path,
+					stat: entry.stat,
+					depth,
+				})
+				if (isDirectory) {
+					if (!traversal.enters(path, found)) continue
+					if (traversal.descends(depth)) {
+						queue.push({ dir: path, depth: depth + 1, ignore })
+					}
+				} else if (!traversal.accepts(path, found)) {
+					continue
+				}
+				yield found
+			}
+		}
+	}
+
+	/**
+	 * Lists the contents of a directory, recursively down to `maxDepth` (0 by default, -1 for no limit).
+	 * The version history store and the trash are hidden unless `versions` and `trash` are set,
+	 * the transaction journals, the lock files, the checksums, the indexes and the search index are always hidden,
+	 * the dot files are hidden with `hidden: false`. The `include` globs select the files, the `exclude` globs skip
+	 * the files and the directories with their contents, both relative to the listed directory.
+	 * The entries are sorted by `sort` ("type" by default: the directories first, then by the extension)
+	 * and `order`, the path breaks the ties, so the pages of `offset` and `limit` (or the `cursor`
+	 * of listPage()) are stable.
+	 * ```js
+	 * const recent = await db.listDir("docs", { maxDepth: -1, include: "*.md", sort: "mtime", order: "desc", limit: 20 })
+	 * ```
+	 * @throws {TypeError} If the options or the cursor are invalid.
+	 * @throws {AccessDeniedError} If the directory is outside of the root or denied by the access policy.
+	 * @throws {NotFoundError} If the directory does not exist.
+	 * @throws {NotADirectoryError} If the URI is a file.
+	 * @param {string} uri The directory URI to list.
+	 * @param {import("./listing.js").ListOptions} [options] Options for listing, `depth` is the depth
+	 * stamped onto the entries of the listed directory.
+	 * @returns {Promise<DocumentEntry[]>} The list of directory entries, their `path` is relative to the listed directory.
+	 */
+	async listDir(uri, options = {}) {
+		return (await this.listPage(uri, options)).entries
+	}
+	/**
+	 * Lists a page of the directory contents with the cursor of the next page, see listDir().
+	 * Every page reads and stats the whole listing to sort it and count the total, so a page costs
+	 * a full scan of the directory (and of the subdirectories down to maxDepth), `skipStat` saves the stats.
+	 * ```js
+	 * let cursor = null
+	 * do {
+	 * 	const page = await db.listPage("uploads", { sort: "name", limit: 100, cursor })
+	 * 	render(page.entries, page.total)
+	 * 	cursor = page.cursor
+	 * } while (cursor)
+	 * ```
+	 * @throws {TypeError} If the options or the cursor are invalid.
+	 * @throws {DBFSError} If the directory cannot be listed, see listDir().
+	 * @param {string} uri The directory URI to list.
+	 * @param {import("./listing.js").ListOptions} [options] Options for listing.
+	 * @returns {Promise<import("./listing.js").ListPage>} The page with the total number of the entries
+	 * and the cursor of the next page (null for the last page).
+	 */
+	async listPage(uri, options = {}) {
+		const {
+			depth = 0, maxDepth = 0, skipStat = false, versions = false, trash = false, hidden = true,
+			include, exclude, sort, order, offset, limit, cursor,
+		} = options
+		await this.ensureAccess(uri, "r")
+		const traversal = new Traversal({ include, exclude, maxDepth })
+		const path = resolve(this.cwd, this.root, uri)
+		const entries = await this._listLevel(path, "", 0, traversal, { depth, skipStat, versions, trash, hidden })
+			.catch(err => { throw fromSystemError(err, { uri, operation: "listDir" }) })
+		return paginate(entries, { sort, order, offset, limit, cursor })
+	}
+	/**
+	 * Reads the stat of the directory entry. A symbolic link is followed only when the `followSymlinks`
+	 * policy lets it, see ensureConfined(), otherwise the stat describes the link itself.
+	 * @param {string} path The absolute entry path.
+	 * @param {import("node:fs").Dirent} dirent The directory entry.
+	 * @returns {Promise<import("node:fs").Stats>} The stat.
+	 */
+	async _direntStat(path, dirent) {
+		if (!dirent.isSymbolicLink()) return await lstat(path)
+		const confined = await this.ensureConfined(this.relative(this.absolute(), path)).catch(err => {
+			if (err instanceof AccessDeniedError) return false
+			throw err
+		})
+		return confined ? await stat(path) : await lstat(path)
+	}
+	/**
+	 * Reads the entries of the directory and of its subdirectories within the traversal depth.
+	 * Only the real subdirectories are descended into, the symbolic links to the directories are
+	 * listed without their contents, so the listing never leaves the root nor loops.
+	 * The entries denied to read by the access policy are skipped, the denied directories are not read.
+	 * @param {string} path The absolute directory path.
+	 * @param {string} prefix The directory path relative to the listed directory, "" for the listed one.
+	 * @param {number} level The level of the entries, 0 for the listed directory.
+	 * @param {Traversal} traversal The traversal.
+	 * @param {{ depth: number, skipStat: boolean, versions: boolean, trash: boolean, hidden: boolean }} options
+	 * The options of listDir().
+	 * @returns {Promise<DocumentEntry[]>} The entries, the directories before their contents.
+	 */
+	async _listLevel(path, prefix, level, traversal, options) {
+		const root = this.absolute()
+		const dirents = (await readdir(path, { withFileTypes: true })).filter(entry => {
+			const file = this.relative(root, resolve(path, entry.name))
+			return (options.hidden || !entry.name.startsWith("."))
+				&& (options.versions || !isVersionPath(file)) && (options.trash || !isTrashPath(file))
+				&& !isJournalPath(file) && !isLockPath(file) && !isChecksumPath(file) && !isIndexPath(file)
+				&& !isSearchPath(file) && this.access.check(file, "r").allowed
+		})
+		const entries = await Promise.all(dirents.map(async (entry) => {
+			let entryStat = new DocumentStat({ isDirectory: entry.isDirectory(), isFile: entry.isFile() })
+			if (!options.skipStat) {
+				try {
+					entryStat = DBFS.createDocumentStatFrom(await this._direntStat(resolve(path, entry.name), entry))
+				} catch (err) {
+					entryStat = new DocumentStat({
+						error: /** @type {Error} */ (err)
+					})
+				}
+			}
+			return new DocumentEntry({
+				stat: entryStat,
+				name: entry.name,
+				path: prefix ? `${prefix}/${entry.name}` : entry.name,
+				depth: options.depth + level,
+			})
+		}))
+		/** @type {DocumentEntry[]} */
+		const result = []
+		for (const [i, entry] of entries.entries()) {
+			if (!entry.stat.isDirectory) {
+				if (traversal.accepts(entry.path, entry)) result.push(entry)
+				continue
+			}
+			if (!traversal.enters(entry.path, entry)) continue
+			result.push(entry)
+			if (dirents[i].isDirectory() && traversal.descends(level)) {
+				const nested = await this._listLevel(resolve(path, entry.name), entry.path, level + 1, traversal, options)
+					.catch((/** @type {any} */ err) => {
+						// an unreadable subdirectory is listed without its contents
+						if (["EACCES", "EPERM"].includes(err.code)) return []
+						throw err
+					})
+				result.push(...nested)
+			}
+		}
+		return result
+	}
+
+	/**
+	 * Creates a DocumentStat instance from fs.Stats.
+	 * @param {import("node:fs").Stats} stats The fs.Stats object.
+	 * @returns {DocumentStat} A new DocumentStat instance.
+	 */
+	static createDocumentStatFrom(stats) {
+		return new DocumentStat({
+			atimeMs: stats.atimeMs,
+			btimeMs: stats.birthtimeMs,
+			blksize: stats.blksize,
+			blocks: stats.blocks,
+			ctimeMs: stats.ctimeMs,
+			dev: stats.dev,
+			gid: stats.gid,
+			ino: stats.ino,
+			mode: stats.mode,
+			mtimeMs: stats.mtimeMs,
+			nlink: stats.nlink,
+			rdev: stats.rdev,
+			size: stats.size,
+			uid: stats.uid,
+			isDirectory: stats.isDirectory(),
+			isFile: stats.isFile(),
+			isBlockDevice: stats.isBlockDevice(),
+			isFIFO: stats.isFIFO(),
+			isSocket: stats.isSocket(),
+			isSymbolicLink: stats.isSymbolicLink(),
+		})
+	}
+	/**
+	 * Checks whether the path exists without blocking the event loop.
+	 * @param {string} path The absolute path to check.
+	 * @returns {Promise<boolean>} True if the path exists.
+	 */
+	static async exists(path) {
+		try {
+			await stat(path)
+			return true
+		} catch (/** @type {any} */ err) {
+			if ("ENOENT" === err.code || "ENOTDIR" === err.code) return false
+			throw err
+		}
 	}
 	/**
 	 * Fixes path separators for Windows systems.
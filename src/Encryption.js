@@ -0,0 +1,233 @@
+import { createCipheriv, createDecipheriv, randomBytes } from "node:crypto"
+import { open } from "node:fs/promises"
+import { globToRegExp } from "./glob.js"
+import { DecryptionError } from "./errors.js"
+
+/**
+ * @typedef {Buffer | Uint8Array | string} EncryptionKey
+ * The 32 bytes key as a buffer, a hex (64 chars) or a base64 string.
+ */
+
+/**
+ * @typedef {(keyId: string) => EncryptionKey | null | undefined | Promise<EncryptionKey | null | undefined>} KeyProvider
+ * Returns the key by its id.
+ */
+
+/**
+ * The first bytes of the encrypted document, the last one is the format version.
+ * @type {Buffer}
+ */
+export const ENCRYPTION_MAGIC = Buffer.from("DBFSENC\x01", "latin1")
+
+const ALGORITHM = "aes-256-gcm"
+const IV_LENGTH = 12
+const TAG_LENGTH = 16
+
+/**
+ * Converts the key into the 32 bytes buffer.
+ * @throws {TypeError} If the key is not 32 bytes.
+ * @param {EncryptionKey} key The key.
+ * @returns {Buffer} The key buffer.
+ */
+export function normalizeKey(key) {
+	let buffer = null
+	if ("string" === typeof key) {
+		buffer = /^[0-9a-f]{64}$/i.test(key) ? Buffer.from(key, "hex") : Buffer.from(key, "base64")
+	} else if (key instanceof Uint8Array) {
+		buffer = Buffer.from(key)
+	}
+	if (!buffer || 32 !== buffer.length) {
+		throw new TypeError("Encryption key must be 32 bytes: a buffer, a hex or a base64 string")
+	}
+	return buffer
+}
+
+/**
+ * Checks whether the content is an encrypted document.
+ * @param {Buffer} buffer The content or its beginning.
+ * @returns {boolean} True if the content starts with the encryption header.
+ */
+export function isEncrypted(buffer) {
+	return buffer.length >= ENCRYPTION_MAGIC.length
+		&& 0 === ENCRYPTION_MAGIC.compare(buffer, 0, ENCRYPTION_MAGIC.length)
+}
+
+/**
+ * Checks whether the file is an encrypted document by its header.
+ * @param {string} path The file path.
+ * @returns {Promise<boolean>} True if the file is encrypted, false also for a missing file.
+ */
+export async function isEncryptedFile(path) {
+	let handle
+	try {
+		handle = await open(path, "r")
+		const { buffer, bytesRead } = await handle.read(Buffer.alloc(ENCRYPTION_MAGIC.length), 0, ENCRYPTION_MAGIC.length, 0)
+		return isEncrypted(buffer.subarray(0, bytesRead))
+	} catch (/** @type {any} */ err) {
+		if (["ENOENT", "EISDIR"].includes(err.code)) return false
+		throw err
+	} finally {
+		await handle?.close()
+	}
+}
+
+/**
+ * At-rest encryption of the documents matching the glob patterns with AES-256-GCM.
+ * The encrypted document is `magic | key id length | key id | iv | auth tag | ciphertext`,
+ * the header (magic and key id) is authenticated too, every save gets a new random IV.
+ */
+class Encryption {
+	/**
+	 * The glob patterns of the encrypted documents, relative to the root.
+	 * @type {string[]}
+	 */
+	paths
+	/** @type {RegExp[]} */
+	regexps
+	/**
+	 * The id of the key the new documents are encrypted with, stored in the document header.
+	 * @type {string}
+	 */
+	keyId
+	/**
+	 * Returns the keys missing in `keys`, null for none.
+	 * @type {KeyProvider | null}
+	 */
+	provider
+	/**
+	 * The known keys by id.
+	 * @type {Map<string, Buffer>}
+	 */
+	keys
+	/**
+	 * @param {object} [input={}]
+	 * @param {string | string[]} [input.paths=[]] The glob patterns of the encrypted documents.
+	 * @param {EncryptionKey | KeyProvider} [input.key] The key or the key provider callback.
+	 * @param {string} [input.keyId="default"] The id of the current key.
+	 * @param {Map<string, Buffer>} [input.keys] The known keys by id.
+	 */
+	constructor(input = {}) {
+		const { paths = [], key, keyId = "default", keys = new Map() } = input
+		this.paths = Array.isArray(paths) ? paths : [paths]
+		this.regexps = this.paths.map(p => globToRegExp(p))
+		this.keyId = String(keyId)
+		if (Buffer.byteLength(this.keyId) > 255) {
+			throw new TypeError("Encryption key id must be up to 255 bytes")
+		}
+		this.keys = new Map(keys)
+		this.provider = null
+		if ("function" === typeof key) {
+			this.provider = key
+		} else if (undefined !== key) {
+			this.keys.set(this.keyId, normalizeKey(key))
+		}
+		if (this.paths.length && !this.provider && !this.keys.has(this.keyId)) {
+			throw new TypeError("Encryption requires the key or the key provider")
+		}
+	}
+	/**
+	 * Checks whether the new document must be encrypted.
+	 * @param {string} path The path relative to the root.
+	 * @returns {boolean} True if the path matches one of the patterns.
+	 */
+	applies(path) {
+		return this.regexps.some(re => re.test(path))
+	}
+	/**
+	 * Returns the key by its id from the known keys or the provider.
+	 * @throws {DecryptionError} If the key is not found.
+	 * @param {string} keyId The key id.
+	 * @returns {Promise<Buffer>} The key.
+	 */
+	async keyFor(keyId) {
+		let key = this.keys.get(keyId)
+		if (!key && this.provider) {
+			const provided = await this.provider(keyId)
+			if (provided) {
+				key = normalizeKey(provided)
+				this.keys.set(keyId, key)
+			}
+		}
+		if (!key) {
+			throw new DecryptionError(`Encryption key "${keyId}" is not found`, { keyId })
+		}
+		return key
+	}
+	/**
+	 * Encrypts the content with the current key.
+	 * @param {Buffer} buffer The content.
+	 * @returns {Promise<Buffer>} The encrypted document.
+	 */
+	async encrypt(buffer) {
+		const key = await this.keyFor(this.keyId)
+		const id = Buffer.from(this.keyId)
+		const header = Buffer.concat([ENCRYPTION_MAGIC, Buffer.from([id.length]), id])
+		const iv = randomBytes(IV_LENGTH)
+		const cipher = createCipheriv(ALGORITHM, key, iv, { authTagLength: TAG_LENGTH })
+		cipher.setAAD(header)
+		const encrypted = Buffer.concat([cipher.update(buffer), cipher.final()])
+		return Buffer.concat([header, iv, cipher.getAuthTag(), encrypted])
+	}
+	/**
+	 * Decrypts the document with the key of its header.
+	 * @throws {DecryptionError} If the key is not found, wrong or the document is tampered.
+	 * @param {Buffer} buffer The encrypted document.
+	 * @param {string} [uri=""] The document URI for the error.
+	 * @returns {Promise<Buffer>} The content.
+	 */
+	async decrypt(buffer, uri = "") {
+		const start = ENCRYPTION_MAGIC.length + 1
+		const idLength = buffer[ENCRYPTION_MAGIC.length] ?? 0
+		const offset = start + idLength
+		if (!isEncrypted(buffer) || buffer.length < offset + IV_LENGTH + TAG_LENGTH) {
+			throw new DecryptionError(`Encrypted document is damaged: ${uri}`, { uri, operation: "decrypt" })
+		}
+		const keyId = buffer.subarray(start, offset).toString()
+		let key
+		try {
+			key = await this.keyFor(keyId)
+		} catch (/** @type {any} */ err) {
+			throw new DecryptionError(`Cannot decrypt "${uri}": ${err.message}`, { uri, operation: "decrypt", keyId, cause: err })
+		}
+		const iv = buffer.subarray(offset, offset + IV_LENGTH)
+		const tag = buffer.subarray(offset + IV_LENGTH, offset + IV_LENGTH + TAG_LENGTH)
+		try {
+			const decipher = createDecipheriv(ALGORITHM, key, iv, { authTagLength: TAG_LENGTH })
+			decipher.setAAD(buffer.subarray(0, offset))
+			decipher.setAuthTag(tag)
+			return Buffer.concat([decipher.update(buffer.subarray(offset + IV_LENGTH + TAG_LENGTH)), decipher.final()])
+		} catch (err) {
+			throw new DecryptionError(
+				`Cannot decrypt "${uri}": wrong key "${keyId}" or tampered document`,
+				{ uri, operation: "decrypt", keyId, cause: err },
+			)
+		}
+	}
+	/**
+	 * Returns the encryption of the same paths with the new current key,
+	 * the known keys and the provider are kept to decrypt the older documents.
+	 * @throws {TypeError} If the key id is the current one.
+	 * @param {EncryptionKey | KeyProvider} key The new key or the key provider.
+	 * @param {string} keyId The new key id, must differ from the keys in use.
+	 * @returns {Encryption} The new encryption.
+	 */
+	withKey(key, keyId) {
+		if (String(keyId) === this.keyId) {
+			throw new TypeError(`The new key id must differ from the current one "${this.keyId}"`)
+		}
+		const next = new Encryption({ paths: this.paths, key, keyId, keys: this.keys })
+		if (!next.provider) next.provider = this.provider
+		return next
+	}
+	/**
+	 * Creates an Encryption instance from input parameters.
+	 * @param {object} [input={}] The encryption or its options.
+	 * @returns {Encryption}
+	 */
+	static from(input = {}) {
+		if (input instanceof Encryption) return input
+		return new Encryption(input)
+	}
+}
+
+export default Encryption
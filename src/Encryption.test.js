@@ -0,0 +1,178 @@
+import { suite, it } from "node:test"
+import assert from "node:assert/strict"
+import { randomBytes } from "node:crypto"
+import { readdir, readFile, writeFile } from "node:fs/promises"
+import Encryption, { isEncrypted, normalizeKey } from "./Encryption.js"
+import { DBFSError, DecryptionError } from "./errors.js"
+import { useTmpDB } from "./tmpdb.helper.js"
+
+/**
+ * @desc Tests the at-rest encryption with AES-256-GCM.
+ */
+suite("Encryption tests", () => {
+	const key = randomBytes(32)
+	const content = Buffer.from(JSON.stringify({ name: "Alice", email: "alice@example.com" }))
+
+	it("should apply to the paths matching the patterns", () => {
+		const encryption = new Encryption({ paths: ["users/**", "*.secret"], key })
+		assert.ok(encryption.applies("users/alice/profile.json"))
+		assert.ok(encryption.applies("api.secret"))
+		assert.ok(!encryption.applies("public/users.json"))
+		assert.ok(!new Encryption().applies("users/a.json"))
+	})
+
+	it("should encrypt with a new IV and decrypt", async () => {
+		const encryption = new Encryption({ paths: ["users/**"], key, keyId: "k1" })
+		const a = await encryption.encrypt(content)
+		const b = await encryption.encrypt(content)
+		assert.ok(isEncrypted(a))
+		assert.notDeepStrictEqual(a, b)
+		assert.ok(!a.includes(Buffer.from("Alice")))
+		assert.deepStrictEqual(await encryption.decrypt(a), content)
+		assert.deepStrictEqual(await encryption.decrypt(b), content)
+	})
+
+	it("should reject the tampered document and the wrong key", async () => {
+		const encryption = new Encryption({ paths: ["users/**"], key, keyId: "k1" })
+		const encrypted = await encryption.encrypt(content)
+		const tampered = Buffer.from(encrypted)
+		tampered[tampered.length - 1] ^= 1
+		await assert.rejects(() => encryption.decrypt(tampered, "users/a.json"), (err) => {
+			assert.ok(err instanceof DecryptionError)
+			assert.strictEqual(err.uri, "users/a.json")
+			assert.strictEqual(err.keyId, "k1")
+			assert.match(err.message, /wrong key "k1" or tampered document/)
+			return true
+		})
+		const wrong = new Encryption({ paths: ["users/**"], key: randomBytes(32), keyId: "k1" })
+		await assert.rejects(() => wrong.decrypt(encrypted), DecryptionError)
+		const other = new Encryption({ paths: ["users/**"], key, keyId: "k2" })
+		await assert.rejects(() => other.decrypt(encrypted), /key "k1" is not found/)
+		await assert.rejects(() => encryption.decrypt(encrypted.subarray(0, 20)), /damaged/)
+	})
+
+	it("should authenticate the key id of the header", async () => {
+		const encryption = new Encryption({ key: () => key, keyId: "k1" })
+		const encrypted = await encryption.encrypt(content)
+		const renamed = Buffer.from(encrypted)
+		renamed[10] = "2".charCodeAt(0)
+		await assert.rejects(() => encryption.decrypt(renamed), /wrong key "k2"/)
+	})
+
+	it("should get the keys from the provider", async () => {
+		const keys = { k1: key.toString("hex"), k2: randomBytes(32).toString("base64") }
+		/** @type {string[]} */
+		const requested = []
+		const encryption = new Encryption({
+			paths: ["users/**"], keyId: "k2", key: async (id) => (requested.push(id), keys[/** @type {"k1"} */ (id)]),
+		})
+		const old = await new Encryption({ key, keyId: "k1" }).encrypt(content)
+		assert.deepStrictEqual(await encryption.decrypt(old), content)
+		assert.deepStrictEqual(await encryption.decrypt(await encryption.encrypt(content)), content)
+		assert.deepStrictEqual(await encryption.decrypt(old), content)
+		assert.deepStrictEqual(requested, ["k1", "k2"])
+	})
+
+	it("should keep the previous keys after the rotation", async () => {
+		const encryption = new Encryption({ paths: ["users/**"], key, keyId: "k1" })
+		const old = await encryption.encrypt(content)
+		const next = encryption.withKey(randomBytes(32), "k2")
+		assert.strictEqual(next.keyId, "k2")
+		assert.deepStrictEqual(next.paths, ["users/**"])
+		assert.deepStrictEqual(await next.decrypt(old), content)
+		assert.throws(() => next.withKey(randomBytes(32), "k2"), TypeError)
+	})
+
+	it("should validate the keys", () => {
+		assert.deepStrictEqual(normalizeKey(key.toString("hex")), key)
+		assert.deepStrictEqual(normalizeKey(key.toString("base64")), key)
+		assert.throws(() => normalizeKey("short"), TypeError)
+		assert.throws(() => new Encryption({ paths: ["users/**"] }), /requires the key/)
+	})
+})
+
+/**
+ * @desc Tests the at-rest encryption of the documents.
+ */
+suite("Encrypted documents tests", () => {
+	const tmp = useTmpDB("dbfs-encrypt-")
+	const key = randomBytes(32)
+
+	it("should encrypt only the documents matching the paths", async () => {
+		const db = tmp.open({ encryption: { paths: ["users/**"], key } })
+		await db.saveDocument("users/alice.json", { name: "Alice" })
+		await db.saveDocument("public/index.json", { name: "Index" })
+		const raw = await readFile(tmp.path("users", "alice.json"))
+		assert.ok(!raw.includes("Alice"))
+		assert.strictEqual(await readFile(tmp.path("public", "index.json"), "utf-8"), '{\n  "name": "Index"\n}')
+		assert.deepStrictEqual(await db.loadDocument("users/alice.json"), { name: "Alice" })
+		assert.deepStrictEqual(await db.loadDocument("public/index.json"), { name: "Index" })
+	})
+
+	it("should append to the encrypted and compressed documents", async () => {
+		const db = tmp.open({ encryption: { paths: ["logs/**"], key } })
+		await db.writeDocument("logs/app.log", "one\n")
+		await db.writeDocument("logs/app.log", "two\n")
+		assert.strictEqual(await db.loadDocument("logs/app.log"), "one\ntwo\n")
+		await db.appendRecord("logs/events.jsonl.gz", { id: 1 })
+		await db.appendRecord("logs/events.jsonl.gz", { id: 2 })
+		const records = []
+		for await (const record of db.readRecords("logs/events.jsonl.gz")) records.push(record)
+		assert.deepStrictEqual(records, [{ id: 1 }, { id: 2 }])
+		assert.deepStrictEqual(await readdir(tmp.path("logs")), ["app.log", "events.jsonl.gz"])
+	})
+
+	it("should throw on the tampered document and the wrong key", async () => {
+		const db = tmp.open({ encryption: { paths: ["users/**"], key, keyId: "k1" } })
+		await db.saveDocument("users/alice.json", { name: "Alice" })
+		const file = tmp.path("users", "alice.json")
+		const wrong = tmp.open({ encryption: { paths: ["users/**"], key: randomBytes(32), keyId: "k1" } })
+		await assert.rejects(() => wrong.loadDocument("users/alice.json"), (err) => {
+			assert.ok(err instanceof DecryptionError)
+			assert.strictEqual(err.uri, "users/alice.json")
+			return true
+		})
+		const raw = await readFile(file)
+		raw[raw.length - 2] ^= 1
+		await writeFile(file, raw)
+		await assert.rejects(() => db.loadDocument("users/alice.json"), /tampered document/)
+	})
+
+	it("should throw on the encrypted text document with the wrong key", async () => {
+		const db = tmp.open({ encryption: { paths: ["notes/**"], key, keyId: "k1" } })
+		await db.saveDocument("notes/todo.txt", "secret plans")
+		const wrong = tmp.open({ encryption: { paths: ["notes/**"], key: randomBytes(32), keyId: "k1" } })
+		await assert.rejects(() => wrong.loadDocument("notes/todo.txt"), DecryptionError)
+		const file = tmp.path("notes", "todo.txt")
+		const raw = await readFile(file)
+		raw[raw.length - 2] ^= 1
+		await writeFile(file, raw)
+		await assert.rejects(() => db.loadDocument("notes/todo.txt"), DecryptionError)
+		assert.strictEqual(await db.loadDocument("notes/missing.txt", "none"), "none")
+	})
+
+	it("should decrypt the read streams and refuse the write streams", async () => {
+		const db = tmp.open({ encryption: { paths: ["media/**"], key } })
+		await db.saveDocument("media/clip.txt", "0123456789")
+		const chunks = []
+		for await (const chunk of await db.createReadStream("media/clip.txt", { start: 2, end: 5 })) chunks.push(chunk)
+		assert.strictEqual(Buffer.concat(chunks).toString(), "2345")
+		await assert.rejects(() => db.createWriteStream("media/new.txt"), /Cannot stream into the encrypted document/)
+		await assert.rejects(() => db.createWriteStream("media/clip.txt", { flags: "a" }), DBFSError)
+		assert.deepStrictEqual(await readdir(tmp.path("media")), ["clip.txt"])
+	})
+
+	it("should rotate the key of the tree", async () => {
+		const db = tmp.open({ encryption: { paths: ["users/**"], key, keyId: "k1" } })
+		await db.saveDocument("users/alice.json", { name: "Alice" })
+		await db.saveDocument("users/bob/profile.json", { name: "Bob" })
+		await db.saveDocument("archive/users.json", [])
+		const newKey = randomBytes(32)
+		const rotated = await db.rotateKey("users", { key: newKey, keyId: "k2" })
+		assert.deepStrictEqual(rotated.sort(), ["users/alice.json", "users/bob/profile.json"])
+		assert.strictEqual(db.encryption.keyId, "k2")
+		const reopened = tmp.open({ encryption: { paths: ["users/**"], key: newKey, keyId: "k2" } })
+		assert.deepStrictEqual(await reopened.loadDocument("users/bob/profile.json"), { name: "Bob" })
+		assert.deepStrictEqual(await reopened.loadDocument("archive/users.json"), [])
+	})
+})
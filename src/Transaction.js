@@ -0,0 +1,490 @@
+import { copyFile, link, lstat, mkdir, readdir, readFile, rename, rm, writeFile } from "node:fs/promises"
+import { join } from "node:path"
+import { commitFile, fsyncFile, isProcessAlive, removeQuietly, tempPathFor } from "./atomic.js"
+import { createVersionId } from "./versions.js"
+import { DBFSError, DirectoryNotEmptyError } from "./errors.js"
+
+/**
+ * The hidden directory inside of the root with the journals of the committing transactions.
+ * @type {string}
+ */
+export const JOURNAL_DIR = ".journal"
+
+/**
+ * The suffix of the quarantined journals that cannot be parsed, they are not recovered again.
+ * @type {string}
+ */
+export const CORRUPT_SUFFIX = ".corrupt"
+
+/**
+ * The age in ms after which the journal is recovered even if its writer pid is alive, the pid is reused then.
+ * @type {number}
+ */
+export const JOURNAL_MAX_AGE = 24 * 60 * 60 * 1000
+
+/**
+ * Checks whether the path (relative to the root) is inside of the journal directory.
+ * @param {string} path The path relative to the root.
+ * @returns {boolean} True for the journal paths.
+ */
+export function isJournalPath(path) {
+	return path === JOURNAL_DIR || path.startsWith(JOURNAL_DIR + "/")
+}
+
+/**
+ * @typedef {object} TransactionOperation
+ * @property {"save"|"drop"} type The operation.
+ * @property {string} uri The document URI.
+ * @property {string} file The document path relative to the root.
+ * @property {string} temp The staged content path relative to the root, empty for the drops.
+ * @property {string} backup The previous content path relative to the root, empty for a new document.
+ * @property {boolean} isDirectory True for the dropped directories.
+ */
+
+/**
+ * @typedef {object} TransactionJournal
+ * @property {string} id The transaction id.
+ * @property {number} [pid] The id of the writer process, journals of the live writers are not recovered.
+ * @property {number} [started] The start time of the transaction in ms, tells the reused writer pids.
+ * @property {"prepared"|"committing"} state Prepared journals are rolled back, committing ones forward.
+ * @property {TransactionOperation[]} ops The operations in order.
+ */
+
+/**
+ * @typedef {import("./DBFS.js").default} DBFS
+ */
+
+/**
+ * Checks whether the path exists, not following the last symbolic link.
+ * @param {string} path The absolute path.
+ * @returns {Promise<boolean>}
+ */
+async function exists(path) {
+	try {
+		await lstat(path)
+		return true
+	} catch (/** @type {any} */ err) {
+		if (["ENOENT", "ENOTDIR"].includes(err.code)) return false
+		throw err
+	}
+}
+
+/**
+ * Multi-document transaction: the saves and writes are staged into temp files next to
+ * the documents, the drops are recorded, nothing is visible until commit().
+ *
+ * The commit writes the journal (".journal/<id>.json") in the "prepared" state, links
+ * the previous content as backups, switches the journal to "committing" and renames
+ * the staged files over the documents. An interrupted commit is recovered on the next
+ * connect(): "prepared" journals are rolled back, "committing" ones rolled forward.
+ */
+class Transaction {
+	/** @type {DBFS} */
+	db
+	/**
+	 * The transaction id, also the journal name.
+	 * @type {string}
+	 */
+	id
+	/**
+	 * The staged operations by the document path relative to the root.
+	 * @type {Map<string, TransactionOperation>}
+	 */
+	ops = new Map()
+	/**
+	 * The start time in ms, written to the journal with the process id.
+	 * @type {number}
+	 */
+	started = Date.now()
+	/** @type {"open"|"committed"|"rolledback"} */
+	state = "open"
+	/**
+	 * @param {DBFS} db The database.
+	 */
+	constructor(db) {
+		this.db = db
+		this.id = createVersionId()
+	}
+	/**
+	 * @throws {DBFSError} If the transaction is already committed or rolled back.
+	 */
+	_ensureOpen() {
+		if ("open" !== this.state) {
+			throw new DBFSError(`Transaction is ${this.state}`, { operation: "transaction" })
+		}
+	}
+	/**
+	 * Returns the staged drop of the directory containing the path.
+	 * @param {string} file The path relative to the root.
+	 * @returns {TransactionOperation | null} The drop operation or null.
+	 */
+	_droppedParent(file) {
+		for (const op of this.ops.values()) {
+			if ("drop" === op.type && op.isDirectory && file.startsWith(op.file + "/")) return op
+		}
+		return null
+	}
+	/**
+	 * Replaces the staged operation of the document, removes the replaced staged content.
+	 * @param {TransactionOperation} op The operation.
+	 * @returns {Promise<void>}
+	 */
+	async _stage(op) {
+		const prev = this.ops.get(op.file)
+		if (prev?.temp && prev.temp !== op.temp) await removeQuietly(this.db.absolute(prev.temp))
+		this.ops.delete(op.file)
+		this.ops.set(op.file, op)
+	}
+	/**
+	 * Stages the document path for the write.
+	 * @throws {DBFSError} If the directory of the document is dropped in the transaction.
+	 * @param {string} uri The document URI.
+	 * @param {string} operation The staged operation, e.g. "saveDocument".
+	 * @returns {Promise<{ file: string, path: string, temp: string }>} The paths.
+	 */
+	async _prepareWrite(uri, operation) {
+		this._ensureOpen()
+		await this.db.ensureAccess(uri, "w")
+		const file = await this.db.resolve(uri)
+		if (this._droppedParent(file)) {
+			throw new DBFSError(`Cannot write inside of the directory dropped in the transaction: ${uri}`, {
+				uri, operation,
+			})
+		}
+		await this.db._buildPath(uri)
+		const path = this.db.absolute(file)
+		return { file, path, temp: tempPathFor(path) }
+	}
+	/**
+	 * Stages the document save, the document is validated and written into the temp file.
+	 * @throws {import("./errors.js").ValidationError} If the document does not match its schema.
+	 * @throws {Error} If access is denied or the document cannot be saved.
+	 * @param {string} uri The document URI.
+	 * @param {any} document The document to save.
+	 * @returns {Promise<boolean>} True if staged, false if no saver accepts the document.
+	 */
+	async saveDocument(uri, document) {
+		uri = this.db.storedUri(uri)
+		const { file, temp } = await this._prepareWrite(uri, "saveDocument")
+		await this.db._ensureValid(uri, document, "saveDocument")
+		try {
+			if (!(await this.db._saveAs(temp, document, this.db.extname(uri)))) {
+				await removeQuietly(temp)
+				return false
+			}
+		} catch (err) {
+			await removeQuietly(temp)
+			throw err
+		}
+		await this._stage({ type: "save", uri, file, temp: this.db.relative(this.db.absolute(), temp), backup: "", isDirectory: false })
+		return true
+	}
+	/**
+	 * Stages the chunk appended to the document: the staged (or current) content with the chunk
+	 * is written into the temp file.
+	 * @throws {Error} If access is denied or the document cannot be written.
+	 * @param {string} uri The document URI.
+	 * @param {string} chunk The chunk to append.
+	 * @returns {Promise<boolean>} True if staged.
+	 */
+	async writeDocument(uri, chunk) {
+		const { file, path, temp } = await this._prepareWrite(uri, "writeDocument")
+		const staged = this.ops.get(file)
+		const source = staged ? (staged.temp ? this.db.absolute(staged.temp) : "") : path
+		const current = source && await exists(source) ? await this.db.readText(source) : ""
+		try {
+			await this.db.writeText(temp, current + chunk)
+		} catch (err) {
+			await removeQuietly(temp)
+			throw err
+		}
+		await this._stage({ type: "save", uri, file, temp: this.db.relative(this.db.absolute(), temp), backup: "", isDirectory: false })
+		return true
+	}
+	/**
+	 * Stages the document drop, a directory is dropped only when empty or in recursive mode.
+	 * The staged operations inside of the dropped directory are discarded.
+	 * @throws {import("./errors.js").AccessDeniedError} If access is denied.
+	 * @throws {DirectoryNotEmptyError} If the directory is not empty and not in recursive mode.
+	 * @param {string} uri The document URI.
+	 * @param {{ recursive?: boolean }} [options] Set recursive to drop the whole directory tree.
+	 * @returns {Promise<boolean>} True if staged, false if the document does not exist.
+	 */
+	async dropDocument(uri, { recursive = false } = {}) {
+		this._ensureOpen()
+		await this.db.ensureAccess(uri, "d")
+		const file = await this.db.resolve(uri)
+		if ("" === file) {
+			throw new DBFSError("Cannot drop the root in the transaction", { uri, operation: "dropDocument" })
+		}
+		if (this._droppedParent(file)) return false
+		const staged = this.ops.get(file)
+		const stat = await this.db.statDocument(uri)
+		if (stat.isDirectory) {
+			const path = this.db.absolute(file)
+			if (!recursive && (await readdir(path)).length > 0) {
+				throw new DirectoryNotEmptyError("Directory has children, delete them first", { uri, operation: "dropDocument" })
+			}
+			for (const nested of await this.db._listTree(file)) {
+				this.db.access.ensure(nested, "d")
+			}
+			for (const op of Array.from(this.ops.values())) {
+				if (!op.file.startsWith(file + "/")) continue
+				if (op.temp) await removeQuietly(this.db.absolute(op.temp))
+				this.ops.delete(op.file)
+			}
+		}
+		if (!stat.exists) {
+			if (!staged || "drop" === staged.type) return false
+			await removeQuietly(this.db.absolute(staged.temp))
+			this.ops.delete(file)
+			return true
+		}
+		await this._stage({ type: "drop", uri, file, temp: "", backup: "", isDirectory: Boolean(stat.isDirectory) })
+		return true
+	}
+	/**
+	 * Loads the document with the staged changes of the transaction.
+	 * @param {string} uri The document URI.
+	 * @param {any} [defaultValue=""] The default value for a missing or dropped document.
+	 * @returns {Promise<any>} The document or the default value.
+	 */
+	async loadDocument(uri, defaultValue = "") {
+		this._ensureOpen()
+		const file = await this.db.resolve(this.db.storedUri(uri))
+		const staged = this.ops.get(file)
+		if (!staged && !this._droppedParent(file)) return await this.db.loadDocument(uri, defaultValue)
+		await this.db.ensureAccess(uri, "r")
+		if (!staged?.temp) return defaultValue
+		return await this.db._loadAs(this.db.absolute(staged.temp), this.db.extname(staged.uri))
+	}
+	/**
+	 * Writes the journal atomically.
+	 * @param {TransactionJournal["state"]} state The journal state.
+	 * @returns {Promise<void>}
+	 */
+	async _writeJournal(state) {
+		/** @type {TransactionJournal} */
+		const journal = { id: this.id, pid: process.pid, started: this.started, state, ops: Array.from(this.ops.values()) }
+		const dir = this.db.absolute(JOURNAL_DIR)
+		await mkdir(dir, { recursive: true })
+		const path = join(dir, `${this.id}.json`)
+		const temp = tempPathFor(path)
+		await writeFile(temp, JSON.stringify(journal))
+		await commitFile(temp, path, { syncDir: true })
+	}
+	/**
+	 * Commits all the staged operations together.
+	 * When an operation fails the applied ones are reverted and the error is thrown.
+	 * In locking mode all the documents are locked exclusively until the commit ends.
+	 * @throws {Error} If the transaction is not open or the commit fails.
+	 * @throws {import("./errors.js").LockTimeoutError} If a lock is not acquired in time.
+	 * @returns {Promise<TransactionOperation[]>} The committed operations.
+	 */
+	async commit() {
+		this._ensureOpen()
+		const ops = Array.from(this.ops.values())
+		if (!ops.length) {
+			this.state = "committed"
+			return ops
+		}
+		return await this.db._lockedAll(ops.map(op => op.file), () => this._commit(ops))
+	}
+	/**
+	 * Commits the staged operations holding the locks.
+	 * @param {TransactionOperation[]} ops The staged operations.
+	 * @returns {Promise<TransactionOperation[]>} The committed operations.
+	 */
+	async _commit(ops) {
+		const db = this.db
+		const root = db.absolute()
+		for (const op of ops) {
+			if (op.temp) await fsyncFile(db.absolute(op.temp))
+			if (await exists(db.absolute(op.file))) op.backup = db.relative(root, tempPathFor(db.absolute(op.file)))
+		}
+		await this._writeJournal("prepared")
+		/** @type {TransactionOperation[]} */
+		const applied = []
+		try {
+			for (const op of ops) {
+				if ("save" !== op.type || !op.backup) continue
+				await link(db.absolute(op.file), db.absolute(op.backup))
+					.catch(() => copyFile(db.absolute(op.file), db.absolute(op.backup)))
+			}
+			await this._writeJournal("committing")
+			for (const op of ops) {
+				await Transaction.apply(db, op)
+				applied.push(op)
+			}
+		} catch (err) {
+			for (const op of applied.reverse()) {
+				await Transaction.revert(db, op)
+			}
+			await Transaction.discard(db, { id: this.id, state: "prepared", ops })
+			this.state = "rolledback"
+			throw err
+		}
+		await Transaction.finalize(db, { id: this.id, state: "committing", ops })
+		for (const op of ops) {
+			db._forget(op.file)
+			if ("save" === op.type) {
+				db.meta.set(op.uri, await db.statDocument(op.uri))
+				db.data.set(op.uri, false)
+			}
+		}
+		this.state = "committed"
+		return ops
+	}
+	/**
+	 * Discards the staged operations.
+	 * @returns {Promise<void>}
+	 */
+	async rollback() {
+		if ("open" !== this.state) return
+		for (const op of this.ops.values()) {
+			if (op.temp) await removeQuietly(this.db.absolute(op.temp))
+		}
+		this.ops.clear()
+		this.state = "rolledback"
+	}
+	/**
+	 * Applies the operation, repeated calls are safe (used to roll forward).
+	 * The replaced documents are kept in the version history, the dropped ones too unless in trash mode.
+	 * @param {DBFS} db The database.
+	 * @param {TransactionOperation} op The operation.
+	 * @returns {Promise<void>}
+	 */
+	static async apply(db, op) {
+		const path = db.absolute(op.file)
+		if ("save" === op.type) {
+			if (!(await exists(db.absolute(op.temp)))) return
+			await db._keepVersion(op.file)
+			await rename(db.absolute(op.temp), path)
+		} else if (op.backup && await exists(path) && !(await exists(db.absolute(op.backup)))) {
+			if (!db.trash) {
+				for (const file of op.isDirectory ? await db._listTree(op.file) : [op.file]) {
+					await db._keepVersion(file)
+				}
+			}
+			await rename(path, db.absolute(op.backup))
+		}
+	}
+	/**
+	 * Reverts the applied operation from its backup.
+	 * @param {DBFS} db The database.
+	 * @param {TransactionOperation} op The operation.
+	 * @returns {Promise<void>}
+	 */
+	static async revert(db, op) {
+		const path = db.absolute(op.file)
+		if (op.backup && await exists(db.absolute(op.backup))) {
+			await rename(db.absolute(op.backup), path)
+		} else if ("save" === op.type) {
+			await removeQuietly(path)
+		}
+	}
+	/**
+	 * Removes the backups of the committed transaction (dropped documents go to the trash
+	 * in trash mode) and its journal, updates the checksums and the indexes of the changed documents.
+	 * @param {DBFS} db The database.
+	 * @param {TransactionJournal} journal The journal.
+	 * @returns {Promise<void>}
+	 */
+	static async finalize(db, journal) {
+		for (const op of journal.ops) {
+			if ("save" === op.type) {
+				await db._updateChecksums(op.file)
+				await db._updateIndexes(op.file)
+			} else {
+				await db._dropChecksums(op.file)
+				await db._dropIndexes(op.file)
+			}
+			const backup = op.backup ? db.absolute(op.backup) : ""
+			if (!backup || !(await exists(backup))) continue
+			if ("drop" === op.type && db.trash) {
+				await db._moveToTrash(op.file, op.isDirectory, backup)
+			} else {
+				await rm(backup, { recursive: true, force: true })
+			}
+		}
+		await removeQuietly(db.absolute(JOURNAL_DIR, `${journal.id}.json`))
+	}
+	/**
+	 * Removes the staged content and the backups of the not committed transaction and its journal.
+	 * @param {DBFS} db The database.
+	 * @param {TransactionJournal} journal The journal.
+	 * @returns {Promise<void>}
+	 */
+	static async discard(db, journal) {
+		for (const op of journal.ops) {
+			if (op.temp) await removeQuietly(db.absolute(op.temp))
+			if ("save" === op.type && op.backup) await removeQuietly(db.absolute(op.backup))
+		}
+		await removeQuietly(db.absolute(JOURNAL_DIR, `${journal.id}.json`))
+	}
+	/**
+	 * Reads the journal, the journal that cannot be parsed or has no operations is corrupt.
+	 * @param {string} path The journal path.
+	 * @returns {Promise<TransactionJournal | null>} The journal, null when corrupt.
+	 */
+	static async readJournal(path) {
+		let journal
+		try {
+			journal = JSON.parse(await readFile(path, "utf-8"))
+		} catch (/** @type {any} */ err) {
+			if (err instanceof SyntaxError) return null
+			throw err
+		}
+		if (!journal || "string" !== typeof journal.id || !Array.isArray(journal.ops)) return null
+		return journal
+	}
+	/**
+	 * Checks whether the journal belongs to a commit that is still running: its writer
+	 * process is alive and the journal is younger than maxAge.
+	 * @param {TransactionJournal} journal The journal.
+	 * @param {{ maxAge?: number, isAlive?: (pid: number) => boolean }} [options]
+	 * @returns {boolean} True for the journals of the live writers.
+	 */
+	static isLive(journal, { maxAge = JOURNAL_MAX_AGE, isAlive = isProcessAlive } = {}) {
+		if (!Number.isInteger(journal.pid) || !Number.isFinite(journal.started)) return false
+		return Date.now() - Number(journal.started) < maxAge && isAlive(Number(journal.pid))
+	}
+	/**
+	 * Recovers the interrupted commits by their journals: the "prepared" transactions
+	 * are rolled back, the "committing" ones are rolled forward. A corrupt journal is
+	 * quarantined, renamed to "<id>.json.corrupt", and its documents are left as they are.
+	 * The journals of the commits still running in the live processes, this one included,
+	 * are skipped, see isLive().
+	 * @param {DBFS} db The database.
+	 * @param {{ maxAge?: number, isAlive?: (pid: number) => boolean }} [options]
+	 * @returns {Promise<{ id: string, action: "rollback"|"rollforward"|"quarantine" }[]>} The recovered transactions.
+	 */
+	static async recover(db, options = {}) {
+		const dir = db.absolute(JOURNAL_DIR)
+		const names = await readdir(dir).catch(() => /** @type {string[]} */ ([]))
+		/** @type {{ id: string, action: "rollback"|"rollforward"|"quarantine" }[]} */
+		const recovered = []
+		for (const name of names.sort()) {
+			if (!name.endsWith(".json")) continue
+			const journal = await Transaction.readJournal(join(dir, name))
+			if (!journal) {
+				await rename(join(dir, name), join(dir, name + CORRUPT_SUFFIX))
+				recovered.push({ id: name.slice(0, -".json".length), action: "quarantine" })
+			} else if (Transaction.isLive(journal, options)) {
+				continue
+			} else if ("committing" === journal.state) {
+				for (const op of journal.ops) {
+					await Transaction.apply(db, op)
+				}
+				await Transaction.finalize(db, journal)
+				recovered.push({ id: journal.id, action: "rollforward" })
+			} else {
+				await Transaction.discard(db, journal)
+				recovered.push({ id: journal.id, action: "rollback" })
+			}
+		}
+		return recovered
+	}
+}
+
+export default Transaction
@@ -0,0 +1,255 @@
+import { suite, it } from "node:test"
+import assert from "node:assert/strict"
+import { mkdir, readdir, readFile, writeFile } from "node:fs/promises"
+import { AccessDeniedError, DBFSError } from "./errors.js"
+import { useTmpDB } from "./tmpdb.helper.js"
+import Transaction, { JOURNAL_DIR, JOURNAL_MAX_AGE, isJournalPath } from "./Transaction.js"
+
+/**
+ * @desc Tests the transaction journal paths.
+ */
+suite("Transaction journal tests", () => {
+	it("should detect the journal paths", () => {
+		assert.strictEqual(JOURNAL_DIR, ".journal")
+		assert.ok(isJournalPath(".journal"))
+		assert.ok(isJournalPath(".journal/20241019T101530123Z-a1b2.json"))
+		assert.ok(!isJournalPath(".journals"))
+		assert.ok(!isJournalPath("users/.journal"))
+	})
+
+	it("should tell the journals of the live writers", () => {
+		const journal = { id: "1", state: /** @type {const} */ ("prepared"), ops: [] }
+		assert.ok(Transaction.isLive({ ...journal, pid: process.pid, started: Date.now() }))
+		assert.ok(!Transaction.isLive(journal))
+		assert.ok(!Transaction.isLive({ ...journal, pid: process.pid, started: Date.now() - JOURNAL_MAX_AGE }))
+		assert.ok(!Transaction.isLive({ ...journal, pid: 123, started: Date.now() }, { isAlive: () => false }))
+	})
+})
+
+/**
+ * @desc Tests the multi-document transactions and the recovery of the interrupted commits.
+ */
+suite("Transaction tests", () => {
+	const tmp = useTmpDB("dbfs-tx-")
+
+	it("should commit all the staged changes together", async () => {
+		const db = tmp.open()
+		await db.saveDocument("a.json", { total: 10 })
+		await db.saveDocument("old.txt", "old")
+		await db.writeDocument("log.txt", "start\n")
+		const result = await db.transaction(async tx => {
+			const a = await tx.loadDocument("a.json")
+			await tx.saveDocument("a.json", { total: a.total - 3 })
+			await tx.saveDocument("b/b.json", { total: 3 })
+			await tx.writeDocument("log.txt", "a -3\n")
+			await tx.dropDocument("old.txt")
+			assert.deepStrictEqual(await tx.loadDocument("a.json"), { total: 7 })
+			assert.strictEqual(await tx.loadDocument("old.txt", null), null)
+			assert.deepStrictEqual(await db.loadDocument("a.json"), { total: 10 })
+			assert.strictEqual(await db.loadDocument("b/b.json", null), null)
+			return "done"
+		})
+		assert.strictEqual(result, "done")
+		assert.deepStrictEqual(await db.loadDocument("a.json"), { total: 7 })
+		assert.deepStrictEqual(await db.loadDocument("b/b.json"), { total: 3 })
+		assert.strictEqual(await db.loadDocument("log.txt"), "start\na -3\n")
+		assert.strictEqual(await db.loadDocument("old.txt", null), null)
+		assert.deepStrictEqual((await db.listDir(".")).map(e => e.name).sort(), ["a.json", "b", "log.txt"])
+		assert.deepStrictEqual(await readdir(tmp.path(".journal")), [])
+	})
+
+	it("should roll back everything when the callback throws", async () => {
+		const db = tmp.open()
+		await db.saveDocument("a.json", { total: 10 })
+		await assert.rejects(() => db.transaction(async tx => {
+			await tx.saveDocument("a.json", { total: 0 })
+			await tx.saveDocument("b.json", { total: 10 })
+			await tx.dropDocument("a.json")
+			throw new Error("Insufficient funds")
+		}), /Insufficient funds/)
+		assert.deepStrictEqual(await db.loadDocument("a.json"), { total: 10 })
+		assert.deepStrictEqual(await readdir(tmp.path()), ["a.json"])
+	})
+
+	it("should enforce the access and the directory rules when staging", async () => {
+		const db = tmp.open({
+			access: { rules: [{ name: "read only", effect: "deny", access: "w", pattern: "archive/**" }] },
+		})
+		await mkdir(tmp.path("dir"), { recursive: true })
+		await writeFile(tmp.path("dir", "a.txt"), "a")
+		await assert.rejects(() => db.transaction(tx => tx.saveDocument("archive/a.txt", "a")), AccessDeniedError)
+		await assert.rejects(
+			() => db.transaction(tx => tx.dropDocument("dir")),
+			/Directory has children, delete them first/,
+		)
+		await assert.rejects(() => db.transaction(async tx => {
+			await tx.dropDocument("dir", { recursive: true })
+			await tx.saveDocument("dir/b.txt", "b")
+		}), /Cannot write inside of the directory dropped in the transaction/)
+		assert.strictEqual(await db.loadDocument("dir/a.txt"), "a")
+		await db.transaction(tx => tx.dropDocument("dir", { recursive: true }))
+		assert.deepStrictEqual(await readdir(tmp.path()), [".journal"])
+	})
+
+	it("should roll forward the interrupted commit on connect", async () => {
+		await mkdir(tmp.path(".journal"), { recursive: true })
+		await writeFile(tmp.path("a.txt"), "old")
+		await writeFile(tmp.path(".a.txt.1.000000000000.dbfs-tmp"), "old")
+		await writeFile(tmp.path(".a.txt.1.111111111111.dbfs-tmp"), "new")
+		await writeFile(tmp.path("b.txt"), "b")
+		await writeFile(tmp.path(".journal", "1.json"), JSON.stringify({
+			id: "1",
+			state: "committing",
+			ops: [
+				{
+					type: "save", uri: "a.txt", file: "a.txt", isDirectory: false,
+					temp: ".a.txt.1.111111111111.dbfs-tmp", backup: ".a.txt.1.000000000000.dbfs-tmp",
+				},
+				{ type: "drop", uri: "b.txt", file: "b.txt", isDirectory: false, temp: "", backup: ".b.txt.1.222222222222.dbfs-tmp" },
+			],
+		}))
+		const db = tmp.open()
+		await db.connect()
+		assert.strictEqual(await db.loadDocument("a.txt"), "new")
+		assert.deepStrictEqual((await readdir(tmp.path())).sort(), [".journal", "a.txt"])
+		assert.deepStrictEqual(await readdir(tmp.path(".journal")), [])
+	})
+
+	it("should roll back the commit interrupted before it is prepared", async () => {
+		await mkdir(tmp.path(".journal"), { recursive: true })
+		await writeFile(tmp.path("a.txt"), "old")
+		await writeFile(tmp.path(".a.txt.1.000000000000.dbfs-tmp"), "old")
+		await writeFile(tmp.path(".a.txt.1.111111111111.dbfs-tmp"), "new")
+		await writeFile(tmp.path(".journal", "1.json"), JSON.stringify({
+			id: "1",
+			state: "prepared",
+			ops: [{
+				type: "save", uri: "a.txt", file: "a.txt", isDirectory: false,
+				temp: ".a.txt.1.111111111111.dbfs-tmp", backup: ".a.txt.1.000000000000.dbfs-tmp",
+			}],
+		}))
+		const db = tmp.open()
+		await db.connect()
+		assert.strictEqual(await db.loadDocument("a.txt"), "old")
+		assert.deepStrictEqual((await readdir(tmp.path())).sort(), [".journal", "a.txt"])
+	})
+
+	it("should skip the journal of the commit running in a live process", async () => {
+		await mkdir(tmp.path(".journal"), { recursive: true })
+		await writeFile(tmp.path("a.txt"), "old")
+		await writeFile(tmp.path(".a.txt.1.000000000000.dbfs-tmp"), "old")
+		await writeFile(tmp.path(".a.txt.1.111111111111.dbfs-tmp"), "new")
+		await writeFile(tmp.path(".journal", "1.json"), JSON.stringify({
+			id: "1",
+			pid: process.pid,
+			started: Date.now(),
+			state: "prepared",
+			ops: [{
+				type: "save", uri: "a.txt", file: "a.txt", isDirectory: false,
+				temp: ".a.txt.1.111111111111.dbfs-tmp", backup: ".a.txt.1.000000000000.dbfs-tmp",
+			}],
+		}))
+		const db = tmp.open()
+		await db.connect()
+		assert.deepStrictEqual(await db.recoverTransactions(), [])
+		assert.deepStrictEqual(await readdir(tmp.path(".journal")), ["1.json"])
+		assert.strictEqual(await readFile(tmp.path(".a.txt.1.111111111111.dbfs-tmp"), "utf-8"), "new")
+		assert.deepStrictEqual(await Transaction.recover(db, { isAlive: () => false }), [{ id: "1", action: "rollback" }])
+		assert.deepStrictEqual((await readdir(tmp.path())).sort(), [".journal", "a.txt"])
+	})
+
+	it("should write the writer process into the journal", async () => {
+		const db = tmp.open()
+		const tx = new Transaction(db)
+		await tx.saveDocument("a.txt", "a")
+		await tx._writeJournal("prepared")
+		const journal = JSON.parse(await readFile(tmp.path(".journal", `${tx.id}.json`), "utf-8"))
+		assert.strictEqual(journal.pid, process.pid)
+		assert.strictEqual(journal.started, tx.started)
+		assert.deepStrictEqual(await db.recoverTransactions(), [])
+		await tx.rollback()
+	})
+
+	it("should stage the operations and commit them with the Transaction API", async () => {
+		const db = tmp.open()
+		await db.saveDocument("a.json", { a: 1 })
+		await db.saveDocument("old.txt", "old")
+		const tx = new Transaction(db)
+		await tx.saveDocument("a.json", { a: 2 })
+		await tx.dropDocument("old.txt")
+		assert.strictEqual(tx.state, "open")
+		const staged = Array.from(tx.ops.values())
+		assert.deepStrictEqual(staged.map(op => [op.type, op.uri, op.backup]), [["save", "a.json", ""], ["drop", "old.txt", ""]])
+		assert.deepStrictEqual(await readFile(tmp.path(staged[0].temp), "utf-8").then(JSON.parse), { a: 2 })
+		assert.deepStrictEqual(await db.loadDocument("a.json"), { a: 1 })
+		const ops = await tx.commit()
+		assert.strictEqual(tx.state, "committed")
+		assert.deepStrictEqual(ops.map(op => op.uri), ["a.json", "old.txt"])
+		assert.ok(ops.every(op => op.backup), "the replaced documents are backed up while committing")
+		assert.deepStrictEqual(await db.loadDocument("a.json"), { a: 2 })
+		assert.deepStrictEqual((await readdir(tmp.path())).sort(), [".journal", "a.json"])
+		await assert.rejects(() => tx.saveDocument("a.json", {}), /Transaction is committed/)
+		await assert.rejects(() => tx.commit(), DBFSError)
+	})
+
+	it("should discard the staged operations on rollback", async () => {
+		const db = tmp.open()
+		await db.saveDocument("a.json", { a: 1 })
+		const tx = new Transaction(db)
+		await tx.saveDocument("a.json", { a: 2 })
+		await tx.writeDocument("log.txt", "line\n")
+		await tx.rollback()
+		assert.strictEqual(tx.state, "rolledback")
+		assert.strictEqual(tx.ops.size, 0)
+		assert.deepStrictEqual(await readdir(tmp.path()), ["a.json"])
+		assert.deepStrictEqual(await db.loadDocument("a.json"), { a: 1 })
+		await tx.rollback()
+		await assert.rejects(() => tx.loadDocument("a.json"), /Transaction is rolledback/)
+	})
+
+	it("should revert the applied operations when the commit fails", async () => {
+		const db = tmp.open()
+		await db.saveDocument("a.json", { a: 1 })
+		await db.saveDocument("b.json", { b: 1 })
+		const tx = new Transaction(db)
+		await tx.saveDocument("a.json", { a: 2 })
+		await tx.saveDocument("b.json", { b: 2 })
+		const keep = db._keepVersion.bind(db)
+		db._keepVersion = async (file) => {
+			if ("b.json" === file) throw new Error("Disk full")
+			return await keep(file)
+		}
+		await assert.rejects(() => tx.commit(), /Disk full/)
+		assert.strictEqual(tx.state, "rolledback")
+		assert.deepStrictEqual(await db.loadDocument("a.json"), { a: 1 })
+		assert.deepStrictEqual(await db.loadDocument("b.json"), { b: 1 })
+		assert.deepStrictEqual((await readdir(tmp.path())).sort(), [".journal", "a.json", "b.json"])
+		assert.deepStrictEqual(await readdir(tmp.path(".journal")), [])
+	})
+
+	it("should quarantine the corrupt journals and recover the others", async () => {
+		await mkdir(tmp.path(".journal"), { recursive: true })
+		await writeFile(tmp.path("a.txt"), "old")
+		await writeFile(tmp.path(".a.txt.1.111111111111.dbfs-tmp"), "new")
+		await writeFile(tmp.path(".journal", "1.json"), "{ \"id\": \"1\", \"state\": \"commit")
+		await writeFile(tmp.path(".journal", "2.json"), "null")
+		await writeFile(tmp.path(".journal", "3.json"), JSON.stringify({
+			id: "3",
+			state: "committing",
+			ops: [{
+				type: "save", uri: "a.txt", file: "a.txt", isDirectory: false,
+				temp: ".a.txt.1.111111111111.dbfs-tmp", backup: "",
+			}],
+		}))
+		const db = tmp.open()
+		assert.deepStrictEqual(await db.recoverTransactions(), [
+			{ id: "1", action: "quarantine" },
+			{ id: "2", action: "quarantine" },
+			{ id: "3", action: "rollforward" },
+		])
+		assert.strictEqual(await db.loadDocument("a.txt"), "new")
+		assert.deepStrictEqual((await readdir(tmp.path(".journal"))).sort(), ["1.json.corrupt", "2.json.corrupt"])
+		await db.connect()
+		assert.deepStrictEqual(await db.recoverTransactions(), [])
+	})
+})
@@ -0,0 +1,321 @@
+import { EventEmitter } from "node:events"
+import { watch } from "node:fs"
+import { lstat, readdir } from "node:fs/promises"
+import { basename, dirname, join, relative, sep } from "node:path"
+
+/**
+ * Normalized change of a document on disk.
+ */
+export class WatchEvent {
+	/**
+	 * The change type.
+	 * @type {"create"|"change"|"delete"|"rename"}
+	 */
+	type
+	/**
+	 * The URI relative to the DBFS root.
+	 * @type {string}
+	 */
+	uri
+	/**
+	 * The previous URI of the renamed document, empty for other types.
+	 * @type {string}
+	 */
+	from
+	/** @type {boolean} */
+	isDirectory
+	/**
+	 * @param {object} input
+	 * @param {"create"|"change"|"delete"|"rename"} input.type
+	 * @param {string} input.uri
+	 * @param {string} [input.from=""]
+	 * @param {boolean} [input.isDirectory=false]
+	 */
+	constructor(input) {
+		const { type, uri, from = "", isDirectory = false } = input
+		this.type = type
+		this.uri = uri
+		this.from = from
+		this.isDirectory = Boolean(isDirectory)
+	}
+}
+
+/**
+ * @typedef {{ ino: number, isDirectory: boolean }} KnownEntry
+ */
+
+/**
+ * Watches the file or the directory with fs.watch and turns the raw events into WatchEvent.
+ * Raw events are debounced: when no new raw event comes during the debounce time,
+ * every touched path is compared to the known snapshot, so an editor save burst
+ * (backup, delete, rename over) becomes a single "change". A delete and a create of
+ * the same inode in one batch become a "rename".
+ *
+ * Events are emitted by name ("create", "change", "delete", "rename") and as "event",
+ * the watcher is also an async iterator of the events.
+ */
+class Watcher extends EventEmitter {
+	/**
+	 * The absolute root the URIs are relative to.
+	 * @type {string}
+	 */
+	root
+	/**
+	 * The absolute watched path.
+	 * @type {string}
+	 */
+	path
+	/** @type {boolean} */
+	recursive
+	/**
+	 * The debounce time in milliseconds.
+	 * @type {number}
+	 */
+	debounce
+	/**
+	 * Returns true for the URIs that must not produce events.
+	 * @type {(uri: string) => boolean}
+	 */
+	ignore
+	/**
+	 * Called for every event before it is emitted.
+	 * @type {(event: WatchEvent) => void}
+	 */
+	onEvent
+	/**
+	 * The snapshot of the known entries by URI.
+	 * @type {Map<string, KnownEntry>}
+	 */
+	known = new Map()
+	/** @type {boolean} */
+	closed = false
+	/** @type {boolean} */
+	isFile = false
+	/** @type {Set<string>} */
+	pending = new Set()
+	/** @type {WatchEvent[]} */
+	queue = []
+	/** @type {{ resolve: (result: IteratorResult<WatchEvent>) => void, reject: (err: Error) => void }[]} */
+	waiting = []
+	/** @type {boolean} */
+	iterating = false
+	/** @type {Error | null} */
+	error = null
+	/** @type {NodeJS.Timeout | null} */
+	timer = null
+	/** @type {import("node:fs").FSWatcher | null} */
+	fsWatcher = null
+
+	/**
+	 * @param {object} input
+	 * @param {string} input.root The absolute root the URIs are relative to.
+	 * @param {string} input.path The absolute path to watch.
+	 * @param {boolean} [input.recursive=false] Watch the nested directories too.
+	 * @param {number} [input.debounce=50] The debounce time in milliseconds.
+	 * @param {(uri: string) => boolean} [input.ignore] Returns true for URIs to skip.
+	 * @param {(event: WatchEvent) => void} [input.onEvent] Called for every event.
+	 */
+	constructor(input) {
+		super()
+		const { root, path, recursive = false, debounce = 50, ignore = () => false, onEvent = () => { } } = input
+		this.root = root
+		this.path = path
+		this.recursive = Boolean(recursive)
+		this.debounce = Number(debounce)
+		this.ignore = ignore
+		this.onEvent = onEvent
+	}
+	/**
+	 * Scans the current state and starts watching.
+	 * @throws {Error} If the path does not exist.
+	 * @returns {Promise<Watcher>} The watcher itself.
+	 */
+	async start() {
+		const stats = await lstat(this.path)
+		this.isFile = !stats.isDirectory()
+		await this.scan(this.path)
+		if (this.isFile) {
+			/** @note the parent is watched, the file inode changes on atomic saves */
+			const name = basename(this.path)
+			this.fsWatcher = watch(dirname(this.path), (type, filename) => {
+				if (!filename || name === String(filename)) this.touch("")
+			})
+		} else {
+			this.fsWatcher = watch(this.path, { recursive: this.recursive }, (type, filename) => {
+				this.touch(filename ? String(filename) : "")
+			})
+		}
+		this.fsWatcher.on("error", err => this.fail(err))
+		return this
+	}
+	/**
+	 * Returns the URI of the absolute path.
+	 * @param {string} path The absolute path.
+	 * @returns {string} The URI relative to the root.
+	 */
+	uriOf(path) {
+		const rel = relative(this.root, path)
+		return "/" === sep ? rel : rel.replaceAll(sep, "/")
+	}
+	/**
+	 * Adds the path and its nested entries into the known snapshot.
+	 * @param {string} path The absolute path.
+	 * @param {number} [depth=0] The depth from the watched path.
+	 * @returns {Promise<void>}
+	 */
+	async scan(path, depth = 0) {
+		/** @type {import("node:fs").Stats} */
+		let stats
+		try {
+			stats = await lstat(path)
+		} catch (/** @type {any} */ err) {
+			if (["ENOENT", "ENOTDIR"].includes(err.code)) return
+			throw err
+		}
+		const uri = this.uriOf(path)
+		if (path !== this.path || this.isFile) {
+			this.known.set(uri, { ino: stats.ino, isDirectory: stats.isDirectory() })
+		}
+		if (!stats.isDirectory() || (depth > 0 && !this.recursive)) return
+		for (const name of await readdir(path).catch(() => [])) {
+			await this.scan(join(path, name), depth + 1)
+		}
+	}
+	/**
+	 * Registers the raw event and restarts the debounce timer.
+	 * @param {string} filename The file name relative to the watched path.
+	 */
+	touch(filename) {
+		if (this.closed) return
+		this.pending.add(this.isFile || !filename ? this.path : join(this.path, filename))
+		if (this.timer) clearTimeout(this.timer)
+		this.timer = setTimeout(() => {
+			this.timer = null
+			this.flush().catch(err => this.fail(err))
+		}, this.debounce)
+	}
+	/**
+	 * Compares the touched paths with the known snapshot and emits the events.
+	 * @returns {Promise<WatchEvent[]>} The emitted events.
+	 */
+	async flush() {
+		const paths = Array.from(this.pending)
+		this.pending.clear()
+		/** @type {(KnownEntry & { uri: string })[]} */
+		const created = []
+		/** @type {(KnownEntry & { uri: string })[]} */
+		const deleted = []
+		/** @type {WatchEvent[]} */
+		const events = []
+		for (const path of paths) {
+			const uri = this.uriOf(path)
+			if (path === this.path && !this.isFile) continue
+			if (this.ignore(uri)) continue
+			const before = this.known.get(uri)
+			/** @type {KnownEntry | null} */
+			let after = null
+			try {
+				const stats = await lstat(path)
+				after = { ino: stats.ino, isDirectory: stats.isDirectory() }
+			} catch (/** @type {any} */ err) {
+				if (!["ENOENT", "ENOTDIR"].includes(err.code)) throw err
+			}
+			if (!before && after) {
+				created.push({ uri, ...after })
+			} else if (before && !after) {
+				deleted.push({ uri, ...before })
+			} else if (before && after && !after.isDirectory) {
+				this.known.set(uri, after)
+				events.push(new WatchEvent({ type: "change", uri }))
+			}
+		}
+		for (const entry of created) {
+			const index = deleted.findIndex(d => d.ino === entry.ino && d.isDirectory === entry.isDirectory)
+			if (index < 0) {
+				events.push(new WatchEvent({ type: "create", uri: entry.uri, isDirectory: entry.isDirectory }))
+			} else {
+				const [from] = deleted.splice(index, 1)
+				this.forget(from.uri)
+				events.push(new WatchEvent({ type: "rename", uri: entry.uri, from: from.uri, isDirectory: entry.isDirectory }))
+			}
+			await this.scan(join(this.root, entry.uri), 1)
+		}
+		for (const entry of deleted) {
+			this.forget(entry.uri)
+			events.push(new WatchEvent({ type: "delete", uri: entry.uri, isDirectory: entry.isDirectory }))
+		}
+		for (const event of events) {
+			this.deliver(event)
+		}
+		return events
+	}
+	/**
+	 * Removes the URI and its nested entries from the known snapshot.
+	 * @param {string} uri The URI.
+	 */
+	forget(uri) {
+		for (const key of Array.from(this.known.keys())) {
+			if (key === uri || key.startsWith(uri + "/")) this.known.delete(key)
+		}
+	}
+	/**
+	 * Emits the event and passes it to the async iterator.
+	 * @param {WatchEvent} event The event.
+	 */
+	deliver(event) {
+		if (this.closed) return
+		this.onEvent(event)
+		this.emit(event.type, event)
+		this.emit("event", event)
+		if (this.waiting.length) {
+			this.waiting.shift()?.resolve({ value: event, done: false })
+		} else if (this.iterating) {
+			this.queue.push(event)
+		}
+	}
+	/**
+	 * Stops watching because of the error.
+	 * @param {Error} err The error.
+	 */
+	fail(err) {
+		this.error = err
+		for (const { reject } of this.waiting.splice(0)) reject(err)
+		if (this.listenerCount("error")) this.emit("error", err)
+		this.close()
+	}
+	/**
+	 * Stops watching, finishes the async iterators.
+	 */
+	close() {
+		if (this.closed) return
+		this.closed = true
+		if (this.timer) clearTimeout(this.timer)
+		this.fsWatcher?.close()
+		for (const { resolve } of this.waiting.splice(0)) resolve({ value: undefined, done: true })
+		this.emit("close")
+	}
+	/**
+	 * @returns {AsyncIterableIterator<WatchEvent>}
+	 */
+	[Symbol.asyncIterator]() {
+		this.iterating = true
+		return {
+			next: () => {
+				const event = this.queue.shift()
+				if (event) return Promise.resolve({ value: event, done: false })
+				if (this.error) return Promise.reject(this.error)
+				if (this.closed) return Promise.resolve({ value: undefined, done: true })
+				return new Promise((resolve, reject) => this.waiting.push({ resolve, reject }))
+			},
+			return: async () => {
+				this.close()
+				return { value: undefined, done: true }
+			},
+			[Symbol.asyncIterator]() {
+				return this
+			},
+		}
+	}
+}
+
+export default Watcher
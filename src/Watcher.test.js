@@ -0,0 +1,159 @@
+import { suite, it, beforeEach, afterEach } from "node:test"
+import assert from "node:assert/strict"
+import { mkdir, mkdtemp, realpath, rename, rm, unlink, writeFile } from "node:fs/promises"
+import { tmpdir } from "node:os"
+import { join } from "node:path"
+import Watcher, { WatchEvent } from "./Watcher.js"
+import { useTmpDB } from "./tmpdb.helper.js"
+
+/**
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * @desc Tests the file watcher with real files.
+ */
+suite("Watcher tests", () => {
+	/** @type {string} */
+	let root
+	/** @type {Watcher} */
+	let watcher
+	/** @type {WatchEvent[]} */
+	let events
+
+	/**
+	 * @param {object} [options]
+	 * @returns {Promise<Watcher>}
+	 */
+	const start = async (options = {}) => {
+		watcher = new Watcher({ root, path: root, debounce: 30, ...options })
+		watcher.on("event", event => events.push(event))
+		return await watcher.start()
+	}
+
+	beforeEach(async () => {
+		root = await realpath(await mkdtemp(join(tmpdir(), "dbfs-watch-")))
+		await writeFile(join(root, "a.txt"), "a")
+		await mkdir(join(root, "dir"))
+		await writeFile(join(root, "dir", "b.txt"), "b")
+		events = []
+	})
+
+	afterEach(async () => {
+		watcher?.close()
+		await rm(root, { recursive: true, force: true })
+	})
+
+	it("should emit create, change and delete", async () => {
+		await start()
+		await writeFile(join(root, "new.txt"), "new")
+		await sleep(150)
+		await writeFile(join(root, "a.txt"), "changed")
+		await sleep(150)
+		await unlink(join(root, "new.txt"))
+		await sleep(150)
+		assert.deepStrictEqual(events.map(e => [e.type, e.uri]), [
+			["create", "new.txt"],
+			["change", "a.txt"],
+			["delete", "new.txt"],
+		])
+	})
+
+	it("should debounce an editor save burst into one change", async () => {
+		await start()
+		await writeFile(join(root, "a.txt~"), "backup")
+		await writeFile(join(root, ".a.txt.swp"), "new")
+		await rename(join(root, ".a.txt.swp"), join(root, "a.txt"))
+		await unlink(join(root, "a.txt~"))
+		await sleep(150)
+		assert.deepStrictEqual(events.map(e => [e.type, e.uri]), [["change", "a.txt"]])
+	})
+
+	it("should detect rename by inode", async () => {
+		await start()
+		await rename(join(root, "a.txt"), join(root, "c.txt"))
+		await sleep(150)
+		assert.deepStrictEqual(events.map(e => [e.type, e.uri, e.from]), [["rename", "c.txt", "a.txt"]])
+	})
+
+	it("should watch nested directories in recursive mode", async () => {
+		await start({ recursive: true })
+		await writeFile(join(root, "dir", "b.txt"), "changed")
+		await sleep(150)
+		assert.deepStrictEqual(events.map(e => [e.type, e.uri]), [["change", "dir/b.txt"]])
+	})
+
+	it("should skip ignored URIs", async () => {
+		await start({ ignore: (/** @type {string} */ uri) => uri.endsWith(".tmp") })
+		await writeFile(join(root, "x.tmp"), "x")
+		await writeFile(join(root, "x.txt"), "x")
+		await sleep(150)
+		assert.deepStrictEqual(events.map(e => [e.type, e.uri]), [["create", "x.txt"]])
+	})
+
+	it("should watch a single file", async () => {
+		await start({ path: join(root, "a.txt") })
+		await writeFile(join(root, "other.txt"), "other")
+		await writeFile(join(root, "a.txt"), "changed")
+		await sleep(150)
+		assert.deepStrictEqual(events.map(e => [e.type, e.uri]), [["change", "a.txt"]])
+	})
+
+	it("should be an async iterator finished on close", async () => {
+		await start()
+		const iterated = []
+		const loop = (async () => {
+			for await (const event of watcher) {
+				iterated.push(event)
+				if (iterated.length === 2) break
+			}
+		})()
+		await writeFile(join(root, "x.txt"), "x")
+		await sleep(150)
+		await unlink(join(root, "x.txt"))
+		await loop
+		assert.deepStrictEqual(iterated.map(e => e.type), ["create", "delete"])
+		assert.ok(iterated[0] instanceof WatchEvent)
+		assert.strictEqual(watcher.closed, true)
+	})
+})
+
+/**
+ * @desc Tests watching the documents on disk.
+ */
+suite("Database watch tests", () => {
+	const tmp = useTmpDB("dbfs-watch-")
+	/** @type {import("./DBFS.js").default} */
+	let db
+
+	beforeEach(async () => {
+		db = tmp.open()
+		await db.saveDocument("docs/a.json", { a: 1 })
+	})
+
+	it("should emit root relative URIs and invalidate the caches", async () => {
+		const watcher = await db.watch("docs", { recursive: true, debounce: 30 })
+		/** @type {WatchEvent[]} */
+		const events = []
+		watcher.on("event", event => events.push(event))
+		assert.ok(db.meta.has("docs/a.json"))
+		await writeFile(tmp.path("docs", "a.json"), "{\"a\":2}")
+		await sleep(200)
+		watcher.close()
+		assert.deepStrictEqual(events.map(e => [e.type, e.uri]), [["change", "docs/a.json"]])
+		assert.strictEqual(db.meta.has("docs/a.json"), false)
+	})
+
+	it("should report atomic saves as a change without temp files", async () => {
+		const watcher = await db.watch("docs", { debounce: 30 })
+		/** @type {WatchEvent[]} */
+		const events = []
+		watcher.on("event", event => events.push(event))
+		await db.saveDocument("docs/a.json", { a: 3 })
+		await sleep(200)
+		watcher.close()
+		assert.deepStrictEqual(events.map(e => [e.type, e.uri]), [["change", "docs/a.json"]])
+	})
+})
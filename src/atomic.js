@@ -0,0 +1,145 @@
+import { open, readdir, rename, stat, unlink } from "node:fs/promises"
+import { basename, dirname, join } from "node:path"
+import { randomBytes } from "node:crypto"
+
+/**
+ * Suffix of the temporary files written by atomic saves.
+ * @type {string}
+ */
+export const TEMP_SUFFIX = ".dbfs-tmp"
+
+const TEMP_NAME = /^\.(.+)\.(\d+)\.([0-9a-f]{12})\.dbfs-tmp$/
+
+/**
+ * Returns a unique sibling temporary path for the target file.
+ * The name keeps the original name and the writer PID, so orphans can be detected.
+ * @param {string} path The target file path.
+ * @param {number} [pid=process.pid] The writer process id.
+ * @returns {string} The temporary file path in the same directory.
+ */
+export function tempPathFor(path, pid = process.pid) {
+	const id = randomBytes(6).toString("hex")
+	return join(dirname(path), `.${basename(path)}.${pid}.${id}${TEMP_SUFFIX}`)
+}
+
+/**
+ * Parses the temporary file name created by tempPathFor().
+ * @param {string} name The file name (without directory).
+ * @returns {{ name: string, pid: number } | null} The original name and the writer PID, or null.
+ */
+export function parseTempName(name) {
+	const match = TEMP_NAME.exec(name)
+	if (!match) return null
+	return { name: match[1], pid: Number(match[2]) }
+}
+
+/**
+ * Checks whether the process with the given id is running.
+ * @param {number} pid The process id.
+ * @returns {boolean} True if the process is alive.
+ */
+export function isProcessAlive(pid) {
+	if (pid === process.pid) return true
+	try {
+		process.kill(pid, 0)
+		return true
+	} catch (/** @type {any} */ err) {
+		return "EPERM" === err.code
+	}
+}
+
+/**
+ * Flushes the file content to the storage device.
+ * @param {string} path The file path.
+ * @returns {Promise<void>}
+ */
+export async function fsyncFile(path) {
+	const handle = await open(path, "r+")
+	try {
+		await handle.sync()
+	} finally {
+		await handle.close()
+	}
+}
+
+/**
+ * Flushes the directory entry changes (renames) to the storage device.
+ * Platforms that cannot open directories (Windows) are silently skipped.
+ * @param {string} dir The directory path.
+ * @returns {Promise<void>}
+ */
+export async function fsyncDir(dir) {
+	let handle
+	try {
+		handle = await open(dir, "r")
+		await handle.sync()
+	} catch (/** @type {any} */ err) {
+		if (!["EISDIR", "EPERM", "EINVAL", "EBADF"].includes(err.code)) throw err
+	} finally {
+		await handle?.close()
+	}
+}
+
+/**
+ * Moves the fully written temporary file over the target.
+ * @param {string} tmp The temporary file path.
+ * @param {string} path The target file path.
+ * @param {{ syncDir?: boolean }} [options] Set syncDir to also flush the parent directory.
+ * @returns {Promise<void>}
+ */
+export async function commitFile(tmp, path, { syncDir = false } = {}) {
+	await fsyncFile(tmp)
+	await rename(tmp, path)
+	if (syncDir) await fsyncDir(dirname(path))
+}
+
+/**
+ * Removes the file ignoring a missing one.
+ * @param {string} path The file path.
+ * @returns {Promise<boolean>} True if the file was removed.
+ */
+export async function removeQuietly(path) {
+	try {
+		await unlink(path)
+		return true
+	} catch (/** @type {any} */ err) {
+		if ("ENOENT" === err.code) return false
+		throw err
+	}
+}
+
+/**
+ * Recursively removes orphaned temporary files left by interrupted atomic saves.
+ * A temporary file is orphaned when its writer process is gone or it is older than maxAge.
+ * @param {string} root The directory to clean.
+ * @param {{ maxAge?: number, isAlive?: (pid: number) => boolean }} [options]
+ * @returns {Promise<string[]>} The removed file paths.
+ */
+export async function removeTempFiles(root, { maxAge = 24 * 60 * 60 * 1000, isAlive = isProcessAlive } = {}) {
+	/** @type {string[]} */
+	const removed = []
+	/** @type {import("node:fs").Dirent[]} */
+	let entries
+	try {
+		entries = await readdir(root, { withFileTypes: true })
+	} catch (/** @type {any} */ err) {
+		if (["ENOENT", "ENOTDIR", "EACCES"].includes(err.code)) return removed
+		throw err
+	}
+	for (const entry of entries) {
+		const path = join(root, entry.name)
+		if (entry.isDirectory()) {
+			removed.push(...await removeTempFiles(path, { maxAge, isAlive }))
+			continue
+		}
+		const temp = entry.isFile() ? parseTempName(entry.name) : null
+		if (!temp) continue
+		let expired = !isAlive(temp.pid)
+		if (!expired) {
+			const { mtimeMs } = await stat(path)
+			expired = Date.now() - mtimeMs > maxAge
+		}
+		if (expired && await removeQuietly(path)) removed.push(path)
+	}
+	return removed
+}
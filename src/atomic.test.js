@@ -0,0 +1,135 @@
+import { suite, it, beforeEach, afterEach } from "node:test"
+import assert from "node:assert/strict"
+import { mkdtemp, mkdir, readdir, readFile, rm, writeFile } from "node:fs/promises"
+import { tmpdir } from "node:os"
+import { basename, dirname, join } from "node:path"
+import { commitFile, parseTempName, removeTempFiles, tempPathFor, TEMP_SUFFIX } from "./atomic.js"
+import { useTmpDB } from "./tmpdb.helper.js"
+
+/**
+ * @desc Tests the atomic write helpers.
+ */
+suite("Atomic write tests", () => {
+	/** @type {string} */
+	let root
+
+	beforeEach(async () => {
+		root = await mkdtemp(join(tmpdir(), "dbfs-atomic-"))
+	})
+
+	afterEach(async () => {
+		await rm(root, { recursive: true, force: true })
+	})
+
+	it("should create a hidden sibling temp path", () => {
+		const tmp = tempPathFor("/data/users/user.json", 123)
+		assert.strictEqual(dirname(tmp), "/data/users")
+		assert.ok(basename(tmp).startsWith(".user.json.123."))
+		assert.ok(tmp.endsWith(TEMP_SUFFIX))
+		assert.deepStrictEqual(parseTempName(basename(tmp)), { name: "user.json", pid: 123 })
+	})
+
+	it("should not parse regular file names", () => {
+		assert.strictEqual(parseTempName("user.json"), null)
+		assert.strictEqual(parseTempName(".user.json.tmp"), null)
+	})
+
+	it("should replace the target with the committed temp file", async () => {
+		const path = join(root, "doc.json")
+		await writeFile(path, "old")
+		const tmp = tempPathFor(path)
+		await writeFile(tmp, "new")
+		await commitFile(tmp, path, { syncDir: true })
+		assert.strictEqual(await readFile(path, "utf-8"), "new")
+		assert.deepStrictEqual(await readdir(root), ["doc.json"])
+	})
+
+	it("should remove orphaned temp files recursively", async () => {
+		await mkdir(join(root, "nested"))
+		const dead = tempPathFor(join(root, "nested", "a.json"), 999_999_999)
+		const alive = tempPathFor(join(root, "b.json"))
+		await writeFile(dead, "{")
+		await writeFile(alive, "{")
+		await writeFile(join(root, "c.json"), "{}")
+
+		const removed = await removeTempFiles(root, { isAlive: pid => pid === process.pid })
+		assert.deepStrictEqual(removed, [dead])
+		assert.deepStrictEqual((await readdir(root)).sort(), [basename(alive), "c.json", "nested"].sort())
+	})
+
+	it("should remove expired temp files of alive processes", async () => {
+		const alive = tempPathFor(join(root, "b.json"))
+		await writeFile(alive, "{")
+		const removed = await removeTempFiles(root, { maxAge: -1 })
+		assert.deepStrictEqual(removed, [alive])
+	})
+
+	it("should ignore a missing root", async () => {
+		const removed = await removeTempFiles(join(root, "missing"))
+		assert.deepStrictEqual(removed, [])
+	})
+})
+
+/**
+ * @desc Tests the atomic saveDocument.
+ */
+suite("Atomic document save tests", () => {
+	const tmp = useTmpDB("dbfs-atomic-")
+	/** @type {import("./DBFS.js").default} */
+	let db
+
+	beforeEach(() => {
+		db = tmp.open()
+	})
+
+	it("should save atomically by default without leaving temp files", async () => {
+		assert.strictEqual(db.atomic, true)
+		await db.saveDocument("config.json", { a: 1 })
+		await db.saveDocument("config.json", { a: 2 })
+		assert.deepStrictEqual(await readdir(db.absolute()), ["config.json"])
+		assert.deepStrictEqual(await db.loadDocument("config.json"), { a: 2 })
+	})
+
+	it("should keep the previous content when a saver fails", async () => {
+		await db.saveDocument("config.json", { a: 1 })
+		db.savers.unshift(async (file) => {
+			await writeFile(file, "{ \"a\": ")
+			throw new Error("Disk full")
+		})
+		await assert.rejects(() => db.saveDocument("config.json", { a: 2 }), /Disk full/)
+		assert.deepStrictEqual(await readdir(db.absolute()), ["config.json"])
+		assert.deepStrictEqual(await db.loadDocument("config.json"), { a: 1 })
+	})
+
+	it("should write in place when atomic mode is off", async () => {
+		db = tmp.open({ atomic: false })
+		/** @type {string[]} */
+		const files = []
+		db.savers.unshift(async (file) => (files.push(file), false))
+		await db.saveDocument("config.json", { a: 1 })
+		assert.deepStrictEqual(files, [db.absolute("config.json")])
+	})
+
+	it("should remove orphaned temp files on connect only when asked", async () => {
+		const orphan = ".config.json.999999999.0123456789ab.dbfs-tmp"
+		await db.saveDocument("config.json", { a: 1 })
+		await writeFile(db.absolute(orphan), "{")
+		await db.connect()
+		assert.deepStrictEqual((await readdir(db.absolute())).sort(), [orphan, "config.json"])
+		db = tmp.open({ cleanTempFiles: true })
+		await db.connect()
+		assert.deepStrictEqual(await readdir(db.absolute()), ["config.json"])
+	})
+
+	it("should remove orphaned temp files of the directory only", async () => {
+		const orphan = ".a.json.999999999.0123456789ab.dbfs-tmp"
+		await db.saveDocument("logs/a.json", {})
+		await db.saveDocument("data/a.json", {})
+		await writeFile(db.absolute("logs", orphan), "{")
+		await writeFile(db.absolute("data", orphan), "{")
+		assert.deepStrictEqual(await db.removeTempFiles("logs"), [`logs/${orphan}`])
+		assert.deepStrictEqual(await readdir(db.absolute("logs")), ["a.json"])
+		assert.deepStrictEqual((await readdir(db.absolute("data"))).sort(), [orphan, "a.json"])
+		assert.deepStrictEqual(await db.removeTempFiles(), [`data/${orphan}`])
+	})
+})
@@ -0,0 +1,99 @@
+import { createHash, getHashes } from "node:crypto"
+import { createReadStream } from "node:fs"
+import { open } from "node:fs/promises"
+
+/**
+ * The hidden directory inside of the root with the checksums of the documents,
+ * the checksum of `a/b.json` is the record `.checksums/a/b.json`.
+ * @type {string}
+ */
+export const CHECKSUMS_DIR = ".checksums"
+
+/**
+ * The default hash algorithm.
+ * @type {string}
+ */
+export const CHECKSUM_ALGORITHM = "sha256"
+
+/**
+ * @typedef {object} Checksum
+ * @property {string} algorithm The hash algorithm, e.g. "sha256".
+ * @property {string} hash The hex digest of the stored content.
+ * @property {number} size The stored content size in bytes.
+ */
+
+/**
+ * @typedef {object} VerifyReport
+ * @property {string[]} ok The documents matching their checksums.
+ * @property {string[]} mismatched The documents changed since their checksums were recorded.
+ * @property {string[]} missing The documents with the checksums, but not found.
+ * @property {string[]} untracked The documents without the checksums.
+ */
+
+/**
+ * Checks whether the path (relative to the root) is inside of the checksums directory.
+ * @param {string} path The path relative to the root.
+ * @returns {boolean} True for the checksum paths.
+ */
+export function isChecksumPath(path) {
+	return path === CHECKSUMS_DIR || path.startsWith(CHECKSUMS_DIR + "/")
+}
+
+/**
+ * Validates the hash algorithm.
+ * @throws {TypeError} If the algorithm is not supported by node:crypto.
+ * @param {string} algorithm The hash algorithm.
+ * @returns {string} The algorithm.
+ */
+export function ensureAlgorithm(algorithm) {
+	if (!getHashes().includes(algorithm)) {
+		throw new TypeError(`Unsupported hash algorithm "${algorithm}"`)
+	}
+	return algorithm
+}
+
+/**
+ * Hashes the file content streaming it, without loading the whole file.
+ * @throws {TypeError} If the algorithm is not supported.
+ * @param {string} path The file path.
+ * @param {string} [algorithm="sha256"] The hash algorithm.
+ * @returns {Promise<Checksum>} The checksum.
+ */
+export async function hashFile(path, algorithm = CHECKSUM_ALGORITHM) {
+	const hash = createHash(ensureAlgorithm(algorithm))
+	let size = 0
+	for await (const chunk of createReadStream(path)) {
+		hash.update(chunk)
+		size += chunk.length
+	}
+	return { algorithm, hash: hash.digest("hex"), size }
+}
+
+/**
+ * Hashes the first bytes of the file, a cheap check before hashing the whole file.
+ * @throws {TypeError} If the algorithm is not supported.
+ * @param {string} path The file path.
+ * @param {number} bytes The number of the bytes to hash.
+ * @param {string} [algorithm="sha256"] The hash algorithm.
+ * @returns {Promise<string>} The hex digest.
+ */
+export async function hashFileHead(path, bytes, algorithm = CHECKSUM_ALGORITHM) {
+	const hash = createHash(ensureAlgorithm(algorithm))
+	const handle = await open(path, "r")
+	try {
+		const { buffer, bytesRead } = await handle.read(Buffer.alloc(bytes), 0, bytes, 0)
+		return hash.update(buffer.subarray(0, bytesRead)).digest("hex")
+	} finally {
+		await handle.close()
+	}
+}
+
+/**
+ * Compares the checksums.
+ * @param {Checksum} a The first checksum.
+ * @param {Checksum} b The second checksum.
+ * @returns {boolean} True for the same content.
+ */
+export function sameChecksum(a, b) {
+	return a.algorithm === b.algorithm && a.hash === b.hash && a.size === b.size
+}
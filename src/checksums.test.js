@@ -0,0 +1,106 @@
+import { suite, it, before, after } from "node:test"
+import assert from "node:assert/strict"
+import { createHash } from "node:crypto"
+import { mkdtemp, rm, writeFile } from "node:fs/promises"
+import { tmpdir } from "node:os"
+import path from "node:path"
+import { ensureAlgorithm, hashFile, isChecksumPath, sameChecksum } from "./checksums.js"
+import { useTmpDB } from "./tmpdb.helper.js"
+
+/**
+ * @desc Tests the content hashing of the files.
+ */
+suite("Checksums tests", () => {
+	/** @type {string} */
+	let tmp
+
+	before(async () => {
+		tmp = await mkdtemp(path.join(tmpdir(), "dbfs-checksums-"))
+	})
+
+	after(async () => {
+		await rm(tmp, { recursive: true, force: true })
+	})
+
+	it("should detect the checksum paths", () => {
+		assert.ok(isChecksumPath(".checksums"))
+		assert.ok(isChecksumPath(".checksums/users/a.json"))
+		assert.ok(!isChecksumPath(".checksums-old"))
+		assert.ok(!isChecksumPath("users/.checksums"))
+	})
+
+	it("should hash the file streaming it", async () => {
+		const file = path.join(tmp, "a.bin")
+		const content = Buffer.alloc(200_000, "abc")
+		await writeFile(file, content)
+		const checksum = await hashFile(file)
+		assert.deepStrictEqual(checksum, {
+			algorithm: "sha256",
+			hash: createHash("sha256").update(content).digest("hex"),
+			size: content.length,
+		})
+		const md5 = await hashFile(file, "md5")
+		assert.strictEqual(md5.hash, createHash("md5").update(content).digest("hex"))
+		assert.ok(sameChecksum(checksum, { ...checksum }))
+		assert.ok(!sameChecksum(checksum, md5))
+		assert.ok(!sameChecksum(checksum, { ...checksum, size: 1 }))
+	})
+
+	it("should reject the unknown algorithms", async () => {
+		assert.strictEqual(ensureAlgorithm("sha512"), "sha512")
+		assert.throws(() => ensureAlgorithm("crc-unknown"), TypeError)
+		await assert.rejects(() => hashFile(path.join(tmp, "a.bin"), "crc-unknown"), /Unsupported hash algorithm "crc-unknown"/)
+	})
+})
+
+/**
+ * @desc Tests the content hashing and the integrity verification.
+ */
+suite("Document checksums tests", () => {
+	const tmp = useTmpDB("dbfs-checksums-")
+
+	it("should hash the stored content", async () => {
+		const db = tmp.open()
+		await db.saveDocument("a.txt", "hello")
+		assert.strictEqual(await db.hashDocument("a.txt"), createHash("sha256").update("hello").digest("hex"))
+		assert.strictEqual(await db.hashDocument("a.txt", "md5"), createHash("md5").update("hello").digest("hex"))
+		await assert.rejects(() => db.hashDocument("missing.txt"), /Document not found: missing.txt/)
+		assert.throws(() => tmp.open({ checksums: "crc-unknown" }), TypeError)
+	})
+
+	it("should keep the checksums on write and report the changes", async () => {
+		const db = tmp.open({ checksums: true })
+		await db.saveDocument("docs/a.json", { a: 1 })
+		await db.saveDocument("docs/b.txt", "b")
+		await db.writeDocument("docs/b.txt", "+")
+		await db.appendRecord("log.jsonl", { a: 1 })
+		await db.copyDocument("docs/a.json", "docs/c.json")
+		await db.moveDocument("docs/c.json", "d.json")
+		await db.saveDocument("gone.txt", "gone")
+		await db.dropDocument("gone.txt")
+		assert.deepStrictEqual(await db.verify(), {
+			ok: ["d.json", "docs/a.json", "docs/b.txt", "log.jsonl"], mismatched: [], missing: [], untracked: [],
+		})
+		assert.deepStrictEqual((await db.listDir(".")).map(e => e.name).sort(), ["d.json", "docs", "log.jsonl"])
+
+		await writeFile(tmp.path("docs", "b.txt"), "b+ changed")
+		await rm(tmp.path("d.json"))
+		await writeFile(tmp.path("docs", "new.txt"), "new")
+		assert.deepStrictEqual(await db.verify(), {
+			ok: ["docs/a.json", "log.jsonl"], mismatched: ["docs/b.txt"], missing: ["d.json"], untracked: ["docs/new.txt"],
+		})
+		assert.deepStrictEqual((await db.verify("docs")).untracked, ["docs/new.txt"])
+		assert.deepStrictEqual((await db.updateChecksums("docs")).sort(), ["docs/a.json", "docs/b.txt", "docs/new.txt"])
+		assert.deepStrictEqual((await db.verify("docs")).ok, ["docs/a.json", "docs/b.txt", "docs/new.txt"])
+	})
+
+	it("should update the checksums of the committed transaction", async () => {
+		const db = tmp.open({ checksums: "sha512" })
+		await db.saveDocument("a.txt", "a")
+		await db.transaction(async tx => {
+			await tx.saveDocument("b.txt", "b")
+			await tx.dropDocument("a.txt")
+		})
+		assert.deepStrictEqual(await db.verify(), { ok: ["b.txt"], mismatched: [], missing: [], untracked: [] })
+	})
+})
@@ -0,0 +1,97 @@
+import { promisify } from "node:util"
+import { basename } from "node:path"
+import {
+	brotliCompress, brotliDecompress, createBrotliCompress, createBrotliDecompress, createGunzip, createGzip,
+	gunzip, gzip,
+} from "node:zlib"
+import { parseTempName } from "./atomic.js"
+
+/**
+ * @typedef {"gzip" | "brotli"} CompressionFormat
+ */
+
+/**
+ * Compression formats by the document suffix.
+ * @type {Readonly<Record<string, CompressionFormat>>}
+ */
+export const COMPRESSION_SUFFIXES = Object.freeze({ ".gz": "gzip", ".br": "brotli" })
+
+/**
+ * Document suffixes by the compression format.
+ * @type {Readonly<Record<CompressionFormat, string>>}
+ */
+export const COMPRESSION_FORMATS = Object.freeze({ gzip: ".gz", brotli: ".br" })
+
+const codecs = {
+	gzip: {
+		compress: promisify(gzip), decompress: promisify(gunzip),
+		compressStream: createGzip, decompressStream: createGunzip,
+	},
+	brotli: {
+		compress: promisify(brotliCompress), decompress: promisify(brotliDecompress),
+		compressStream: createBrotliCompress, decompressStream: createBrotliDecompress,
+	},
+}
+
+/**
+ * Returns the compression suffix of the URI or the file path, the temp files
+ * of the atomic saves are detected by their original name.
+ * @param {string} uri The URI or the file path.
+ * @returns {string} The suffix ".gz" or ".br" in lowercase, empty for not compressed.
+ */
+export function compressionSuffix(uri) {
+	const name = basename(uri)
+	const original = parseTempName(name)?.name ?? name
+	const dot = original.lastIndexOf(".")
+	if (dot <= 0) return ""
+	const suffix = original.slice(dot).toLowerCase()
+	return suffix in COMPRESSION_SUFFIXES ? suffix : ""
+}
+
+/**
+ * Returns the compression format of the URI or the file path.
+ * @param {string} uri The URI or the file path.
+ * @returns {CompressionFormat | null} The format or null for not compressed.
+ */
+export function compressionOf(uri) {
+	const suffix = compressionSuffix(uri)
+	return suffix ? COMPRESSION_SUFFIXES[suffix] : null
+}
+
+/**
+ * Compresses the content.
+ * @param {Buffer} buffer The content.
+ * @param {CompressionFormat} format The format.
+ * @returns {Promise<Buffer>} The compressed content.
+ */
+export async function compress(buffer, format) {
+	return await codecs[format].compress(buffer)
+}
+
+/**
+ * Decompresses the content, concatenated gzip members are decompressed as one content.
+ * @param {Buffer} buffer The compressed content.
+ * @param {CompressionFormat} format The format.
+ * @returns {Promise<Buffer>} The content.
+ */
+export async function decompress(buffer, format) {
+	return await codecs[format].decompress(buffer)
+}
+
+/**
+ * Creates the decompression transform stream.
+ * @param {CompressionFormat} format The format.
+ * @returns {import("node:zlib").Gunzip | import("node:zlib").BrotliDecompress} The stream.
+ */
+export function createDecompressStream(format) {
+	return codecs[format].decompressStream()
+}
+
+/**
+ * Creates the compression transform stream.
+ * @param {CompressionFormat} format The format.
+ * @returns {import("node:zlib").Gzip | import("node:zlib").BrotliCompress} The stream.
+ */
+export function createCompressStream(format) {
+	return codecs[format].compressStream()
+}
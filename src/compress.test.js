@@ -0,0 +1,145 @@
+import { suite, it } from "node:test"
+import assert from "node:assert/strict"
+import { readdir, readFile } from "node:fs/promises"
+import { Readable } from "node:stream"
+import { pipeline } from "node:stream/promises"
+import { gunzipSync, gzipSync } from "node:zlib"
+import {
+	compress, compressionOf, compressionSuffix, createCompressStream, createDecompressStream, decompress,
+} from "./compress.js"
+import { useTmpDB } from "./tmpdb.helper.js"
+
+/**
+ * @desc Tests the compression helpers.
+ */
+suite("Compression tests", () => {
+	it("should detect the compression by the suffix", () => {
+		assert.strictEqual(compressionSuffix("reports/2024.json.GZ"), ".gz")
+		assert.strictEqual(compressionOf("reports/2024.json.gz"), "gzip")
+		assert.strictEqual(compressionOf("/data/logs.jsonl.br"), "brotli")
+		assert.strictEqual(compressionOf("reports/2024.json"), null)
+		assert.strictEqual(compressionOf(".gz"), null)
+	})
+
+	it("should detect the compression of the atomic temp files", () => {
+		assert.strictEqual(compressionOf("/data/.report.json.br.123.0123456789ab.dbfs-tmp"), "brotli")
+		assert.strictEqual(compressionOf("/data/.report.json.123.0123456789ab.dbfs-tmp"), null)
+	})
+
+	it("should compress and decompress", async () => {
+		const content = Buffer.from(JSON.stringify({ text: "Привіт ".repeat(100) }))
+		for (const format of /** @type {const} */ (["gzip", "brotli"])) {
+			const packed = await compress(content, format)
+			assert.ok(packed.length < content.length)
+			assert.deepStrictEqual(await decompress(packed, format), content)
+		}
+	})
+
+	it("should decompress the concatenated gzip members", async () => {
+		const packed = Buffer.concat([gzipSync("a\n"), gzipSync("b\n")])
+		assert.strictEqual((await decompress(packed, "gzip")).toString(), "a\nb\n")
+	})
+
+	it("should create the decompression stream", async () => {
+		const stream = createDecompressStream("brotli")
+		stream.end(await compress(Buffer.from("streamed"), "brotli"))
+		const chunks = []
+		for await (const chunk of stream) chunks.push(chunk)
+		assert.strictEqual(Buffer.concat(chunks).toString(), "streamed")
+	})
+
+	it("should create the compression stream", async () => {
+		for (const format of /** @type {const} */ (["gzip", "brotli"])) {
+			const stream = createCompressStream(format)
+			stream.end("streamed")
+			const chunks = []
+			for await (const chunk of stream) chunks.push(chunk)
+			assert.strictEqual((await decompress(Buffer.concat(chunks), format)).toString(), "streamed")
+		}
+	})
+})
+
+/**
+ * @desc Tests the transparent compression of the documents.
+ */
+suite("Compressed documents tests", () => {
+	const tmp = useTmpDB("dbfs-compress-")
+
+	it("should save and load the compressed documents by the inner extension", async () => {
+		const db = tmp.open()
+		const report = { total: 42, rows: Array.from({ length: 100 }, (_, i) => ({ i })) }
+		await db.saveDocument("report.json.gz", report)
+		await db.saveDocument("report.json.br", report)
+		assert.strictEqual(db.extname("report.json.gz"), ".json")
+		const raw = await readFile(tmp.path("report.json.gz"))
+		assert.deepStrictEqual(JSON.parse(gunzipSync(raw).toString()), report)
+		assert.deepStrictEqual(await db.loadDocument("report.json.gz"), report)
+		assert.deepStrictEqual(await db.loadDocument("report.json.br"), report)
+		assert.deepStrictEqual(await readdir(tmp.path()), ["report.json.br", "report.json.gz"])
+	})
+
+	it("should compress the documents under the prefix", async () => {
+		const db = tmp.open({ compress: { "archive/": "gzip", "archive/media/": "brotli" } })
+		await db.saveDocument("archive/2024.json", { year: 2024 })
+		await db.saveDocument("archive/media/list.yaml", ["a.png"])
+		await db.saveDocument("current.json", { year: 2025 })
+		assert.deepStrictEqual(await readdir(tmp.path("archive")), ["2024.json.gz", "media"])
+		assert.deepStrictEqual(await readdir(tmp.path("archive", "media")), ["list.yaml.br"])
+		assert.deepStrictEqual(await db.loadDocument("archive/2024.json"), { year: 2024 })
+		assert.deepStrictEqual(await db.loadDocument("archive/media/list.yaml"), ["a.png"])
+		assert.deepStrictEqual(await db.loadDocument("current.json"), { year: 2025 })
+		assert.throws(() => tmp.open({ compress: { "archive/": "zip" } }), TypeError)
+	})
+
+	it("should stat, move, copy and drop the documents under the prefix by the plain URI", async () => {
+		const db = tmp.open({ compress: { "archive/": "gzip" } })
+		await db.saveDocument("archive/r.json", { id: 1 })
+		const stat = await db.statDocument("archive/r.json")
+		assert.ok(stat.exists)
+		assert.ok(await db.copyDocument("archive/r.json", "backup/r.json"))
+		assert.ok(await db.moveDocument("archive/r.json", "archive/old/r.json"))
+		assert.deepStrictEqual(await readdir(tmp.path("archive")), ["old"])
+		assert.deepStrictEqual(await readdir(tmp.path("backup")), ["r.json.gz"])
+		assert.deepStrictEqual(await db.loadDocument("archive/old/r.json"), { id: 1 })
+		assert.deepStrictEqual(await db.loadDocument("backup/r.json.gz"), { id: 1 })
+		assert.ok(await db.dropDocument("archive/old/r.json"))
+		assert.strictEqual(await db.loadDocument("archive/old/r.json", null), null)
+		assert.deepStrictEqual(await readdir(tmp.path("archive", "old")), [])
+		assert.ok(!(await db.statDocument("archive/old/r.json")).exists)
+	})
+
+	it("should write, append and stream the documents under the prefix by the plain URI", async () => {
+		const db = tmp.open({ compress: { "logs/": "gzip" } })
+		await db.writeDocument("logs/app.log", "one\n")
+		await db.writeDocument("logs/app.log", "two\n")
+		await db.appendRecord("logs/events.jsonl", { id: 1 })
+		const records = []
+		for await (const record of db.readRecords("logs/events.jsonl")) records.push(record)
+		assert.deepStrictEqual(records, [{ id: 1 }])
+		const stream = await db.createWriteStream("logs/app.log", { flags: "a" })
+		await pipeline(Readable.from(["three\n"]), stream)
+		assert.deepStrictEqual(await readdir(tmp.path("logs")), ["app.log.gz", "events.jsonl.gz"])
+		assert.strictEqual(await db.loadDocument("logs/app.log"), "one\ntwo\nthree\n")
+		const chunks = []
+		for await (const chunk of await db.createReadStream("logs/app.log")) chunks.push(chunk)
+		assert.strictEqual(Buffer.concat(chunks).toString(), "one\ntwo\nthree\n")
+		const range = []
+		for await (const chunk of await db.createReadStream("logs/app.log", { start: 4, end: 6 })) range.push(chunk)
+		assert.strictEqual(Buffer.concat(range).toString(), "two")
+		const raw = []
+		for await (const chunk of await db.createReadStream("logs/app.log.gz")) raw.push(chunk)
+		assert.strictEqual(gunzipSync(Buffer.concat(raw)).toString(), "one\ntwo\nthree\n")
+	})
+
+	it("should read and append the records of the gzip JSON Lines", async () => {
+		const db = tmp.open()
+		await db.saveDocument("events.jsonl.gz", [{ id: 1 }])
+		await db.appendRecord("events.jsonl.gz", { id: 2 })
+		await db.appendRecord("events.jsonl.gz", { id: 3 })
+		const records = []
+		for await (const record of db.readRecords("events.jsonl.gz")) records.push(record)
+		assert.deepStrictEqual(records, [{ id: 1 }, { id: 2 }, { id: 3 }])
+		assert.deepStrictEqual(await db.loadDocument("events.jsonl.gz"), records)
+		await assert.rejects(() => db.appendRecord("events.jsonl.br", { id: 1 }), /brotli/)
+	})
+})
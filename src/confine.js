@@ -0,0 +1,101 @@
+import { lstat, readlink, realpath } from "node:fs/promises"
+import { dirname, isAbsolute, join, relative, resolve, sep } from "node:path"
+
+/**
+ * Policies for symbolic links met on the way from the root to the document.
+ * - deny: any symbolic link inside the root blocks the access.
+ * - within-root: symbolic links are followed, the real path must stay inside the root.
+ * - allow: symbolic links are followed anywhere.
+ * @type {readonly ["deny", "within-root", "allow"]}
+ */
+export const SYMLINK_POLICIES = Object.freeze(/** @type {const} */ (["deny", "within-root", "allow"]))
+
+const MAX_LINKS = 40
+
+/**
+ * Returns the nearest existing path (the path itself or its ancestor), without following the last link.
+ * @param {string} path The absolute path.
+ * @returns {Promise<string>} The nearest existing path.
+ */
+export async function nearestExisting(path) {
+	let current = path
+	while (true) {
+		try {
+			await lstat(current)
+			return current
+		} catch (/** @type {any} */ err) {
+			if (!["ENOENT", "ENOTDIR"].includes(err.code)) throw err
+			const parent = dirname(current)
+			if (parent === current) return current
+			current = parent
+		}
+	}
+}
+
+/**
+ * Resolves the real path even for not existing paths:
+ * the nearest existing ancestor is resolved with realpath and the rest is appended.
+ * Dangling symbolic links are followed to the place where a write would land.
+ * @param {string} path The absolute path.
+ * @param {number} [hops=0] The number of followed dangling links.
+ * @returns {Promise<string>} The real absolute path.
+ */
+export async function resolveReal(path, hops = 0) {
+	const existing = await nearestExisting(path)
+	const rest = relative(existing, path)
+	try {
+		return join(await realpath(existing), rest)
+	} catch (/** @type {any} */ err) {
+		if ("ENOENT" !== err.code) throw err
+		if (hops >= MAX_LINKS) {
+			throw Object.assign(new Error(`Too many symbolic links: ${path}`), { code: "ELOOP" })
+		}
+		const target = resolve(dirname(existing), await readlink(existing))
+		return join(await resolveReal(target, hops + 1), rest)
+	}
+}
+
+/**
+ * Checks whether the path is the root or inside of it.
+ * @param {string} root The absolute root path.
+ * @param {string} path The absolute path.
+ * @returns {boolean} True if the path is inside the root.
+ */
+export function isInside(root, path) {
+	const rel = relative(root, path)
+	return "" === rel || !(rel === ".." || rel.startsWith(".." + sep) || isAbsolute(rel))
+}
+
+/**
+ * Checks whether the path relative to the root leaves the root: it is ".." or starts with "../".
+ * The names starting with two dots, like "..cache", are inside of the root.
+ * @param {string} path The slash separated path relative to the root.
+ * @returns {boolean} True if the path is outside of the root.
+ */
+export function isOutsideRoot(path) {
+	return ".." === path || path.startsWith("../")
+}
+
+/**
+ * Finds the first symbolic link on the way from the root (excluded) to the path.
+ * Only existing components are checked.
+ * @param {string} root The absolute root path.
+ * @param {string} path The absolute path inside the root.
+ * @returns {Promise<string | null>} The absolute path of the symbolic link or null.
+ */
+export async function findSymlink(root, path) {
+	const rel = relative(root, path)
+	if ("" === rel) return null
+	let current = root
+	for (const name of rel.split(sep)) {
+		current = join(current, name)
+		try {
+			const stats = await lstat(current)
+			if (stats.isSymbolicLink()) return current
+		} catch (/** @type {any} */ err) {
+			if (["ENOENT", "ENOTDIR"].includes(err.code)) return null
+			throw err
+		}
+	}
+	return null
+}
@@ -0,0 +1,133 @@
+import { suite, it, before, after, beforeEach } from "node:test"
+import assert from "node:assert/strict"
+import { mkdir, mkdtemp, readFile, realpath, rm, symlink, writeFile } from "node:fs/promises"
+import { tmpdir } from "node:os"
+import { join } from "node:path"
+import { findSymlink, isInside, isOutsideRoot, nearestExisting, resolveReal } from "./confine.js"
+import { useTmpDB } from "./tmpdb.helper.js"
+
+/**
+ * @desc Tests the symbolic link confinement helpers with real links.
+ */
+suite("Confinement tests", () => {
+	/** @type {string} */
+	let tmp
+	/** @type {string} */
+	let root
+	/** @type {string} */
+	let outside
+
+	before(async () => {
+		tmp = await realpath(await mkdtemp(join(tmpdir(), "dbfs-confine-")))
+		root = join(tmp, "root")
+		outside = join(tmp, "outside")
+		await mkdir(join(root, "inner"), { recursive: true })
+		await mkdir(outside)
+		await writeFile(join(outside, "secret.txt"), "secret")
+		await writeFile(join(root, "inner", "doc.txt"), "doc")
+		await symlink(outside, join(root, "escape"))
+		await symlink(join(root, "inner"), join(root, "alias"))
+		await symlink(join(outside, "new.txt"), join(root, "dangling.txt"))
+	})
+
+	after(async () => {
+		await rm(tmp, { recursive: true, force: true })
+	})
+
+	it("should detect paths inside the root", () => {
+		assert.strictEqual(isInside("/a/b", "/a/b"), true)
+		assert.strictEqual(isInside("/a/b", "/a/b/c"), true)
+		assert.strictEqual(isInside("/a/b", "/a/b/..c"), true)
+		assert.strictEqual(isInside("/a/b", "/a/bc"), false)
+		assert.strictEqual(isInside("/a/b", "/a"), false)
+	})
+
+	it("should detect relative paths outside of the root", () => {
+		assert.strictEqual(isOutsideRoot(".."), true)
+		assert.strictEqual(isOutsideRoot("../a"), true)
+		assert.strictEqual(isOutsideRoot("..cache/a"), false)
+		assert.strictEqual(isOutsideRoot("..."), false)
+		assert.strictEqual(isOutsideRoot("a/.."), false)
+	})
+
+	it("should find the nearest existing ancestor", async () => {
+		assert.strictEqual(await nearestExisting(join(root, "inner", "a", "b.txt")), join(root, "inner"))
+		assert.strictEqual(await nearestExisting(join(root, "dangling.txt")), join(root, "dangling.txt"))
+	})
+
+	it("should resolve real paths of existing and new documents", async () => {
+		assert.strictEqual(await resolveReal(join(root, "escape", "secret.txt")), join(outside, "secret.txt"))
+		assert.strictEqual(await resolveReal(join(root, "escape", "new", "a.txt")), join(outside, "new", "a.txt"))
+		assert.strictEqual(await resolveReal(join(root, "alias", "doc.txt")), join(root, "inner", "doc.txt"))
+	})
+
+	it("should follow dangling links to their target", async () => {
+		assert.strictEqual(await resolveReal(join(root, "dangling.txt")), join(outside, "new.txt"))
+	})
+
+	it("should find the first symbolic link under the root", async () => {
+		assert.strictEqual(await findSymlink(root, join(root, "escape", "secret.txt")), join(root, "escape"))
+		assert.strictEqual(await findSymlink(root, join(root, "inner", "doc.txt")), null)
+		assert.strictEqual(await findSymlink(root, join(root, "inner", "missing", "x.txt")), null)
+		assert.strictEqual(await findSymlink(root, root), null)
+	})
+})
+
+/**
+ * @desc Tests the symbolic link confinement of ensureAccess with real links.
+ */
+suite("Symbolic link confinement of the database tests", () => {
+	const tmp = useTmpDB("dbfs-links-")
+
+	beforeEach(async () => {
+		await mkdir(tmp.path("inner"), { recursive: true })
+		await mkdir(join(tmp.dir, "etc"))
+		await writeFile(join(tmp.dir, "etc", "passwd"), "root:x:0:0")
+		await writeFile(tmp.path("inner", "doc.txt"), "doc")
+		await symlink(join(tmp.dir, "etc"), tmp.path("etc"))
+		await symlink(tmp.path("inner"), tmp.path("alias"))
+		await symlink(join(tmp.dir, "etc"), tmp.path("..cache"))
+	})
+
+	/**
+	 * @param {"deny"|"within-root"|"allow"} [followSymlinks]
+	 * @returns {import("./DBFS.js").default}
+	 */
+	const create = (followSymlinks) => tmp.open({ followSymlinks })
+
+	it("should not load, save or drop through a link escaping the root", async () => {
+		const db = create()
+		await assert.rejects(() => db.loadDocument("etc/passwd"), /No access outside of the db container/)
+		await assert.rejects(() => db.saveDocument("etc/new.txt", "x"), /No access outside of the db container/)
+		await assert.rejects(() => db.dropDocument("etc/passwd"), /No access outside of the db container/)
+		assert.strictEqual(await readFile(join(tmp.dir, "etc", "passwd"), "utf-8"), "root:x:0:0")
+	})
+
+	it("should confine a link named with two leading dots", async () => {
+		const db = create()
+		await assert.rejects(() => db.loadDocument("..cache/passwd"), /No access outside of the db container/)
+		await assert.rejects(() => db.saveDocument("..cache/new.txt", "x"), /No access outside of the db container/)
+	})
+
+	it("should follow links within the root by default", async () => {
+		const db = create()
+		assert.strictEqual(await db.loadDocument("alias/doc.txt"), "doc")
+		assert.ok(await db.saveDocument("alias/new/doc.txt", "new"))
+		assert.strictEqual(await readFile(tmp.path("inner", "new", "doc.txt"), "utf-8"), "new")
+	})
+
+	it("should deny any link with the deny policy", async () => {
+		const db = create("deny")
+		await assert.rejects(() => db.loadDocument("alias/doc.txt"), /No access through symbolic link: alias/)
+		assert.strictEqual(await db.loadDocument("inner/doc.txt"), "doc")
+	})
+
+	it("should follow any link with the allow policy", async () => {
+		const db = create("allow")
+		assert.strictEqual(await db.loadDocument("etc/passwd"), "root:x:0:0")
+	})
+
+	it("should reject unknown policy", () => {
+		assert.throws(() => create(/** @type {any} */ ("maybe")), /followSymlinks must be one of/)
+	})
+})
@@ -0,0 +1,159 @@
+/**
+ * @typedef {object} CSVOptions
+ * @property {string} [delimiter=","] The field delimiter, "\t" for TSV.
+ * @property {string} [quote='"'] The quote character.
+ * @property {boolean} [header=true] The first row is the header: rows are mapped to objects by it.
+ * @property {boolean | ((value: string, column: string | number) => any)} [coerce=false]
+ * Convert the values: numbers, booleans, empty values to null; or a custom function.
+ * @property {string} [eol="\n"] The line ending for stringify.
+ * @property {string[]} [columns] The columns (and their order) for stringify, all the keys by default.
+ */
+
+/**
+ * Converts the string value into a number, boolean or null when it looks like one.
+ * @param {string} value The raw value.
+ * @returns {string | number | boolean | null} The converted value.
+ */
+export function coerceValue(value) {
+	if ("" === value) return null
+	if ("true" === value) return true
+	if ("false" === value) return false
+	if (/^-?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(value) && !/^-?0\d/.test(value)) return Number(value)
+	return value
+}
+
+/**
+ * Parses the delimited text into rows of raw string fields.
+ * Quoted fields may contain delimiters, doubled quotes and new lines.
+ * @param {string} text The document content.
+ * @param {{ delimiter?: string, quote?: string }} [options]
+ * @returns {string[][]} The rows.
+ */
+export function parseRows(text, { delimiter = ",", quote = '"' } = {}) {
+	/** @type {string[][]} */
+	const rows = []
+	/** @type {string[]} */
+	let row = []
+	let field = ""
+	let quoted = false
+	let i = text.startsWith("\uFEFF") ? 1 : 0
+	for (; i < text.length; i++) {
+		const char = text[i]
+		if (quoted) {
+			if (quote === char && quote === text[i + 1]) {
+				field += quote
+				i++
+			} else if (quote === char) {
+				quoted = false
+			} else {
+				field += char
+			}
+		} else if (quote === char && "" === field) {
+			quoted = true
+		} else if (delimiter === char) {
+			row.push(field)
+			field = ""
+		} else if ("\n" === char || "\r" === char) {
+			if ("\r" === char && "\n" === text[i + 1]) i++
+			row.push(field)
+			rows.push(row)
+			row = []
+			field = ""
+		} else {
+			field += char
+		}
+	}
+	if ("" !== field || row.length) {
+		row.push(field)
+		rows.push(row)
+	}
+	return rows.filter(r => !(1 === r.length && "" === r[0]))
+}
+
+/**
+ * Parses the CSV (TSV) document.
+ * With header the rows are objects keyed by the header columns, otherwise arrays.
+ * @param {string} text The document content.
+ * @param {CSVOptions} [options]
+ * @returns {Array<Record<string, any> | any[]>} The rows.
+ */
+export function parseCSV(text, options = {}) {
+	const { header = true, coerce = false } = options
+	const rows = parseRows(text, options)
+	const convert = "function" === typeof coerce ? coerce : coerce ? coerceValue : (/** @type {string} */ v) => v
+	if (!header) {
+		return rows.map(row => row.map((value, index) => convert(value, index)))
+	}
+	const columns = rows.shift() ?? []
+	return rows.map(row => {
+		/** @type {Record<string, any>} */
+		const item = {}
+		const length = Math.max(columns.length, row.length)
+		for (let i = 0; i < length; i++) {
+			const column = columns[i] ?? String(i)
+			item[column] = convert(row[i] ?? "", column)
+		}
+		return item
+	})
+}
+
+/**
+ * Converts the value into the field string.
+ * @param {any} value The value.
+ * @returns {string} The field.
+ */
+function toField(value) {
+	if (null === value || undefined === value) return ""
+	if (value instanceof Date) return value.toISOString()
+	if ("object" === typeof value) return JSON.stringify(value)
+	return String(value)
+}
+
+/**
+ * Quotes the field when it contains the delimiter, the quote, a new line or edge spaces.
+ * @param {string} field The field.
+ * @param {string} delimiter The delimiter.
+ * @param {string} quote The quote character.
+ * @returns {string} The escaped field.
+ */
+export function escapeField(field, delimiter = ",", quote = '"') {
+	const needs = field.includes(delimiter) || field.includes(quote) || /[\r\n]/.test(field)
+		|| field !== field.trim()
+	return needs ? quote + field.replaceAll(quote, quote + quote) + quote : field
+}
+
+/**
+ * Serializes the rows into the CSV (TSV) document.
+ * Objects are written under the header of all their keys (or `columns`), arrays as they are.
+ * @param {Array<Record<string, any> | any[]>} rows The rows.
+ * @param {CSVOptions} [options]
+ * @returns {string} The document content ending with the line ending.
+ */
+export function stringifyCSV(rows, options = {}) {
+	const { delimiter = ",", quote = '"', header = true, eol = "\n" } = options
+	/** @param {any[]} values */
+	const line = (values) => values.map(v => escapeField(toField(v), delimiter, quote)).join(delimiter)
+	const objects = rows.some(row => !Array.isArray(row))
+	/** @type {string[]} */
+	const lines = []
+	if (objects) {
+		let columns = options.columns
+		if (!columns) {
+			const keys = new Set()
+			for (const row of rows) {
+				for (const key of Object.keys(row ?? {})) keys.add(key)
+			}
+			columns = Array.from(keys)
+		}
+		if (header) lines.push(line(columns))
+		for (const row of rows) {
+			const item = /** @type {Record<string, any>} */ (row ?? {})
+			lines.push(line(/** @type {string[]} */ (columns).map(column => item[column])))
+		}
+	} else {
+		for (const row of rows) {
+			lines.push(line(/** @type {any[]} */ (row)))
+		}
+	}
+	return lines.length ? lines.join(eol) + eol : ""
+}
@@ -0,0 +1,90 @@
+import { suite, it } from "node:test"
+import assert from "node:assert/strict"
+import { readFile } from "node:fs/promises"
+import { coerceValue, escapeField, parseCSV, parseRows, stringifyCSV } from "./csv.js"
+import { useTmpDB } from "./tmpdb.helper.js"
+
+/**
+ * @desc Tests the CSV and TSV format.
+ */
+suite("CSV tests", () => {
+	it("should parse rows with quotes, delimiters and new lines", () => {
+		const text = "\uFEFFa,b\r\n\"x, y\",\"say \"\"hi\"\"\"\n\"multi\nline\",2\n"
+		assert.deepStrictEqual(parseRows(text), [["a", "b"], ["x, y", "say \"hi\""], ["multi\nline", "2"]])
+	})
+
+	it("should map rows to objects by header", () => {
+		assert.deepStrictEqual(parseCSV("name,age\nAlice,30\nBob\n"), [
+			{ name: "Alice", age: "30" },
+			{ name: "Bob", age: "" },
+		])
+	})
+
+	it("should parse arrays without header", () => {
+		assert.deepStrictEqual(parseCSV("a,b\nc,d", { header: false }), [["a", "b"], ["c", "d"]])
+	})
+
+	it("should parse TSV", () => {
+		assert.deepStrictEqual(parseCSV("a\tb\n1,5\t2", { delimiter: "\t" }), [{ a: "1,5", b: "2" }])
+	})
+
+	it("should coerce values", () => {
+		assert.deepStrictEqual(parseCSV("n,f,b,e,s,z\n1,-2.5,true,,text,007", { coerce: true }), [
+			{ n: 1, f: -2.5, b: true, e: null, s: "text", z: "007" },
+		])
+		const upper = parseCSV("a\nx", { coerce: (v, column) => `${column}:${v.toUpperCase()}` })
+		assert.deepStrictEqual(upper, [{ a: "a:X" }])
+		assert.strictEqual(coerceValue("1e3"), 1000)
+	})
+
+	it("should escape fields only when needed", () => {
+		assert.strictEqual(escapeField("plain"), "plain")
+		assert.strictEqual(escapeField("a,b"), "\"a,b\"")
+		assert.strictEqual(escapeField("say \"hi\""), "\"say \"\"hi\"\"\"")
+		assert.strictEqual(escapeField("a\nb"), "\"a\nb\"")
+		assert.strictEqual(escapeField(" pad"), "\" pad\"")
+		assert.strictEqual(escapeField("a,b", "\t"), "a,b")
+	})
+
+	it("should stringify objects under the header of all keys", () => {
+		const rows = [{ name: "Alice", note: "a, b" }, { name: "Bob", age: 30, tags: ["x"] }]
+		assert.strictEqual(stringifyCSV(rows), "name,note,age,tags\nAlice,\"a, b\",,\nBob,,30,\"[\"\"x\"\"]\"\n")
+		assert.strictEqual(stringifyCSV(rows, { columns: ["age", "name"], header: false }), ",Alice\n30,Bob\n")
+	})
+
+	it("should stringify arrays and round trip", () => {
+		const rows = [{ a: "1", b: "multi\nline" }, { a: "\"q\"", b: "x\ty" }]
+		assert.deepStrictEqual(parseCSV(stringifyCSV(rows)), rows)
+		assert.deepStrictEqual(parseCSV(stringifyCSV(rows, { delimiter: "\t" }), { delimiter: "\t" }), rows)
+		assert.strictEqual(stringifyCSV([["a", 1], ["b", null]]), "a,1\nb,\n")
+		assert.strictEqual(stringifyCSV([]), "")
+	})
+})
+
+/**
+ * @desc Tests the CSV and TSV documents.
+ */
+suite("CSV and TSV documents tests", () => {
+	const tmp = useTmpDB("dbfs-csv-")
+
+	it("should save and load arrays of objects", async () => {
+		const db = tmp.open()
+		const rows = [{ name: "Alice", note: "a, \"b\"" }, { name: "Bob", note: "multi\nline" }]
+		await db.saveDocument("exports/users.csv", rows)
+		assert.strictEqual(
+			await readFile(tmp.path("exports", "users.csv"), "utf-8"),
+			"name,note\nAlice,\"a, \"\"b\"\"\"\nBob,\"multi\nline\"\n",
+		)
+		assert.deepStrictEqual(await db.loadDocument("exports/users.csv"), rows)
+	})
+
+	it("should use tab delimiter for TSV and the instance options", async () => {
+		const db = tmp.open({ csv: { coerce: true } })
+		await db.saveDocument("stats.tsv", [{ day: "mon", visits: 10 }, { day: "tue", visits: 12.5 }])
+		assert.strictEqual(await readFile(tmp.path("stats.tsv"), "utf-8"), "day\tvisits\nmon\t10\ntue\t12.5\n")
+		assert.deepStrictEqual(await db.loadDocument("stats.tsv"), [{ day: "mon", visits: 10 }, { day: "tue", visits: 12.5 }])
+
+		db.csv = { header: false }
+		assert.deepStrictEqual(await db.loadDocument("stats.tsv"), [["day", "visits"], ["mon", "10"], ["tue", "12.5"]])
+	})
+})
@@ -0,0 +1,152 @@
+/**
+ * @typedef {object} UsageItem
+ * @property {string} path The path relative to the root.
+ * @property {number} size The cumulative size in bytes.
+ * @property {boolean} isDirectory True for a directory.
+ */
+
+/**
+ * The disk usage of a directory with everything inside of it.
+ */
+export class DiskUsageNode {
+	/**
+	 * The directory path relative to the root, "." for the root.
+	 * @type {string}
+	 */
+	path
+	/**
+	 * The cumulative size in bytes: allocated blocks, or the file sizes in the apparent mode.
+	 * @type {number}
+	 */
+	size
+	/**
+	 * The number of the files inside, recursively.
+	 * @type {number}
+	 */
+	files
+	/**
+	 * The number of the directories inside, recursively.
+	 * @type {number}
+	 */
+	dirs
+	/**
+	 * The number of the entries that could not be read, recursively.
+	 * @type {number}
+	 */
+	errors
+	/**
+	 * The subdirectories within the requested depth, the largest first.
+	 * @type {DiskUsageNode[]}
+	 */
+	children
+	/**
+	 * The largest direct children (files and directories), the largest first.
+	 * @type {UsageItem[]}
+	 */
+	largest
+	/**
+	 * @param {object} input
+	 * @param {string} [input.path="."]
+	 * @param {number} [input.size=0]
+	 * @param {number} [input.files=0]
+	 * @param {number} [input.dirs=0]
+	 * @param {number} [input.errors=0]
+	 * @param {DiskUsageNode[]} [input.children=[]]
+	 * @param {UsageItem[]} [input.largest=[]]
+	 */
+	constructor(input = {}) {
+		const { path = ".", size = 0, files = 0, dirs = 0, errors = 0, children = [], largest = [] } = input
+		this.path = String(path)
+		this.size = Number(size)
+		this.files = Number(files)
+		this.dirs = Number(dirs)
+		this.errors = Number(errors)
+		this.children = children.map(child => DiskUsageNode.from(child))
+		this.largest = largest
+	}
+	/**
+	 * Adds the totals of the subdirectory.
+	 * @param {DiskUsageNode} child The subdirectory usage.
+	 */
+	add(child) {
+		this.size += child.size
+		this.files += child.files
+		this.dirs += child.dirs + 1
+		this.errors += child.errors
+	}
+	/**
+	 * Lists the node and all its children (within the depth), parents first.
+	 * @returns {DiskUsageNode[]} The nodes.
+	 */
+	flat() {
+		return [this, ...this.children.flatMap(child => child.flat())]
+	}
+	/**
+	 * @param {any} input
+	 * @returns {DiskUsageNode}
+	 */
+	static from(input) {
+		if (input instanceof DiskUsageNode) return input
+		return new DiskUsageNode(input)
+	}
+}
+
+/**
+ * Returns the largest items, the largest first, the same sizes by path.
+ * @param {UsageItem[]} items The items.
+ * @param {number} count The number of the items to keep.
+ * @returns {UsageItem[]} The largest items.
+ */
+export function largestOf(items, count) {
+	return [...items]
+		.sort((a, b) => b.size - a.size || a.path.localeCompare(b.path))
+		.slice(0, Math.max(0, count))
+}
+
+/**
+ * Formats the size with the binary units: 512 B, 1.5 KiB, 20.0 MiB.
+ * @param {number} bytes The size in bytes.
+ * @returns {string} The formatted size.
+ */
+export function formatBytes(bytes) {
+	const units = ["B", "KiB", "MiB", "GiB", "TiB", "PiB"]
+	let size = bytes
+	let unit = 0
+	while (size >= 1024 && unit < units.length - 1) {
+		size /= 1024
+		unit++
+	}
+	return 0 === unit ? `${size} B` : `${size.toFixed(1)} ${units[unit]}`
+}
+
+/**
+ * Renders the usage tree as a table of the directories and the largest entries of the root.
+ * @param {DiskUsageNode} root The usage tree.
+ * @param {{ sort?: "size"|"files"|"path" }} [options] The sort of the directories, the largest first by default.
+ * @returns {string} The table.
+ */
+export function renderDiskUsage(root, { sort = "size" } = {}) {
+	const nodes = root.flat().sort((a, b) => {
+		if ("path" === sort) return a.path.localeCompare(b.path)
+		return b[sort] - a[sort] || a.path.localeCompare(b.path)
+	})
+	const rows = [["SIZE", "FILES", "DIRS", "PATH"]]
+	for (const node of nodes) {
+		rows.push([formatBytes(node.size), String(node.files), String(node.dirs), node.path])
+	}
+	const widths = [0, 1, 2].map(i => Math.max(...rows.map(row => row[i].length)))
+	const lines = rows.map(row => [
+		...widths.map((width, i) => row[i].padStart(width)),
+		row[3],
+	].join("  "))
+	if (root.largest.length) {
+		lines.push("", `Largest in ${root.path}:`)
+		for (const item of root.largest) {
+			lines.push(`${formatBytes(item.size).padStart(widths[0])}  ${item.path}${item.isDirectory ? "/" : ""}`)
+		}
+	}
+	if (root.errors) {
+		lines.push("", `${root.errors} entries could not be read.`)
+	}
+	return lines.join("\n")
+}
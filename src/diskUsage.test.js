@@ -0,0 +1,105 @@
+import { suite, it } from "node:test"
+import assert from "node:assert/strict"
+import { link } from "node:fs/promises"
+import { DiskUsageNode, formatBytes, largestOf, renderDiskUsage } from "./diskUsage.js"
+import { useTmpDB } from "./tmpdb.helper.js"
+
+/**
+ * @desc Tests the disk usage tree and its rendering.
+ */
+suite("Disk usage tests", () => {
+	it("should add the subdirectory totals", () => {
+		const root = new DiskUsageNode({ size: 10, files: 1 })
+		root.add(new DiskUsageNode({ path: "a", size: 100, files: 3, dirs: 2, errors: 1 }))
+		assert.deepStrictEqual([root.size, root.files, root.dirs, root.errors], [110, 4, 3, 1])
+	})
+
+	it("should flatten the tree parents first", () => {
+		const root = DiskUsageNode.from({
+			children: [{ path: "a", children: [{ path: "a/b" }] }, { path: "c" }],
+		})
+		assert.ok(root.children[0] instanceof DiskUsageNode)
+		assert.deepStrictEqual(root.flat().map(n => n.path), [".", "a", "a/b", "c"])
+	})
+
+	it("should keep the largest items", () => {
+		const items = [
+			{ path: "b", size: 10, isDirectory: false },
+			{ path: "a", size: 10, isDirectory: true },
+			{ path: "c", size: 30, isDirectory: false },
+		]
+		assert.deepStrictEqual(largestOf(items, 2).map(i => i.path), ["c", "a"])
+		assert.deepStrictEqual(largestOf(items, 0), [])
+	})
+
+	it("should format the sizes with the binary units", () => {
+		assert.equal(formatBytes(512), "512 B")
+		assert.equal(formatBytes(1536), "1.5 KiB")
+		assert.equal(formatBytes(20 * 1024 ** 2), "20.0 MiB")
+		assert.equal(formatBytes(3 * 1024 ** 4), "3.0 TiB")
+	})
+
+	it("should render the sorted table", () => {
+		const root = new DiskUsageNode({
+			size: 3072, files: 3, dirs: 2,
+			children: [
+				new DiskUsageNode({ path: "logs", size: 2048, files: 1 }),
+				new DiskUsageNode({ path: "docs", size: 512, files: 2 }),
+			],
+			largest: [{ path: "logs", size: 2048, isDirectory: true }, { path: "a.txt", size: 512, isDirectory: false }],
+			errors: 1,
+		})
+		assert.equal(renderDiskUsage(root), [
+			"   SIZE  FILES  DIRS  PATH",
+			"3.0 KiB      3     2  .",
+			"2.0 KiB      1     0  logs",
+			"  512 B      2     0  docs",
+			"",
+			"Largest in .:",
+			"2.0 KiB  logs/",
+			"  512 B  a.txt",
+			"",
+			"1 entries could not be read.",
+		].join("\n"))
+		const byFiles = renderDiskUsage(root, { sort: "files" }).split("\n").slice(1, 4).map(l => l.split("  ").pop())
+		assert.deepStrictEqual(byFiles, [".", "docs", "logs"])
+		const byPath = renderDiskUsage(root, { sort: "path" }).split("\n").slice(1, 4).map(l => l.split("  ").pop())
+		assert.deepStrictEqual(byPath, [".", "docs", "logs"])
+	})
+})
+
+/**
+ * @desc Tests the disk usage report.
+ */
+suite("Database disk usage tests", () => {
+	const tmp = useTmpDB("dbfs-du-")
+
+	it("should report the cumulative sizes of the directories", async () => {
+		const db = tmp.open()
+		await db.saveDocument("a.txt", "a".repeat(100))
+		await db.saveDocument("logs/1.log", "l".repeat(1000))
+		await db.saveDocument("logs/old/2.log", "o".repeat(2000))
+		await db.saveDocument("docs/readme.md", "r".repeat(10))
+		await link(tmp.path("logs/1.log"), tmp.path("docs/1.log"))
+		const usage = await db.diskUsage(".", { apparent: true })
+		assert.deepStrictEqual([usage.files, usage.dirs], [5, 3])
+		const [logs, docs] = usage.children
+		assert.deepStrictEqual(usage.children.map(c => [c.path, c.files]), [["logs", 2], ["docs", 2]])
+		assert.deepStrictEqual(logs.children, [], "deeper than depth")
+		assert.ok(logs.size > 3000)
+		assert.ok(logs.largest.find(i => "logs/old" === i.path && i.isDirectory && i.size >= 2000))
+		const linked = [...logs.largest, ...docs.largest].filter(i => i.path.endsWith("1.log"))
+		assert.deepStrictEqual(linked.map(i => i.size), [1000], "the hard link is counted once")
+		assert.ok(usage.largest.some(i => "a.txt" === i.path && 100 === i.size))
+		assert.strictEqual((await db.diskUsage(".", { top: 1 })).largest.length, 1)
+	})
+
+	it("should report the nested directories within the depth", async () => {
+		const db = tmp.open()
+		await db.saveDocument("a/b/c/d.txt", "d")
+		const usage = await db.diskUsage("a", { depth: 2 })
+		assert.deepStrictEqual(usage.flat().map(n => n.path), ["a", "a/b", "a/b/c"])
+		assert.deepStrictEqual((await db.diskUsage("a", { depth: 0 })).children, [])
+		await assert.rejects(() => db.diskUsage("a/b/c/d.txt"), /Not a directory/)
+	})
+})
@@ -0,0 +1,113 @@
+import { CHECKSUM_ALGORITHM, ensureAlgorithm, hashFile, hashFileHead } from "./checksums.js"
+
+/**
+ * @typedef {object} DuplicateCandidate
+ * @property {string} uri The file URI reported in the set.
+ * @property {string} path The absolute file path to read.
+ * @property {number} size The file size in bytes.
+ * @property {string} [inode] The "dev:ino" of the file, the hard links of the same inode waste no space.
+ */
+
+/**
+ * The files with the same content.
+ */
+export class DuplicateSet {
+	/**
+	 * The hex digest of the content.
+	 * @type {string}
+	 */
+	hash
+	/**
+	 * The size of every file in bytes.
+	 * @type {number}
+	 */
+	size
+	/**
+	 * The file URIs sorted by name.
+	 * @type {string[]}
+	 */
+	files
+	/**
+	 * The bytes wasted by the copies: the size of every file except one, the hard links are not counted.
+	 * @type {number}
+	 */
+	wasted
+	/**
+	 * @param {object} input
+	 * @param {string} input.hash
+	 * @param {number} input.size
+	 * @param {string[]} input.files
+	 * @param {number} [input.wasted] The size of every file except one by default.
+	 */
+	constructor(input) {
+		const { hash, size, files, wasted = size * (files.length - 1) } = input
+		this.hash = String(hash)
+		this.size = Number(size)
+		this.files = files.map(String).sort()
+		this.wasted = Number(wasted)
+	}
+}
+
+/**
+ * Groups the items by the key, only the groups with more than one item are kept.
+ * @template T
+ * @param {T[]} items The items.
+ * @param {(item: T) => Promise<string> | string} keyOf Returns the key of the item.
+ * @param {(item: T, err: Error) => void} [onError] Called for the item without the key, the item is skipped.
+ * When missing the error is thrown.
+ * @returns {Promise<[string, T[]][]>} The groups by the key.
+ */
+async function groupsOf(items, keyOf, onError) {
+	/** @type {Map<string, T[]>} */
+	const groups = new Map()
+	for (const item of items) {
+		let key
+		try {
+			key = await keyOf(item)
+		} catch (/** @type {any} */ err) {
+			if (!onError) throw err
+			onError(item, err)
+			continue
+		}
+		const group = groups.get(key)
+		if (group) group.push(item)
+		else groups.set(key, [item])
+	}
+	return Array.from(groups).filter(([, group]) => group.length > 1)
+}
+
+/**
+ * Finds the files with the same content: the candidates are grouped by size first,
+ * then by the hash of the first bytes and only then by the hash of the whole content,
+ * so the unique files are mostly not read at all.
+ * The files that cannot be read (removed or not permitted meanwhile) are skipped,
+ * their errors are added to `errors` by URI.
+ * @param {DuplicateCandidate[]} candidates The files.
+ * @param {{ algorithm?: string, partialSize?: number, errors?: Map<string, Error> }} [options] The hash algorithm,
+ * the number of the first bytes hashed before the whole content (64 KiB by default)
+ * and the map of the read errors to fill.
+ * @throws {TypeError} If the algorithm is not supported.
+ * @returns {Promise<DuplicateSet[]>} The duplicate sets, the most wasting first.
+ */
+export async function findDuplicateSets(candidates, { algorithm = CHECKSUM_ALGORITHM, partialSize = 64 * 1024, errors = new Map() } = {}) {
+	ensureAlgorithm(algorithm)
+	/** @type {(c: DuplicateCandidate, err: Error) => void} */
+	const skip = (c, err) => {
+		errors.set(c.uri, err)
+	}
+	/** @type {DuplicateSet[]} */
+	const sets = []
+	for (const [, bySize] of await groupsOf(candidates, c => String(c.size))) {
+		const { size } = bySize[0]
+		for (const [head, byHead] of await groupsOf(bySize, c => hashFileHead(c.path, partialSize, algorithm), skip)) {
+			/** @note the head is the whole content of the small files */
+			const byHash = size <= partialSize ? [[head, byHead]]
+				: await groupsOf(byHead, async c => (await hashFile(c.path, algorithm)).hash, skip)
+			for (const [hash, same] of /** @type {[string, DuplicateCandidate[]][]} */ (byHash)) {
+				const inodes = new Set(same.map((c, i) => c.inode ?? String(i)))
+				sets.push(new DuplicateSet({ hash, size, files: same.map(c => c.uri), wasted: size * (inodes.size - 1) }))
+			}
+		}
+	}
+	return sets.sort((a, b) => b.wasted - a.wasted || (a.files[0] < b.files[0] ? -1 : 1))
+}
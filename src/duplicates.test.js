@@ -0,0 +1,102 @@
+import { suite, it, before, after } from "node:test"
+import assert from "node:assert/strict"
+import { createHash } from "node:crypto"
+import { link, mkdtemp, rm, stat, writeFile } from "node:fs/promises"
+import { tmpdir } from "node:os"
+import path from "node:path"
+import { DuplicateSet, findDuplicateSets } from "./duplicates.js"
+import { useTmpDB } from "./tmpdb.helper.js"
+
+/**
+ * @desc Tests the duplicate content detection.
+ */
+suite("Duplicates tests", () => {
+	/** @type {string} */
+	let tmp
+	/** @type {Record<string, string>} */
+	const files = {
+		"a.txt": "same content",
+		"b.txt": "same content",
+		"c.txt": "same contenX",
+		"d.txt": "Same content",
+		"e.txt": "unique",
+		"x.txt": "xy",
+		"y.txt": "xy",
+	}
+
+	/**
+	 * @param {string[]} names
+	 * @returns {Promise<import("./duplicates.js").DuplicateCandidate[]>}
+	 */
+	const candidates = async (names) => Promise.all(names.map(async (name) => {
+		const stats = await stat(path.join(tmp, name))
+		return { uri: name, path: path.join(tmp, name), size: stats.size, inode: `${stats.dev}:${stats.ino}` }
+	}))
+
+	before(async () => {
+		tmp = await mkdtemp(path.join(tmpdir(), "dbfs-duplicates-"))
+		for (const [name, content] of Object.entries(files)) {
+			await writeFile(path.join(tmp, name), content)
+		}
+		await link(path.join(tmp, "a.txt"), path.join(tmp, "a-link.txt"))
+	})
+
+	after(async () => {
+		await rm(tmp, { recursive: true, force: true })
+	})
+
+	it("should group by size, head and the whole content", async () => {
+		const sets = await findDuplicateSets(await candidates(Object.keys(files)), { partialSize: 4 })
+		assert.deepStrictEqual(sets, [
+			new DuplicateSet({ hash: createHash("sha256").update("same content").digest("hex"), size: 12, files: ["b.txt", "a.txt"] }),
+			new DuplicateSet({ hash: createHash("sha256").update("xy").digest("hex"), size: 2, files: ["x.txt", "y.txt"] }),
+		])
+		assert.deepStrictEqual(sets[0].files, ["a.txt", "b.txt"])
+		assert.strictEqual(sets[0].wasted, 12)
+	})
+
+	it("should hash the small files once", async () => {
+		const sets = await findDuplicateSets(await candidates(["a.txt", "b.txt", "c.txt"]), { algorithm: "md5" })
+		assert.deepStrictEqual(sets.map(s => [s.hash, s.files]), [
+			[createHash("md5").update("same content").digest("hex"), ["a.txt", "b.txt"]],
+		])
+	})
+
+	it("should not count the hard links as wasted", async () => {
+		const [set] = await findDuplicateSets(await candidates(["a.txt", "a-link.txt", "b.txt"]))
+		assert.deepStrictEqual(set.files, ["a-link.txt", "a.txt", "b.txt"])
+		assert.strictEqual(set.wasted, 12)
+	})
+
+	it("should skip and report the files that cannot be read", async () => {
+		const list = await candidates(["a.txt", "b.txt", "x.txt", "y.txt"])
+		const missing = { uri: "gone.txt", path: path.join(tmp, "gone.txt"), size: 12 }
+		const errors = new Map()
+		const sets = await findDuplicateSets([...list, missing], { partialSize: 4, errors })
+		assert.deepStrictEqual(sets.map(s => s.files), [["a.txt", "b.txt"], ["x.txt", "y.txt"]])
+		assert.deepStrictEqual(Array.from(errors.keys()), ["gone.txt"])
+		assert.strictEqual(errors.get("gone.txt").code, "ENOENT")
+		await assert.rejects(() => findDuplicateSets(list, { algorithm: "nope" }), TypeError)
+	})
+})
+
+/**
+ * @desc Tests the duplicate documents finder.
+ */
+suite("Duplicate documents tests", () => {
+	const tmp = useTmpDB("dbfs-duplicates-")
+
+	it("should find the documents with the same content", async () => {
+		const db = tmp.open({ versioning: true })
+		await db.saveDocument("a.txt", "same")
+		await db.saveDocument("docs/b.txt", "same")
+		await db.saveDocument("docs/c.txt", "diff")
+		await db.saveDocument("empty1.txt", "")
+		await db.saveDocument("empty2.txt", "")
+		await db.saveDocument("a.txt", "same")
+		const sets = await db.findDuplicates(".", { partialSize: 2 })
+		assert.deepStrictEqual(sets.map(s => [s.files, s.size, s.wasted]), [[["a.txt", "docs/b.txt"], 4, 4]])
+		assert.strictEqual(sets[0].hash, createHash("sha256").update("same").digest("hex"))
+		assert.deepStrictEqual((await db.findDuplicates(".", { minSize: 0 })).length, 2)
+	})
+})
@@ -0,0 +1,167 @@
+/**
+ * Base error of the DBFS operations.
+ */
+export class DBFSError extends Error {
+	/**
+	 * The URI of the document the operation failed on.
+	 * @type {string}
+	 */
+	uri
+	/**
+	 * The failed operation, e.g. "loadDocument" or the access level "r".
+	 * @type {string}
+	 */
+	operation
+	/**
+	 * @param {string} message The error message.
+	 * @param {{ uri?: string, operation?: string, cause?: any }} [options]
+	 */
+	constructor(message, { uri = "", operation = "", cause } = {}) {
+		super(message, undefined === cause ? undefined : { cause })
+		this.name = new.target.name
+		this.uri = uri
+		this.operation = operation
+	}
+}
+
+/**
+ * Thrown when the access policy denies the operation.
+ */
+export class AccessDeniedError extends DBFSError {
+	/**
+	 * The denied access level.
+	 * @type {"r"|"w"|"d"}
+	 */
+	level
+	/**
+	 * The rule denied the access, null when denied by default.
+	 * @type {import("./AccessPolicy.js").AccessRule | null}
+	 */
+	rule
+	/**
+	 * @param {string} message The error message.
+	 * @param {{ uri?: string, operation?: string, level?: "r"|"w"|"d", rule?: import("./AccessPolicy.js").AccessRule | null, cause?: any }} [options]
+	 */
+	constructor(message, { level = "r", rule = null, ...options } = {}) {
+		super(message, options)
+		this.level = level
+		this.rule = rule
+	}
+}
+
+/**
+ * Thrown when the encrypted document cannot be decrypted:
+ * the key is wrong or missing, or the content is tampered.
+ */
+export class DecryptionError extends DBFSError {
+	/**
+	 * The id of the key the document is encrypted with, empty when unknown.
+	 * @type {string}
+	 */
+	keyId
+	/**
+	 * @param {string} message The error message.
+	 * @param {{ uri?: string, operation?: string, keyId?: string, cause?: any }} [options]
+	 */
+	constructor(message, { keyId = "", ...options } = {}) {
+		super(message, options)
+		this.keyId = keyId
+	}
+}
+
+/**
+ * Thrown when the lock is not acquired in time, because another holder keeps it.
+ */
+export class LockTimeoutError extends DBFSError {
+	/**
+	 * The waited time in milliseconds.
+	 * @type {number}
+	 */
+	timeout
+	/**
+	 * @param {string} message The error message.
+	 * @param {{ uri?: string, operation?: string, timeout?: number, cause?: any }} [options]
+	 */
+	constructor(message, { timeout = 0, ...options } = {}) {
+		super(message, options)
+		this.timeout = timeout
+	}
+}
+
+/**
+ * Thrown when the document or the directory does not exist.
+ */
+export class NotFoundError extends DBFSError { }
+
+/**
+ * Thrown when the operation needs a directory, but the path is a file.
+ */
+export class NotADirectoryError extends DBFSError { }
+
+/**
+ * Thrown when the directory is dropped without `recursive`, but it has children.
+ */
+export class DirectoryNotEmptyError extends DBFSError { }
+
+/**
+ * Thrown when the document content cannot be parsed in its format.
+ */
+export class ParseError extends DBFSError {
+	/**
+	 * The document format, e.g. "json", "yaml" or "jsonl".
+	 * @type {string}
+	 */
+	format
+	/**
+	 * The line of the broken record (JSON Lines), 0 when unknown.
+	 * @type {number}
+	 */
+	line
+	/**
+	 * @param {string} message The error message.
+	 * @param {{ uri?: string, operation?: string, format?: string, line?: number, cause?: any }} [options]
+	 */
+	constructor(message, { format = "", line = 0, ...options } = {}) {
+		super(message, options)
+		this.format = format
+		this.line = line
+	}
+}
+
+/**
+ * Thrown when the document does not match the schema registered for its path.
+ */
+export class ValidationError extends DBFSError {
+	/**
+	 * The field-level errors.
+	 * @type {import("./schema.js").SchemaIssue[]}
+	 */
+	errors
+	/**
+	 * @param {string} message The error message.
+	 * @param {{ uri?: string, operation?: string, errors?: import("./schema.js").SchemaIssue[], cause?: any }} [options]
+	 */
+	constructor(message, { errors = [], ...options } = {}) {
+		super(message, options)
+		this.errors = errors
+	}
+}
+
+/**
+ * Converts the file system error into the DBFS error with the URI and the operation:
+ * ENOENT into NotFoundError, ENOTDIR into NotADirectoryError, ENOTEMPTY into DirectoryNotEmptyError,
+ * EACCES and EPERM into AccessDeniedError, the other errors are returned as they are.
+ * @param {any} err The error.
+ * @param {{ uri?: string, operation?: string }} [options]
+ * @returns {Error} The converted error.
+ */
+export function fromSystemError(err, { uri = "", operation = "" } = {}) {
+	if (err instanceof DBFSError) return err
+	const options = { uri, operation, cause: err }
+	const code = err?.code
+	if ("ENOENT" === code) return new NotFoundError(`Not found: ${uri}`, options)
+	if ("ENOTDIR" === code) return new NotADirectoryError(`Not a directory: ${uri}`, options)
+	if ("ENOTEMPTY" === code) return new DirectoryNotEmptyError(`Directory is not empty: ${uri}`, options)
+	if ("EACCES" === code || "EPERM" === code) return new AccessDeniedError(`Permission denied: ${uri}`, options)
+	return err
+}
@@ -0,0 +1,144 @@
+import { suite, it, beforeEach } from "node:test"
+import assert from "node:assert/strict"
+import { writeFile } from "node:fs/promises"
+import { join } from "node:path"
+import {
+	AccessDeniedError, DBFSError, DirectoryNotEmptyError, NotADirectoryError, NotFoundError, ParseError, fromSystemError,
+} from "./errors.js"
+import { useTmpDB } from "./tmpdb.helper.js"
+
+/**
+ * Creates the file system error with the code.
+ * @param {string} code The error code.
+ * @returns {NodeJS.ErrnoException} The error.
+ */
+function systemError(code) {
+	return Object.assign(new Error(`${code}: failed`), { code })
+}
+
+/**
+ * @desc Tests the typed errors and the conversion of the file system errors.
+ */
+suite("Errors tests", () => {
+	it("should carry the name, the URI, the operation and the cause", () => {
+		const cause = new SyntaxError("Unexpected token")
+		const err = new ParseError("Cannot parse", { uri: "a.json", operation: "loadDocument", format: "json", cause })
+		assert.ok(err instanceof DBFSError)
+		assert.strictEqual(err.name, "ParseError")
+		assert.strictEqual(err.uri, "a.json")
+		assert.strictEqual(err.operation, "loadDocument")
+		assert.strictEqual(err.format, "json")
+		assert.strictEqual(err.line, 0)
+		assert.strictEqual(err.cause, cause)
+		assert.strictEqual(new NotFoundError("Not found").name, "NotFoundError")
+	})
+
+	it("should convert the system errors by their codes", () => {
+		const options = { uri: "docs", operation: "listDir" }
+		const expected = [
+			["ENOENT", NotFoundError, "Not found: docs"],
+			["ENOTDIR", NotADirectoryError, "Not a directory: docs"],
+			["ENOTEMPTY", DirectoryNotEmptyError, "Directory is not empty: docs"],
+			["EACCES", AccessDeniedError, "Permission denied: docs"],
+			["EPERM", AccessDeniedError, "Permission denied: docs"],
+		]
+		for (const [code, Class, message] of expected) {
+			const cause = systemError(code)
+			const err = /** @type {DBFSError} */ (fromSystemError(cause, options))
+			assert.ok(err instanceof Class, code)
+			assert.strictEqual(err.message, message)
+			assert.strictEqual(err.uri, "docs")
+			assert.strictEqual(err.operation, "listDir")
+			assert.strictEqual(err.cause, cause)
+		}
+	})
+
+	it("should keep the DBFS and the unknown errors as they are", () => {
+		const denied = new AccessDeniedError("No access", { uri: "../a" })
+		assert.strictEqual(fromSystemError(denied, { uri: "b" }), denied)
+		const other = systemError("EIO")
+		assert.strictEqual(fromSystemError(other), other)
+	})
+})
+
+/**
+ * @desc Tests the access checks of the listing and the typed errors.
+ */
+suite("Listing access and typed errors tests", () => {
+	const tmp = useTmpDB("dbfs-errors-")
+	/** @type {import("./DBFS.js").default} */
+	let db
+
+	beforeEach(async () => {
+		await writeFile(join(tmp.dir, "outside.txt"), "secret")
+		db = tmp.open()
+		await db.saveDocument("docs/a.txt", "a")
+		await writeFile(tmp.path("broken.json"), "{ \"a\": ")
+		await writeFile(tmp.path("log.jsonl"), "{\"a\":1}\n{oops\n")
+	})
+
+	it("should deny listing outside of the root", async () => {
+		await assert.rejects(() => db.listDir(".."), AccessDeniedError)
+		await assert.rejects(() => db.listDir("../.."), AccessDeniedError)
+		await assert.rejects(() => db.listPage("..", { limit: 1 }), AccessDeniedError)
+		await assert.rejects(async () => {
+			for await (const _ of db.findStream("..")) { }
+		}, AccessDeniedError)
+	})
+
+	it("should skip the entries denied by the access policy", async () => {
+		await db.saveDocument("secret/key.txt", "key")
+		await db.saveDocument("secret/deep/key.txt", "key")
+		await db.saveDocument("docs/secret/note.txt", "note")
+		const guarded = tmp.open({ access: { rules: [{ effect: "deny", access: "r", pattern: "secret/**" }] } })
+		const page = await guarded.listPage(".", { maxDepth: -1, sort: "name" })
+		assert.deepStrictEqual(page.entries.map(e => e.path), [
+			"broken.json", "docs", "docs/a.txt", "docs/secret", "docs/secret/note.txt", "log.jsonl",
+		])
+		assert.strictEqual(page.total, 6)
+		assert.deepStrictEqual((await guarded.listDir("docs", { maxDepth: -1, sort: "name" })).map(e => e.path), [
+			"a.txt", "secret", "secret/note.txt",
+		])
+		await assert.rejects(() => guarded.listDir("secret"), AccessDeniedError)
+	})
+
+	it("should throw NotFoundError and NotADirectoryError with the URI and the operation", async () => {
+		await assert.rejects(() => db.listDir("missing"), (err) => {
+			assert.ok(err instanceof NotFoundError)
+			assert.strictEqual(err.uri, "missing")
+			assert.strictEqual(err.operation, "listDir")
+			assert.strictEqual(/** @type {any} */ (err.cause).code, "ENOENT")
+			return true
+		})
+		await assert.rejects(() => db.listDir("docs/a.txt"), NotADirectoryError)
+		await assert.rejects(() => db.diskUsage("docs/a.txt"), NotADirectoryError)
+		await assert.rejects(() => db.hashDocument("missing.txt"), NotFoundError)
+	})
+
+	it("should throw ParseError for the broken documents", async () => {
+		await assert.rejects(() => db.loadDocument("broken.json"), (err) => {
+			assert.ok(err instanceof ParseError)
+			assert.strictEqual(err.uri, "broken.json")
+			assert.strictEqual(err.operation, "loadDocument")
+			assert.strictEqual(err.format, "json")
+			return true
+		})
+		await assert.rejects(async () => {
+			for await (const _ of db.readRecords("log.jsonl")) { }
+		}, (err) => {
+			assert.ok(err instanceof ParseError)
+			assert.strictEqual(err.format, "jsonl")
+			assert.strictEqual(err.line, 2)
+			return true
+		})
+	})
+
+	it("should throw DirectoryNotEmptyError for the directory with children", async () => {
+		await assert.rejects(() => db.dropDocument("docs"), (err) => {
+			assert.ok(err instanceof DirectoryNotEmptyError)
+			assert.strictEqual(err.uri, "docs")
+			assert.strictEqual(err.operation, "dropDocument")
+			return true
+		})
+	})
+})
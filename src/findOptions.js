@@ -0,0 +1,282 @@
+import { parseArgs } from "node:util"
+import { globToRegExp } from "./glob.js"
+
+/**
+ * @typedef {object} FindFile
+ * @property {string} path The path relative to the scanned root.
+ * @property {string} name The file name.
+ * @property {number} size The size in bytes.
+ * @property {number} mtimeMs The modification time in milliseconds.
+ */
+
+/**
+ * @typedef {(file: FindFile) => boolean} FindFilter
+ */
+
+/**
+ * @typedef {object} FindGroup
+ * @property {string} name The group name.
+ * @property {FindFilter} filter Checks whether the file belongs to the group.
+ */
+
+/**
+ * @typedef {object} FindOptions
+ * @property {string} root The directory to scan.
+ * @property {"name"|"mtime"|"size"} sort The sort field of the directory entries.
+ * @property {"asc"|"desc"} order The sort order.
+ * @property {number} limit The maximum number of the reported files, -1 for no limit.
+ * @property {number} maxDepth The maximum depth of the reported files, -1 for no limit.
+ * @property {boolean} followSymlinks Follow the symbolic links.
+ * @property {FindFilter} filter Checks whether the file is reported.
+ * @property {FindGroup[]} groups The size groups.
+ * @property {"text"|"json"|"ndjson"} output The output format.
+ * @property {boolean} progress Render the progress when the output is a terminal.
+ * @property {boolean} duplicates Report the duplicate sets instead of the files.
+ * @property {boolean} help Print the usage.
+ */
+
+/**
+ * The usage of bin/find.js.
+ * @type {string}
+ */
+export const FIND_USAGE = `Usage: find.js [root] [options]
+
+  --sort <name|mtime|size>   Sort the directory entries, name by default
+  --order <asc|desc>         Sort order, desc by default
+  --limit <n>                Report at most n files
+  --name <glob>              Report the files with the matching name, repeatable
+  --ext <list>               Report the files with the extensions, e.g. png,jpg
+  --min-size <size>          Report the files of at least the size, e.g. 10K, 1.5M, 2G
+  --max-size <size>          Report the files of at most the size
+  --newer <time>             Report the files modified after the time, e.g. 7d, 12h, 2024-10-19
+  --older <time>             Report the files modified before the time
+  --max-depth <n>            Report the files at most n directories deep
+  --follow-symlinks          Follow the symbolic links
+  --group <name=conditions>  Sum the sizes of the matching files, repeatable, e.g.
+                             "logs=name:*.log size>1M", conditions: ext:, name:, path:,
+                             size>, size>=, size<, size<=, newer:, older:
+  --json                     Print the report as JSON at the end
+  --ndjson                   Print every file as a JSON line
+  --no-progress              Do not render the progress, the default when not a terminal
+  --duplicates               Print the sets of the files with the same content as JSON
+  --help                     Print this help`
+
+/**
+ * The groups reported when no --group is defined.
+ * @type {string[]}
+ */
+export const DEFAULT_GROUPS = [
+	"git=path:**/.git/**",
+	"bin=path:**/bin/**",
+	"node=path:**/node_modules/**",
+	"images=ext:png,jpg,jpeg,gif,svg,webp",
+	"> 100G=size>100G",
+	"> 10G=size>10G",
+	"> 1G=size>1G",
+	"> 100M=size>100M",
+]
+
+const SIZE_UNITS = { "": 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3, t: 1024 ** 4 }
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 }
+
+/**
+ * Parses the size with an optional binary unit: "512", "10K", "1.5M", "2GB", "1TiB".
+ * @throws {TypeError} If the size is not valid.
+ * @param {string} value The size.
+ * @returns {number} The size in bytes.
+ */
+export function parseSize(value) {
+	const match = /^(\d+(?:\.\d+)?)\s*([kmgt]?)(?:i?b)?$/i.exec(String(value).trim())
+	if (!match) {
+		throw new TypeError(`Invalid size "${value}", use a number with an optional unit K, M, G or T`)
+	}
+	const unit = /** @type {keyof typeof SIZE_UNITS} */ (match[2].toLowerCase())
+	return Math.round(Number(match[1]) * SIZE_UNITS[unit])
+}
+
+/**
+ * Parses the time: the duration ago ("30m", "12h", "7d", "2w") or the date ("2024-10-19").
+ * @throws {TypeError} If the time is not valid.
+ * @param {string} value The time.
+ * @param {number} [now=Date.now()] The current time in milliseconds.
+ * @returns {number} The time in milliseconds.
+ */
+export function parseTime(value, now = Date.now()) {
+	const match = /^(\d+(?:\.\d+)?)([smhdw])$/.exec(String(value).trim())
+	if (match) {
+		return now - Number(match[1]) * DURATION_UNITS[/** @type {keyof typeof DURATION_UNITS} */ (match[2])]
+	}
+	const time = Date.parse(value)
+	if (Number.isNaN(time)) {
+		throw new TypeError(`Invalid time "${value}", use a duration like 7d or a date like 2024-10-19`)
+	}
+	return time
+}
+
+/**
+ * Returns the lowercase extensions of the list with the leading dots: "png,.JPG" → [".png", ".jpg"].
+ * @param {string} list The comma separated extensions.
+ * @returns {string[]} The extensions.
+ */
+function extensions(list) {
+	return list.split(",").map(e => e.trim().toLowerCase()).filter(Boolean).map(e => e.startsWith(".") ? e : "." + e)
+}
+
+/**
+ * Checks whether the file name has one of the extensions.
+ * @param {string} name The file name.
+ * @param {string[]} exts The lowercase extensions with the leading dots.
+ * @returns {boolean} True if the extension matches.
+ */
+function hasExtension(name, exts) {
+	const lower = name.toLowerCase()
+	return exts.some(ext => lower.endsWith(ext) && lower.length > ext.length)
+}
+
+/**
+ * Parses the space separated conditions, all of them must match:
+ * `ext:png,jpg`, `name:*.log`, `path:logs/**`, `size>1M`, `size>=1M`, `size<1K`, `size<=1K`,
+ * `newer:7d`, `older:2024-01-01`. The expressions are parsed, never evaluated as code.
+ * @throws {TypeError} If a condition is not valid.
+ * @param {string} expression The conditions.
+ * @param {number} [now=Date.now()] The current time in milliseconds.
+ * @returns {FindFilter} The filter.
+ */
+export function parseFilter(expression, now = Date.now()) {
+	/** @type {FindFilter[]} */
+	const filters = []
+	for (const condition of expression.trim().split(/\s+/).filter(Boolean)) {
+		const size = /^size(>=|<=|>|<)(.+)$/.exec(condition)
+		const [, key = "", value = ""] = /^(\w+):(.+)$/.exec(condition) ?? []
+		if (size) {
+			const [, op, limit] = size
+			const bytes = parseSize(limit)
+			filters.push({
+				">": (/** @type {FindFile} */ f) => f.size > bytes,
+				">=": (/** @type {FindFile} */ f) => f.size >= bytes,
+				"<": (/** @type {FindFile} */ f) => f.size < bytes,
+				"<=": (/** @type {FindFile} */ f) => f.size <= bytes,
+			}[op])
+		} else if ("ext" === key) {
+			const exts = extensions(value)
+			filters.push(f => hasExtension(f.name, exts))
+		} else if ("name" === key) {
+			const re = globToRegExp(value)
+			filters.push(f => re.test(f.name))
+		} else if ("path" === key) {
+			const re = globToRegExp(value)
+			filters.push(f => re.test(f.path))
+		} else if ("newer" === key) {
+			const time = parseTime(value, now)
+			filters.push(f => f.mtimeMs > time)
+		} else if ("older" === key) {
+			const time = parseTime(value, now)
+			filters.push(f => f.mtimeMs < time)
+		} else {
+			throw new TypeError(`Unknown condition "${condition}"`)
+		}
+	}
+	return (file) => filters.every(filter => filter(file))
+}
+
+/**
+ * Parses the group definition "name=conditions".
+ * @throws {TypeError} If the definition is not valid.
+ * @param {string} definition The group definition.
+ * @param {number} [now=Date.now()] The current time in milliseconds.
+ * @returns {FindGroup} The group.
+ */
+export function parseGroup(definition, now = Date.now()) {
+	const index = definition.indexOf("=")
+	const name = definition.slice(0, index).trim()
+	if (index < 0 || !name) {
+		throw new TypeError(`Invalid group "${definition}", use name=conditions`)
+	}
+	return { name, filter: parseFilter(definition.slice(index + 1), now) }
+}
+
+/**
+ * Parses the non-negative integer option.
+ * @throws {TypeError} If the value is not a non-negative integer.
+ * @param {string} name The option name.
+ * @param {string} value The value.
+ * @returns {number} The number.
+ */
+function parseCount(name, value) {
+	const count = Number(value)
+	if (!Number.isInteger(count) || count < 0) {
+		throw new TypeError(`--${name} must be a non-negative integer, got "${value}"`)
+	}
+	return count
+}
+
+/**
+ * Parses the command line arguments of bin/find.js.
+ * @throws {TypeError} If an option is unknown or not valid.
+ * @param {string[]} argv The arguments without the node and the script paths.
+ * @param {number} [now=Date.now()] The current time in milliseconds.
+ * @returns {FindOptions} The options.
+ */
+export function parseFindOptions(argv, now = Date.now()) {
+	const { values, positionals } = parseArgs({
+		args: argv,
+		allowPositionals: true,
+		strict: true,
+		options: {
+			sort: { type: "string", default: "name" },
+			order: { type: "string", default: "desc" },
+			limit: { type: "string" },
+			name: { type: "string", multiple: true, default: [] },
+			ext: { type: "string", multiple: true, default: [] },
+			"min-size": { type: "string" },
+			"max-size": { type: "string" },
+			newer: { type: "string" },
+			older: { type: "string" },
+			"max-depth": { type: "string" },
+			"follow-symlinks": { type: "boolean", default: false },
+			group: { type: "string", multiple: true, default: [] },
+			json: { type: "boolean", default: false },
+			ndjson: { type: "boolean", default: false },
+			"no-progress": { type: "boolean", default: false },
+			duplicates: { type: "boolean", default: false },
+			help: { type: "boolean", short: "h", default: false },
+		},
+	})
+	if (positionals.length > 1) {
+		throw new TypeError(`Only one root is allowed, got: ${positionals.join(", ")}`)
+	}
+	const sort = /** @type {FindOptions["sort"]} */ (values.sort)
+	if (!["name", "mtime", "size"].includes(sort)) {
+		throw new TypeError(`--sort must be one of: name, mtime, size, got "${sort}"`)
+	}
+	const order = /** @type {FindOptions["order"]} */ (values.order)
+	if (!["asc", "desc"].includes(order)) {
+		throw new TypeError(`--order must be asc or desc, got "${order}"`)
+	}
+	if (values.json && values.ndjson) {
+		throw new TypeError("Use either --json or --ndjson")
+	}
+	const conditions = [
+		...(values.ext.length ? [`ext:${values.ext.join(",")}`] : []),
+		...(undefined === values["min-size"] ? [] : [`size>=${values["min-size"]}`]),
+		...(undefined === values["max-size"] ? [] : [`size<=${values["max-size"]}`]),
+		...(undefined === values.newer ? [] : [`newer:${values.newer}`]),
+		...(undefined === values.older ? [] : [`older:${values.older}`]),
+	]
+	const filter = parseFilter(conditions.join(" "), now)
+	const names = values.name.map(glob => globToRegExp(glob))
+	return {
+		root: positionals[0] ?? ".",
+		sort,
+		order,
+		limit: undefined === values.limit ? -1 : parseCount("limit", values.limit),
+		maxDepth: undefined === values["max-depth"] ? -1 : parseCount("max-depth", values["max-depth"]),
+		followSymlinks: values["follow-symlinks"],
+		filter: (file) => (!names.length || names.some(re => re.test(file.name))) && filter(file),
+		groups: (values.group.length ? values.group : DEFAULT_GROUPS).map(group => parseGroup(group, now)),
+		output: values.json ? "json" : values.ndjson ? "ndjson" : "text",
+		progress: !values["no-progress"],
+		duplicates: values.duplicates,
+		help: values.help,
+	}
+}
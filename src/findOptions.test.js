@@ -0,0 +1,118 @@
+import { suite, it } from "node:test"
+import assert from "node:assert/strict"
+import { DEFAULT_GROUPS, parseFilter, parseFindOptions, parseGroup, parseSize, parseTime } from "./findOptions.js"
+
+const DAY = 24 * 60 * 60 * 1000
+const now = Date.parse("2024-10-19T00:00:00Z")
+
+/**
+ * @param {string} path
+ * @param {number} [size=0]
+ * @param {number} [mtimeMs=now]
+ */
+const file = (path, size = 0, mtimeMs = now) => ({ path, name: path.split("/").pop() ?? "", size, mtimeMs })
+
+/**
+ * @desc Tests the option parsing of bin/find.js.
+ */
+suite("findOptions", () => {
+	it("should parse the sizes with the binary units", () => {
+		assert.equal(parseSize("512"), 512)
+		assert.equal(parseSize("10K"), 10 * 1024)
+		assert.equal(parseSize("1.5M"), 1.5 * 1024 ** 2)
+		assert.equal(parseSize("2GB"), 2 * 1024 ** 3)
+		assert.equal(parseSize("1TiB"), 1024 ** 4)
+		assert.throws(() => parseSize("ten"), TypeError)
+		assert.throws(() => parseSize("-1K"), TypeError)
+	})
+
+	it("should parse the durations ago and the dates", () => {
+		assert.equal(parseTime("7d", now), now - 7 * DAY)
+		assert.equal(parseTime("12h", now), now - DAY / 2)
+		assert.equal(parseTime("2w", now), now - 14 * DAY)
+		assert.equal(parseTime("2024-01-01T00:00:00Z", now), Date.parse("2024-01-01T00:00:00Z"))
+		assert.throws(() => parseTime("yesterday", now), TypeError)
+	})
+
+	it("should match all the conditions of the filter", () => {
+		const filter = parseFilter("ext:log,.TXT size>1K older:1d", now)
+		assert.equal(filter(file("logs/a.log", 2048, now - 2 * DAY)), true)
+		assert.equal(filter(file("logs/a.txt", 2048, now - 2 * DAY)), true)
+		assert.equal(filter(file("logs/a.log", 1024, now - 2 * DAY)), false)
+		assert.equal(filter(file("logs/a.log", 2048, now)), false)
+		assert.equal(filter(file("logs/a.json", 2048, now - 2 * DAY)), false)
+		assert.equal(parseFilter("size<=1K")(file("a", 1024)), true)
+		assert.equal(parseFilter("name:*.log")(file("deep/dir/a.log")), true)
+		assert.equal(parseFilter("path:logs/*")(file("deep/logs/a.log")), false)
+		assert.equal(parseFilter("")(file("a")), true)
+		assert.throws(() => parseFilter("owner:root"), /Unknown condition "owner:root"/)
+		assert.throws(() => parseFilter("size>big"), TypeError)
+	})
+
+	it("should parse the groups by the first equal sign", () => {
+		const group = parseGroup("big logs=name:*.log size>=1M")
+		assert.equal(group.name, "big logs")
+		assert.equal(group.filter(file("a.log", 1024 ** 2)), true)
+		assert.equal(group.filter(file("a.log", 1024)), false)
+		assert.equal(parseGroup("> 1G=size>1G").name, "> 1G")
+		assert.throws(() => parseGroup("size>1G"), TypeError)
+		assert.throws(() => parseGroup("=size>1G"), TypeError)
+	})
+
+	it("should keep the default groups", () => {
+		const groups = DEFAULT_GROUPS.map(g => parseGroup(g))
+		const names = (/** @type {ReturnType<typeof file>} */ f) => groups.filter(g => g.filter(f)).map(g => g.name)
+		assert.deepEqual(names(file("repo/.git/config")), ["git"])
+		assert.deepEqual(names(file(".git/config")), ["git"])
+		assert.deepEqual(names(file("app/node_modules/a/bin/cli.js")), ["bin", "node"])
+		assert.deepEqual(names(file("photos/A.JPG", 200 * 1024 ** 2)), ["images", "> 100M"])
+	})
+
+	it("should parse the defaults", () => {
+		const options = parseFindOptions([], now)
+		assert.equal(options.root, ".")
+		assert.equal(options.sort, "name")
+		assert.equal(options.order, "desc")
+		assert.equal(options.limit, -1)
+		assert.equal(options.maxDepth, -1)
+		assert.equal(options.followSymlinks, false)
+		assert.equal(options.output, "text")
+		assert.equal(options.progress, true)
+		assert.equal(options.duplicates, false)
+		assert.equal(options.groups.length, DEFAULT_GROUPS.length)
+		assert.equal(options.filter(file("any")), true)
+	})
+
+	it("should parse all the options", () => {
+		const options = parseFindOptions([
+			"/data", "--sort", "size", "--order", "asc", "--limit", "10", "--max-depth", "2",
+			"--name", "*.log", "--name", "*.txt", "--ext", "log", "--min-size", "1K", "--max-size", "1M",
+			"--newer", "7d", "--follow-symlinks", "--group", "logs=ext:log", "--ndjson", "--no-progress",
+		], now)
+		assert.equal(options.root, "/data")
+		assert.equal(options.sort, "size")
+		assert.equal(options.order, "asc")
+		assert.equal(options.limit, 10)
+		assert.equal(options.maxDepth, 2)
+		assert.equal(options.followSymlinks, true)
+		assert.deepEqual(options.groups.map(g => g.name), ["logs"])
+		assert.equal(options.output, "ndjson")
+		assert.equal(options.progress, false)
+		assert.equal(options.filter(file("a/b.log", 2048, now)), true)
+		assert.equal(options.filter(file("a/b.txt", 2048, now)), false, "--ext is applied with --name")
+		assert.equal(options.filter(file("a/b.log", 100, now)), false)
+		assert.equal(options.filter(file("a/b.log", 2 * 1024 ** 2, now)), false)
+		assert.equal(options.filter(file("a/b.log", 2048, now - 8 * DAY)), false)
+		assert.equal(parseFindOptions(["--json"]).output, "json")
+	})
+
+	it("should reject the invalid options", () => {
+		assert.throws(() => parseFindOptions(["--sort", "owner"]), /--sort must be one of/)
+		assert.throws(() => parseFindOptions(["--order", "up"]), /--order must be/)
+		assert.throws(() => parseFindOptions(["--limit=-1"]), /--limit must be/)
+		assert.throws(() => parseFindOptions(["--max-depth", "1.5"]), /--max-depth must be/)
+		assert.throws(() => parseFindOptions(["--json", "--ndjson"]), TypeError)
+		assert.throws(() => parseFindOptions(["a", "b"]), /Only one root/)
+		assert.throws(() => parseFindOptions(["--unknown"]), TypeError)
+	})
+})
@@ -1,7 +1,11 @@
 import { suite, it, beforeEach, afterEach } from "node:test"
 import assert from "node:assert/strict"
-import DBFS from "./index.js"
+import DBFS, { AccessPolicy, LockTimeoutError, ValidationError, parseRange } from "./index.js"
+import { readdir } from "node:fs/promises"
+import { Readable } from "node:stream"
+import { pipeline } from "node:stream/promises"
 import path, { sep } from "node:path"
+import { useTmpDB } from "./tmpdb.helper.js"
 
 /**
  * @desc Tests the complete file lifecycle: save, load, write, drop.
@@ -87,3 +91,194 @@ suite("File lifecycle tests", () => {
 		assert.ok(abs.endsWith("/testfs/data/file.json"))
 	})
 })
+
+/**
+ * @desc Tests the non-blocking file operations.
+ */
+suite("Async file operations tests", () => {
+	const tmp = useTmpDB("dbfs-async-")
+	/** @type {DBFS} */
+	let db
+
+	beforeEach(() => {
+		db = tmp.open()
+	})
+
+	it("should save and load documents concurrently", async () => {
+		const uris = Array.from({ length: 10 }, (_, i) => `async/doc-${i}.json`)
+		const saved = await Promise.all(uris.map((uri, i) => db.saveDocument(uri, { i })))
+		assert.deepStrictEqual(saved, uris.map(() => true))
+
+		const loaded = await Promise.all(uris.map(uri => db.loadDocument(uri)))
+		assert.deepStrictEqual(loaded, uris.map((_, i) => ({ i })))
+
+		await Promise.all(uris.map(uri => db.dropDocument(uri)))
+		await db.dropDocument("async")
+	})
+
+	it("should use async custom loaders and savers", async () => {
+		db.loaders.unshift(async (file, data, ext) => ".up" === ext ? (await db.readText(file)).toUpperCase() : false)
+		db.savers.unshift(async (file, data, ext) => ".up" === ext ? await db.writeText(file, data.trim()) : false)
+
+		await db.saveDocument("custom.up", "  hello  ")
+		const loaded = await db.loadDocument("custom.up")
+		await db.dropDocument("custom.up")
+
+		assert.strictEqual(loaded, "HELLO")
+	})
+
+	it("should return stat with error for missing document", async () => {
+		const stat = await db.statDocument("missing/doc.json")
+		assert.strictEqual(stat.exists, false)
+		assert.match(stat.error.message, /Document not found/)
+	})
+})
+
+
+/**
+ * @desc Tests moving, copying and recursive dropping of documents and directory trees.
+ */
+suite("Move, copy and recursive drop tests", () => {
+	const tmp = useTmpDB("dbfs-move-")
+	/** @type {DBFS} */
+	let db
+
+	beforeEach(async () => {
+		db = tmp.open()
+		await db.saveDocument("docs/a.json", { a: 1 })
+		await db.saveDocument("docs/nested/b.txt", "b")
+		await db.saveDocument("c.txt", "c")
+	})
+
+	it("should move a file and update the caches", async () => {
+		assert.ok(db.meta.has("c.txt"))
+		assert.ok(await db.moveDocument("c.txt", "moved/c.txt"))
+		assert.strictEqual(db.meta.has("c.txt"), false)
+		assert.strictEqual(db.meta.get("moved/c.txt")?.isFile, true)
+		assert.strictEqual(await db.loadDocument("moved/c.txt"), "c")
+		assert.strictEqual(await db.loadDocument("c.txt", null), null)
+	})
+
+	it("should move a directory tree", async () => {
+		assert.ok(await db.moveDocument("docs", "archive/docs"))
+		assert.strictEqual(db.meta.has("docs/a.json"), false)
+		assert.strictEqual(db.meta.has("docs/nested/b.txt"), false)
+		assert.deepStrictEqual(await db.loadDocument("archive/docs/a.json"), { a: 1 })
+		assert.strictEqual(await db.loadDocument("archive/docs/nested/b.txt"), "b")
+		assert.strictEqual((await db.statDocument("docs")).exists, false)
+	})
+
+	it("should copy a file and a directory tree", async () => {
+		assert.ok(await db.copyDocument("c.txt", "copy/c.txt"))
+		assert.ok(await db.copyDocument("docs", "copy/docs"))
+		assert.strictEqual(await db.loadDocument("c.txt"), "c")
+		assert.strictEqual(await db.loadDocument("copy/c.txt"), "c")
+		assert.strictEqual(await db.loadDocument("copy/docs/nested/b.txt"), "b")
+		assert.deepStrictEqual((await readdir(tmp.path("copy"))).sort(), ["c.txt", "docs"])
+	})
+
+	it("should not replace the destination without overwrite", async () => {
+		await assert.rejects(() => db.copyDocument("c.txt", "docs/a.json"), /Destination already exists/)
+		await assert.rejects(() => db.moveDocument("docs", "docs/nested/docs"), /inside itself/)
+		await assert.rejects(() => db.moveDocument("missing.txt", "x.txt"), /Document not found/)
+		assert.ok(await db.copyDocument("c.txt", "docs/nested/b.txt", { overwrite: true }))
+		assert.strictEqual(await db.loadDocument("docs/nested/b.txt"), "c")
+	})
+
+	it("should respect access on source and destination", async () => {
+		db.access = AccessPolicy.from({
+			rules: [
+				{ name: "keep nested", effect: "deny", access: "d", pattern: "docs/nested/**" },
+				{ name: "read-only config", effect: "deny", access: "w", pattern: "config/**" },
+			],
+		})
+		await assert.rejects(() => db.moveDocument("docs", "other"), /keep nested/)
+		await assert.rejects(() => db.copyDocument("c.txt", "config/c.txt"), /read-only config/)
+		await assert.rejects(() => db.dropDocument("docs", { recursive: true }), /keep nested/)
+		assert.strictEqual(await db.loadDocument("docs/nested/b.txt"), "b")
+	})
+
+	it("should drop a directory recursively", async () => {
+		await assert.rejects(() => db.dropDocument("docs"), /Directory has children/)
+		assert.ok(await db.dropDocument("docs", { recursive: true }))
+		assert.strictEqual(db.meta.has("docs/a.json"), false)
+		assert.strictEqual(db.meta.has("docs/nested/b.txt"), false)
+		assert.strictEqual((await db.statDocument("docs")).exists, false)
+		assert.strictEqual(await db.loadDocument("c.txt"), "c")
+	})
+})
+
+/**
+ * @desc Tests the streaming read and write of documents.
+ */
+suite("Stream tests", () => {
+	const tmp = useTmpDB("dbfs-stream-")
+	/** @type {DBFS} */
+	let db
+
+	beforeEach(async () => {
+		db = tmp.open()
+	})
+
+	it("should write a stream and update meta on close", async () => {
+		const stream = await db.createWriteStream("logs/big.log")
+		await pipeline(Readable.from(["line 1\n", "line 2\n"]), stream)
+		await new Promise(resolve => setImmediate(resolve))
+		assert.strictEqual(await db.loadDocument("logs/big.log"), "line 1\nline 2\n")
+		assert.strictEqual(db.meta.get("logs/big.log")?.size, 14)
+
+		const append = await db.createWriteStream("logs/big.log", { flags: "a" })
+		await pipeline(Readable.from(["line 3\n"]), append)
+		assert.strictEqual(await db.loadDocument("logs/big.log"), "line 1\nline 2\nline 3\n")
+	})
+
+	it("should replace the document through a temp file with the save hooks", async () => {
+		const schema = { type: "object", required: ["id"] }
+		db = tmp.open({ versioning: true, schemas: [{ pattern: "data/*.json", schema }] })
+		await db.saveDocument("data/a.json", { id: 1 })
+		const stream = await db.createWriteStream("data/a.json")
+		stream.write('{ "id": ')
+		assert.deepStrictEqual(await db.loadDocument("data/a.json"), { id: 1 })
+		await pipeline(Readable.from(["2 }"]), stream)
+		assert.deepStrictEqual(await db.loadDocument("data/a.json"), { id: 2 })
+		assert.strictEqual((await db.listVersions("data/a.json")).length, 1)
+
+		const invalid = await db.createWriteStream("data/a.json")
+		await assert.rejects(() => pipeline(Readable.from(['{ "name": "x" }']), invalid), ValidationError)
+		assert.deepStrictEqual(await db.loadDocument("data/a.json"), { id: 2 })
+		const aborted = await db.createWriteStream("data/a.json")
+		aborted.write('{ "id": 3')
+		aborted.destroy()
+		await new Promise(resolve => aborted.once("close", resolve))
+		assert.deepStrictEqual(await readdir(tmp.path("data")), ["a.json"])
+		await assert.rejects(() => db.createWriteStream("data/a.json", { flags: /** @type {any} */ ("r+") }), TypeError)
+	})
+
+	it("should hold the lock until the stream finishes", async () => {
+		db = tmp.open({ locking: { timeout: 50 } })
+		const other = tmp.open({ locking: { timeout: 50 } })
+		const stream = await db.createWriteStream("logs/a.log", { flags: "a" })
+		await assert.rejects(() => other.writeDocument("logs/a.log", "x\n"), LockTimeoutError)
+		await pipeline(Readable.from(["line\n"]), stream)
+		assert.ok(await other.writeDocument("logs/a.log", "x\n"))
+		assert.strictEqual(await db.loadDocument("logs/a.log"), "line\nx\n")
+		const lock = await other.lock("logs/a.log")
+		await assert.rejects(() => db.createWriteStream("logs/a.log"), LockTimeoutError)
+		await lock.release()
+	})
+
+	it("should read a byte range", async () => {
+		await db.saveDocument("media.bin", "0123456789")
+		const range = parseRange("bytes=2-5", 10)
+		const stream = await db.createReadStream("media.bin", { ...range })
+		const chunks = []
+		for await (const chunk of stream) chunks.push(chunk)
+		assert.strictEqual(Buffer.concat(chunks).toString(), "2345")
+	})
+
+	it("should check access and existence", async () => {
+		await assert.rejects(() => db.createReadStream("missing.bin"), /Document not found: missing.bin/)
+		await assert.rejects(() => db.createReadStream("../outside.bin"), /No access outside/)
+		await assert.rejects(() => db.createWriteStream("../outside.bin"), /No access outside/)
+	})
+})
@@ -0,0 +1,136 @@
+/**
+ * Escapes the regular expression special characters.
+ * @param {string} str The string to escape.
+ * @returns {string} The escaped string.
+ */
+function escape(str) {
+	return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+}
+
+/**
+ * Returns the index of the closing bracket for the opening one at the position, or -1.
+ * @param {string} pattern The glob pattern.
+ * @param {number} start The position of the opening bracket.
+ * @param {string} open The opening bracket.
+ * @param {string} close The closing bracket.
+ * @returns {number} The index of the closing bracket.
+ */
+function closing(pattern, start, open, close) {
+	let level = 0
+	for (let i = start; i < pattern.length; i++) {
+		if ("\\" === pattern[i]) {
+			i++
+			continue
+		}
+		if (open === pattern[i]) level++
+		else if (close === pattern[i] && 0 === --level) return i
+	}
+	return -1
+}
+
+/**
+ * Splits the brace content by top level commas.
+ * @param {string} content The content between braces.
+ * @returns {string[]} The alternatives.
+ */
+function alternatives(content) {
+	const result = []
+	let level = 0
+	let current = ""
+	for (const char of content) {
+		if ("{" === char) level++
+		if ("}" === char) level--
+		if ("," === char && 0 === level) {
+			result.push(current)
+			current = ""
+			continue
+		}
+		current += char
+	}
+	result.push(current)
+	return result
+}
+
+/**
+ * Converts the glob pattern into the regular expression source (without anchors).
+ * @param {string} pattern The glob pattern.
+ * @returns {string} The regular expression source.
+ */
+function toSource(pattern) {
+	let re = ""
+	for (let i = 0; i < pattern.length; i++) {
+		const char = pattern[i]
+		if ("\\" === char && i + 1 < pattern.length) {
+			re += escape(pattern[++i])
+		} else if ("*" === char && "*" === pattern[i + 1]) {
+			const atStart = 0 === i || "/" === pattern[i - 1]
+			i++
+			if (atStart && "/" === pattern[i + 1]) {
+				// "**/" matches zero or more directories
+				re += "(?:.*/)?"
+				i++
+			} else if (atStart && i === pattern.length - 1 && re.endsWith("/")) {
+				// "dir/**" matches the directory itself and everything inside
+				re = re.slice(0, -1) + "(?:/.*)?"
+			} else {
+				re += ".*"
+			}
+		} else if ("*" === char) {
+			re += "[^/]*"
+		} else if ("?" === char) {
+			re += "[^/]"
+		} else if ("[" === char) {
+			const end = pattern.indexOf("]", i + 2)
+			if (end < 0) {
+				re += "\\["
+				continue
+			}
+			let body = pattern.slice(i + 1, end).replace(/\\/g, "\\\\")
+			if (body.startsWith("!")) body = "^" + body.slice(1)
+			re += "[" + body + "]"
+			i = end
+		} else if ("{" === char) {
+			const end = closing(pattern, i, "{", "}")
+			if (end < 0) {
+				re += "\\{"
+				continue
+			}
+			re += "(?:" + alternatives(pattern.slice(i + 1, end)).map(toSource).join("|") + ")"
+			i = end
+		} else {
+			re += escape(char)
+		}
+	}
+	return re
+}
+
+/**
+ * Converts the glob pattern into a regular expression.
+ * Supports `*`, `**`, `?`, `[abc]`, `[!abc]` and `{a,b}`.
+ * The wildcards never match the ".." segments, so only the leading "../" segments written
+ * in the pattern reach outside of the root: "**" does not match "../secret.md", "../**" does.
+ * With `matchBase` the pattern without slashes matches the name in any directory.
+ * @param {string} pattern The glob pattern.
+ * @param {{ matchBase?: boolean }} [options]
+ * @returns {RegExp} The regular expression matching the whole path.
+ */
+export function globToRegExp(pattern, { matchBase = false } = {}) {
+	let source = pattern.startsWith("./") ? pattern.slice(2) : pattern
+	if (source.startsWith("/")) source = source.slice(1)
+	const parents = /^(?:\.\.\/)*/.exec(source)?.[0] ?? ""
+	const guard = `(?!${escape(parents)}(?:.*/)?\\.\\.(?:/|$))`
+	const prefix = matchBase && !source.includes("/") ? "(?:.*/)?" : ""
+	return new RegExp("^" + guard + prefix + toSource(source) + "$")
+}
+
+/**
+ * Checks whether the path matches the glob pattern.
+ * @param {string} pattern The glob pattern.
+ * @param {string} path The slash separated path.
+ * @param {{ matchBase?: boolean }} [options]
+ * @returns {boolean} True if the path matches.
+ */
+export function matchGlob(pattern, path, options = {}) {
+	const normalized = path.startsWith("./") ? path.slice(2) : path
+	return globToRegExp(pattern, options).test(normalized)
+}
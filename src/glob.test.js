@@ -0,0 +1,61 @@
+import { suite, it } from "node:test"
+import assert from "node:assert/strict"
+import { globToRegExp, matchGlob } from "./glob.js"
+
+/**
+ * @desc Tests the glob pattern matching.
+ */
+suite("Glob tests", () => {
+	const expected = [
+		["*.md", "readme.md", true],
+		["*.md", "docs/readme.md", false],
+		["**/*.md", "readme.md", true],
+		["**/*.md", "docs/a/readme.md", true],
+		["config/**", "config", true],
+		["config/**", "config/app.json", true],
+		["config/**", "configs/app.json", false],
+		["archive/**/*.json", "archive/2024/01/a.json", true],
+		["file?.txt", "file1.txt", true],
+		["file?.txt", "file10.txt", false],
+		["[abc].js", "b.js", true],
+		["[!abc].js", "b.js", false],
+		["*.{png,jpg}", "a.jpg", true],
+		["*.{png,jpg}", "a.gif", false],
+		["{src,lib/**}/index.js", "lib/a/index.js", true],
+		["../**/llm.config.js", "../shared/llm.config.js", true],
+		["../**/llm.config.js", "../../shared/llm.config.js", false],
+		["../../**/llm.config.js", "../../shared/llm.config.js", true],
+		["**", "../secret.md", false],
+		["**/*.md", "../../home/u/notes.md", false],
+		["*/*.md", "../notes.md", false],
+		["??/*.md", "../notes.md", false],
+		["{..,docs}/*.md", "../notes.md", false],
+		["**", "..cache/a.md", true],
+		["**", "docs/..", false],
+		["a.b", "aXb", false],
+		["\\*.txt", "*.txt", true],
+		["./docs/*", "docs/a", true],
+	]
+
+	for (const [pattern, path, result] of expected) {
+		it(`should ${result ? "" : "not "}match ${path} with ${pattern}`, () => {
+			assert.strictEqual(matchGlob(pattern, path), result)
+		})
+	}
+
+	it("should match the base name in any directory with matchBase", () => {
+		assert.strictEqual(matchGlob("*.md", "docs/readme.md", { matchBase: true }), true)
+		assert.strictEqual(matchGlob("node_modules", "a/node_modules", { matchBase: true }), true)
+		assert.strictEqual(matchGlob("docs/*.md", "a/docs/readme.md", { matchBase: true }), false)
+	})
+
+	it("should not match the parent segments with matchBase", () => {
+		assert.strictEqual(matchGlob("*.md", "../notes.md", { matchBase: true }), false)
+		assert.strictEqual(matchGlob("*.md", "a/../notes.md", { matchBase: true }), false)
+	})
+
+	it("should return anchored regular expression", () => {
+		assert.ok(globToRegExp("a/*") instanceof RegExp)
+		assert.strictEqual(globToRegExp("a/*").test("b/a/c"), false)
+	})
+})
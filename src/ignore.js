@@ -0,0 +1,99 @@
+import { globToRegExp } from "./glob.js"
+
+/**
+ * @typedef {object} IgnoreRule
+ * @property {string} pattern The source pattern.
+ * @property {RegExp} re The pattern matching the path relative to the ignore file directory.
+ * @property {boolean} negate True for `!pattern`, the rule re-includes the matching paths.
+ * @property {boolean} directoryOnly True for `pattern/`, the rule matches only the directories.
+ */
+
+/**
+ * Parses the `.gitignore`-style rules: blank lines and `#` comments are skipped,
+ * `!` negates the rule, the trailing `/` matches only the directories, the pattern
+ * with a slash is anchored to the ignore file directory, without a slash it matches
+ * the name at any depth.
+ * @param {string} text The ignore file content.
+ * @returns {IgnoreRule[]} The rules in order.
+ */
+export function parseIgnore(text) {
+	/** @type {IgnoreRule[]} */
+	const rules = []
+	for (const line of text.split(/\r?\n/)) {
+		let pattern = line.replace(/(?<!\\)\s+$/, "")
+		if (!pattern || pattern.startsWith("#")) continue
+		const negate = pattern.startsWith("!")
+		if (negate) pattern = pattern.slice(1)
+		else if (pattern.startsWith("\\!") || pattern.startsWith("\\#")) pattern = pattern.slice(1)
+		const directoryOnly = pattern.endsWith("/")
+		if (directoryOnly) pattern = pattern.slice(0, -1)
+		if (!pattern) continue
+		rules.push({
+			pattern: line.trim(),
+			re: globToRegExp(pattern, { matchBase: !pattern.includes("/") }),
+			negate,
+			directoryOnly,
+		})
+	}
+	return rules
+}
+
+/**
+ * The ignore rules of a directory tree: every directory adds the rules of its ignore files
+ * on top of the inherited ones, the last matching rule wins.
+ */
+export class IgnoreList {
+	/**
+	 * The rule layers by their directory, parents first.
+	 * @type {{ base: string, rules: IgnoreRule[] }[]}
+	 */
+	layers
+	/**
+	 * @param {{ base: string, rules: IgnoreRule[] }[]} [layers=[]]
+	 */
+	constructor(layers = []) {
+		this.layers = layers
+	}
+	/**
+	 * Returns the list with the rules of the directory added, the list itself is not changed.
+	 * @param {string} base The directory path of the rules, relative to the traversal root, "" for the root.
+	 * @param {IgnoreRule[]} rules The rules.
+	 * @returns {IgnoreList} The extended list.
+	 */
+	extend(base, rules) {
+		if (!rules.length) return this
+		return new IgnoreList([...this.layers, { base, rules }])
+	}
+	/**
+	 * Checks whether the path itself is ignored by the rules.
+	 * @param {string} path The path relative to the traversal root.
+	 * @param {boolean} isDirectory True for a directory.
+	 * @returns {boolean} True if the last matching rule ignores the path.
+	 */
+	_matches(path, isDirectory) {
+		let ignored = false
+		for (const { base, rules } of this.layers) {
+			if (base && !path.startsWith(base + "/")) continue
+			const relative = base ? path.slice(base.length + 1) : path
+			for (const rule of rules) {
+				if (rule.directoryOnly && !isDirectory) continue
+				if (rule.re.test(relative)) ignored = !rule.negate
+			}
+		}
+		return ignored
+	}
+	/**
+	 * Checks whether the path is ignored, the paths inside of an ignored directory are ignored too
+	 * (as in git, a negated rule cannot re-include them).
+	 * @param {string} path The path relative to the traversal root.
+	 * @param {boolean} [isDirectory=false] True for a directory.
+	 * @returns {boolean} True if ignored.
+	 */
+	ignores(path, isDirectory = false) {
+		const parts = path.split("/")
+		for (let i = 1; i < parts.length; i++) {
+			if (this._matches(parts.slice(0, i).join("/"), true)) return true
+		}
+		return this._matches(path, isDirectory)
+	}
+}
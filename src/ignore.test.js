@@ -0,0 +1,55 @@
+import { suite, it } from "node:test"
+import assert from "node:assert/strict"
+import { IgnoreList, parseIgnore } from "./ignore.js"
+
+/**
+ * @desc Tests the `.gitignore`-style ignore rules.
+ */
+suite("Ignore tests", () => {
+	it("should parse the rules skipping the comments and blank lines", () => {
+		const rules = parseIgnore("# build\n\nnode_modules/\n!keep.log  \n*.log\n\\#hash\n/dist\n")
+		assert.deepStrictEqual(rules.map(r => [r.pattern, r.negate, r.directoryOnly]), [
+			["node_modules/", false, true],
+			["!keep.log", true, false],
+			["*.log", false, false],
+			["\\#hash", false, false],
+			["/dist", false, false],
+		])
+		assert.equal(rules[3].re.test("#hash"), true)
+	})
+
+	it("should match the name at any depth and anchor the patterns with a slash", () => {
+		const list = new IgnoreList().extend("", parseIgnore("*.log\n/dist\ndocs/*.tmp"))
+		assert.equal(list.ignores("a.log"), true)
+		assert.equal(list.ignores("deep/dir/a.log"), true)
+		assert.equal(list.ignores("dist", true), true)
+		assert.equal(list.ignores("src/dist", true), false)
+		assert.equal(list.ignores("docs/a.tmp"), true)
+		assert.equal(list.ignores("src/docs/a.tmp"), false)
+	})
+
+	it("should match the directory only rules and everything inside", () => {
+		const list = new IgnoreList().extend("", parseIgnore("build/"))
+		assert.equal(list.ignores("build", true), true)
+		assert.equal(list.ignores("build"), false)
+		assert.equal(list.ignores("build/out.js"), true)
+		assert.equal(list.ignores("src/build/out.js"), true)
+	})
+
+	it("should apply the last matching rule and the nested directory rules", () => {
+		const root = new IgnoreList().extend("", parseIgnore("*.log\n!keep.log"))
+		const nested = root.extend("logs", parseIgnore("!*.log\nsecret.log"))
+		assert.equal(root.ignores("a.log"), true)
+		assert.equal(root.ignores("keep.log"), false)
+		assert.equal(root.ignores("logs/a.log"), true)
+		assert.equal(nested.ignores("logs/a.log"), false)
+		assert.equal(nested.ignores("logs/secret.log"), true)
+		assert.equal(nested.ignores("other/a.log"), true)
+		assert.equal(root.extend("x", []), root)
+	})
+
+	it("should not re-include the paths inside of an ignored directory", () => {
+		const list = new IgnoreList().extend("", parseIgnore("vendor/\n!vendor/keep.js"))
+		assert.equal(list.ignores("vendor/keep.js"), true)
+	})
+})
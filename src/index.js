@@ -1,10 +1,27 @@
 import { DocumentStat, DocumentEntry } from "@nan0web/db"
 import DBFS from "./DBFS.js"
+import AccessPolicy, { AccessRule } from "./AccessPolicy.js"
+import Encryption from "./Encryption.js"
+import {
+	DBFSError, AccessDeniedError, DecryptionError, LockTimeoutError,
+	NotFoundError, NotADirectoryError, DirectoryNotEmptyError, ParseError, ValidationError, fromSystemError,
+} from "./errors.js"
+import Watcher, { WatchEvent } from "./Watcher.js"
+import { parseRange } from "./range.js"
+import { DocumentVersion } from "./versions.js"
+import { TrashEntry } from "./trash.js"
+import Transaction from "./Transaction.js"
+import { FileLock } from "./lock.js"
+import { DuplicateSet } from "./duplicates.js"
+import { DiskUsageNode } from "./diskUsage.js"
+import { SchemaRule, validateSchema } from "./schema.js"
+import { DocumentIndex } from "./indexes.js"
+import { SearchIndex } from "./search.js"
 
 /**
  * @module DBFS
  * The main database filesystem class.
  */
-export { DBFS, DocumentEntry, DocumentStat }
+export { DBFS, DocumentEntry, DocumentStat, DocumentVersion, AccessPolicy, AccessRule, DBFSError, AccessDeniedError, DecryptionError, LockTimeoutError, NotFoundError, NotADirectoryError, DirectoryNotEmptyError, ParseError, ValidationError, fromSystemError, Encryption, Watcher, WatchEvent, TrashEntry, Transaction, FileLock, DuplicateSet, DiskUsageNode, SchemaRule, validateSchema, DocumentIndex, SearchIndex, parseRange }
 
 export default DBFS
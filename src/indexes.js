@@ -0,0 +1,416 @@
+import { ShardedIndex } from "./shards.js"
+
+/**
+ * The hidden directory inside of the root with the secondary indexes, every index is a directory
+ * `.indexes/<dir>@<field>` (both URI encoded) with its `{ dir, field }` in `index.json` and a JSON shard
+ * per directory of the indexed documents.
+ * @type {string}
+ */
+export const INDEXES_DIR = ".indexes"
+
+/**
+ * The file with the directory and the field of the index inside of the index directory.
+ * @type {string}
+ */
+export const INDEX_META = "index.json"
+
+/**
+ * The extensions of the indexed documents, the compressed ones are indexed by the inner extension.
+ * @type {string[]}
+ */
+export const INDEXED_EXTENSIONS = [".json", ".yaml", ".yml", ".nano"]
+
+/**
+ * The operators of the query conditions.
+ * @type {string[]}
+ */
+export const QUERY_OPERATORS = ["eq", "in", "gt", "gte", "lt", "lte"]
+
+/**
+ * @typedef {object} Condition
+ * The field condition, the operators are combined with AND: `{ gte: 18, lt: 65 }`.
+ * @property {any} [eq] Equal to the value.
+ * @property {any[]} [in] Equal to one of the values.
+ * @property {any} [gt] Greater than the value.
+ * @property {any} [gte] Greater than or equal to the value.
+ * @property {any} [lt] Less than the value.
+ * @property {any} [lte] Less than or equal to the value.
+ */
+
+/**
+ * @typedef {object} Clause
+ * @property {string} field The field path, e.g. "address.city".
+ * @property {Condition} condition The condition.
+ */
+
+/**
+ * @typedef {object} QueryOptions
+ * @property {Record<string, any>} [where={}] The conditions by the field path, a plain value means `{ eq: value }`.
+ * @property {string} [sort] The field path to sort by, the URI by default.
+ * @property {"asc"|"desc"} [order="asc"] The sort order.
+ * @property {number} [limit=-1] The maximal number of the results, -1 for all.
+ */
+
+/**
+ * @typedef {object} QueryResult
+ * @property {string} uri The document URI relative to the root.
+ * @property {any} document The document.
+ */
+
+/**
+ * Checks whether the path (relative to the root) is inside of the indexes directory.
+ * @param {string} path The path relative to the root.
+ * @returns {boolean} True for the index paths.
+ */
+export function isIndexPath(path) {
+	return path === INDEXES_DIR || path.startsWith(INDEXES_DIR + "/")
+}
+
+/**
+ * Returns the name of the index directory with the shards, unique for the directory and the field.
+ * @param {string} dir The indexed directory relative to the root, "" for the root.
+ * @param {string} field The field path.
+ * @returns {string} The directory name inside of the indexes directory.
+ */
+export function indexStoreName(dir, field) {
+	return `${encodeURIComponent(dir)}@${encodeURIComponent(field)}`
+}
+
+/**
+ * Returns the file name of the index, unique for the directory and the field: the key of the index
+ * and the single file store of the older versions, replaced by the shards on the next save.
+ * @param {string} dir The indexed directory relative to the root, "" for the root.
+ * @param {string} field The field path.
+ * @returns {string} The file name inside of the indexes directory.
+ */
+export function indexFileName(dir, field) {
+	return `${indexStoreName(dir, field)}.json`
+}
+
+/**
+ * Returns the value of the field path, e.g. "address.city".
+ * @param {any} document The document.
+ * @param {string} field The field path.
+ * @returns {any} The value, undefined when missing.
+ */
+export function getField(document, field) {
+	let value = document
+	for (const name of field.split(".")) {
+		if (null === value || "object" !== typeof value || !Object.hasOwn(value, name)) return undefined
+		value = value[name]
+	}
+	return value
+}
+
+/**
+ * Checks whether the value is indexed: strings, finite numbers, booleans and null.
+ * @param {any} value The value.
+ * @returns {boolean} True for the scalar values.
+ */
+function isScalar(value) {
+	return null === value || ["string", "boolean"].includes(typeof value)
+		|| ("number" === typeof value && Number.isFinite(value))
+}
+
+/**
+ * Returns the indexed values of the field: the scalar value or the scalar items of the array.
+ * @param {any} document The document.
+ * @param {string} field The field path.
+ * @returns {any[]} The values, empty when the field is missing or not scalar.
+ */
+export function fieldValues(document, field) {
+	const value = getField(document, field)
+	if (Array.isArray(value)) return [...new Set(value.filter(isScalar))]
+	return isScalar(value) ? [value] : []
+}
+
+/**
+ * Compares the values of the same type.
+ * @param {any} a The first value.
+ * @param {any} b The second value.
+ * @returns {number} Negative, positive or 0 for the comparable values, NaN for the different types.
+ */
+export function compareValues(a, b) {
+	if (typeof a !== typeof b || null === a || null === b || "object" === typeof a) return a === b ? 0 : NaN
+	return a < b ? -1 : a > b ? 1 : 0
+}
+
+/**
+ * Converts the where object into the clauses.
+ * ```js
+ * compileWhere({ role: "admin", age: { gte: 18 }, status: { in: ["new", "paid"] } })
+ * // [{ field: "role", condition: { eq: "admin" } }, { field: "age", condition: { gte: 18 } }, ...]
+ * ```
+ * @throws {TypeError} If the operator is unknown or `in` is not an array.
+ * @param {Record<string, any>} [where={}] The conditions by the field path.
+ * @returns {Clause[]} The clauses.
+ */
+export function compileWhere(where = {}) {
+	if (null === where || "object" !== typeof where || Array.isArray(where)) {
+		throw new TypeError("where must be an object of the field conditions")
+	}
+	return Object.entries(where).map(([field, value]) => {
+		if (null === value || "object" !== typeof value || Array.isArray(value)) {
+			return { field, condition: { eq: value } }
+		}
+		for (const [op, operand] of Object.entries(value)) {
+			if (!QUERY_OPERATORS.includes(op)) {
+				throw new TypeError(`Unknown operator "${op}" for "${field}", use: ${QUERY_OPERATORS.join(", ")}`)
+			}
+			if ("in" === op && !Array.isArray(operand)) {
+				throw new TypeError(`The "in" operator for "${field}" needs an array`)
+			}
+		}
+		return { field, condition: /** @type {Condition} */ ({ ...value }) }
+	})
+}
+
+/**
+ * Checks whether the value meets the condition.
+ * @param {any} value The value.
+ * @param {Condition} condition The condition.
+ * @returns {boolean} True if all the operators match.
+ */
+export function matchValue(value, condition) {
+	const equal = (/** @type {any} */ other) => JSON.stringify(value) === JSON.stringify(other)
+	if ("eq" in condition && !equal(condition.eq)) return false
+	if ("in" in condition && !(condition.in ?? []).some(equal)) return false
+	if ("gt" in condition && !(compareValues(value, condition.gt) > 0)) return false
+	if ("gte" in condition && !(compareValues(value, condition.gte) >= 0)) return false
+	if ("lt" in condition && !(compareValues(value, condition.lt) < 0)) return false
+	if ("lte" in condition && !(compareValues(value, condition.lte) <= 0)) return false
+	return true
+}
+
+/**
+ * Checks whether the document meets all the clauses, an array field matches when any item does.
+ * @param {any} document The document.
+ * @param {Clause[]} clauses The clauses.
+ * @returns {boolean} True for the matching document.
+ */
+export function matchDocument(document, clauses) {
+	return clauses.every(({ field, condition }) => {
+		const value = getField(document, field)
+		if (matchValue(value, condition)) return true
+		return Array.isArray(value) && value.some(item => matchValue(item, condition))
+	})
+}
+
+/**
+ * Sorts the query results by the field, the documents without the field go last,
+ * the values of the different types are grouped by type, the URI breaks the ties.
+ * @param {QueryResult[]} results The results, sorted in place.
+ * @param {string} [sort=""] The field path, the URI when empty.
+ * @param {"asc"|"desc"} [order="asc"] The sort order.
+ * @returns {QueryResult[]} The sorted results.
+ */
+export function sortResults(results, sort = "", order = "asc") {
+	const sign = "desc" === order ? -1 : 1
+	return results.sort((a, b) => {
+		const x = sort ? getField(a.document, sort) : a.uri
+		const y = sort ? getField(b.document, sort) : b.uri
+		const missing = Number(undefined === x) - Number(undefined === y)
+		if (missing) return missing
+		if (undefined !== x) {
+			const diff = compareValues(x, y)
+			const byType = typeof x < typeof y ? -1 : typeof x > typeof y ? 1 : 0
+			const result = Number.isNaN(diff) ? byType : diff
+			if (result) return sign * result
+		}
+		return a.uri < b.uri ? -1 : a.uri > b.uri ? 1 : 0
+	})
+}
+
+/**
+ * The secondary index of the field over the documents inside of the directory (recursively),
+ * persisted by shards, see toShard().
+ */
+export class DocumentIndex extends ShardedIndex {
+	/**
+	 * The indexed directory relative to the root, "" for the root.
+	 * @type {string}
+	 */
+	dir
+	/**
+	 * The indexed field path, e.g. "role" or "address.city".
+	 * @type {string}
+	 */
+	field
+	/**
+	 * The indexed values by the document path relative to the root.
+	 * @type {Map<string, any[]>}
+	 */
+	docs
+	/**
+	 * The document paths by the JSON of the value.
+	 * @type {Map<string, Set<string>>}
+	 */
+	values
+	/**
+	 * The paths of the encrypted documents: their values are never stored, they are candidates of every find().
+	 * @type {Set<string>}
+	 */
+	encrypted
+	/**
+	 * @param {object} input
+	 * @param {string} [input.dir=""]
+	 * @param {string} input.field
+	 * @param {Record<string, any[]> | Map<string, any[]>} [input.docs={}]
+	 * @param {Iterable<string>} [input.encrypted=[]]
+	 */
+	constructor(input) {
+		super()
+		const { dir = "", field, docs = {}, encrypted = [] } = input
+		if (!field || "string" !== typeof field) {
+			throw new TypeError("Index field must be a non-empty field path")
+		}
+		this.dir = String(dir)
+		this.field = field
+		this.docs = new Map()
+		this.values = new Map()
+		this.encrypted = new Set()
+		this.load({ docs, encrypted })
+	}
+	/**
+	 * @returns {string} The file name of the index inside of the indexes directory, the key of the index.
+	 */
+	get fileName() {
+		return indexFileName(this.dir, this.field)
+	}
+	/**
+	 * @returns {string} The name of the directory with the shards inside of the indexes directory.
+	 */
+	get storeName() {
+		return indexStoreName(this.dir, this.field)
+	}
+	/**
+	 * Adds the documents of the persisted index or of its shard.
+	 * @param {{ docs?: Record<string, any[]> | Map<string, any[]>, encrypted?: Iterable<string> }} input
+	 */
+	load({ docs = {}, encrypted = [] }) {
+		for (const [file, values] of docs instanceof Map ? docs : Object.entries(docs)) {
+			this._add(file, values)
+		}
+		for (const file of encrypted) {
+			this.encrypted.add(file)
+			this._track(file)
+		}
+	}
+	/**
+	 * Checks whether the document path is inside of the indexed directory.
+	 * @param {string} file The path relative to the root.
+	 * @returns {boolean} True for the covered paths.
+	 */
+	covers(file) {
+		return "" === this.dir || file.startsWith(this.dir + "/")
+	}
+	/**
+	 * Adds the values of the document.
+	 * @param {string} file The path relative to the root.
+	 * @param {any[]} values The values.
+	 */
+	_add(file, values) {
+		if (!values.length) return
+		this.docs.set(file, values)
+		this._track(file)
+		for (const value of values) {
+			const key = JSON.stringify(value)
+			const files = this.values.get(key) ?? new Set()
+			files.add(file)
+			this.values.set(key, files)
+		}
+	}
+	/**
+	 * Indexes the document, replacing its previous values.
+	 * @param {string} file The path relative to the root.
+	 * @param {any} document The document.
+	 */
+	set(file, document) {
+		this.delete(file)
+		this._add(file, fieldValues(document, this.field))
+	}
+	/**
+	 * Marks the document as encrypted, replacing its previous values: its values stay out of the index,
+	 * so the encrypted content is never stored in plain text.
+	 * @param {string} file The path relative to the root.
+	 */
+	setEncrypted(file) {
+		this.delete(file)
+		this.encrypted.add(file)
+		this._track(file)
+	}
+	/**
+	 * Removes the document or all the documents inside of the directory.
+	 * @param {string} file The path relative to the root, "" for everything.
+	 * @returns {boolean} True if anything is removed.
+	 */
+	delete(file) {
+		/** @param {string} doc */
+		const inside = doc => "" === file || doc === file || doc.startsWith(file + "/")
+		const sealed = Array.from(this.encrypted).filter(inside)
+		for (const doc of sealed) {
+			this.encrypted.delete(doc)
+			this._untrack(doc)
+		}
+		const removed = Array.from(this.docs.keys()).filter(inside)
+		for (const doc of removed) {
+			for (const value of /** @type {any[]} */ (this.docs.get(doc))) {
+				const key = JSON.stringify(value)
+				const files = this.values.get(key)
+				files?.delete(doc)
+				if (!files?.size) this.values.delete(key)
+			}
+			this.docs.delete(doc)
+			this._untrack(doc)
+		}
+		return removed.length + sealed.length > 0
+	}
+	/**
+	 * Finds the documents with a value meeting the condition, the encrypted documents are
+	 * always returned: their values are unknown to the index, the caller checks them.
+	 * @param {Condition} condition The condition.
+	 * @returns {string[]} The sorted document paths relative to the root.
+	 */
+	find(condition) {
+		/** @type {Set<string>} */
+		const result = new Set(this.encrypted)
+		const keys = "eq" in condition ? [JSON.stringify(condition.eq)]
+			: "in" in condition ? (condition.in ?? []).map(value => JSON.stringify(value))
+			: Array.from(this.values.keys())
+		for (const key of keys) {
+			const files = this.values.get(key)
+			if (!files || !matchValue(JSON.parse(key), condition)) continue
+			for (const file of files) result.add(file)
+		}
+		return Array.from(result).sort()
+	}
+	/**
+	 * @returns {{ dir: string, field: string, docs: Record<string, any[]>, encrypted: string[] }} The persisted index.
+	 */
+	toJSON() {
+		return { dir: this.dir, field: this.field, docs: Object.fromEntries(this.docs), encrypted: Array.from(this.encrypted) }
+	}
+	/**
+	 * Returns the persisted shard: the documents of one directory.
+	 * @param {string} shard The shard directory, see shardOf().
+	 * @returns {{ shard: string, docs: Record<string, any[]>, encrypted: string[] }} The shard.
+	 */
+	toShard(shard) {
+		const files = this.filesOf(shard)
+		/** @type {Record<string, any[]>} */
+		const docs = {}
+		for (const file of files) {
+			const values = this.docs.get(file)
+			if (values) docs[file] = values
+		}
+		return { shard, docs, encrypted: files.filter(file => this.encrypted.has(file)) }
+	}
+	/**
+	 * @param {any} input
+	 * @returns {DocumentIndex}
+	 */
+	static from(input) {
+		if (input instanceof DocumentIndex) return input
+		return new DocumentIndex(input)
+	}
+}
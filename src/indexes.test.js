@@ -0,0 +1,208 @@
+import { suite, it, beforeEach } from "node:test"
+import assert from "node:assert/strict"
+import { mkdir, readdir, readFile, stat, writeFile } from "node:fs/promises"
+import { randomBytes } from "node:crypto"
+import { AccessDeniedError } from "./errors.js"
+import {
+	DocumentIndex, compareValues, compileWhere, fieldValues, getField, indexFileName, isIndexPath, matchDocument, sortResults,
+} from "./indexes.js"
+import { shardFileName } from "./shards.js"
+import { useTmpDB } from "./tmpdb.helper.js"
+
+/**
+ * @desc Tests the secondary index and the query conditions.
+ */
+suite("Indexes tests", () => {
+	it("should read the field paths and the indexed values", () => {
+		const user = { name: "Ivan", address: { city: "Kyiv" }, tags: ["a", "b", "a", { x: 1 }], meta: { a: 1 } }
+		assert.strictEqual(getField(user, "address.city"), "Kyiv")
+		assert.strictEqual(getField(user, "address.zip"), undefined)
+		assert.strictEqual(getField(user, "name.length"), undefined)
+		assert.deepStrictEqual(fieldValues(user, "tags"), ["a", "b"])
+		assert.deepStrictEqual(fieldValues(user, "meta"), [])
+		assert.deepStrictEqual(fieldValues({ a: null }, "a"), [null])
+		assert.ok(isIndexPath(".indexes/users@role.json"))
+		assert.ok(!isIndexPath(".indexes-old"))
+		assert.strictEqual(indexFileName("users/active", "address.city"), "users%2Factive@address.city.json")
+	})
+
+	it("should compile the where conditions", () => {
+		assert.deepStrictEqual(compileWhere({ role: "admin", age: { gte: 18, lt: 65 }, tags: ["a"] }), [
+			{ field: "role", condition: { eq: "admin" } },
+			{ field: "age", condition: { gte: 18, lt: 65 } },
+			{ field: "tags", condition: { eq: ["a"] } },
+		])
+		assert.throws(() => compileWhere({ age: { $gt: 1 } }), /Unknown operator "\$gt" for "age"/)
+		assert.throws(() => compileWhere({ role: { in: "admin" } }), TypeError)
+		assert.throws(() => compileWhere(/** @type {any} */ ([])), TypeError)
+	})
+
+	it("should match the documents by equality, ranges and in", () => {
+		const doc = { role: "admin", age: 30, tags: ["x", "y"] }
+		assert.ok(matchDocument(doc, compileWhere({ role: "admin", age: { gt: 18, lte: 30 } })))
+		assert.ok(matchDocument(doc, compileWhere({ role: { in: ["user", "admin"] }, tags: "y" })))
+		assert.ok(!matchDocument(doc, compileWhere({ age: { lt: 30 } })))
+		assert.ok(!matchDocument(doc, compileWhere({ age: { gt: "10" } })))
+		assert.ok(!matchDocument(doc, compileWhere({ missing: { gte: 0 } })))
+		assert.ok(Number.isNaN(compareValues(1, "1")))
+	})
+
+	it("should maintain the index incrementally and find by the conditions", () => {
+		const index = new DocumentIndex({ dir: "users", field: "age" })
+		index.set("users/a.json", { age: 20 })
+		index.set("users/b.json", { age: 40 })
+		index.set("users/c.json", { age: "n/a" })
+		index.set("users/old/d.json", { age: 20 })
+		assert.ok(index.covers("users/x.json"))
+		assert.ok(!index.covers("users"))
+		assert.deepStrictEqual(index.find({ eq: 20 }), ["users/a.json", "users/old/d.json"])
+		assert.deepStrictEqual(index.find({ gte: 20, lt: 40 }), ["users/a.json", "users/old/d.json"])
+		assert.deepStrictEqual(index.find({ in: [40, "n/a"] }), ["users/b.json", "users/c.json"])
+		index.set("users/a.json", { age: 41 })
+		assert.deepStrictEqual(index.find({ gt: 39 }), ["users/a.json", "users/b.json"])
+		assert.ok(index.delete("users/old"))
+		assert.ok(!index.delete("users/old"))
+		assert.deepStrictEqual(index.find({ eq: 20 }), [])
+		assert.deepStrictEqual(Array.from(index.values.keys()).sort(), ["\"n/a\"", "40", "41"])
+		const restored = DocumentIndex.from(JSON.parse(JSON.stringify(index)))
+		assert.deepStrictEqual(restored.find({ gt: 0 }), ["users/a.json", "users/b.json"])
+		assert.strictEqual(restored.fileName, "users@age.json")
+		assert.throws(() => new DocumentIndex({ field: "" }), TypeError)
+	})
+
+	it("should keep the values of the encrypted documents out of the index", () => {
+		const index = new DocumentIndex({ field: "role" })
+		index.set("a.json", { role: "user" })
+		index.set("secret/b.json", { role: "admin" })
+		index.setEncrypted("secret/b.json")
+		assert.deepStrictEqual(index.find({ eq: "admin" }), ["secret/b.json"])
+		assert.deepStrictEqual(index.find({ eq: "user" }), ["a.json", "secret/b.json"])
+		assert.ok(!JSON.stringify(index).includes("admin"))
+		const restored = DocumentIndex.from(JSON.parse(JSON.stringify(index)))
+		assert.deepStrictEqual(restored.find({ eq: "guest" }), ["secret/b.json"])
+		assert.ok(restored.delete("secret"))
+		assert.deepStrictEqual(restored.find({ eq: "guest" }), [])
+	})
+
+	it("should sort the results with the missing values last", () => {
+		const results = [
+			{ uri: "d.json", document: {} },
+			{ uri: "c.json", document: { age: 30 } },
+			{ uri: "b.json", document: { age: 10 } },
+			{ uri: "a.json", document: { age: 30 } },
+		]
+		assert.deepStrictEqual(sortResults([...results], "age").map(r => r.uri), ["b.json", "a.json", "c.json", "d.json"])
+		assert.deepStrictEqual(sortResults([...results], "age", "desc").map(r => r.uri), ["a.json", "c.json", "b.json", "d.json"])
+		assert.deepStrictEqual(sortResults([...results]).map(r => r.uri), ["a.json", "b.json", "c.json", "d.json"])
+	})
+})
+
+/**
+ * @desc Tests the secondary indexes and the queries.
+ */
+suite("Document index and query tests", () => {
+	const tmp = useTmpDB("dbfs-index-")
+	/** @type {import("./DBFS.js").default} */
+	let db
+
+	beforeEach(async () => {
+		db = tmp.open()
+		await db.saveDocument("users/ivan.json", { name: "Ivan", role: "admin", age: 40 })
+		await db.saveDocument("users/olha.json", { name: "Olha", role: "user", age: 25 })
+		await db.saveDocument("users/old/petro.yaml", { name: "Petro", role: "admin", age: 70 })
+		await db.saveDocument("users/notes.txt", "role: admin")
+		await db.saveDocument("posts/a.json", { role: "admin" })
+	})
+
+	it("should query by scanning without an index", async () => {
+		const admins = await db.query("users", { where: { role: "admin" } })
+		assert.deepStrictEqual(admins.map(r => r.uri), ["users/ivan.json", "users/old/petro.yaml"])
+		assert.strictEqual(admins[0].document.name, "Ivan")
+		const ranged = await db.query("users", { where: { age: { gte: 25, lt: 70 } }, sort: "age", order: "desc" })
+		assert.deepStrictEqual(ranged.map(r => r.document.name), ["Ivan", "Olha"])
+		const some = await db.query("users", { where: { name: { in: ["Olha", "Petro"] } }, sort: "name", limit: 1 })
+		assert.deepStrictEqual(some.map(r => r.document.name), ["Olha"])
+		await assert.rejects(() => db.query("users", { where: { age: { near: 1 } } }), TypeError)
+		await assert.rejects(() => db.query("..", { where: {} }), AccessDeniedError)
+	})
+
+	it("should persist the index and maintain it on save, move and drop", async () => {
+		const index = await db.createIndex("users", "role")
+		assert.deepStrictEqual(index.find({ eq: "admin" }), ["users/ivan.json", "users/old/petro.yaml"])
+		const meta = JSON.parse(await readFile(tmp.path(".indexes", "users@role", "index.json"), "utf-8"))
+		assert.deepStrictEqual(meta, { dir: "users", field: "role" })
+		const stored = JSON.parse(await readFile(tmp.path(".indexes", "users@role", shardFileName("users")), "utf-8"))
+		assert.deepStrictEqual(stored.docs["users/olha.json"], ["user"])
+		assert.ok(!(await db.listDir(".")).some(e => ".indexes" === e.name))
+
+		await db.saveDocument("users/olha.json", { name: "Olha", role: "admin", age: 26 })
+		await db.moveDocument("users/old", "users/archive")
+		await db.dropDocument("users/ivan.json")
+		const reopened = tmp.open()
+		const [loaded] = await reopened.listIndexes()
+		assert.strictEqual(loaded.field, "role")
+		assert.deepStrictEqual(loaded.find({ eq: "admin" }), ["users/archive/petro.yaml", "users/olha.json"])
+		const admins = await reopened.query("users", { where: { role: "admin", age: { lt: 50 } } })
+		assert.deepStrictEqual(admins.map(r => r.uri), ["users/olha.json"])
+	})
+
+	it("should take the candidates from the index", async () => {
+		await db.createIndex("users", "role")
+		// written outside of the database, the index does not know it until rebuilt
+		await writeFile(tmp.path("users", "taras.json"), JSON.stringify({ name: "Taras", role: "admin" }))
+		const indexed = await db.query("users", { where: { role: "admin" } })
+		assert.deepStrictEqual(indexed.map(r => r.uri), ["users/ivan.json", "users/old/petro.yaml"])
+		const scanned = await db.query("users", { where: { name: "Taras" } })
+		assert.deepStrictEqual(scanned.map(r => r.uri), ["users/taras.json"])
+		await db.createIndex("users", "role")
+		assert.strictEqual((await db.query("users", { where: { role: "admin" } })).length, 3)
+		assert.ok(await db.dropIndex("users", "role"))
+		assert.ok(!(await db.dropIndex("users", "role")))
+		assert.deepStrictEqual(await db.listIndexes(), [])
+	})
+
+	it("should never store the encrypted documents in plain text under .indexes", async () => {
+		const secure = tmp.open({ encryption: { paths: ["users/old/**", "users/vault/**"], key: randomBytes(32) } })
+		await secure.saveDocument("users/old/petro.yaml", { name: "Petro", role: "admin", ssn: "123-45-6789" })
+		await secure.createIndex("users", "ssn")
+		await secure.createIndex("users", "role")
+		await secure.saveDocument("users/vault/taras.json", { name: "Taras", role: "owner", ssn: "987-65-4321" })
+		const stored = await Promise.all((await readdir(tmp.path(".indexes"), { recursive: true }))
+			.map(name => readFile(tmp.path(".indexes", name), "utf-8").catch(() => "")))
+		for (const text of stored) {
+			for (const secret of ["123-45-6789", "987-65-4321", "owner", "Petro", "Taras"]) {
+				assert.ok(!text.includes(secret), `${secret} is stored in plain text`)
+			}
+		}
+		const found = await secure.query("users", { where: { ssn: { in: ["123-45-6789", "987-65-4321"] } }, sort: "name" })
+		assert.deepStrictEqual(found.map(r => r.uri), ["users/old/petro.yaml", "users/vault/taras.json"])
+		const admins = await secure.query("users", { where: { role: "admin" } })
+		assert.deepStrictEqual(admins.map(r => r.uri), ["users/ivan.json", "users/old/petro.yaml"])
+	})
+
+	it("should rewrite only the shard of the written directory", async () => {
+		await db.createIndex("users", "role")
+		const shard = (/** @type {string} */ dir) => tmp.path(".indexes", "users@role", shardFileName(dir))
+		const before = await stat(shard("users/old"))
+		await db.saveDocument("users/olha.json", { name: "Olha", role: "admin" })
+		assert.strictEqual((await stat(shard("users/old"))).ino, before.ino)
+		await db.dropDocument("users/old", { recursive: true })
+		await assert.rejects(() => stat(shard("users/old")), { code: "ENOENT" })
+		assert.deepStrictEqual((await readdir(tmp.path(".indexes", "users@role"))).sort(), [shardFileName("users"), "index.json"].sort())
+	})
+
+	it("should replace the single file index of the older versions by the shards", async () => {
+		await mkdir(tmp.path(".indexes"))
+		await writeFile(tmp.path(".indexes", "users@role.json"), JSON.stringify({
+			dir: "users", field: "role", docs: { "users/ivan.json": ["admin"], "users/old/petro.yaml": ["admin"] },
+		}))
+		const reopened = tmp.open()
+		assert.deepStrictEqual((await reopened.query("users", { where: { role: "admin" } })).map(r => r.uri), [
+			"users/ivan.json", "users/old/petro.yaml",
+		])
+		await reopened.saveDocument("users/olha.json", { name: "Olha", role: "admin" })
+		assert.deepStrictEqual((await readdir(tmp.path(".indexes"))), ["users@role"])
+		const [loaded] = await tmp.open().listIndexes()
+		assert.deepStrictEqual(loaded.find({ eq: "admin" }), ["users/ivan.json", "users/old/petro.yaml", "users/olha.json"])
+	})
+})
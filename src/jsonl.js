@@ -0,0 +1,61 @@
+/**
+ * Extensions of the JSON Lines (NDJSON) documents.
+ * @type {string[]}
+ */
+export const JSONL_EXTENSIONS = [".jsonl", ".ndjson"]
+
+/**
+ * Parses one line of the JSON Lines document.
+ * @throws {SyntaxError} If the line is not valid JSON, the message contains the line number.
+ * @param {string} line The line.
+ * @param {number} [lineNumber] The line number (1-based) for the error message.
+ * @returns {any} The record.
+ */
+export function parseRecord(line, lineNumber = 0) {
+	try {
+		return JSON.parse(line)
+	} catch (/** @type {any} */ err) {
+		const where = lineNumber ? ` at line ${lineNumber}` : ""
+		throw new SyntaxError(`Invalid JSON Lines record${where}: ${err.message}`, { cause: err })
+	}
+}
+
+/**
+ * Parses the JSON Lines document into the records, empty lines are skipped.
+ * @throws {SyntaxError} If a line is not valid JSON.
+ * @param {string} text The document content.
+ * @returns {any[]} The records.
+ */
+export function parseJSONL(text) {
+	/** @type {any[]} */
+	const records = []
+	const lines = text.split(/\r?\n/)
+	for (let i = 0; i < lines.length; i++) {
+		if ("" === lines[i].trim()) continue
+		records.push(parseRecord(lines[i], i + 1))
+	}
+	return records
+}
+
+/**
+ * Serializes the record into one line ending with a new line.
+ * @throws {TypeError} If the record cannot be serialized.
+ * @param {any} record The record.
+ * @returns {string} The line.
+ */
+export function stringifyRecord(record) {
+	const json = JSON.stringify(record)
+	if (undefined === json) {
+		throw new TypeError(`Cannot serialize the record of type ${typeof record}`)
+	}
+	return json + "\n"
+}
+
+/**
+ * Serializes the records into the JSON Lines document.
+ * @param {any[]} records The records.
+ * @returns {string} The document content.
+ */
+export function stringifyJSONL(records) {
+	return records.map(stringifyRecord).join("")
+}
@@ -0,0 +1,77 @@
+import { suite, it, beforeEach } from "node:test"
+import assert from "node:assert/strict"
+import { readFile } from "node:fs/promises"
+import { parseJSONL, parseRecord, stringifyJSONL, stringifyRecord } from "./jsonl.js"
+import { useTmpDB } from "./tmpdb.helper.js"
+
+/**
+ * @desc Tests the JSON Lines format.
+ */
+suite("JSON Lines tests", () => {
+	it("should parse records skipping empty lines", () => {
+		const text = "{\"a\":1}\n\n[1,2]\r\n\"str\"\n"
+		assert.deepStrictEqual(parseJSONL(text), [{ a: 1 }, [1, 2], "str"])
+	})
+
+	it("should name the invalid line", () => {
+		assert.throws(() => parseJSONL("{\"a\":1}\n{oops}\n"), /Invalid JSON Lines record at line 2/)
+		assert.throws(() => parseRecord("{"), SyntaxError)
+	})
+
+	it("should serialize one record per line", () => {
+		assert.strictEqual(stringifyRecord({ text: "multi\nline" }), "{\"text\":\"multi\\nline\"}\n")
+		assert.strictEqual(stringifyJSONL([{ a: 1 }, 2]), "{\"a\":1}\n2\n")
+		assert.throws(() => stringifyRecord(undefined), TypeError)
+	})
+
+	it("should round trip", () => {
+		const records = [{ id: 1, tags: ["a"] }, { id: 2, text: "ĳ " }, null]
+		assert.deepStrictEqual(parseJSONL(stringifyJSONL(records)), records)
+	})
+})
+
+/**
+ * @desc Tests the JSON Lines (NDJSON) documents.
+ */
+suite("JSON Lines documents tests", () => {
+	const tmp = useTmpDB("dbfs-jsonl-")
+	/** @type {import("./DBFS.js").default} */
+	let db
+
+	beforeEach(async () => {
+		db = tmp.open()
+	})
+
+	it("should load and save records", async () => {
+		await db.saveDocument("events.jsonl", [{ id: 1 }, { id: 2 }])
+		assert.strictEqual(await readFile(tmp.path("events.jsonl"), "utf-8"), "{\"id\":1}\n{\"id\":2}\n")
+		assert.deepStrictEqual(await db.loadDocument("events.jsonl"), [{ id: 1 }, { id: 2 }])
+		await db.saveDocument("one.ndjson", { id: 3 })
+		assert.deepStrictEqual(await db.loadDocument("one.ndjson"), [{ id: 3 }])
+	})
+
+	it("should append records concurrently one per line", async () => {
+		await Promise.all(Array.from({ length: 20 }, (_, i) => db.appendRecord("logs/events.jsonl", { i })))
+		const records = []
+		for await (const record of db.readRecords("logs/events.jsonl")) records.push(record)
+		assert.deepStrictEqual(records.map(r => r.i).sort((a, b) => a - b), Array.from({ length: 20 }, (_, i) => i))
+		assert.strictEqual(db.meta.get("logs/events.jsonl")?.isFile, true)
+	})
+
+	it("should complete the last line before appending", async () => {
+		await db.writeDocument("events.jsonl", "{\"id\":1}")
+		await db.appendRecord("events.jsonl", { id: 2 })
+		assert.deepStrictEqual(await db.loadDocument("events.jsonl"), [{ id: 1 }, { id: 2 }])
+	})
+
+	it("should read records line by line", async () => {
+		await db.writeDocument("events.jsonl", "{\"id\":1}\n\n{broken\n{\"id\":3}\n")
+		const records = []
+		for await (const record of db.readRecords("events.jsonl", { skipInvalid: true })) records.push(record)
+		assert.deepStrictEqual(records, [{ id: 1 }, { id: 3 }])
+		await assert.rejects(async () => {
+			for await (const _ of db.readRecords("events.jsonl")) { }
+		}, /Invalid JSON Lines record at line 3/)
+		for await (const _ of db.readRecords("missing.jsonl")) assert.fail("no records expected")
+	})
+})
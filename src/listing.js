@@ -0,0 +1,151 @@
+import { extname } from "node:path"
+
+/**
+ * The sort keys of listDir().
+ * @type {string[]}
+ */
+export const LIST_SORTS = ["name", "size", "mtime", "type"]
+
+/**
+ * @typedef {object} ListedEntry
+ * @property {string} name The entry name.
+ * @property {string} path The entry path relative to the listed directory.
+ * @property {{ isDirectory?: boolean, size?: number, mtimeMs?: number }} stat The entry stat.
+ */
+
+/**
+ * @typedef {object} ListPage
+ * @property {any[]} entries The entries of the page.
+ * @property {number} total The number of all the matching entries.
+ * @property {string | null} cursor The cursor of the next page, null for the last page.
+ */
+
+/**
+ * @typedef {object} PageOptions
+ * @property {"name"|"size"|"mtime"|"type"} [sort="type"] The sort key, the path breaks the ties.
+ * @property {"asc"|"desc"} [order="asc"] The sort order.
+ * @property {number} [offset=0] The number of the entries to skip (after the cursor, if set).
+ * @property {number} [limit=-1] The page size, -1 for all the entries.
+ * @property {string | null} [cursor=null] The cursor returned with the previous page.
+ */
+
+/**
+ * @typedef {PageOptions & object} ListOptions
+ * @property {number} [depth=0] The depth stamped onto the entries of the listed directory.
+ * @property {number} [maxDepth=0] The deepest level listed, 0 for the listed directory only, -1 for no limit.
+ * @property {string | string[]} [include] The globs of the listed files, relative to the listed directory.
+ * @property {string | string[]} [exclude] The globs of the skipped files and directories.
+ * @property {boolean} [hidden=true] List the dot files and directories.
+ * @property {boolean} [skipStat=false] Skip the stat, only the entry types are known.
+ * @property {boolean} [versions=false] List the version history store.
+ * @property {boolean} [trash=false] List the trash.
+ */
+
+/**
+ * Returns the sort key of the entry: the sorted value with the path as the tie breaker,
+ * "type" sorts the directories first, then by the extension.
+ * @param {ListedEntry} entry The entry.
+ * @param {string} sort The sort key name.
+ * @returns {(string|number)[]} The key.
+ */
+export function sortKey(entry, sort) {
+	const { stat, path } = entry
+	if ("size" === sort) return [stat.size ?? 0, path]
+	if ("mtime" === sort) return [stat.mtimeMs ?? 0, path]
+	if ("type" === sort) return [stat.isDirectory ? 0 : 1, stat.isDirectory ? "" : extname(entry.name).toLowerCase(), path]
+	return [path]
+}
+
+/**
+ * Compares the sort keys element by element.
+ * @param {(string|number)[]} a The first key.
+ * @param {(string|number)[]} b The second key.
+ * @returns {number} Negative if a goes first, positive if b goes first, 0 for the same keys.
+ */
+export function compareKeys(a, b) {
+	for (let i = 0; i < Math.max(a.length, b.length); i++) {
+		const x = a[i] ?? ""
+		const y = b[i] ?? ""
+		const diff = "number" === typeof x && "number" === typeof y
+			? x - y
+			: String(x) < String(y) ? -1 : String(x) > String(y) ? 1 : 0
+		if (diff) return diff
+	}
+	return 0
+}
+
+/**
+ * Encodes the position after the key as an opaque cursor.
+ * @param {(string|number)[]} key The sort key of the last entry of the page.
+ * @param {string} sort The sort key name.
+ * @param {string} order The sort order.
+ * @returns {string} The cursor.
+ */
+export function encodeCursor(key, sort, order) {
+	return Buffer.from(JSON.stringify({ sort, order, key })).toString("base64url")
+}
+
+/**
+ * Decodes the cursor.
+ * @throws {TypeError} If the cursor is invalid or belongs to another sort.
+ * @param {string} cursor The cursor.
+ * @param {string} sort The sort key name.
+ * @param {string} order The sort order.
+ * @returns {(string|number)[]} The sort key of the last entry of the previous page.
+ */
+export function decodeCursor(cursor, sort, order) {
+	let data
+	try {
+		data = JSON.parse(Buffer.from(cursor, "base64url").toString("utf-8"))
+	} catch {
+		throw new TypeError("Invalid cursor")
+	}
+	if (!Array.isArray(data?.key)) {
+		throw new TypeError("Invalid cursor")
+	}
+	if (data.sort !== sort || data.order !== order) {
+		throw new TypeError(`The cursor is for sort "${data.sort}" ${data.order}, not "${sort}" ${order}`)
+	}
+	return data.key
+}
+
+/**
+ * Sorts the entries and returns the requested page, the order is stable (the path breaks the ties),
+ * so the cursor stays valid when the entries before it are added or removed.
+ * The page and the total depend on the order of all the entries, so every page takes all of them:
+ * the caller reads (and stats) the whole listing for each page, the cursor only saves the transfer.
+ * @template {ListedEntry} T
+ * @throws {TypeError} If the options or the cursor are invalid.
+ * @param {T[]} entries The entries.
+ * @param {PageOptions} [options]
+ * @returns {{ entries: T[], total: number, cursor: string | null }} The page.
+ */
+export function paginate(entries, { sort = "type", order = "asc", offset = 0, limit = -1, cursor = null } = {}) {
+	if (!LIST_SORTS.includes(sort)) {
+		throw new TypeError(`sort must be one of: ${LIST_SORTS.join(", ")}`)
+	}
+	if (!["asc", "desc"].includes(order)) {
+		throw new TypeError("order must be asc or desc")
+	}
+	if (!Number.isInteger(offset) || offset < 0 || !Number.isInteger(limit) || limit < -1) {
+		throw new TypeError("offset must be 0 or more, limit -1 or more")
+	}
+	const sign = "desc" === order ? -1 : 1
+	const keyed = entries.map(entry => ({ entry, key: sortKey(entry, sort) }))
+	keyed.sort((a, b) => sign * compareKeys(a.key, b.key))
+	let start = 0
+	if (cursor) {
+		const after = decodeCursor(cursor, sort, order)
+		start = keyed.findIndex(item => sign * compareKeys(item.key, after) > 0)
+		if (start < 0) start = keyed.length
+	}
+	start += offset
+	const page = keyed.slice(start, limit < 0 ? undefined : start + limit)
+	const last = page[page.length - 1]
+	const more = limit >= 0 && last && start + page.length < keyed.length
+	return {
+		entries: page.map(item => item.entry),
+		total: keyed.length,
+		cursor: more ? encodeCursor(last.key, sort, order) : null,
+	}
+}
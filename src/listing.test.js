@@ -0,0 +1,146 @@
+import { suite, it, beforeEach } from "node:test"
+import assert from "node:assert/strict"
+import { mkdir, symlink, writeFile } from "node:fs/promises"
+import { join } from "node:path"
+import { AccessDeniedError } from "./errors.js"
+import { compareKeys, decodeCursor, encodeCursor, paginate, sortKey } from "./listing.js"
+import { useTmpDB } from "./tmpdb.helper.js"
+
+/**
+ * @param {string} path
+ * @param {number} [size=0]
+ * @param {number} [mtimeMs=0]
+ * @param {boolean} [isDirectory=false]
+ */
+const entry = (path, size = 0, mtimeMs = 0, isDirectory = false) => ({
+	name: path.split("/").pop() ?? "", path, stat: { size, mtimeMs, isDirectory },
+})
+
+/**
+ * @desc Tests the sorting and the pagination of the directory listings.
+ */
+suite("Listing tests", () => {
+	const entries = [
+		entry("b.txt", 30, 1),
+		entry("a.md", 10, 3),
+		entry("docs", 0, 2, true),
+		entry("c.txt", 10, 2),
+		entry("assets", 0, 1, true),
+	]
+
+	it("should compare the keys element by element", () => {
+		assert.ok(compareKeys([1, "b"], [2, "a"]) < 0)
+		assert.ok(compareKeys([1, "b"], [1, "a"]) > 0)
+		assert.equal(compareKeys(["a"], ["a"]), 0)
+		assert.deepStrictEqual(sortKey(entry("x/a.MD"), "type"), [1, ".md", "x/a.MD"])
+	})
+
+	it("should sort by the keys with the path as the tie breaker", () => {
+		const paths = (/** @type {any} */ options) => paginate(entries, options).entries.map(e => e.path)
+		assert.deepStrictEqual(paths({}), ["assets", "docs", "a.md", "b.txt", "c.txt"])
+		assert.deepStrictEqual(paths({ sort: "name" }), ["a.md", "assets", "b.txt", "c.txt", "docs"])
+		assert.deepStrictEqual(paths({ sort: "size", order: "desc" }), ["b.txt", "c.txt", "a.md", "docs", "assets"])
+		assert.deepStrictEqual(paths({ sort: "mtime" }), ["assets", "b.txt", "c.txt", "docs", "a.md"])
+	})
+
+	it("should page by the offset and the limit", () => {
+		const page = paginate(entries, { sort: "name", offset: 1, limit: 2 })
+		assert.deepStrictEqual(page.entries.map(e => e.path), ["assets", "b.txt"])
+		assert.equal(page.total, 5)
+		assert.ok(page.cursor)
+		assert.equal(paginate(entries, { sort: "name", offset: 3, limit: 2 }).cursor, null)
+		assert.deepStrictEqual(paginate(entries, { offset: 10 }).entries, [])
+	})
+
+	it("should page by the cursor, stable when the entries change", () => {
+		const first = paginate(entries, { sort: "name", limit: 2 })
+		assert.deepStrictEqual(first.entries.map(e => e.path), ["a.md", "assets"])
+		const changed = [...entries.filter(e => "a.md" !== e.path), entry("0.txt")]
+		const second = paginate(changed, { sort: "name", limit: 2, cursor: first.cursor })
+		assert.deepStrictEqual(second.entries.map(e => e.path), ["b.txt", "c.txt"])
+		const last = paginate(changed, { sort: "name", limit: 2, cursor: second.cursor })
+		assert.deepStrictEqual(last.entries.map(e => e.path), ["docs"])
+		assert.equal(last.cursor, null)
+	})
+
+	it("should reject the invalid options and cursors", () => {
+		assert.throws(() => paginate(entries, { sort: /** @type {any} */ ("owner") }), TypeError)
+		assert.throws(() => paginate(entries, { order: /** @type {any} */ ("up") }), TypeError)
+		assert.throws(() => paginate(entries, { limit: -2 }), TypeError)
+		assert.throws(() => paginate(entries, { cursor: "not a cursor" }), /Invalid cursor/)
+		const cursor = encodeCursor(["a"], "name", "asc")
+		assert.deepStrictEqual(decodeCursor(cursor, "name", "asc"), ["a"])
+		assert.throws(() => paginate(entries, { sort: "size", cursor }), /The cursor is for sort "name" asc/)
+	})
+})
+
+/**
+ * @desc Tests the recursive, filtered, sorted and paginated directory listing.
+ */
+suite("Directory listing tests", () => {
+	const tmp = useTmpDB("dbfs-list-")
+	/** @type {import("./DBFS.js").default} */
+	let db
+
+	beforeEach(async () => {
+		db = tmp.open()
+		await db.saveDocument("b.txt", "bb")
+		await db.saveDocument("a.md", "a")
+		await db.saveDocument(".env", "SECRET=1")
+		await db.saveDocument("docs/guide.md", "guide")
+		await db.saveDocument("docs/deep/api.md", "api")
+		await db.saveDocument("node_modules/pkg/index.js", "pkg")
+	})
+
+	it("should list the directory itself by default, the directories first", async () => {
+		const entries = await db.listDir(".")
+		assert.deepStrictEqual(entries.map(e => e.path), ["docs", "node_modules", ".env", "a.md", "b.txt"])
+		assert.deepStrictEqual(entries.map(e => e.depth), [0, 0, 0, 0, 0])
+	})
+
+	it("should recurse down to maxDepth with the hidden and the glob filters", async () => {
+		const entries = await db.listDir(".", { maxDepth: -1, hidden: false, include: "*.md", exclude: "node_modules", sort: "name" })
+		assert.deepStrictEqual(entries.map(e => e.path), ["a.md", "docs", "docs/deep", "docs/deep/api.md", "docs/guide.md"])
+		assert.strictEqual(entries.find(e => "docs/deep/api.md" === e.path)?.depth, 2)
+		const shallow = await db.listDir(".", { maxDepth: 1, exclude: "node_modules", sort: "name" })
+		assert.deepStrictEqual(shallow.map(e => e.path), [".env", "a.md", "b.txt", "docs", "docs/deep", "docs/guide.md"])
+		const stamped = await db.listDir("docs", { depth: 3, maxDepth: 1, sort: "name" })
+		assert.deepStrictEqual(stamped.map(e => [e.path, e.depth]), [["deep", 3], ["deep/api.md", 4], ["guide.md", 3]])
+	})
+
+	it("should sort by the size and page by the offset, the limit and the cursor", async () => {
+		const bySize = await db.listDir(".", { sort: "size", order: "desc", hidden: false, include: "*.{md,txt}" })
+		assert.deepStrictEqual(bySize.filter(e => e.stat.isFile).map(e => e.path), ["b.txt", "a.md"])
+		assert.deepStrictEqual((await db.listDir(".", { sort: "name", offset: 1, limit: 2 })).map(e => e.path), ["a.md", "b.txt"])
+		const paths = []
+		let cursor = null
+		do {
+			const page = await db.listPage(".", { maxDepth: -1, sort: "name", limit: 3, cursor })
+			assert.strictEqual(page.total, 10)
+			paths.push(...page.entries.map(e => e.path))
+			cursor = page.cursor
+		} while (cursor)
+		assert.deepStrictEqual(paths, (await db.listDir(".", { maxDepth: -1, sort: "name" })).map(e => e.path))
+		assert.strictEqual(paths.length, 10)
+		await assert.rejects(() => db.listPage(".", { sort: "size", cursor: "x" }), TypeError)
+	})
+
+	it("should not descend through the symbolic links", async () => {
+		await mkdir(join(tmp.dir, "outside"))
+		await writeFile(join(tmp.dir, "outside", "passwd"), "root:x:0:0")
+		await symlink(join(tmp.dir, "outside"), tmp.path("etc"))
+		await symlink(tmp.path("docs"), tmp.path("manual"))
+		await symlink(tmp.path(), tmp.path("docs", "loop"))
+		const entries = await db.listDir(".", { maxDepth: -1, exclude: "node_modules", sort: "name" })
+		assert.deepStrictEqual(entries.map(e => e.path), [
+			".env", "a.md", "b.txt", "docs", "docs/deep", "docs/deep/api.md", "docs/guide.md", "docs/loop", "etc", "manual",
+		])
+		const etc = entries.find(e => "etc" === e.path)
+		assert.ok(etc?.stat.isSymbolicLink)
+		assert.ok(!etc?.stat.isDirectory)
+		assert.ok(entries.find(e => "manual" === e.path)?.stat.isDirectory)
+		const denied = await tmp.open({ followSymlinks: "deny" }).listDir(".", { exclude: "node_modules" })
+		assert.ok(denied.filter(e => e.stat.isSymbolicLink).every(e => !e.stat.isDirectory))
+		await assert.rejects(() => db.listDir("etc"), AccessDeniedError)
+	})
+})
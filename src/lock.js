@@ -0,0 +1,245 @@
+import { link, mkdir, readFile, rename, stat, writeFile } from "node:fs/promises"
+import { dirname } from "node:path"
+import { randomBytes } from "node:crypto"
+import { setTimeout as sleep } from "node:timers/promises"
+import { commitFile, isProcessAlive, removeQuietly, tempPathFor } from "./atomic.js"
+import { LockTimeoutError } from "./errors.js"
+
+/**
+ * The hidden directory inside of the root with the lock files,
+ * the document `a/b.json` is locked with `.locks/a/b.json.lock`.
+ * @type {string}
+ */
+export const LOCKS_DIR = ".locks"
+
+/**
+ * The default time to wait for the lock in milliseconds.
+ * @type {number}
+ */
+export const LOCK_TIMEOUT = 10_000
+
+/**
+ * The guard of the lock file is held only while the holders are updated,
+ * an older guard is left by a crashed process.
+ */
+const GUARD_STALE = 5_000
+
+/**
+ * @typedef {object} LockHolder
+ * @property {string} id The lock id.
+ * @property {number} pid The holder process id.
+ * @property {boolean} shared True for the shared (read) lock.
+ * @property {number} time The acquisition time in milliseconds.
+ */
+
+/**
+ * Checks whether the path (relative to the root) is inside of the locks directory.
+ * @param {string} path The path relative to the root.
+ * @returns {boolean} True for the lock paths.
+ */
+export function isLockPath(path) {
+	return path === LOCKS_DIR || path.startsWith(LOCKS_DIR + "/")
+}
+
+/**
+ * Reads the holders of the lock file, the holders of the dead processes are skipped.
+ * @param {string} path The lock file path.
+ * @returns {Promise<LockHolder[]>} The alive holders.
+ */
+export async function readLockHolders(path) {
+	/** @type {LockHolder[]} */
+	const holders = await readFile(path, "utf-8")
+		.then(text => JSON.parse(text))
+		.catch(() => [])
+	return Array.isArray(holders) ? holders.filter(h => isProcessAlive(h.pid)) : []
+}
+
+/**
+ * Creates the guard exclusively with its content: the token is written into a temp file
+ * linked as the guard, so the guard is never seen empty.
+ * @param {string} guard The guard path.
+ * @param {string} token The guard content, "<pid>:<id>".
+ * @returns {Promise<boolean>} True if the guard is created, false if it exists.
+ */
+async function createGuard(guard, token) {
+	const temp = tempPathFor(guard)
+	await writeFile(temp, token)
+	try {
+		await link(temp, guard)
+		return true
+	} catch (/** @type {any} */ err) {
+		if ("EEXIST" === err.code) return false
+		throw err
+	} finally {
+		await removeQuietly(temp)
+	}
+}
+
+/**
+ * Removes the stale guard atomically: the guard is renamed to a unique tombstone, so only one
+ * of the processes racing for it succeeds, and the tombstone is checked to be the stale guard.
+ * A fresh guard renamed instead is linked back, unless another guard is created meanwhile.
+ * @param {string} guard The guard path.
+ * @param {string} token The content of the guard found stale.
+ * @returns {Promise<boolean>} True if the stale guard is removed by this call.
+ */
+async function removeStaleGuard(guard, token) {
+	const tombstone = `${guard}.${randomBytes(6).toString("hex")}.stale`
+	try {
+		await rename(guard, tombstone)
+	} catch (/** @type {any} */ err) {
+		if ("ENOENT" === err.code) return false
+		throw err
+	}
+	const stale = token === await readFile(tombstone, "utf-8").catch(() => null)
+	if (!stale) await link(tombstone, guard).catch(() => { })
+	await removeQuietly(tombstone)
+	return stale
+}
+
+/**
+ * Runs the function while holding the guard of the lock file: the guard is created exclusively,
+ * the guard of a dead process or older than 5 seconds is removed as stale, see removeStaleGuard().
+ * @template T
+ * @throws {LockTimeoutError} If the guard is not acquired before the deadline.
+ * @param {string} path The lock file path.
+ * @param {number} deadline The deadline time in milliseconds.
+ * @param {number} retry The delay between the attempts in milliseconds.
+ * @param {() => Promise<T>} fn The function.
+ * @returns {Promise<T>} The function result.
+ */
+async function guarded(path, deadline, retry, fn) {
+	const guard = path + ".guard"
+	const token = `${process.pid}:${randomBytes(6).toString("hex")}`
+	await mkdir(dirname(path), { recursive: true })
+	for (; ;) {
+		if (await createGuard(guard, token)) break
+		const held = await readFile(guard, "utf-8").catch(() => null)
+		if (null === held) continue
+		const pid = Number.parseInt(held, 10) || 0
+		const { mtimeMs } = await stat(guard).catch(() => ({ mtimeMs: Date.now() }))
+		if ((pid > 0 && !isProcessAlive(pid)) || Date.now() - mtimeMs > GUARD_STALE) {
+			await removeStaleGuard(guard, held)
+			continue
+		}
+		if (Date.now() >= deadline) {
+			throw new LockTimeoutError(`Lock file is busy: ${path}`, { operation: "lock" })
+		}
+		await sleep(retry)
+	}
+	try {
+		return await fn()
+	} finally {
+		await removeQuietly(guard)
+	}
+}
+
+/**
+ * Writes the holders into the lock file atomically, removes the file without holders.
+ * @param {string} path The lock file path.
+ * @param {LockHolder[]} holders The holders.
+ * @returns {Promise<void>}
+ */
+async function writeLockHolders(path, holders) {
+	if (holders.length) {
+		const temp = tempPathFor(path)
+		await writeFile(temp, JSON.stringify(holders))
+		await commitFile(temp, path)
+	} else {
+		await removeQuietly(path)
+	}
+}
+
+/**
+ * The acquired advisory lock, release it when the operation completes.
+ */
+export class FileLock {
+	/**
+	 * The lock id.
+	 * @type {string}
+	 */
+	id
+	/**
+	 * The lock file path.
+	 * @type {string}
+	 */
+	path
+	/**
+	 * The locked document URI.
+	 * @type {string}
+	 */
+	uri
+	/**
+	 * True for the shared (read) lock.
+	 * @type {boolean}
+	 */
+	shared
+	/** @type {boolean} */
+	released = false
+	/**
+	 * Called once on release.
+	 * @type {(lock: FileLock) => void}
+	 */
+	onRelease
+	/**
+	 * @param {object} input
+	 * @param {string} input.id
+	 * @param {string} input.path
+	 * @param {string} [input.uri=""]
+	 * @param {boolean} [input.shared=false]
+	 * @param {(lock: FileLock) => void} [input.onRelease]
+	 */
+	constructor(input) {
+		const { id, path, uri = "", shared = false, onRelease = () => { } } = input
+		this.id = String(id)
+		this.path = String(path)
+		this.uri = String(uri)
+		this.shared = Boolean(shared)
+		this.onRelease = onRelease
+	}
+	/**
+	 * Releases the lock, repeated calls are ignored.
+	 * @returns {Promise<void>}
+	 */
+	async release() {
+		if (this.released) return
+		this.released = true
+		this.onRelease(this)
+		await guarded(this.path, Infinity, 10, async () => {
+			const holders = await readLockHolders(this.path)
+			await writeLockHolders(this.path, holders.filter(h => h.id !== this.id))
+		})
+	}
+}
+
+/**
+ * Acquires the advisory lock: any number of shared locks or one exclusive lock.
+ * The lock file keeps the holders with their process ids, the locks of the dead processes are stale
+ * and ignored. The locks are not reentrant, the same process waits for its own locks too.
+ * @throws {LockTimeoutError} If the lock is not acquired in time.
+ * @param {string} path The lock file path.
+ * @param {{ shared?: boolean, timeout?: number, retry?: number, uri?: string, onRelease?: (lock: FileLock) => void }} [options]
+ * The timeout and the delay between the attempts are in milliseconds, 0 timeout for a single attempt.
+ * @returns {Promise<FileLock>} The acquired lock.
+ */
+export async function acquireLock(path, { shared = false, timeout = LOCK_TIMEOUT, retry = 20, uri = "", onRelease } = {}) {
+	const deadline = Date.now() + timeout
+	const id = randomBytes(8).toString("hex")
+	for (; ;) {
+		const acquired = await guarded(path, deadline, retry, async () => {
+			const holders = await readLockHolders(path)
+			if (holders.length && (!shared || holders.some(h => !h.shared))) return false
+			holders.push({ id, pid: process.pid, shared, time: Date.now() })
+			await writeLockHolders(path, holders)
+			return true
+		})
+		if (acquired) return new FileLock({ id, path, uri, shared, onRelease })
+		if (Date.now() >= deadline) {
+			throw new LockTimeoutError(
+				`Cannot ${shared ? "share" : "lock"} "${uri || path}" in ${timeout}ms, it is locked by another holder`,
+				{ uri, operation: "lock", timeout },
+			)
+		}
+		await sleep(retry)
+	}
+}
@@ -0,0 +1,225 @@
+import { suite, it, beforeEach, afterEach } from "node:test"
+import assert from "node:assert/strict"
+import { mkdir, mkdtemp, readdir, readFile, rm, utimes, writeFile } from "node:fs/promises"
+import { existsSync } from "node:fs"
+import { spawn } from "node:child_process"
+import { once } from "node:events"
+import { tmpdir } from "node:os"
+import path from "node:path"
+import { acquireLock, isLockPath, readLockHolders } from "./lock.js"
+import { LockTimeoutError } from "./errors.js"
+import { useTmpDB } from "./tmpdb.helper.js"
+
+/** The process id that is not running. */
+const DEAD_PID = 2 ** 22 + 1
+
+/**
+ * @desc Tests the advisory lock files.
+ */
+suite("Lock tests", () => {
+	/** @type {string} */
+	let tmp
+	/** @type {string} */
+	let file
+
+	beforeEach(async () => {
+		tmp = await mkdtemp(path.join(tmpdir(), "dbfs-lock-"))
+		file = path.join(tmp, ".locks", "a.json.lock")
+	})
+
+	afterEach(async () => {
+		await rm(tmp, { recursive: true, force: true })
+	})
+
+	it("should detect the lock paths", () => {
+		assert.ok(isLockPath(".locks"))
+		assert.ok(isLockPath(".locks/a.json.lock"))
+		assert.ok(!isLockPath(".locksmith"))
+		assert.ok(!isLockPath("users/.locks"))
+	})
+
+	it("should hold one exclusive lock", async () => {
+		const lock = await acquireLock(file, { uri: "a.json" })
+		const holders = await readLockHolders(file)
+		assert.deepStrictEqual(holders.map(h => [h.id, h.pid, h.shared]), [[lock.id, process.pid, false]])
+		await assert.rejects(() => acquireLock(file, { uri: "a.json", timeout: 50 }), (err) => {
+			assert.ok(err instanceof LockTimeoutError)
+			assert.strictEqual(err.uri, "a.json")
+			assert.strictEqual(err.timeout, 50)
+			return true
+		})
+		await assert.rejects(() => acquireLock(file, { shared: true, timeout: 0 }), LockTimeoutError)
+		await lock.release()
+		await lock.release()
+		assert.ok(!existsSync(file))
+		await (await acquireLock(file, { timeout: 0 })).release()
+	})
+
+	it("should share the lock between the readers", async () => {
+		const a = await acquireLock(file, { shared: true })
+		const b = await acquireLock(file, { shared: true, timeout: 0 })
+		assert.strictEqual((await readLockHolders(file)).length, 2)
+		await assert.rejects(() => acquireLock(file, { timeout: 0 }), LockTimeoutError)
+		const waiting = acquireLock(file, { timeout: 1_000, retry: 5 })
+		await a.release()
+		await b.release()
+		const lock = await waiting
+		assert.strictEqual(lock.shared, false)
+		await lock.release()
+	})
+
+	it("should ignore the stale locks of the dead processes", async () => {
+		await mkdir(path.dirname(file), { recursive: true })
+		await writeFile(file, JSON.stringify([{ id: "dead", pid: DEAD_PID, shared: false, time: 0 }]))
+		await writeFile(file + ".guard", String(DEAD_PID))
+		const lock = await acquireLock(file, { timeout: 0 })
+		const holders = JSON.parse(await readFile(file, "utf-8"))
+		assert.deepStrictEqual(holders.map(h => h.id), [lock.id])
+		assert.ok(!existsSync(file + ".guard"))
+		await lock.release()
+	})
+
+	it("should take over the stale guard once when the lockers race for it", async () => {
+		await mkdir(path.dirname(file), { recursive: true })
+		await writeFile(file + ".guard", `${DEAD_PID}:stale`)
+		const locks = await Promise.all(Array.from({ length: 8 }, () => acquireLock(file, { shared: true, timeout: 1_000, retry: 5 })))
+		const holders = await readLockHolders(file)
+		assert.deepStrictEqual(holders.map(h => h.id).sort(), locks.map(l => l.id).sort())
+		assert.deepStrictEqual(await readdir(path.dirname(file)), ["a.json.lock"])
+		await Promise.all(locks.map(l => l.release()))
+		assert.deepStrictEqual(await readdir(path.dirname(file)), [])
+	})
+
+	it("should remove the guard older than 5 seconds of a live process", async () => {
+		await mkdir(path.dirname(file), { recursive: true })
+		await writeFile(file + ".guard", `${process.pid}:old`)
+		const old = new Date(Date.now() - 10_000)
+		await utimes(file + ".guard", old, old)
+		const lock = await acquireLock(file, { timeout: 0 })
+		assert.deepStrictEqual((await readLockHolders(file)).map(h => h.id), [lock.id])
+		await lock.release()
+	})
+
+	it("should lock across the processes and detect the lock of the killed process", async () => {
+		const script = `
+			const { acquireLock } = await import(${JSON.stringify(new URL("./lock.js", import.meta.url).href)})
+			await acquireLock(${JSON.stringify(file)})
+			console.log("locked")
+			setInterval(() => { }, 1_000)
+		`
+		const child = spawn(process.execPath, ["--input-type=module", "-e", script], { stdio: ["ignore", "pipe", "inherit"] })
+		try {
+			const [chunk] = await once(child.stdout, "data")
+			assert.strictEqual(String(chunk).trim(), "locked")
+			assert.deepStrictEqual((await readLockHolders(file)).map(h => h.pid), [child.pid])
+			await assert.rejects(() => acquireLock(file, { shared: true, timeout: 50 }), LockTimeoutError)
+		} finally {
+			child.kill()
+			await once(child, "exit")
+		}
+		const lock = await acquireLock(file, { timeout: 0 })
+		assert.deepStrictEqual((await readLockHolders(file)).map(h => h.pid), [process.pid])
+		await lock.release()
+	})
+
+	it("should call onRelease once", async () => {
+		/** @type {string[]} */
+		const released = []
+		const lock = await acquireLock(file, { onRelease: l => released.push(l.id) })
+		await lock.release()
+		await lock.release()
+		assert.deepStrictEqual(released, [lock.id])
+	})
+})
+
+/**
+ * @desc Tests the advisory locks of the documents.
+ */
+suite("Document locking tests", () => {
+	const tmp = useTmpDB("dbfs-lock-")
+
+	it("should share the lock between the readers and lock out the writers", async () => {
+		const db = tmp.open()
+		const a = await db.lock("a.json", { shared: true })
+		const b = await db.lock("a.json", { shared: true, timeout: 0 })
+		await assert.rejects(() => db.lock("a.json", { timeout: 0 }), LockTimeoutError)
+		await a.release()
+		await b.release()
+		const lock = await db.lock("a.json", { timeout: 0 })
+		await assert.rejects(() => db.lock("a.json", { shared: true, timeout: 20 }), LockTimeoutError)
+		await lock.release()
+		assert.deepStrictEqual((await db.listDir(".")).map(e => e.name), [])
+		await assert.rejects(() => db.lock("../outside.json"))
+	})
+
+	it("should lock the writes automatically in locking mode", async () => {
+		const db = tmp.open({ locking: { timeout: 50 } })
+		const other = tmp.open()
+		assert.deepStrictEqual(db.locking, { timeout: 50 })
+		const lock = await other.lock("a.json")
+		await assert.rejects(() => db.saveDocument("a.json", { a: 1 }), LockTimeoutError)
+		await assert.rejects(() => db.writeDocument("a.json", "{}"), LockTimeoutError)
+		await assert.rejects(() => db.dropDocument("a.json"), LockTimeoutError)
+		await lock.release()
+		assert.ok(await db.saveDocument("a.json", { a: 1 }))
+		assert.ok(await db.appendRecord("log.jsonl", { a: 1 }))
+		assert.ok(await db.dropDocument("a.json"))
+		assert.deepStrictEqual(await readdir(tmp.path(".locks")), [])
+	})
+
+	it("should lock the moves, the copies and the transaction commits", async () => {
+		const db = tmp.open({ locking: { timeout: 50 } })
+		const other = tmp.open()
+		await db.saveDocument("a.json", { a: 1 })
+		await db.saveDocument("b.json", { b: 1 })
+		const source = await other.lock("a.json")
+		await assert.rejects(() => db.moveDocument("a.json", "c.json"), LockTimeoutError)
+		await source.release()
+		const target = await other.lock("c.json")
+		await assert.rejects(() => db.moveDocument("a.json", "c.json"), LockTimeoutError)
+		await assert.rejects(() => db.copyDocument("a.json", "c.json"), LockTimeoutError)
+		await assert.rejects(() => db.transaction(async tx => {
+			await tx.saveDocument("b.json", { b: 2 })
+			await tx.saveDocument("c.json", { c: 1 })
+		}), LockTimeoutError)
+		await target.release()
+		assert.deepStrictEqual((await readdir(tmp.path())).sort(), [".locks", "a.json", "b.json"])
+		assert.deepStrictEqual(await db.loadDocument("a.json"), { a: 1 })
+		assert.deepStrictEqual(await db.loadDocument("b.json"), { b: 1 })
+		assert.ok(!(await db.statDocument("c.json")).exists)
+		assert.ok(await db.moveDocument("a.json", "c.json"))
+		assert.ok(await db.copyDocument("c.json", "a.json"))
+		await db.transaction(async tx => {
+			await tx.saveDocument("b.json", { b: 2 })
+			await tx.saveDocument("c.json", { c: 1 })
+		})
+		assert.deepStrictEqual(await db.loadDocument("c.json"), { c: 1 })
+		assert.deepStrictEqual(await readdir(tmp.path(".locks")), [])
+	})
+
+	it("should update the indexes of the appended records under the lock", async () => {
+		const db = tmp.open({ locking: true })
+		/** @type {string[][]} */
+		const held = []
+		const update = db._updateIndexes.bind(db)
+		db._updateIndexes = async (file) => {
+			held.push(await readdir(tmp.path(".locks")))
+			return await update(file)
+		}
+		assert.ok(await db.appendRecord("log.jsonl", { a: 1 }))
+		assert.deepStrictEqual(held, [["log.jsonl.lock"]])
+	})
+
+	it("should not wait for the exclusive lock held by the same instance", async () => {
+		const db = tmp.open({ locking: true })
+		const lock = await db.lock("counter.json")
+		try {
+			const { hits = 0 } = await db.loadDocument("counter.json", {})
+			assert.ok(await db.saveDocument("counter.json", { hits: hits + 1 }))
+		} finally {
+			await lock.release()
+		}
+		assert.deepStrictEqual(await db.loadDocument("counter.json"), { hits: 1 })
+		assert.strictEqual(db._locks.size, 0)
+	})
+})
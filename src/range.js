@@ -0,0 +1,28 @@
+/**
+ * Parses the HTTP Range header (single bytes range) for the document of the given size.
+ * The result is inclusive, as the `start` and `end` options of createReadStream().
+ * Multiple ranges and invalid headers are ignored (null), the whole document is served then.
+ * @throws {RangeError} If the range is not satisfiable (HTTP 416).
+ * @param {string | undefined | null} header The Range header value, e.g. "bytes=0-499".
+ * @param {number} size The document size in bytes.
+ * @returns {{ start: number, end: number } | null} The byte range or null for the whole document.
+ */
+export function parseRange(header, size) {
+	const match = /^\s*bytes\s*=\s*(\d*)\s*-\s*(\d*)\s*$/i.exec(String(header ?? ""))
+	if (!match || ("" === match[1] && "" === match[2])) return null
+	let start
+	let end
+	if ("" === match[1]) {
+		const suffix = Number(match[2])
+		start = Math.max(0, size - suffix)
+		end = size - 1
+		if (0 === suffix) start = size
+	} else {
+		start = Number(match[1])
+		end = "" === match[2] ? size - 1 : Math.min(Number(match[2]), size - 1)
+	}
+	if (start >= size || start > end) {
+		throw new RangeError(`Range not satisfiable: ${header} for ${size} bytes`)
+	}
+	return { start, end }
+}
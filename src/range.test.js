@@ -0,0 +1,38 @@
+import { suite, it } from "node:test"
+import assert from "node:assert/strict"
+import { parseRange } from "./range.js"
+
+/**
+ * @desc Tests the HTTP Range header parsing.
+ */
+suite("parseRange()", () => {
+	it("should parse the closed range", () => {
+		assert.deepStrictEqual(parseRange("bytes=0-499", 1000), { start: 0, end: 499 })
+	})
+
+	it("should parse the open range", () => {
+		assert.deepStrictEqual(parseRange("bytes=500-", 1000), { start: 500, end: 999 })
+	})
+
+	it("should parse the suffix range", () => {
+		assert.deepStrictEqual(parseRange("bytes=-100", 1000), { start: 900, end: 999 })
+		assert.deepStrictEqual(parseRange("bytes=-5000", 1000), { start: 0, end: 999 })
+	})
+
+	it("should clamp the end to the size", () => {
+		assert.deepStrictEqual(parseRange("bytes=900-5000", 1000), { start: 900, end: 999 })
+	})
+
+	it("should ignore missing, invalid and multiple ranges", () => {
+		assert.strictEqual(parseRange(undefined, 1000), null)
+		assert.strictEqual(parseRange("items=0-1", 1000), null)
+		assert.strictEqual(parseRange("bytes=0-1,5-6", 1000), null)
+		assert.strictEqual(parseRange("bytes=-", 1000), null)
+	})
+
+	it("should throw for not satisfiable ranges", () => {
+		assert.throws(() => parseRange("bytes=1000-", 1000), RangeError)
+		assert.throws(() => parseRange("bytes=5-1", 1000), RangeError)
+		assert.throws(() => parseRange("bytes=-0", 1000), RangeError)
+	})
+})
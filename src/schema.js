@@ -0,0 +1,216 @@
+import { globToRegExp } from "./glob.js"
+
+/**
+ * The types of the `type` keyword.
+ * @type {string[]}
+ */
+export const SCHEMA_TYPES = ["string", "number", "integer", "boolean", "object", "array", "null"]
+
+/**
+ * @typedef {object} SchemaIssue
+ * @property {string} path The path of the invalid field, e.g. "address.city" or "tags[1]", "" for the document.
+ * @property {string} keyword The failed keyword, e.g. "required".
+ * @property {string} message The human readable message, e.g. "must be >= 0".
+ */
+
+/**
+ * @typedef {(document: any, uri: string) => SchemaIssue[] | Promise<SchemaIssue[]>} SchemaValidator
+ * The custom validator, returns the issues, an empty array for the valid document.
+ */
+
+/**
+ * @typedef {object} Schema
+ * The JSON Schema subset of the built-in validator.
+ * @property {string | string[]} [type] The allowed type(s), see SCHEMA_TYPES.
+ * @property {any[]} [enum] The allowed values.
+ * @property {string[]} [required] The required properties of the object.
+ * @property {Record<string, Schema>} [properties] The schemas of the object properties.
+ * @property {boolean | Schema} [additionalProperties] False to forbid the other properties, or their schema.
+ * @property {Schema} [items] The schema of the array items.
+ * @property {number} [minimum] The minimal number.
+ * @property {number} [maximum] The maximal number.
+ * @property {number} [minLength] The minimal string length.
+ * @property {number} [maxLength] The maximal string length.
+ * @property {number} [minItems] The minimal array length.
+ * @property {number} [maxItems] The maximal array length.
+ * @property {string} [pattern] The regular expression the string must match.
+ */
+
+/**
+ * Returns the schema type of the value.
+ * @param {any} value The value.
+ * @returns {string} The type, "integer" for the integer numbers, "number" for the others.
+ */
+export function typeOf(value) {
+	if (null === value) return "null"
+	if (Array.isArray(value)) return "array"
+	if (Number.isInteger(value)) return "integer"
+	return typeof value
+}
+
+/**
+ * Joins the field path with the property name or the array index.
+ * @param {string} path The parent path.
+ * @param {string | number} key The property name or the index.
+ * @returns {string} The path.
+ */
+function fieldPath(path, key) {
+	if ("number" === typeof key) return `${path}[${key}]`
+	return path ? `${path}.${key}` : key
+}
+
+/**
+ * Validates the value with the built-in JSON Schema subset: type, enum, required, properties,
+ * additionalProperties, items, minimum, maximum, minLength, maxLength, minItems, maxItems, pattern.
+ * The other keywords are ignored.
+ * ```js
+ * validateSchema({ type: "object", required: ["name"], properties: { age: { type: "integer", minimum: 0 } } }, { age: -1 })
+ * // [{ path: "name", keyword: "required", ... }, { path: "age", keyword: "minimum", message: "must be >= 0" }]
+ * ```
+ * @param {Schema} schema The schema.
+ * @param {any} value The value.
+ * @param {string} [path=""] The path of the value.
+ * @returns {SchemaIssue[]} The issues, an empty array for the valid value.
+ */
+export function validateSchema(schema, value, path = "") {
+	/** @type {SchemaIssue[]} */
+	const issues = []
+	const fail = (/** @type {string} */ keyword, /** @type {string} */ message, at = path) => {
+		issues.push({ path: at, keyword, message })
+	}
+	const type = typeOf(value)
+	if (undefined !== schema.type) {
+		const types = Array.isArray(schema.type) ? schema.type : [schema.type]
+		const matches = types.includes(type) || ("integer" === type && types.includes("number"))
+		if (!matches) {
+			fail("type", `must be ${types.join(" or ")}, got ${type}`)
+			return issues
+		}
+	}
+	if (schema.enum && !schema.enum.some(item => JSON.stringify(item) === JSON.stringify(value))) {
+		fail("enum", `must be one of: ${schema.enum.map(item => JSON.stringify(item)).join(", ")}`)
+	}
+	if ("number" === type || "integer" === type) {
+		if (undefined !== schema.minimum && value < schema.minimum) fail("minimum", `must be >= ${schema.minimum}`)
+		if (undefined !== schema.maximum && value > schema.maximum) fail("maximum", `must be <= ${schema.maximum}`)
+	}
+	if ("string" === type) {
+		const length = Array.from(value).length
+		if (undefined !== schema.minLength && length < schema.minLength) {
+			fail("minLength", `must be at least ${schema.minLength} characters`)
+		}
+		if (undefined !== schema.maxLength && length > schema.maxLength) {
+			fail("maxLength", `must be at most ${schema.maxLength} characters`)
+		}
+		if (undefined !== schema.pattern && !new RegExp(schema.pattern, "u").test(value)) {
+			fail("pattern", `must match ${schema.pattern}`)
+		}
+	}
+	if ("array" === type) {
+		if (undefined !== schema.minItems && value.length < schema.minItems) {
+			fail("minItems", `must have at least ${schema.minItems} items`)
+		}
+		if (undefined !== schema.maxItems && value.length > schema.maxItems) {
+			fail("maxItems", `must have at most ${schema.maxItems} items`)
+		}
+		if (schema.items) {
+			value.forEach((/** @type {any} */ item, /** @type {number} */ i) => {
+				issues.push(...validateSchema(/** @type {Schema} */ (schema.items), item, fieldPath(path, i)))
+			})
+		}
+	}
+	if ("object" === type) {
+		for (const name of schema.required ?? []) {
+			if (!Object.hasOwn(value, name)) fail("required", "is required", fieldPath(path, name))
+		}
+		const properties = schema.properties ?? {}
+		for (const [name, item] of Object.entries(value)) {
+			if (Object.hasOwn(properties, name)) {
+				issues.push(...validateSchema(properties[name], item, fieldPath(path, name)))
+			} else if (false === schema.additionalProperties) {
+				fail("additionalProperties", "is not allowed", fieldPath(path, name))
+			} else if ("object" === typeof schema.additionalProperties) {
+				issues.push(...validateSchema(schema.additionalProperties, item, fieldPath(path, name)))
+			}
+		}
+	}
+	return issues
+}
+
+/**
+ * Formats the issues for the error message: `name is required, age must be >= 0`.
+ * @param {SchemaIssue[]} issues The issues.
+ * @returns {string} The formatted issues.
+ */
+export function formatIssues(issues) {
+	return issues.map(issue => `${issue.path || "document"} ${issue.message}`).join(", ")
+}
+
+/**
+ * The schema of the documents matching the glob patterns.
+ */
+export class SchemaRule {
+	/**
+	 * The glob patterns of the validated documents, relative to the root.
+	 * @type {string[]}
+	 */
+	patterns
+	/** @type {RegExp[]} */
+	regexps
+	/**
+	 * The schema for the built-in validator or the custom validator.
+	 * @type {Schema | SchemaValidator}
+	 */
+	schema
+	/**
+	 * Validate the loaded documents too, not only the saved ones.
+	 * @type {boolean}
+	 */
+	onLoad
+	/**
+	 * @param {object} input
+	 * @param {string | string[]} input.pattern The glob pattern(s), e.g. "users/*.json".
+	 * @param {Schema | SchemaValidator} input.schema The schema or the custom validator.
+	 * @param {boolean} [input.onLoad=false] Validate the loaded documents too.
+	 */
+	constructor(input) {
+		const { pattern = [], schema, onLoad = false } = input
+		this.patterns = Array.isArray(pattern) ? pattern : [pattern]
+		if (!this.patterns.length) {
+			throw new TypeError("Schema rule must have at least one pattern")
+		}
+		if (!schema || !["object", "function"].includes(typeof schema)) {
+			throw new TypeError("Schema rule must have a schema object or a validator function")
+		}
+		this.regexps = this.patterns.map(p => globToRegExp(p))
+		this.schema = schema
+		this.onLoad = Boolean(onLoad)
+	}
+	/**
+	 * Checks whether the rule applies to the path.
+	 * @param {string} path The path relative to the root.
+	 * @returns {boolean} True if the rule applies.
+	 */
+	applies(path) {
+		return this.regexps.some(re => re.test(path))
+	}
+	/**
+	 * Validates the document.
+	 * @param {any} document The document.
+	 * @param {string} uri The document URI.
+	 * @returns {Promise<SchemaIssue[]>} The issues, an empty array for the valid document.
+	 */
+	async validate(document, uri) {
+		if ("function" === typeof this.schema) return await this.schema(document, uri)
+		return validateSchema(this.schema, document)
+	}
+	/**
+	 * Creates a SchemaRule instance from input parameters.
+	 * @param {object} input The rule or its options.
+	 * @returns {SchemaRule}
+	 */
+	static from(input) {
+		if (input instanceof SchemaRule) return input
+		return new SchemaRule(/** @type {any} */ (input))
+	}
+}
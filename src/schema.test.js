@@ -0,0 +1,141 @@
+import { suite, it, beforeEach } from "node:test"
+import assert from "node:assert/strict"
+import { mkdir, writeFile } from "node:fs/promises"
+import { ValidationError } from "./errors.js"
+import { SchemaRule, formatIssues, typeOf, validateSchema } from "./schema.js"
+import { useTmpDB } from "./tmpdb.helper.js"
+
+/** The schema of the user documents. */
+const USER = {
+	type: "object",
+	required: ["name", "email"],
+	additionalProperties: false,
+	properties: {
+		name: { type: "string", minLength: 1, maxLength: 20 },
+		email: { type: "string", pattern: "^[^@]+@[^@]+$" },
+		age: { type: "integer", minimum: 0, maximum: 150 },
+		role: { enum: ["admin", "user"] },
+		tags: { type: "array", maxItems: 2, items: { type: "string" } },
+		address: { type: "object", properties: { city: { type: ["string", "null"] } } },
+	},
+}
+
+/**
+ * @desc Tests the built-in schema validator and the schema rules.
+ */
+suite("Schema tests", () => {
+	it("should return the schema types", () => {
+		assert.deepStrictEqual([null, [], 1, 1.5, "a", true, {}].map(typeOf), ["null", "array", "integer", "number", "string", "boolean", "object"])
+	})
+
+	it("should accept the valid document", () => {
+		const user = { name: "Ivan", email: "ivan@example.com", age: 30, role: "admin", tags: ["a"], address: { city: null } }
+		assert.deepStrictEqual(validateSchema(USER, user), [])
+		assert.deepStrictEqual(validateSchema({ type: "number" }, 3), [])
+	})
+
+	it("should report the field-level errors", () => {
+		const user = { name: "", email: "nope", age: -1.5, role: "root", tags: ["a", 2, "c"], address: { city: 1 }, extra: true }
+		const issues = validateSchema(USER, user)
+		assert.deepStrictEqual(issues.map(issue => [issue.path, issue.keyword]), [
+			["name", "minLength"],
+			["email", "pattern"],
+			["age", "type"],
+			["role", "enum"],
+			["tags", "maxItems"],
+			["tags[1]", "type"],
+			["address.city", "type"],
+			["extra", "additionalProperties"],
+		])
+		assert.strictEqual(issues[2].message, "must be integer, got number")
+		assert.deepStrictEqual(validateSchema(USER, { name: "Ivan" }).map(issue => issue.path), ["email"])
+		assert.deepStrictEqual(validateSchema(USER, []).map(issue => issue.message), ["must be object, got array"])
+	})
+
+	it("should check the limits", () => {
+		assert.deepStrictEqual(validateSchema({ minimum: 1, maximum: 2 }, 3).map(issue => issue.message), ["must be <= 2"])
+		assert.deepStrictEqual(validateSchema({ minItems: 1 }, []).map(issue => issue.keyword), ["minItems"])
+		assert.deepStrictEqual(validateSchema({ maxLength: 2 }, "ії"), [])
+	})
+
+	it("should format the issues", () => {
+		const issues = validateSchema(USER, { name: "Ivan", age: -1 })
+		assert.strictEqual(formatIssues(issues), "email is required, age must be >= 0")
+		assert.strictEqual(formatIssues(validateSchema({ type: "object" }, 1)), "document must be object, got integer")
+	})
+
+	it("should match the rules by glob and run the custom validators", async () => {
+		const rule = new SchemaRule({ pattern: "users/*.json", schema: USER })
+		assert.ok(rule.applies("users/ivan.json"))
+		assert.ok(!rule.applies("users/ivan.yaml"))
+		assert.strictEqual(rule.onLoad, false)
+		const custom = SchemaRule.from({
+			pattern: ["settings.json", "settings.yaml"],
+			schema: (/** @type {any} */ doc, /** @type {string} */ uri) => doc.theme ? [] : [{ path: "theme", keyword: "custom", message: `is missing in ${uri}` }],
+			onLoad: true,
+		})
+		assert.ok(custom.applies("settings.yaml"))
+		assert.deepStrictEqual(await custom.validate({}, "settings.json"), [{ path: "theme", keyword: "custom", message: "is missing in settings.json" }])
+		assert.strictEqual(SchemaRule.from(rule), rule)
+		assert.throws(() => new SchemaRule({ pattern: [], schema: USER }), TypeError)
+		assert.throws(() => new SchemaRule({ pattern: "a.json", schema: "nope" }), TypeError)
+	})
+})
+
+/**
+ * @desc Tests the schema validation of the saved and the loaded documents.
+ */
+suite("Document schema validation tests", () => {
+	const tmp = useTmpDB("dbfs-schema-")
+	/** @type {import("./DBFS.js").default} */
+	let db
+
+	beforeEach(async () => {
+		db = tmp.open({
+			compress: { "archive/": "gzip" },
+			schemas: [{ pattern: ["users/*.json", "archive/users/*.json"], schema: { type: "object", required: ["name"] } }],
+		})
+		db.registerSchema("users/*.json", {
+			type: "object",
+			properties: { age: { type: "integer", minimum: 0 } },
+		}, { onLoad: true })
+	})
+
+	it("should reject the invalid document before save with the field-level errors", async () => {
+		await assert.rejects(() => db.saveDocument("users/ivan.json", { age: -1 }), (err) => {
+			assert.ok(err instanceof ValidationError)
+			assert.strictEqual(err.uri, "users/ivan.json")
+			assert.strictEqual(err.operation, "saveDocument")
+			assert.deepStrictEqual(err.errors.map(e => [e.path, e.keyword]), [["name", "required"], ["age", "minimum"]])
+			assert.match(err.message, /name is required, age must be >= 0/)
+			return true
+		})
+		assert.strictEqual(await db.loadDocument("users/ivan.json", null), null)
+		assert.ok(await db.saveDocument("users/ivan.json", { name: "Ivan", age: 30 }))
+		assert.ok(await db.saveDocument("notes/free.json", { any: "thing" }))
+		await assert.rejects(() => db.saveDocument("archive/users/old.json", {}), ValidationError)
+		assert.deepStrictEqual(await db.validateDocument("users/ivan.json", { name: 1 }), [])
+		assert.strictEqual((await db.validateDocument("users/ivan.json", {})).length, 1)
+	})
+
+	it("should validate the loaded documents with onLoad", async () => {
+		await mkdir(tmp.path("users"), { recursive: true })
+		await writeFile(tmp.path("users", "bad.json"), JSON.stringify({ name: "Bad", age: 1.5 }))
+		await assert.rejects(() => db.loadDocument("users/bad.json"), (err) => {
+			assert.ok(err instanceof ValidationError)
+			assert.strictEqual(err.operation, "loadDocument")
+			assert.deepStrictEqual(err.errors.map(e => e.path), ["age"])
+			return true
+		})
+		await writeFile(tmp.path("users", "nameless.json"), JSON.stringify({ age: 1 }))
+		assert.deepStrictEqual(await db.loadDocument("users/nameless.json"), { age: 1 })
+	})
+
+	it("should validate the documents saved in the transaction", async () => {
+		await assert.rejects(() => db.transaction(async (tx) => {
+			await tx.saveDocument("notes/a.json", { ok: true })
+			await tx.saveDocument("users/a.json", { age: 1 })
+		}), ValidationError)
+		assert.strictEqual(await db.loadDocument("notes/a.json", null), null)
+	})
+})
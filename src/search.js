@@ -0,0 +1,329 @@
+import { ShardedIndex } from "./shards.js"
+
+/**
+ * The hidden directory inside of the root with the full-text search index, a JSON shard per directory
+ * of the searched documents, the search index is built when the directory exists.
+ * @type {string}
+ */
+export const SEARCH_DIR = ".search"
+
+/**
+ * The single file of the search index of the older versions inside of the search directory,
+ * replaced by the shards on the next save.
+ * @type {string}
+ */
+export const SEARCH_INDEX = "index.json"
+
+/**
+ * The extensions of the searched documents, the compressed ones are searched by the inner extension.
+ * @type {string[]}
+ */
+export const SEARCHED_EXTENSIONS = [".md", ".markdown", ".txt"]
+
+/**
+ * Checks whether the path (relative to the root) is inside of the search index directory.
+ * @param {string} path The path relative to the root.
+ * @returns {boolean} True for the search index paths.
+ */
+export function isSearchPath(path) {
+	return path === SEARCH_DIR || path.startsWith(SEARCH_DIR + "/")
+}
+
+/**
+ * The letters without the combining marks folded explicitly.
+ * @type {Record<string, string>}
+ */
+const FOLDED = { "ґ": "г", "ß": "ss", "æ": "ae", "œ": "oe", "ø": "o", "ł": "l", "đ": "d" }
+
+/**
+ * The words (with the apostrophes inside) of any script.
+ * @type {RegExp}
+ */
+const WORD = /[\p{L}\p{N}]+(?:['’ʼ][\p{L}\p{N}]+)*/gu
+
+/**
+ * The endings stripped by the stemmer in the folded form, the longest first.
+ * @type {{ latin: string[], cyrillic: string[] }}
+ */
+const ENDINGS = {
+	latin: ["ingly", "edly", "ness", "ing", "ies", "ied", "ed", "es", "ly", "s", "y"],
+	cyrillic: [
+		"ями", "ами", "ого", "ому", "ему", "ими", "ях", "ах", "ів", "ою", "ею", "ии", "іи", "оі", "ом", "ем",
+		"ам", "ям", "ые", "ых", "ая", "ы", "и", "і", "а", "я", "у", "ю", "о", "е", "ь",
+	],
+}
+
+/**
+ * The minimal length of the stem.
+ * @type {number}
+ */
+const MIN_STEM = 3
+
+/**
+ * Lowercases the word and folds the diacritics: "Café" is "cafe", "Їжак" is "іжак", "ґанок" is "ганок",
+ * the apostrophes are removed: "м'ята" is "мята".
+ * @param {string} word The word.
+ * @returns {string} The normalized word.
+ */
+export function normalize(word) {
+	return word.toLowerCase()
+		.normalize("NFD")
+		.replace(/\p{M}/gu, "")
+		.replace(/['’ʼ]/g, "")
+		.replace(/[ґßæœøłđ]/g, char => FOLDED[char])
+}
+
+/**
+ * The stop words skipped by the index and the queries, English and Ukrainian.
+ * @type {Set<string>}
+ */
+export const STOP_WORDS = new Set([
+	"a", "an", "and", "are", "as", "at", "be", "but", "by", "for", "from", "has", "have", "in", "is", "it", "its",
+	"of", "on", "or", "that", "the", "this", "to", "was", "were", "will", "with",
+	"і", "й", "та", "але", "або", "в", "у", "на", "з", "із", "зі", "до", "за", "по", "від", "для", "як", "що",
+	"це", "не", "ні", "же", "ж", "чи", "би", "б", "а", "о", "об", "при", "про", "під", "над", "між", "його",
+	"її", "їх", "він", "вона", "воно", "вони", "ми", "ви", "я", "ти", "так", "вже", "ще", "коли", "де",
+].map(normalize))
+
+/**
+ * Reduces the normalized word to its stem by stripping the common English and Ukrainian endings,
+ * the stem keeps at least 3 letters: "running" is "run", "документами" is "документ".
+ * @param {string} word The normalized word.
+ * @returns {string} The stem.
+ */
+export function stem(word) {
+	const cyrillic = /\p{Script=Cyrillic}/u.test(word)
+	for (const ending of cyrillic ? ENDINGS.cyrillic : ENDINGS.latin) {
+		if (!word.endsWith(ending) || word.length - ending.length < MIN_STEM) continue
+		// "files" loses only the "s", "boxes" and "wishes" lose the "es"
+		if ("es" === ending && !/(s|x|z|ch|sh)es$/.test(word)) return word.slice(0, -1)
+		let result = word.slice(0, -ending.length)
+		// "running" and "stopped" lose the doubled consonant
+		if (!cyrillic && /^(ing|ed)$/.test(ending) && /([^aeiou])\1$/.test(result) && result.length > MIN_STEM) {
+			result = result.slice(0, -1)
+		}
+		return result
+	}
+	return word
+}
+
+/**
+ * @typedef {object} Token
+ * @property {string} word The word as it is in the text.
+ * @property {string} term The normalized stem of the word.
+ * @property {number} index The position of the word in the text.
+ */
+
+/**
+ * Splits the text into the tokens, the stop words are skipped.
+ * @param {string} text The text.
+ * @returns {Token[]} The tokens in the text order.
+ */
+export function tokenize(text) {
+	/** @type {Token[]} */
+	const tokens = []
+	for (const match of String(text).matchAll(WORD)) {
+		const normalized = normalize(match[0])
+		if (!normalized || STOP_WORDS.has(normalized)) continue
+		tokens.push({ word: match[0], term: stem(normalized), index: match.index ?? 0 })
+	}
+	return tokens
+}
+
+/**
+ * Cuts the fragment of the text around the first word of the terms, on the word boundaries,
+ * the cut ends are marked with "…", the white space is collapsed.
+ * @param {string} text The text.
+ * @param {Iterable<string>} terms The matched terms.
+ * @param {number} [length=160] The maximal snippet length.
+ * @returns {string} The snippet, the beginning of the text when no term is found.
+ */
+export function snippet(text, terms, length = 160) {
+	const wanted = new Set(terms)
+	const hit = tokenize(text).find(token => wanted.has(token.term))
+	const center = hit ? hit.index + hit.word.length / 2 : 0
+	let start = Math.max(0, Math.round(center - length / 2))
+	let end = Math.min(text.length, start + length)
+	start = Math.max(0, end - length)
+	if (start > 0) {
+		const space = text.indexOf(" ", start)
+		if (space >= 0 && (!hit || space < hit.index)) start = space + 1
+	}
+	if (end < text.length) {
+		const space = text.lastIndexOf(" ", end)
+		if (space > start && (!hit || space >= hit.index + hit.word.length)) end = space
+	}
+	const fragment = text.slice(start, end).replace(/\s+/g, " ").trim()
+	return `${start > 0 ? "…" : ""}${fragment}${end < text.length ? "…" : ""}`
+}
+
+/**
+ * @typedef {object} SearchHit
+ * @property {string} file The document path relative to the root.
+ * @property {number} score The BM25 relevance score.
+ * @property {string[]} terms The matched terms of the index.
+ */
+
+/**
+ * @typedef {object} SearchResult
+ * @property {string} uri The document URI relative to the root.
+ * @property {number} score The BM25 relevance score.
+ * @property {string} snippet The fragment of the text around the first match.
+ */
+
+/**
+ * The inverted index of the documents: the term frequencies by the document and the documents by the term.
+ * The documents are ranked with BM25, a document has to match every query term. The index is persisted
+ * by shards, see toShard().
+ */
+export class SearchIndex extends ShardedIndex {
+	/**
+	 * The term frequencies and the number of the terms by the document path relative to the root.
+	 * @type {Map<string, { length: number, terms: Record<string, number> }>}
+	 */
+	docs
+	/**
+	 * The term frequencies by the document path, by the term.
+	 * @type {Map<string, Map<string, number>>}
+	 */
+	postings
+	/**
+	 * The total number of the terms of all the documents.
+	 * @type {number}
+	 */
+	totalLength
+	/**
+	 * @param {object} [input={}]
+	 * @param {Record<string, { length: number, terms: Record<string, number> }>} [input.docs={}]
+	 */
+	constructor(input = {}) {
+		super()
+		this.docs = new Map()
+		this.postings = new Map()
+		this.totalLength = 0
+		this.load(input)
+	}
+	/**
+	 * Adds the documents of the persisted index or of its shard.
+	 * @param {{ docs?: Record<string, { length: number, terms: Record<string, number> }> }} input
+	 */
+	load({ docs = {} }) {
+		for (const [file, doc] of Object.entries(docs)) {
+			this._add(file, doc)
+		}
+	}
+	/**
+	 * Adds the term frequencies of the document.
+	 * @param {string} file The path relative to the root.
+	 * @param {{ length: number, terms: Record<string, number> }} doc The term frequencies.
+	 */
+	_add(file, doc) {
+		if (!doc.length) return
+		this.docs.set(file, doc)
+		this._track(file)
+		this.totalLength += doc.length
+		for (const [term, count] of Object.entries(doc.terms)) {
+			const files = this.postings.get(term) ?? new Map()
+			files.set(file, count)
+			this.postings.set(term, files)
+		}
+	}
+	/**
+	 * Indexes the document text, replacing its previous terms.
+	 * @param {string} file The path relative to the root.
+	 * @param {string} text The text.
+	 */
+	set(file, text) {
+		this.delete(file)
+		const tokens = tokenize(text)
+		/** @type {Record<string, number>} */
+		const terms = {}
+		for (const { term } of tokens) terms[term] = (terms[term] ?? 0) + 1
+		this._add(file, { length: tokens.length, terms })
+	}
+	/**
+	 * Removes the document or all the documents inside of the directory.
+	 * @param {string} file The path relative to the root, "" for everything.
+	 * @returns {boolean} True if anything is removed.
+	 */
+	delete(file) {
+		const removed = Array.from(this.docs.keys())
+			.filter(doc => "" === file || doc === file || doc.startsWith(file + "/"))
+		for (const doc of removed) {
+			const { length, terms } = /** @type {{ length: number, terms: Record<string, number> }} */ (this.docs.get(doc))
+			for (const term of Object.keys(terms)) {
+				const files = this.postings.get(term)
+				files?.delete(doc)
+				if (!files?.size) this.postings.delete(term)
+			}
+			this.totalLength -= length
+			this.docs.delete(doc)
+			this._untrack(doc)
+		}
+		return removed.length > 0
+	}
+	/**
+	 * Finds the documents matching every term of the query, the most relevant first.
+	 * @param {string} query The query text.
+	 * @param {{ prefix?: boolean }} [options] Set prefix to match the index terms starting with the query terms.
+	 * @returns {SearchHit[]} The hits sorted by the score, then by the path.
+	 */
+	search(query, { prefix = false } = {}) {
+		const words = [...new Set(tokenize(query).map(token => token.term))]
+		if (!words.length || !this.docs.size) return []
+		const k1 = 1.2
+		const b = 0.75
+		const average = this.totalLength / this.docs.size
+		/** @type {Map<string, SearchHit>} */
+		let hits = new Map()
+		words.forEach((word, i) => {
+			const terms = prefix
+				? Array.from(this.postings.keys()).filter(term => term.startsWith(word))
+				: this.postings.has(word) ? [word] : []
+			/** @type {Map<string, SearchHit>} */
+			const matched = new Map()
+			for (const term of terms) {
+				const files = /** @type {Map<string, number>} */ (this.postings.get(term))
+				const idf = Math.log(1 + (this.docs.size - files.size + 0.5) / (files.size + 0.5))
+				for (const [file, count] of files) {
+					if (i > 0 && !hits.has(file)) continue
+					const { length } = /** @type {{ length: number }} */ (this.docs.get(file))
+					const score = idf * count * (k1 + 1) / (count + k1 * (1 - b + b * length / average))
+					const hit = matched.get(file) ?? hits.get(file) ?? { file, score: 0, terms: [] }
+					matched.set(file, { file, score: hit.score + score, terms: [...hit.terms, term] })
+				}
+			}
+			hits = matched
+		})
+		return Array.from(hits.values())
+			.sort((a, b) => b.score - a.score || (a.file < b.file ? -1 : a.file > b.file ? 1 : 0))
+	}
+	/**
+	 * @returns {{ docs: Record<string, { length: number, terms: Record<string, number> }> }} The persisted index.
+	 */
+	toJSON() {
+		return { docs: Object.fromEntries(this.docs) }
+	}
+	/**
+	 * Returns the persisted shard: the documents of one directory.
+	 * @param {string} shard The shard directory, see shardOf().
+	 * @returns {{ shard: string, docs: Record<string, { length: number, terms: Record<string, number> }> }} The shard.
+	 */
+	toShard(shard) {
+		/** @type {Record<string, { length: number, terms: Record<string, number> }>} */
+		const docs = {}
+		for (const file of this.filesOf(shard)) {
+			const doc = this.docs.get(file)
+			if (doc) docs[file] = doc
+		}
+		return { shard, docs }
+	}
+	/**
+	 * @param {any} input
+	 * @returns {SearchIndex}
+	 */
+	static from(input) {
+		if (input instanceof SearchIndex) return input
+		return new SearchIndex(input)
+	}
+}
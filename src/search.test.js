@@ -0,0 +1,156 @@
+import { suite, it, beforeEach } from "node:test"
+import assert from "node:assert/strict"
+import { mkdir, readdir, readFile, stat, writeFile } from "node:fs/promises"
+import { randomBytes } from "node:crypto"
+import { AccessDeniedError } from "./errors.js"
+import { SearchIndex, isSearchPath, normalize, snippet, stem, tokenize } from "./search.js"
+import { shardFileName } from "./shards.js"
+import { useTmpDB } from "./tmpdb.helper.js"
+
+/**
+ * @desc Tests the tokenizer, the stemmer and the inverted index of the full-text search.
+ */
+suite("Search tests", () => {
+	it("should normalize the case, the diacritics and the apostrophes", () => {
+		assert.strictEqual(normalize("Café"), "cafe")
+		assert.strictEqual(normalize("Їжак"), "іжак")
+		assert.strictEqual(normalize("Ґанок"), "ганок")
+		assert.strictEqual(normalize("М’ята"), "мята")
+		assert.ok(isSearchPath(".search/index.json"))
+		assert.ok(!isSearchPath(".searches"))
+	})
+
+	it("should stem the English and Ukrainian words", () => {
+		const stems = (/** @type {string[]} */ words) => words.map(word => stem(normalize(word)))
+		assert.deepStrictEqual(stems(["running", "stopped", "files", "boxes", "quickly"]), ["run", "stop", "file", "box", "quick"])
+		assert.deepStrictEqual(stems(["документами", "документи", "документ"]), ["документ", "документ", "документ"])
+		assert.strictEqual(stem("cat"), "cat")
+	})
+
+	it("should tokenize the text without the stop words", () => {
+		assert.deepStrictEqual(tokenize("The quick Foxes and the Київ"), [
+			{ word: "quick", term: "quick", index: 4 },
+			{ word: "Foxes", term: "fox", index: 10 },
+			{ word: "Київ", term: "киів", index: 24 },
+		])
+		assert.deepStrictEqual(tokenize("і та the"), [])
+	})
+
+	it("should cut the snippet around the first match", () => {
+		const text = "Lorem ipsum dolor sit amet ".repeat(10) + "the hidden treasure is here " + "consectetur elit ".repeat(10)
+		assert.strictEqual(snippet(text, ["treasure"], 60), "…sit amet the hidden treasure is here consectetur elit…")
+		assert.strictEqual(snippet("Short\n\ntext", ["none"]), "Short text")
+	})
+
+	it("should rank the documents matching every term", () => {
+		const index = new SearchIndex()
+		index.set("a.md", "Кияни люблять Київ і каву")
+		index.set("docs/b.md", "The running fox runs in Kyiv")
+		index.set("docs/c.txt", "Coffee in Kyiv, coffee everywhere")
+		assert.deepStrictEqual(index.search("run").map(hit => hit.file), ["docs/b.md"])
+		assert.deepStrictEqual(index.search("kyiv coffee").map(hit => hit.file), ["docs/c.txt"])
+		// the same score, the path breaks the tie
+		assert.deepStrictEqual(index.search("kyiv").map(hit => hit.file), ["docs/b.md", "docs/c.txt"])
+		assert.deepStrictEqual(index.search("ки", { prefix: true })[0].terms, ["киян", "киів"])
+		assert.deepStrictEqual(index.search("ки"), [])
+		assert.deepStrictEqual(index.search("the"), [])
+
+		assert.ok(index.delete("docs"))
+		assert.ok(!index.delete("docs"))
+		const restored = SearchIndex.from(JSON.parse(JSON.stringify(index)))
+		assert.deepStrictEqual(Array.from(restored.docs.keys()), ["a.md"])
+		assert.strictEqual(restored.totalLength, 4)
+		assert.deepStrictEqual(restored.search("кава").map(hit => hit.file), ["a.md"])
+	})
+})
+
+/**
+ * @desc Tests the full-text search over the text and markdown documents.
+ */
+suite("Document search tests", () => {
+	const tmp = useTmpDB("dbfs-search-")
+	/** @type {import("./DBFS.js").default} */
+	let db
+
+	beforeEach(async () => {
+		db = tmp.open()
+		await db.saveDocument("notes/kyiv.md", "# Київ\n\nКияни п'ють каву на Подолі, кава у Києві смачна.")
+		await db.saveDocument("notes/coffee.txt", "Coffee brewing notes: the grinder, the filters and the water.")
+		await db.saveDocument("notes/data.json", { text: "coffee" })
+	})
+
+	it("should build the index on the first search and rank with snippets", async () => {
+		const [hit, ...rest] = await db.search("КАВА")
+		assert.strictEqual(hit.uri, "notes/kyiv.md")
+		assert.ok(hit.score > 0)
+		assert.match(hit.snippet, /каву на Подолі/)
+		assert.deepStrictEqual(rest, [])
+		assert.deepStrictEqual((await db.search("coffee filter")).map(r => r.uri), ["notes/coffee.txt"])
+		assert.deepStrictEqual(await db.search("coffee kyiv"), [])
+		assert.deepStrictEqual((await db.search("ки", { prefix: true })).map(r => r.uri), ["notes/kyiv.md"])
+		assert.strictEqual((await db.search("notes", { limit: 0 })).length, 0)
+		await assert.rejects(() => db.search("coffee", { limit: -2 }), TypeError)
+		const stored = JSON.parse(await readFile(tmp.path(".search", shardFileName("notes")), "utf-8"))
+		assert.deepStrictEqual(Object.keys(stored.docs).sort(), ["notes/coffee.txt", "notes/kyiv.md"])
+		assert.ok(!(await db.listDir(".")).some(e => ".search" === e.name))
+	})
+
+	it("should keep the index up to date on save, move and drop", async () => {
+		await db.rebuildSearchIndex()
+		await db.saveDocument("notes/tea.md", "Green tea and coffee")
+		await db.moveDocument("notes/coffee.txt", "archive/coffee.txt")
+		await db.dropDocument("notes/kyiv.md")
+		const reopened = tmp.open()
+		assert.deepStrictEqual((await reopened.search("coffee")).map(r => r.uri).sort(), ["archive/coffee.txt", "notes/tea.md"])
+		assert.deepStrictEqual(await reopened.search("кава"), [])
+	})
+
+	it("should rebuild the index from scratch", async () => {
+		await db.search("coffee")
+		// written outside of the database, the index does not know it until rebuilt
+		await writeFile(tmp.path("notes", "espresso.md"), "Espresso is strong coffee")
+		assert.strictEqual((await db.search("espresso")).length, 0)
+		const index = await db.rebuildSearchIndex("notes")
+		assert.strictEqual(index.docs.size, 3)
+		assert.deepStrictEqual((await db.search("espresso")).map(r => r.uri), ["notes/espresso.md"])
+		await assert.rejects(() => db.rebuildSearchIndex(".."), AccessDeniedError)
+	})
+
+	it("should never store the terms of the encrypted documents under .search", async () => {
+		const secure = tmp.open({ encryption: { paths: ["diary/**"], key: randomBytes(32) } })
+		await secure.saveDocument("diary/monday.md", "Confidential espresso rendezvous")
+		await secure.rebuildSearchIndex()
+		await secure.saveDocument("diary/tuesday.md", "Classified cappuccino meeting")
+		const stored = await Promise.all((await readdir(tmp.path(".search"))).map(name => readFile(tmp.path(".search", name), "utf-8")))
+		for (const text of stored) {
+			for (const secret of ["confidential", "espresso", "rendezvous", "classified", "cappuccino", "meeting"]) {
+				assert.ok(!text.includes(secret), `${secret} is stored in plain text`)
+			}
+		}
+		assert.deepStrictEqual(await secure.search("espresso"), [])
+		assert.deepStrictEqual((await secure.search("coffee")).map(r => r.uri), ["notes/coffee.txt"])
+	})
+
+	it("should rewrite only the shard of the written directory", async () => {
+		await db.saveDocument("archive/old.md", "Old coffee")
+		await db.rebuildSearchIndex()
+		const before = await stat(tmp.path(".search", shardFileName("archive")))
+		await db.saveDocument("notes/tea.md", "Green tea")
+		assert.strictEqual((await stat(tmp.path(".search", shardFileName("archive")))).ino, before.ino)
+		await db.dropDocument("archive", { recursive: true })
+		assert.deepStrictEqual(await readdir(tmp.path(".search")), [shardFileName("notes")])
+	})
+
+	it("should replace the single file index of the older versions by the shards", async () => {
+		const legacy = new SearchIndex()
+		legacy.set("notes/kyiv.md", "Кава у Києві")
+		await mkdir(tmp.path(".search"))
+		await writeFile(tmp.path(".search", "index.json"), JSON.stringify(legacy))
+		const reopened = tmp.open()
+		assert.deepStrictEqual((await reopened.search("кава")).map(r => r.uri), ["notes/kyiv.md"])
+		assert.deepStrictEqual(await reopened.search("coffee"), [])
+		await reopened.saveDocument("notes/tea.md", "Green tea")
+		assert.deepStrictEqual(await readdir(tmp.path(".search")), [shardFileName("notes")])
+		assert.deepStrictEqual((await tmp.open().search("tea")).map(r => r.uri), ["notes/tea.md"])
+	})
+})
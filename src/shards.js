@@ -0,0 +1,105 @@
+import { createHash } from "node:crypto"
+
+/**
+ * Returns the shard of the document: its directory relative to the root, "" for the root documents.
+ * The index stores keep one file per shard, so a write rewrites only the shard of its directory.
+ * @param {string} file The document path relative to the root.
+ * @returns {string} The shard directory.
+ */
+export function shardOf(file) {
+	const i = file.lastIndexOf("/")
+	return i < 0 ? "" : file.slice(0, i)
+}
+
+/**
+ * Returns the file name of the shard: the hash of its directory, so the deep directories fit the name limits.
+ * @param {string} shard The shard directory, "" for the root.
+ * @returns {string} The file name, e.g. "3f2a9c0d41b7e865.json".
+ */
+export function shardFileName(shard) {
+	return createHash("sha256").update(shard).digest("hex").slice(0, 16) + ".json"
+}
+
+/**
+ * Checks whether the file name is the name of a shard, see shardFileName().
+ * @param {string} name The file name.
+ * @returns {boolean} True for the shard names.
+ */
+export function isShardName(name) {
+	return /^[0-9a-f]{16}\.json$/.test(name)
+}
+
+/**
+ * The index persisted by shards: it tracks the documents of every shard and the shards changed
+ * since the last save. The subclasses call _track() and _untrack() when the documents come and go.
+ */
+export class ShardedIndex {
+	/**
+	 * The document paths by the shard.
+	 * @type {Map<string, Set<string>>}
+	 */
+	shards = new Map()
+	/**
+	 * The shards changed since the last save.
+	 * @type {Set<string>}
+	 */
+	changed = new Set()
+	/**
+	 * True when the index is loaded from the single file store of the older versions,
+	 * the file is replaced by the shards on the next save.
+	 * @type {boolean}
+	 */
+	legacy = false
+	/**
+	 * Adds the document to its shard and marks the shard as changed.
+	 * @param {string} file The document path relative to the root.
+	 */
+	_track(file) {
+		const shard = shardOf(file)
+		const files = this.shards.get(shard) ?? new Set()
+		files.add(file)
+		this.shards.set(shard, files)
+		this.changed.add(shard)
+	}
+	/**
+	 * Removes the document from its shard and marks the shard as changed.
+	 * @param {string} file The document path relative to the root.
+	 */
+	_untrack(file) {
+		const shard = shardOf(file)
+		const files = this.shards.get(shard)
+		files?.delete(file)
+		if (!files?.size) this.shards.delete(shard)
+		this.changed.add(shard)
+	}
+	/**
+	 * Takes the changed shards for the save and clears them, put them back with markChanged() when the save fails.
+	 * @returns {string[]} The changed shards, the removed ones have no documents.
+	 */
+	takeChanged() {
+		const changed = Array.from(this.changed)
+		this.changed.clear()
+		return changed
+	}
+	/**
+	 * Marks the shards as changed.
+	 * @param {Iterable<string>} shards The shards.
+	 */
+	markChanged(shards) {
+		for (const shard of shards) this.changed.add(shard)
+	}
+	/**
+	 * Marks every shard as changed, e.g. to replace the single file store.
+	 */
+	markAllChanged() {
+		this.markChanged(this.shards.keys())
+	}
+	/**
+	 * Returns the document paths of the shard.
+	 * @param {string} shard The shard directory.
+	 * @returns {string[]} The document paths, empty for the removed shard.
+	 */
+	filesOf(shard) {
+		return Array.from(this.shards.get(shard) ?? [])
+	}
+}
@@ -0,0 +1,38 @@
+import { suite, it } from "node:test"
+import assert from "node:assert/strict"
+import { ShardedIndex, isShardName, shardFileName, shardOf } from "./shards.js"
+
+/**
+ * @desc Tests the shards of the index stores.
+ */
+suite("Shards tests", () => {
+	it("should shard the documents by their directory", () => {
+		assert.strictEqual(shardOf("a.json"), "")
+		assert.strictEqual(shardOf("users/a.json"), "users")
+		assert.strictEqual(shardOf("users/old/a.json"), "users/old")
+		assert.match(shardFileName("users"), /^[0-9a-f]{16}\.json$/)
+		assert.notStrictEqual(shardFileName("users"), shardFileName(""))
+		assert.ok(isShardName(shardFileName("deep/".repeat(100))))
+		assert.ok(!isShardName("index.json"))
+		assert.ok(!isShardName(`.${shardFileName("users")}.1.000000000000.dbfs-tmp`))
+	})
+
+	it("should track the changed shards until they are taken", () => {
+		const index = new ShardedIndex()
+		index._track("users/a.json")
+		index._track("users/b.json")
+		index._track("c.json")
+		assert.deepStrictEqual(index.takeChanged().sort(), ["", "users"])
+		assert.deepStrictEqual(index.takeChanged(), [])
+		index._untrack("users/a.json")
+		assert.deepStrictEqual(index.filesOf("users"), ["users/b.json"])
+		index._untrack("users/b.json")
+		assert.ok(!index.shards.has("users"))
+		assert.deepStrictEqual(index.filesOf("users"), [])
+		const taken = index.takeChanged()
+		assert.deepStrictEqual(taken, ["users"])
+		index.markChanged(taken)
+		index.markAllChanged()
+		assert.deepStrictEqual(index.takeChanged().sort(), ["", "users"])
+	})
+})
@@ -0,0 +1,71 @@
+import { beforeEach, afterEach } from "node:test"
+import { mkdtemp, rm } from "node:fs/promises"
+import { tmpdir } from "node:os"
+import { join } from "node:path"
+
+/**
+ * The database class, loaded by the first suite that uses it, so the module tests importing
+ * the helper do not depend on the database module.
+ * @type {typeof import("./DBFS.js").default | null}
+ */
+let DBFS = null
+
+/**
+ * The temporary directory of the current test with the database root inside of it.
+ */
+export class TmpDB {
+	/**
+	 * The temporary directory of the current test, the cwd of the databases.
+	 * @type {string}
+	 */
+	dir = ""
+	/**
+	 * The database root relative to the directory.
+	 * @type {string}
+	 */
+	root = "root"
+	/**
+	 * Creates the database rooted in the temporary directory.
+	 * @param {object} [options={}] The DBFS options, `root` and `cwd` are set.
+	 * @returns {import("./DBFS.js").default} The database.
+	 */
+	open(options = {}) {
+		if (!DBFS) throw new Error("The database is opened outside of the useTmpDB() suite")
+		return new DBFS({ root: this.root, cwd: this.dir, ...options })
+	}
+	/**
+	 * Returns the absolute path inside of the database root.
+	 * @param {...string} parts The path segments relative to the root.
+	 * @returns {string} The absolute path.
+	 */
+	path(...parts) {
+		return join(this.dir, this.root, ...parts)
+	}
+}
+
+/**
+ * Creates a fresh temporary directory before every test of the suite and removes it after the test.
+ * Call it first in the suite, so the directory exists in the suite's own `beforeEach`.
+ * ```js
+ * suite("Listing tests", () => {
+ * 	const tmp = useTmpDB("dbfs-list-")
+ * 	it("should list", async () => {
+ * 		const db = tmp.open()
+ * 		await db.saveDocument("a.txt", "a")
+ * 	})
+ * })
+ * ```
+ * @param {string} prefix The prefix of the directory name.
+ * @returns {TmpDB} The directory of the current test.
+ */
+export function useTmpDB(prefix) {
+	const tmp = new TmpDB()
+	beforeEach(async () => {
+		DBFS ??= (await import("./DBFS.js")).default
+		tmp.dir = await mkdtemp(join(tmpdir(), prefix))
+	})
+	afterEach(async () => {
+		await rm(tmp.dir, { recursive: true, force: true })
+	})
+	return tmp
+}
@@ -0,0 +1,67 @@
+/**
+ * The hidden directory inside of the root with the soft deleted documents.
+ * Every dropped document is moved into `.trash/<id>`, its record is `.trash/<id>.json`.
+ * @type {string}
+ */
+export const TRASH_DIR = ".trash"
+
+/**
+ * Checks whether the path (relative to the root) is inside of the trash directory.
+ * @param {string} path The path relative to the root.
+ * @returns {boolean} True for the trash paths.
+ */
+export function isTrashPath(path) {
+	return path === TRASH_DIR || path.startsWith(TRASH_DIR + "/")
+}
+
+/**
+ * The soft deleted document or directory.
+ */
+export class TrashEntry {
+	/**
+	 * The trash id, sorted chronologically as a string.
+	 * @type {string}
+	 */
+	id
+	/**
+	 * The original URI relative to the root.
+	 * @type {string}
+	 */
+	uri
+	/**
+	 * The deletion time.
+	 * @type {Date}
+	 */
+	deletedAt
+	/** @type {boolean} */
+	isDirectory
+	/**
+	 * @param {object} input
+	 * @param {string} input.id
+	 * @param {string} input.uri
+	 * @param {Date | string | number} [input.deletedAt=new Date()]
+	 * @param {boolean} [input.isDirectory=false]
+	 */
+	constructor(input) {
+		const { id, uri, deletedAt = new Date(), isDirectory = false } = input
+		this.id = String(id)
+		this.uri = String(uri)
+		this.deletedAt = new Date(deletedAt)
+		this.isDirectory = Boolean(isDirectory)
+	}
+	/**
+	 * @returns {{ id: string, uri: string, deletedAt: string, isDirectory: boolean }} The record to store.
+	 */
+	toJSON() {
+		return { id: this.id, uri: this.uri, deletedAt: this.deletedAt.toISOString(), isDirectory: this.isDirectory }
+	}
+	/**
+	 * Creates a TrashEntry instance from input parameters.
+	 * @param {object} input The entry or its record.
+	 * @returns {TrashEntry}
+	 */
+	static from(input) {
+		if (input instanceof TrashEntry) return input
+		return new TrashEntry(/** @type {any} */ (input))
+	}
+}
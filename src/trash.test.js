@@ -0,0 +1,93 @@
+import { suite, it } from "node:test"
+import assert from "node:assert/strict"
+import { readdir } from "node:fs/promises"
+import { AccessDeniedError } from "./errors.js"
+import { useTmpDB } from "./tmpdb.helper.js"
+import { TrashEntry, isTrashPath } from "./trash.js"
+
+/**
+ * @desc Tests the trash records.
+ */
+suite("Trash tests", () => {
+	it("should detect the trash paths", () => {
+		assert.ok(isTrashPath(".trash"))
+		assert.ok(isTrashPath(".trash/20241019T101530123Z-a1b2.json"))
+		assert.ok(!isTrashPath(".trashes"))
+		assert.ok(!isTrashPath("users/.trash"))
+	})
+
+	it("should store and read the record", () => {
+		const entry = new TrashEntry({ id: "20241019T101530123Z-a1b2", uri: "users/a.json", deletedAt: 1729332930123 })
+		const record = JSON.parse(JSON.stringify(entry))
+		assert.deepStrictEqual(record, {
+			id: "20241019T101530123Z-a1b2", uri: "users/a.json", deletedAt: "2024-10-19T10:15:30.123Z", isDirectory: false,
+		})
+		assert.deepStrictEqual(TrashEntry.from(record), entry)
+		assert.strictEqual(TrashEntry.from(entry), entry)
+	})
+})
+
+/**
+ * @desc Tests the soft delete into the trash.
+ */
+suite("Document trash tests", () => {
+	const tmp = useTmpDB("dbfs-trash-")
+
+	it("should move the dropped documents into the trash and restore them", async () => {
+		const db = tmp.open({ trash: true })
+		await db.saveDocument("docs/a.json", { a: 1 })
+		await db.saveDocument("docs/nested/b.txt", "b")
+		assert.ok(await db.dropDocument("docs/a.json"))
+		assert.ok(await db.dropDocument("docs/nested", { recursive: true }))
+		assert.strictEqual(db.meta.has("docs/a.json"), false)
+		assert.strictEqual(await db.loadDocument("docs/a.json", null), null)
+		assert.deepStrictEqual((await db.listDir("docs")).map(e => e.name), [])
+		assert.deepStrictEqual((await db.listDir(".")).map(e => e.name), ["docs"])
+
+		const entries = await db.listTrash()
+		assert.deepStrictEqual(entries.map(e => [e.uri, e.isDirectory]), [["docs/nested", true], ["docs/a.json", false]])
+		assert.ok(entries[0].deletedAt instanceof Date)
+
+		assert.ok(await db.restoreFromTrash(entries[1].id))
+		assert.ok(await db.restoreFromTrash(entries[0].id))
+		assert.deepStrictEqual(await db.loadDocument("docs/a.json"), { a: 1 })
+		assert.strictEqual(await db.loadDocument("docs/nested/b.txt"), "b")
+		assert.deepStrictEqual(await db.listTrash(), [])
+	})
+
+	it("should not overwrite on restore by default", async () => {
+		const db = tmp.open({ trash: true })
+		await db.saveDocument("a.txt", "old")
+		await db.dropDocument("a.txt")
+		await db.saveDocument("a.txt", "new")
+		const [entry] = await db.listTrash()
+		await assert.rejects(() => db.restoreFromTrash(entry.id), /Destination already exists: a.txt/)
+		assert.ok(await db.restoreFromTrash(entry.id, { overwrite: true }))
+		assert.strictEqual(await db.loadDocument("a.txt"), "old")
+		await assert.rejects(() => db.restoreFromTrash("missing"), /Trash entry not found/)
+	})
+
+	it("should purge the trash and drop permanently", async () => {
+		const db = tmp.open({ trash: true })
+		await db.saveDocument("a.txt", "a")
+		await db.saveDocument("b.txt", "b")
+		await db.dropDocument("a.txt")
+		await db.dropDocument("b.txt", { permanent: true })
+		assert.strictEqual((await db.listTrash()).length, 1)
+		assert.deepStrictEqual(await db.purgeTrash({ olderThan: 60_000 }), [])
+		const purged = await db.purgeTrash()
+		assert.deepStrictEqual(purged.map(e => e.uri), ["a.txt"])
+		assert.deepStrictEqual(await readdir(tmp.path(".trash")), [])
+	})
+
+	it("should enforce the delete access", async () => {
+		const db = tmp.open({
+			trash: true,
+			access: { rules: [{ name: "keep archive", effect: "deny", access: "d", pattern: "archive/**" }] },
+		})
+		await db.saveDocument("archive/a.txt", "a")
+		await assert.rejects(() => db.dropDocument("archive/a.txt"), AccessDeniedError)
+		await assert.rejects(() => db.dropDocument("archive", { recursive: true }), AccessDeniedError)
+		assert.deepStrictEqual(await db.listTrash(), [])
+	})
+})
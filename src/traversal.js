@@ -0,0 +1,108 @@
+import { globToRegExp } from "./glob.js"
+
+/**
+ * @typedef {import("@nan0web/db").DocumentEntry} DocumentEntry
+ */
+
+/**
+ * @typedef {object} TraversalOptions
+ * @property {string | string[]} [include] The globs of the yielded files, relative to the traversal root.
+ * @property {string | string[]} [exclude] The globs of the skipped files and directories, the excluded
+ * directories are not read.
+ * @property {string[]} [ignoreFiles] The names of the `.gitignore`-style files honored in every directory.
+ * @property {number} [maxDepth=-1] The deepest level read, 0 for the entries of the root only, -1 for no limit.
+ * @property {(entry: DocumentEntry) => boolean} [filter] Returns false to skip the file.
+ * @property {(entry: DocumentEntry) => boolean} [prune] Returns true to skip the directory with its subtree.
+ */
+
+/**
+ * The option names of the traversal.
+ * @type {string[]}
+ */
+export const TRAVERSAL_OPTIONS = ["include", "exclude", "ignoreFiles", "maxDepth", "filter", "prune"]
+
+/**
+ * Converts the globs into the regular expressions, the glob without a slash matches the name at any depth.
+ * @param {string | string[] | undefined} globs The globs.
+ * @returns {RegExp[]} The regular expressions.
+ */
+function patterns(globs) {
+	return [globs ?? []].flat().map(glob => globToRegExp(glob, { matchBase: true }))
+}
+
+/**
+ * Decides which entries of the directory tree are read and yielded, so the excluded subtrees
+ * are never read. The paths are relative to the traversal root.
+ */
+export class Traversal {
+	/** @type {RegExp[]} */
+	include
+	/** @type {RegExp[]} */
+	exclude
+	/** @type {string[]} */
+	ignoreFiles
+	/** @type {number} */
+	maxDepth
+	/** @type {(entry: DocumentEntry) => boolean} */
+	filter
+	/** @type {(entry: DocumentEntry) => boolean} */
+	prune
+	/**
+	 * @param {TraversalOptions} [input={}]
+	 */
+	constructor(input = {}) {
+		const {
+			include,
+			exclude,
+			ignoreFiles = [],
+			maxDepth = -1,
+			filter = () => true,
+			prune = () => false,
+		} = input
+		if (!Number.isInteger(maxDepth) || maxDepth < -1) {
+			throw new TypeError(`maxDepth must be an integer of -1 or more, got ${maxDepth}`)
+		}
+		this.include = patterns(include)
+		this.exclude = patterns(exclude)
+		this.ignoreFiles = [ignoreFiles].flat()
+		this.maxDepth = maxDepth
+		this.filter = filter
+		this.prune = prune
+	}
+	/**
+	 * Checks whether the file is yielded: it matches an include glob (if any) and the filter.
+	 * @param {string} path The file path relative to the traversal root.
+	 * @param {DocumentEntry} entry The file entry.
+	 * @returns {boolean} True to yield the file.
+	 */
+	accepts(path, entry) {
+		if (this.exclude.some(re => re.test(path))) return false
+		if (this.include.length && !this.include.some(re => re.test(path))) return false
+		return Boolean(this.filter(entry))
+	}
+	/**
+	 * Checks whether the directory is yielded and read: it is not excluded and not pruned.
+	 * @param {string} path The directory path relative to the traversal root.
+	 * @param {DocumentEntry} entry The directory entry.
+	 * @returns {boolean} True to yield the directory.
+	 */
+	enters(path, entry) {
+		return !this.exclude.some(re => re.test(path)) && !this.prune(entry)
+	}
+	/**
+	 * Checks whether the directories of the depth are read.
+	 * @param {number} depth The directory depth, 0 for the entries of the root.
+	 * @returns {boolean} True if the directory contents are within maxDepth.
+	 */
+	descends(depth) {
+		return this.maxDepth < 0 || depth < this.maxDepth
+	}
+	/**
+	 * Checks whether any traversal option is set.
+	 * @param {object} options The findStream() options.
+	 * @returns {boolean} True if the traversal is needed.
+	 */
+	static isSet(options) {
+		return TRAVERSAL_OPTIONS.some(name => undefined !== options[name])
+	}
+}
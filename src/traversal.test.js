@@ -0,0 +1,114 @@
+import { suite, it, beforeEach } from "node:test"
+import assert from "node:assert/strict"
+import { useTmpDB } from "./tmpdb.helper.js"
+import { Traversal } from "./traversal.js"
+
+/**
+ * @desc Tests the traversal decisions of findStream().
+ */
+suite("Traversal tests", () => {
+	const entry = (/** @type {string} */ name) => /** @type {any} */ ({ name })
+
+	it("should detect the traversal options", () => {
+		assert.equal(Traversal.isSet({ limit: -1, sort: "name" }), false)
+		assert.equal(Traversal.isSet({ maxDepth: 0 }), true)
+		assert.equal(Traversal.isSet({ prune: () => true }), true)
+	})
+
+	it("should accept the files by the include and exclude globs", () => {
+		const traversal = new Traversal({ include: ["**/*.md", "*.txt"], exclude: "draft-*" })
+		assert.equal(traversal.accepts("readme.md", entry("readme.md")), true)
+		assert.equal(traversal.accepts("docs/a/guide.md", entry("guide.md")), true)
+		assert.equal(traversal.accepts("docs/a.txt", entry("a.txt")), true)
+		assert.equal(traversal.accepts("docs/draft-a.md", entry("draft-a.md")), false)
+		assert.equal(traversal.accepts("index.js", entry("index.js")), false)
+	})
+
+	it("should accept all the files without the include globs and apply the filter", () => {
+		const traversal = new Traversal({ filter: (e) => !e.name.startsWith(".") })
+		assert.equal(traversal.accepts("a/b.js", entry("b.js")), true)
+		assert.equal(traversal.accepts("a/.env", entry(".env")), false)
+	})
+
+	it("should enter the directories unless excluded or pruned", () => {
+		const traversal = new Traversal({ exclude: ["node_modules", ".git"], prune: (e) => "tmp" === e.name })
+		assert.equal(traversal.enters("src", entry("src")), true)
+		assert.equal(traversal.enters("a/node_modules", entry("node_modules")), false)
+		assert.equal(traversal.enters(".git", entry(".git")), false)
+		assert.equal(traversal.enters("a/tmp", entry("tmp")), false)
+	})
+
+	it("should descend within maxDepth", () => {
+		assert.equal(new Traversal().descends(100), true)
+		assert.equal(new Traversal({ maxDepth: 0 }).descends(0), false)
+		assert.equal(new Traversal({ maxDepth: 1 }).descends(0), true)
+		assert.equal(new Traversal({ maxDepth: 1 }).descends(1), false)
+		assert.throws(() => new Traversal({ maxDepth: 1.5 }), TypeError)
+		assert.throws(() => new Traversal({ maxDepth: -2 }), TypeError)
+	})
+})
+
+/**
+ * @desc Tests the glob and predicate filtering of the findStream() traversal.
+ */
+suite("Database traversal tests", () => {
+	const tmp = useTmpDB("dbfs-traversal-")
+	/** @type {import("./DBFS.js").default} */
+	let db
+
+	beforeEach(async () => {
+		db = tmp.open()
+		await db.saveDocument("readme.md", "# root")
+		await db.saveDocument(".gitignore", "*.log\nbuild/\n")
+		await db.saveDocument("app.log", "log")
+		await db.saveDocument("build/out.md", "out")
+		await db.saveDocument("docs/guide.md", "guide")
+		await db.saveDocument("docs/deep/api.md", "api")
+		await db.saveDocument("docs/.gitignore", "!keep.log\n")
+		await db.saveDocument("docs/keep.log", "keep")
+		await db.saveDocument("node_modules/pkg/readme.md", "pkg")
+	})
+
+	/**
+	 * @param {string} uri
+	 * @param {any} options
+	 * @returns {Promise<string[]>}
+	 */
+	const paths = async (uri, options) => {
+		const result = []
+		for await (const entry of db.findStream(uri, { limit: -1, ...options })) {
+			if (entry.file.stat.isFile) result.push(entry.file.path)
+		}
+		return result.sort()
+	}
+
+	it("should include and exclude by the globs without reading the excluded subtrees", async () => {
+		/** @type {string[]} */
+		const read = []
+		const listDir = db.listDir.bind(db)
+		db.listDir = async (uri, options) => {
+			read.push(uri)
+			return listDir(uri, options)
+		}
+		assert.deepStrictEqual(await paths(".", { include: "**/*.md", exclude: "node_modules" }), [
+			"build/out.md", "docs/deep/api.md", "docs/guide.md", "readme.md",
+		])
+		assert.ok(!read.some(uri => uri.startsWith("node_modules")))
+	})
+
+	it("should honor the ignore files per directory", async () => {
+		assert.deepStrictEqual(await paths(".", { ignoreFiles: [".gitignore"], exclude: "node_modules" }), [
+			".gitignore", "docs/.gitignore", "docs/deep/api.md", "docs/guide.md", "docs/keep.log", "readme.md",
+		])
+	})
+
+	it("should limit the depth and prune the directories", async () => {
+		assert.deepStrictEqual(await paths(".", { maxDepth: 0, include: "*.md" }), ["readme.md"])
+		assert.deepStrictEqual(await paths("docs", { include: "*.md", prune: (e) => "deep" === e.name }), [
+			"docs/guide.md",
+		])
+		assert.deepStrictEqual(await paths(".", { filter: (e) => e.name.endsWith(".log") }), [
+			"app.log", "docs/keep.log",
+		])
+	})
+})
@@ -0,0 +1,84 @@
+import { randomBytes } from "node:crypto"
+
+/**
+ * The hidden directory inside of the root with the previous versions of the documents.
+ * @type {string}
+ */
+export const VERSIONS_DIR = ".versions"
+
+const VERSION_ID = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(\d{3})Z-[0-9a-f]{4}$/
+
+let lastTime = 0
+
+/**
+ * Creates the version id from the time, the ids of the process are increasing,
+ * so they are sorted chronologically as strings, e.g. "20241019T101530123Z-a1b2".
+ * @param {number} [time=Date.now()] The time in milliseconds.
+ * @returns {string} The version id.
+ */
+export function createVersionId(time = Date.now()) {
+	lastTime = Math.max(time, lastTime + 1)
+	const stamp = new Date(lastTime).toISOString().replace(/[-:.]/g, "")
+	return `${stamp}-${randomBytes(2).toString("hex")}`
+}
+
+/**
+ * Returns the time of the version id.
+ * @param {string} id The version id.
+ * @returns {Date | null} The date or null for not a version id.
+ */
+export function parseVersionId(id) {
+	const match = VERSION_ID.exec(id)
+	if (!match) return null
+	const [, year, month, day, hours, minutes, seconds, ms] = match.map(Number)
+	return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds, ms))
+}
+
+/**
+ * Checks whether the path (relative to the root) is inside of the versions directory.
+ * @param {string} path The path relative to the root.
+ * @returns {boolean} True for the history store paths.
+ */
+export function isVersionPath(path) {
+	return path === VERSIONS_DIR || path.startsWith(VERSIONS_DIR + "/")
+}
+
+/**
+ * The kept previous content of the document.
+ */
+export class DocumentVersion {
+	/**
+	 * The version id, sorted chronologically as a string.
+	 * @type {string}
+	 */
+	id
+	/**
+	 * The document URI.
+	 * @type {string}
+	 */
+	uri
+	/**
+	 * The time the content was replaced or dropped.
+	 * @type {Date}
+	 */
+	date
+	/**
+	 * The stored content size in bytes.
+	 * @type {number}
+	 */
+	size
+	/**
+	 * @param {object} input
+	 * @param {string} input.id
+	 * @param {string} input.uri
+	 * @param {Date} [input.date] Parsed from the id by default.
+	 * @param {number} [input.size=0]
+	 */
+	constructor(input) {
+		const { id, uri, date = parseVersionId(id) ?? new Date(0), size = 0 } = input
+		this.id = String(id)
+		this.uri = String(uri)
+		this.date = date
+		this.size = Number(size)
+	}
+}
@@ -0,0 +1,101 @@
+import { suite, it } from "node:test"
+import assert from "node:assert/strict"
+import { readdir, writeFile } from "node:fs/promises"
+import { useTmpDB } from "./tmpdb.helper.js"
+import { DocumentVersion, createVersionId, isVersionPath, parseVersionId } from "./versions.js"
+
+/**
+ * @desc Tests the version ids of the history store.
+ */
+suite("Version history tests", () => {
+	it("should create the increasing version ids", () => {
+		const time = Date.UTC(2024, 9, 19, 10, 15, 30, 123)
+		const first = createVersionId(time)
+		const second = createVersionId(time)
+		assert.match(first, /^20241019T101530123Z-[0-9a-f]{4}$/)
+		assert.ok(second > first)
+		assert.deepStrictEqual(parseVersionId(first), new Date(time))
+		assert.deepStrictEqual(parseVersionId(second), new Date(time + 1))
+	})
+
+	it("should not parse other names", () => {
+		assert.strictEqual(parseVersionId("notes"), null)
+		assert.strictEqual(parseVersionId("20241019T101530123Z"), null)
+	})
+
+	it("should detect the history store paths", () => {
+		assert.ok(isVersionPath(".versions"))
+		assert.ok(isVersionPath(".versions/users/a.json/20241019T101530123Z-a1b2.json"))
+		assert.ok(!isVersionPath(".versionsX/a.json"))
+		assert.ok(!isVersionPath("users/.versions"))
+	})
+
+	it("should take the date of the version from its id", () => {
+		const version = new DocumentVersion({ id: "20241019T101530123Z-a1b2", uri: "a.json", size: 5 })
+		assert.deepStrictEqual(version.date, new Date("2024-10-19T10:15:30.123Z"))
+		assert.strictEqual(version.size, 5)
+	})
+})
+
+/**
+ * @desc Tests the version history of the documents.
+ */
+suite("Document version history tests", () => {
+	const tmp = useTmpDB("dbfs-versions-")
+
+	it("should keep the previous content on save and drop", async () => {
+		const db = tmp.open({ versioning: true })
+		await db.saveDocument("users/alice.json", { v: 1 })
+		assert.deepStrictEqual(await db.listVersions("users/alice.json"), [])
+		await db.saveDocument("users/alice.json", { v: 2 })
+		await db.dropDocument("users/alice.json")
+		const versions = await db.listVersions("users/alice.json")
+		assert.strictEqual(versions.length, 2)
+		assert.ok(versions[0].id > versions[1].id)
+		assert.deepStrictEqual(await db.loadVersion("users/alice.json", versions[0].id), { v: 2 })
+		assert.deepStrictEqual(await db.loadVersion("users/alice.json", versions[1].id), { v: 1 })
+		await assert.rejects(() => db.loadVersion("users/alice.json", "20000101T000000000Z-0000"), /Version not found/)
+	})
+
+	it("should restore the version and keep the current content", async () => {
+		const db = tmp.open({ versioning: { keep: 5 } })
+		await db.saveDocument("notes.txt", "first")
+		await db.saveDocument("notes.txt", "second")
+		const [version] = await db.listVersions("notes.txt")
+		assert.ok(await db.restoreVersion("notes.txt", version.id))
+		assert.strictEqual(await db.loadDocument("notes.txt"), "first")
+		const [undo] = await db.listVersions("notes.txt")
+		assert.strictEqual(await db.loadVersion("notes.txt", undo.id), "second")
+	})
+
+	it("should apply the retention", async () => {
+		const db = tmp.open({ versioning: { keep: 2 } })
+		for (let i = 1; i <= 5; i++) await db.saveDocument("data.json", { i })
+		const versions = await db.listVersions("data.json")
+		assert.deepStrictEqual(await Promise.all(versions.map(v => db.loadVersion("data.json", v.id))), [{ i: 4 }, { i: 3 }])
+
+		db.versioning = { keep: 0, days: 1 }
+		const old = tmp.path(".versions", "data.json", "20000101T000000000Z-0000.json")
+		await writeFile(old, "{}")
+		assert.strictEqual((await db.listVersions("data.json")).length, 3)
+		const removed = await db.pruneVersions()
+		assert.deepStrictEqual(removed.map(v => v.id), ["20000101T000000000Z-0000"])
+		assert.strictEqual((await db.listVersions("data.json")).length, 2)
+	})
+
+	it("should hide the history from listDir", async () => {
+		const db = tmp.open({ versioning: true })
+		await db.saveDocument("a.json", { v: 1 })
+		await db.saveDocument("a.json", { v: 2 })
+		assert.deepStrictEqual((await db.listDir(".")).map(e => e.name), ["a.json"])
+		assert.deepStrictEqual((await db.listDir(".", { versions: true })).map(e => e.name).sort(), [".versions", "a.json"])
+	})
+
+	it("should not keep versions when the versioning is off", async () => {
+		const db = tmp.open()
+		await db.saveDocument("a.json", { v: 1 })
+		await db.saveDocument("a.json", { v: 2 })
+		assert.deepStrictEqual(await db.listVersions("a.json"), [])
+		assert.deepStrictEqual(await readdir(tmp.path()), ["a.json"])
+	})
+})
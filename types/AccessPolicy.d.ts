@@ -0,0 +1,109 @@
+/**
+ * Declarative access rule: allows or denies the access levels for the paths matching the glob patterns.
+ * Patterns are matched against the path relative to the root, paths outside of it start with "../".
+ * The wildcards never match the ".." segments, so the rules for the paths outside start with "../" too.
+ */
+export class AccessRule {
+    /**
+     * Creates an AccessRule instance from input parameters.
+     * @param {object} input The rule or its options.
+     * @returns {AccessRule}
+     */
+    static from(input: object): AccessRule;
+    /**
+     * @param {object} input
+     * @param {string} [input.name] The rule name, generated when empty.
+     * @param {"allow"|"deny"} [input.effect="allow"]
+     * @param {string | string[]} [input.access="rwd"] The access levels as a string "rw" or an array ["r", "w"].
+     * @param {string | string[]} input.pattern The glob pattern(s).
+     */
+    constructor(input: {
+        name?: string | undefined;
+        effect?: "allow" | "deny" | undefined;
+        access?: string | string[] | undefined;
+        pattern: string | string[];
+    });
+    /**
+     * The rule name used in the error messages.
+     * @type {string}
+     */
+    name: string;
+    /** @type {"allow"|"deny"} */
+    effect: "allow" | "deny";
+    /**
+     * The access levels the rule applies to, any combination of "r", "w" and "d".
+     * @type {string}
+     */
+    access: string;
+    /** @type {string[]} */
+    patterns: string[];
+    /** @type {RegExp[]} */
+    regexps: RegExp[];
+    /**
+     * Checks whether the rule applies to the path and the level.
+     * @param {string} path The path relative to the root.
+     * @param {"r"|"w"|"d"} level The access level.
+     * @returns {boolean} True if the rule applies.
+     */
+    applies(path: string, level: "r" | "w" | "d"): boolean;
+    /**
+     * @returns {string} The rule name.
+     */
+    toString(): string;
+}
+export default AccessPolicy;
+/**
+ * Ordered list of access rules, the first rule that applies decides.
+ * When no rule applies the paths inside of the root get the default effect,
+ * the paths outside of the root are always denied.
+ */
+declare class AccessPolicy {
+    /**
+     * Creates an AccessPolicy instance from input parameters (a policy document).
+     * @param {object} [input] The policy or its document.
+     * @returns {AccessPolicy}
+     */
+    static from(input?: object): AccessPolicy;
+    /**
+     * @param {object} [input={}]
+     * @param {"allow"|"deny"} [input.default="allow"]
+     * @param {object[]} [input.rules=[]] The rules or their options.
+     */
+    constructor(input?: {
+        default?: "allow" | "deny" | undefined;
+        rules?: any[] | undefined;
+    });
+    /**
+     * The effect for the paths inside of the root when no rule applies.
+     * @type {"allow"|"deny"}
+     */
+    default: "allow" | "deny";
+    /** @type {AccessRule[]} */
+    rules: AccessRule[];
+    /**
+     * Finds the decision for the path and the level.
+     * @param {string} path The path relative to the root.
+     * @param {"r"|"w"|"d"} level The access level.
+     * @returns {{ allowed: boolean, rule: AccessRule | null }} The decision and the rule made it.
+     */
+    check(path: string, level: "r" | "w" | "d"): {
+        allowed: boolean;
+        rule: AccessRule | null;
+    };
+    /**
+     * Ensures the access is allowed.
+     * @throws {AccessDeniedError} If the access is denied, the error names the rule.
+     * @param {string} path The path relative to the root.
+     * @param {"r"|"w"|"d"} level The access level.
+     * @param {string} [uri=path] The requested URI for the error.
+     * @returns {AccessRule | null} The rule allowed the access or null when allowed by default.
+     */
+    ensure(path: string, level: "r" | "w" | "d", uri?: string): AccessRule | null;
+    /**
+     * @returns {{ default: "allow"|"deny", rules: object[] }} The policy document.
+     */
+    toJSON(): {
+        default: "allow" | "deny";
+        rules: object[];
+    };
+}
@@ -19,23 +19,238 @@ declare class DBFS extends DB {
      */
     static from(input: object): DBFS;
     /**
-     * Array of loader functions that attempt to load data from a file path.
-     * Each loader returns false if it cannot handle the data format.
-     * @type {((file: string, data: any, ext: string) => any)[]}
+     * Checks whether the path exists without blocking the event loop.
+     * @param {string} path The absolute path to check.
+     * @returns {Promise<boolean>} True if the path exists.
      */
-    loaders: ((file: string, data: any, ext: string) => any)[];
+    static exists(path: string): Promise<boolean>;
     /**
-     * Array of saver functions that attempt to save data to a file path.
-     * Each saver returns false if it cannot handle the data format.
-     * @type {((file: string, data: any, ext: string) => any)[]}
+     * Creates a new DBFS instance.
+     * @param {ConstructorParameters<typeof DB>[0] & DBFSOptions} [input={}] The DB options extended with the DBFS options.
      */
-    savers: ((file: string, data: any, ext: string) => any)[];
+    constructor(input?: ConstructorParameters<typeof DB>[0] & DBFSOptions);
+    /**
+     * Save documents atomically: write a sibling temp file, fsync and rename it over the target.
+     * @type {boolean}
+     */
+    atomic: boolean;
+    /**
+     * Also fsync the parent directory after the atomic rename.
+     * @type {boolean}
+     */
+    fsyncDir: boolean;
+    /**
+     * Remove the orphaned temp files of the whole root on connect() in atomic mode,
+     * the scan reads every directory so it is off by default, see removeTempFiles().
+     * @type {boolean}
+     */
+    cleanTempFiles: boolean;
+    /**
+     * Policy for symbolic links inside the root: "deny", "within-root" or "allow".
+     * @type {"deny"|"within-root"|"allow"}
+     */
+    followSymlinks: "deny" | "within-root" | "allow";
+    /**
+     * Access rules evaluated by ensureAccess().
+     * @type {AccessPolicy}
+     */
+    access: AccessPolicy;
+    /**
+     * URI of the access policy document loaded on connect(), empty for none.
+     * @type {string}
+     */
+    accessFile: string;
+    /**
+     * Options of the CSV and TSV documents, the delimiter is "," for .csv and "\t" for .tsv by default.
+     * @type {import("./csv.js").CSVOptions}
+     */
+    csv: import("./csv.js").CSVOptions;
+    /**
+     * Compression of the saved documents by the URI prefix, e.g. `{ "archive/": "gzip" }`:
+     * the documents under the prefix are stored with the ".gz" or ".br" suffix.
+     * @type {Record<string, import("./compress.js").CompressionFormat>}
+     */
+    compress: Record<string, import("./compress.js").CompressionFormat>;
+    /**
+     * At-rest encryption of the documents matching its glob patterns.
+     * @type {Encryption}
+     */
+    encryption: Encryption;
+    /**
+     * Version history retention, null when the versioning is off:
+     * keep the last `keep` versions and the versions for `days`, 0 for no limit.
+     * @type {{ keep: number, days: number } | null}
+     */
+    versioning: {
+        keep: number;
+        days: number;
+    } | null;
+    /**
+     * Soft delete mode: the dropped documents are moved into the trash.
+     * @type {boolean}
+     */
+    trash: boolean;
+    /**
+     * Automatic locking of the writes, null when off: the writes hold the exclusive lock
+     * of the document, waiting for it up to `timeout` milliseconds.
+     * @type {{ timeout: number } | null}
+     */
+    locking: {
+        timeout: number;
+    } | null;
+    /**
+     * The locks acquired with lock() by the path relative to the root.
+     * @type {Map<string, Set<FileLock>>}
+     */
+    _locks: Map<string, Set<FileLock>>;
+    /**
+     * Checksums of the written documents kept in the hidden `.checksums` store, null when off.
+     * @type {{ algorithm: string } | null}
+     */
+    checksums: {
+        algorithm: string;
+    } | null;
+    /**
+     * The schemas of the documents by glob, checked in order before save (and after load with `onLoad`).
+     * @type {SchemaRule[]}
+     */
+    schemas: SchemaRule[];
+    /**
+     * Pending exclusive operations by path, to serialize the appends inside of the process.
+     * @type {Map<string, Promise<any>>}
+     */
+    _queues: Map<string, Promise<any>>;
+    /**
+     * The secondary indexes by their file name, loaded from the hidden `.indexes` store on the first use.
+     * @type {Promise<Map<string, DocumentIndex>> | null}
+     */
+    _indexes: Promise<Map<string, DocumentIndex>> | null;
+    /**
+     * The full-text search index, loaded from the hidden `.search` store on the first use, null when there is none.
+     * @type {Promise<SearchIndex | null> | null}
+     */
+    _search: Promise<SearchIndex | null> | null;
+    /**
+     * Array of async loader functions that attempt to load data from a file path.
+     * Each loader resolves to false if it cannot handle the data format.
+     * @type {((file: string, data: any, ext: string) => Promise<any>)[]}
+     */
+    loaders: ((file: string, data: any, ext: string) => Promise<any>)[];
+    /**
+     * Array of async saver functions that attempt to save data to a file path.
+     * Each saver resolves to false if it cannot handle the data format.
+     * @type {((file: string, data: any, ext: string) => Promise<any>)[]}
+     */
+    savers: ((file: string, data: any, ext: string) => Promise<any>)[];
     /**
      * Creates a new DBFS instance with a subset of the data and meta.
      * @param {string} uri The URI to extract from the current DB.
      * @returns {DBFS} A new DBFS instance with extracted data.
      */
     extract(uri: string): DBFS;
+    /**
+     * Loads the access policy from the document and applies it.
+     * The document is read with the current policy, its format is
+     * `{ default: "allow"|"deny", rules: [{ name, effect, access, pattern }] }`.
+     * @throws {Error} If the policy document is not found or invalid.
+     * @param {string} uri The policy document URI.
+     * @returns {Promise<AccessPolicy>} The applied policy.
+     */
+    loadAccessPolicy(uri: string): Promise<AccessPolicy>;
+    /**
+     * Removes the orphaned temp files left by the interrupted saves inside of the directory:
+     * the temp files of the dead processes and the ones older than `maxAge`.
+     * Only the given directory tree is read, e.g. the directory the crashed writer wrote into.
+     * @throws {AccessDeniedError} If access is denied.
+     * @param {string} [uri="."] The directory URI.
+     * @param {{ maxAge?: number }} [options] The age in milliseconds, a day by default.
+     * @returns {Promise<string[]>} The paths of the removed files relative to the root.
+     */
+    removeTempFiles(uri?: string, { maxAge }?: {
+        maxAge?: number;
+    }): Promise<string[]>;
+    /**
+     * Returns the CSV options for the extension.
+     * @param {string} ext The extension, ".csv" or ".tsv".
+     * @returns {import("./csv.js").CSVOptions} The options with the delimiter.
+     */
+    csvOptions(ext: string): import("./csv.js").CSVOptions;
+    /**
+     * Gets the extension of a URI in lowercase.
+     * The compression suffix is skipped: the extension of "report.json.gz" is ".json".
+     * @param {string} uri The URI to get the extension from.
+     * @returns {string} The extension in lowercase, e.g., '.txt'.
+     */
+    extname(uri: string): string;
+    /**
+     * Returns the URI the document is stored at: the URIs under the `compress` prefixes
+     * get the compression suffix, the longest prefix wins.
+     * @param {string} uri The document URI.
+     * @returns {string} The stored URI.
+     */
+    storedUri(uri: string): string;
+    /**
+     * Returns the URI of the existing document: the stored URI under the `compress` prefixes,
+     * or the URI itself when only the not compressed document exists (saved before the prefix was set).
+     * @param {string} uri The document URI.
+     * @returns {Promise<string>} The URI to read, write or drop.
+     */
+    _locate(uri: string): Promise<string>;
+    /**
+     * Returns the URI of the file, the atomic temp files get the URI of their target.
+     * @param {string} file The absolute file path.
+     * @returns {string} The path relative to the root.
+     */
+    _uriOf(file: string): string;
+    /**
+     * Reads and parses the file, the parser errors are thrown as ParseError.
+     * @throws {ParseError} If the content cannot be parsed.
+     * @param {string} file The absolute file path.
+     * @param {string} format The format name, e.g. "json".
+     * @param {(text: string) => any} parse The parser.
+     * @returns {Promise<any>} The parsed document.
+     */
+    _parse(file: string, format: string, parse: (text: string) => any): Promise<any>;
+    /**
+     * Checks whether the file is encrypted or must be encrypted on write.
+     * @param {string} file The absolute file path.
+     * @returns {Promise<boolean>} True for the encrypted documents.
+     */
+    _isEncrypted(file: string): Promise<boolean>;
+    /**
+     * Reads the whole file as a string in the current encoding.
+     * The encrypted files are decrypted, the ".gz" and ".br" files are decompressed.
+     * @throws {import("./errors.js").DecryptionError} If the encrypted file cannot be decrypted.
+     * @param {string} file The absolute file path.
+     * @returns {Promise<string>} The file content.
+     */
+    readText(file: string): Promise<string>;
+    /**
+     * Reads the whole file decrypted and decompressed.
+     * @throws {import("./errors.js").DecryptionError} If the encrypted file cannot be decrypted.
+     * @param {string} file The absolute file path.
+     * @returns {Promise<Buffer>} The plain content.
+     */
+    _readPlain(file: string): Promise<Buffer>;
+    /**
+     * Writes the content to the file, replacing it.
+     * The ".gz" and ".br" files (and their atomic temp files) are compressed,
+     * the files matching the encryption paths are encrypted.
+     * @param {string} file The absolute file path.
+     * @param {string | Buffer} content The content to write.
+     * @returns {Promise<boolean>} Always true, errors are thrown.
+     */
+    writeText(file: string, content: string | Buffer): Promise<boolean>;
+    /**
+     * Appends the content to the file. The content of the ".gz" files is appended as
+     * a new gzip member, which is decompressed together with the previous ones.
+     * The encrypted files are decrypted, extended and encrypted again (atomically in atomic mode).
+     * @throws {DBFSError} If the file is compressed with brotli, it cannot be appended.
+     * @param {string} file The absolute file path.
+     * @param {string} content The content to append.
+     * @returns {Promise<void>}
+     */
+    appendText(file: string, content: string): Promise<void>;
     /**
      * Returns the stat of the document, uses meta (cache) if available.
      * @throws {Error} If the document cannot be stat.
@@ -45,36 +260,1014 @@ declare class DBFS extends DB {
     stat(uri: string): Promise<DocumentStat>;
     /**
      * Loads a document using a specific extension handler.
+     * @throws {ParseError} If the document content is broken in its format.
+     * @throws {ValidationError} If the loaded document does not match its `onLoad` schema.
      * @param {string} ext The extension of the document.
      * @param {string} uri The URI to load the document from.
      * @param {any} defaultValue The default value to return if the document does not exist.
      * @returns {Promise<any>} The loaded document or the default value.
      */
     loadDocumentAs(ext: string, uri: string, defaultValue?: any): Promise<any>;
+    /**
+     * Loads the file with the first loader that accepts the extension.
+     * @param {string} path The absolute file path.
+     * @param {string} ext The document extension.
+     * @returns {Promise<any>} The loaded document or false.
+     */
+    _loadAs(path: string, ext: string): Promise<any>;
+    /**
+     * Saves the document into the file with the first saver that accepts it.
+     * @param {string} path The absolute file path.
+     * @param {any} document The document to save.
+     * @param {string} ext The document extension.
+     * @returns {Promise<boolean>} True if saved, false if no saver accepts the document.
+     */
+    _saveAs(path: string, document: any, ext: string): Promise<boolean>;
+    /**
+     * Registers the schema of the documents matching the glob pattern(s), relative to the root.
+     * The schema is a JSON Schema subset checked with the built-in validator (see validateSchema())
+     * or a custom validator function returning the issues.
+     * ```js
+     * db.registerSchema("users/*.json", {
+     * 	type: "object",
+     * 	required: ["name", "email"],
+     * 	properties: { email: { type: "string", pattern: "^[^@]+@[^@]+$" }, age: { type: "integer", minimum: 0 } },
+     * }, { onLoad: true })
+     * ```
+     * @throws {TypeError} If the pattern or the schema is invalid.
+     * @param {string | string[]} pattern The glob pattern(s).
+     * @param {import("./schema.js").Schema | import("./schema.js").SchemaValidator} schema The schema or the validator.
+     * @param {{ onLoad?: boolean }} [options] Set onLoad to validate the loaded documents too.
+     * @returns {SchemaRule} The registered rule.
+     */
+    registerSchema(pattern: string | string[], schema: import("./schema.js").Schema | import("./schema.js").SchemaValidator, { onLoad }?: {
+        onLoad?: boolean;
+    }): SchemaRule;
+    /**
+     * Validates the document with all the schemas registered for its URI,
+     * the compressed documents match by the URI without the ".gz" or ".br" suffix.
+     * @param {string} uri The document URI.
+     * @param {any} document The document.
+     * @returns {Promise<import("./schema.js").SchemaIssue[]>} The issues, an empty array for the valid document.
+     */
+    validateDocument(uri: string, document: any): Promise<import("./schema.js").SchemaIssue[]>;
+    /**
+     * Returns the schemas registered for the path.
+     * @param {string} file The path relative to the root.
+     * @returns {SchemaRule[]} The matching rules.
+     */
+    _schemasOf(file: string): SchemaRule[];
+    /**
+     * Validates the document with the rules.
+     * @param {string} uri The document URI.
+     * @param {any} document The document.
+     * @param {SchemaRule[]} rules The rules.
+     * @returns {Promise<import("./schema.js").SchemaIssue[]>} The issues of all the rules.
+     */
+    _validate(uri: string, document: any, rules: SchemaRule[]): Promise<import("./schema.js").SchemaIssue[]>;
+    /**
+     * Ensures the saved (or with `onLoad` the loaded) document matches its schemas.
+     * @throws {ValidationError} With the field-level errors if the document is invalid.
+     * @param {string} uri The document URI.
+     * @param {any} document The document.
+     * @param {"saveDocument"|"loadDocument"|"createWriteStream"} operation The operation.
+     * @returns {Promise<void>}
+     */
+    _ensureValid(uri: string, document: any, operation: "saveDocument" | "loadDocument" | "createWriteStream"): Promise<void>;
     /**
      * Ensures the directory path for a given URI exists, creating it if necessary.
      * @param {string} uri The URI to build the path for.
      * @returns {Promise<void>}
      */
     _buildPath(uri: string): Promise<void>;
+    /**
+     * Saves a document to the given URI.
+     * In atomic mode the savers write a sibling temp file which replaces the target
+     * only when completely written, so the document is never half-written.
+     * The ".gz" and ".br" documents, and the documents under the `compress` prefixes, are compressed.
+     * In versioning mode the previous content is kept in the version history,
+     * in locking mode the document is locked exclusively while saved.
+     * The document is validated with the schemas registered for its URI first.
+     * @throws {ValidationError} If the document does not match its schema.
+     * @throws {Error} If the document cannot be saved.
+     * @param {string} uri The URI to save the document to.
+     * @param {any} document The document to save.
+     * @param {{ atomic?: boolean }} [options] Overrides the instance atomic mode.
+     * @returns {Promise<boolean>} True if saved successfully, false otherwise.
+     */
+    saveDocument(uri: string, document: any, { atomic }?: {
+        atomic?: boolean;
+    } | undefined): Promise<boolean>;
+    /**
+     * Loads a document from the given URI.
+     * The compressed documents are decompressed and loaded by the inner extension,
+     * under the `compress` prefixes the stored (compressed) document is preferred.
+     * @throws {ParseError} If the document content is broken in its format.
+     * @throws {ValidationError} If the loaded document does not match its `onLoad` schema.
+     * @param {string} uri The URI to load the document from.
+     * @param {any} defaultValue The default value to return if the document does not exist.
+     * @returns {Promise<any>} The loaded document or the default value.
+     */
+    loadDocument(uri: string, defaultValue?: any): Promise<any>;
+    /**
+     * Opens the document for streaming read, e.g. to pipe it into an HTTP response.
+     * `start` and `end` are inclusive byte positions, see parseRange() for the Range header.
+     * The encrypted document is decrypted as a whole to verify it first, the range is cut from the plain content.
+     * @throws {DBFSError} If access is denied or the document is not found.
+     * @throws {import("./errors.js").DecryptionError} If the encrypted document cannot be decrypted.
+     * @param {string} uri The URI of the document.
+     * @param {{ start?: number, end?: number, highWaterMark?: number, encoding?: BufferEncoding }} [options]
+     * @returns {Promise<Readable>} The readable stream.
+     */
+    createReadStream(uri: string, options?: {
+        start?: number;
+        end?: number;
+        highWaterMark?: number;
+        encoding?: BufferEncoding;
+    } | undefined): Promise<Readable>;
+    /**
+     * Opens the document for streaming write, the directories are created.
+     * Like saveDocument() the replacing stream ("w") writes a sibling temp file which replaces the document
+     * when the stream finishes (in any atomic mode), the schemas registered for the URI are checked
+     * on the written content and the previous content is kept in versioning mode. Like writeDocument()
+     * the appending stream ("a") writes in place. In locking mode the document is locked exclusively
+     * until the stream finishes, then the checksums, the indexes and the cached stat (meta) are updated.
+     * The "finish" event is emitted when all is done, a failed step is emitted as "error"
+     * and the previous content of the replaced document is kept.
+     * The documents covered by the encryption cannot be streamed, they are encrypted as a whole.
+     * @throws {DBFSError} If the document is encrypted.
+     * @throws {AccessDeniedError} If access is denied.
+     * @throws {LockTimeoutError} If the document stays locked in locking mode.
+     * @param {string} uri The URI of the document.
+     * @param {{ flags?: "w"|"a", highWaterMark?: number, encoding?: BufferEncoding }} [options]
+     * The flags are "w" (replace, by default) or "a" (append).
+     * @returns {Promise<Writable>} The writable stream.
+     */
+    createWriteStream(uri: string, options?: {
+        flags?: "w" | "a";
+        highWaterMark?: number;
+        encoding?: BufferEncoding;
+    } | undefined): Promise<Writable>;
+    /**
+     * Completes the write stream: validates and commits the temp file of the replacing stream,
+     * keeps the version, then updates the checksums, the indexes and the cached stat.
+     * @throws {ValidationError} If the written document does not match its schema.
+     * @param {string} uri The URI of the document.
+     * @param {string} file The path relative to the root.
+     * @param {string | null} temp The absolute temp file path, null for the appending stream.
+     * @returns {Promise<void>}
+     */
+    _commitStream(uri: string, file: string, temp: string | null): Promise<void>;
+    /**
+     * Reads the records of the JSON Lines (NDJSON) document line by line,
+     * without loading the whole document. A missing document has no records.
+     * The ".gz" and ".br" documents are decompressed on the fly,
+     * the encrypted documents are decrypted as a whole to verify them first.
+     * @throws {ParseError} If the line is not valid JSON and skipInvalid is off.
+     * @param {string} uri The URI of the document.
+     * @param {{ skipInvalid?: boolean }} [options] Set skipInvalid to skip the broken lines.
+     * @returns {AsyncGenerator<any>} The records.
+     */
+    readRecords(uri: string, { skipInvalid }?: {
+        skipInvalid?: boolean;
+    } | undefined): AsyncGenerator<any>;
+    /**
+     * Appends the record as one JSON line to the JSON Lines (NDJSON) document.
+     * The line is written with a single append, a missing new line at the end
+     * of the document is added first, appends of the process are serialized.
+     * The line is appended to the ".gz" document as a new gzip member,
+     * the encrypted document is rewritten. In locking mode the other processes are locked out too,
+     * the checksum and the indexes are updated under the same lock.
+     * @throws {Error} If access is denied, the record cannot be serialized or the document is brotli compressed.
+     * @param {string} uri The URI of the document.
+     * @param {any} record The record to append.
+     * @returns {Promise<boolean>} True if appended successfully.
+     */
+    appendRecord(uri: string, record: any): Promise<boolean>;
+    /**
+     * Runs the operations with the same key one after another inside of the process.
+     * @template T
+     * @param {string} key The key, usually the absolute path.
+     * @param {() => Promise<T>} fn The operation.
+     * @returns {Promise<T>} The operation result.
+     */
+    _exclusive<T>(key: string, fn: () => Promise<T>): Promise<T>;
+    /**
+     * Acquires the advisory lock of the document, shared for the readers or exclusive for the writer,
+     * the lock is respected by the other processes with the same root.
+     * ```js
+     * const lock = await db.lock("counters.json")
+     * try {
+     * 	const counters = await db.loadDocument("counters.json", {})
+     * 	await db.saveDocument("counters.json", { ...counters, hits: (counters.hits ?? 0) + 1 })
+     * } finally {
+     * 	await lock.release()
+     * }
+     * ```
+     * The writes of the instance skip the automatic locking of the document it holds exclusively.
+     * @throws {AccessDeniedError} If access is denied or the document is outside of the root.
+     * @throws {import("./errors.js").LockTimeoutError} If the lock is not acquired in time.
+     * @param {string} uri The document URI.
+     * @param {{ shared?: boolean, timeout?: number }} [options] The timeout is in milliseconds,
+     * the `locking` timeout by default, 0 for a single attempt.
+     * @returns {Promise<FileLock>} The acquired lock.
+     */
+    lock(uri: string, { shared, timeout }?: {
+        shared?: boolean;
+        timeout?: number;
+    }): Promise<FileLock>;
+    /**
+     * Acquires the lock file of the path.
+     * @throws {AccessDeniedError} If the path is outside of the root.
+     * @param {string} file The path relative to the root.
+     * @param {{ shared?: boolean, timeout?: number, onRelease?: (lock: FileLock) => void }} [options]
+     * @returns {Promise<FileLock>} The acquired lock.
+     */
+    _lock(file: string, options?: {
+        shared?: boolean;
+        timeout?: number;
+        onRelease?: (lock: FileLock) => void;
+    }): Promise<FileLock>;
+    /**
+     * Runs the write holding the exclusive lock of the path when the automatic locking is on,
+     * unless the instance holds the exclusive lock already.
+     * @template T
+     * @param {string} file The path relative to the root.
+     * @param {() => Promise<T>} fn The write.
+     * @returns {Promise<T>} The write result.
+     */
+    _locked<T>(file: string, fn: () => Promise<T>): Promise<T>;
+    /**
+     * Runs the write holding the exclusive locks of all the paths when the automatic locking is on,
+     * the locks are acquired in the path order so the writers of the same paths cannot deadlock.
+     * @template T
+     * @param {string[]} files The paths relative to the root.
+     * @param {() => Promise<T>} fn The write.
+     * @returns {Promise<T>} The write result.
+     */
+    _lockedAll<T>(files: string[], fn: () => Promise<T>): Promise<T>;
+    /**
+     * Acquires the exclusive lock of the path for a write when the automatic locking is on,
+     * unless the instance holds the exclusive lock already.
+     * @throws {LockTimeoutError} If the lock is not acquired in time.
+     * @param {string} file The path relative to the root.
+     * @returns {Promise<FileLock | null>} The acquired lock, null when there is nothing to release.
+     */
+    _exclusiveLock(file: string): Promise<FileLock | null>;
+    /**
+     * Re-encrypts the document or the whole directory tree with the new key: the encrypted
+     * documents are decrypted with their keys, the not encrypted ones matching the encryption
+     * paths are encrypted too. The new key becomes the current one, the previous keys
+     * are kept to decrypt the documents outside of the tree.
+     * @throws {DBFSError} If the document is not found or the key id is the current one.
+     * @throws {import("./errors.js").DecryptionError} If a document cannot be decrypted.
+     * @param {string} uri The URI of the document or the directory, "." for the whole root.
+     * @param {{ key: import("./Encryption.js").EncryptionKey | import("./Encryption.js").KeyProvider, keyId: string }} options
+     * The new key (or the key provider) and its id.
+     * @returns {Promise<string[]>} The re-encrypted paths relative to the root.
+     */
+    rotateKey(uri: string, { key, keyId }: {
+        key: import("./Encryption.js").EncryptionKey | import("./Encryption.js").KeyProvider;
+        keyId: string;
+    }): Promise<string[]>;
+    /**
+     * Returns the suffix of the version files of the document: its extension with the compression suffix.
+     * @param {string} file The document path relative to the root.
+     * @returns {string} The suffix, e.g. ".json.gz".
+     */
+    _versionSuffix(file: string): string;
+    /**
+     * Lists the version files of the document, the newest first.
+     * @param {string} file The document path relative to the root.
+     * @returns {Promise<{ version: DocumentVersion, path: string }[]>} The versions and their absolute paths.
+     */
+    _versionFiles(file: string): Promise<{
+        version: DocumentVersion;
+        path: string;
+    }[]>;
+    /**
+     * Returns the absolute path of the version file.
+     * @throws {NotFoundError} If the version is not found.
+     * @param {string} file The document path relative to the root.
+     * @param {string} id The version id.
+     * @returns {Promise<string>} The absolute path.
+     */
+    _versionPath(file: string, id: string): Promise<string>;
+    /**
+     * Copies the current content of the document into the history store when the versioning is on,
+     * then applies the retention to the document versions.
+     * @param {string} file The document path relative to the root.
+     * @returns {Promise<string | null>} The version id, null when nothing is kept.
+     */
+    _keepVersion(file: string): Promise<string | null>;
+    /**
+     * Removes the versions of the document beyond the retention.
+     * @param {string} file The document path relative to the root.
+     * @returns {Promise<DocumentVersion[]>} The removed versions.
+     */
+    _pruneVersions(file: string): Promise<DocumentVersion[]>;
+    /**
+     * Lists the kept versions of the document, the newest first.
+     * @throws {AccessDeniedError} If access is denied.
+     * @param {string} uri The document URI.
+     * @returns {Promise<DocumentVersion[]>} The versions.
+     */
+    listVersions(uri: string): Promise<DocumentVersion[]>;
+    /**
+     * Loads the kept version of the document with the loader of the document extension.
+     * @throws {DBFSError} If access is denied or the version is not found.
+     * @param {string} uri The document URI.
+     * @param {string} id The version id.
+     * @returns {Promise<any>} The document version.
+     */
+    loadVersion(uri: string, id: string): Promise<any>;
+    /**
+     * Restores the kept version of the document (also a dropped one), atomically.
+     * The current content is kept as a new version, so the restore can be undone.
+     * @throws {DBFSError} If access is denied or the version is not found.
+     * @param {string} uri The document URI.
+     * @param {string} id The version id.
+     * @returns {Promise<boolean>} True if restored successfully.
+     */
+    restoreVersion(uri: string, id: string): Promise<boolean>;
+    /**
+     * Applies the retention to the versions of the document or of all the documents inside of the directory,
+     * e.g. periodically for the `days` limit.
+     * @throws {AccessDeniedError} If access is denied.
+     * @param {string} [uri="."] The document or the directory URI, the whole root by default.
+     * @returns {Promise<DocumentVersion[]>} The removed versions.
+     */
+    pruneVersions(uri?: string): Promise<DocumentVersion[]>;
+    /**
+     * Moves the document or the directory into the trash and records its URI and deletion time.
+     * @param {string} file The path relative to the root.
+     * @param {boolean} isDirectory True for the directory.
+     * @param {string} [source] The absolute path of the content, the document path by default.
+     * @returns {Promise<TrashEntry>} The trash entry.
+     */
+    _moveToTrash(file: string, isDirectory: boolean, source?: string): Promise<TrashEntry>;
+    /**
+     * Reads the trash records, the newest first. Broken records and records without content are skipped.
+     * @returns {Promise<TrashEntry[]>} The trash entries.
+     */
+    _trashEntries(): Promise<TrashEntry[]>;
+    /**
+     * Lists the soft deleted documents the access policy allows to read, the newest first.
+     * @returns {Promise<TrashEntry[]>} The trash entries.
+     */
+    listTrash(): Promise<TrashEntry[]>;
+    /**
+     * Moves the soft deleted document or directory back to its URI.
+     * @throws {DBFSError} If the entry is not found, access is denied or the destination exists.
+     * @param {string} id The trash entry id.
+     * @param {{ overwrite?: boolean }} [options] Set overwrite to replace the existing destination file.
+     * @returns {Promise<boolean>} True if restored successfully.
+     */
+    restoreFromTrash(id: string, { overwrite }?: {
+        overwrite?: boolean;
+    }): Promise<boolean>;
+    /**
+     * Deletes the soft deleted documents permanently, the delete access is checked for all of them first.
+     * @throws {AccessDeniedError} If access is denied.
+     * @param {{ olderThan?: Date | number }} [options] Purge the entries deleted before the date
+     * or more than the milliseconds ago, all by default.
+     * @returns {Promise<TrashEntry[]>} The purged entries.
+     */
+    purgeTrash({ olderThan }?: {
+        olderThan?: Date | number;
+    }): Promise<TrashEntry[]>;
+    /**
+     * Deletes a document at the given URI.
+     * A directory is deleted only when empty, or with all its content in recursive mode.
+     * In trash mode the document is moved into the trash unless `permanent` is set,
+     * in versioning mode the permanently dropped documents are kept in the version history,
+     * in locking mode the document is locked exclusively while dropped.
+     * @throws {DirectoryNotEmptyError} If the directory has children and recursive is off.
+     * @throws {Error} If the document cannot be dropped.
+     * @param {string} uri The URI to drop the document from.
+     * @param {{ recursive?: boolean, permanent?: boolean }} [options] Set recursive to delete the whole directory tree,
+     * permanent to skip the trash.
+     * @returns {Promise<boolean>} True if dropped successfully, false otherwise.
+     */
+    dropDocument(uri: string, { recursive, permanent }?: {
+        recursive?: boolean;
+        permanent?: boolean;
+    } | undefined): Promise<boolean>;
+    /**
+     * Finds the documents with the same content with findStream(): the candidates are grouped by size,
+     * then by the hash of their first bytes and only then by the hash of the whole content.
+     * ```js
+     * for (const { files, wasted } of await db.findDuplicates("media")) {
+     * 	console.log(files.join(", "), wasted)
+     * }
+     * ```
+     * The files that cannot be read are skipped, their errors are added to `errors` by URI.
+     * @throws {AccessDeniedError} If access is denied.
+     * @param {string} [root="."] The directory URI to scan.
+     * @param {{ minSize?: number, partialSize?: number, algorithm?: string, errors?: Map<string, Error> }} [options]
+     * The files smaller than `minSize` bytes are skipped (1 by default, the empty files are not duplicates),
+     * `partialSize` is the number of the first bytes hashed before the whole content, 64 KiB by default.
+     * @returns {Promise<DuplicateSet[]>} The duplicate sets, the most wasting first.
+     */
+    findDuplicates(root?: string, { minSize, partialSize, algorithm, errors }?: {
+        minSize?: number;
+        partialSize?: number;
+        algorithm?: string;
+        errors?: Map<string, Error>;
+    }): Promise<DuplicateSet[]>;
+    /**
+     * Reports the disk usage of the directory as a tree: every directory has its cumulative size,
+     * file and directory counts and its largest direct children. The directories deeper than
+     * `depth` are counted in their parents only. The hard links are counted once, the symbolic
+     * links are not followed, the hidden stores (versions, trash, ...) are counted too.
+     * ```js
+     * const usage = await db.diskUsage(".", { depth: 2 })
+     * for (const { path, size } of usage.children) console.log(path, size)
+     * ```
+     * @throws {AccessDeniedError} If access is denied.
+     * @throws {NotFoundError} If the directory does not exist.
+     * @throws {NotADirectoryError} If the URI is a file.
+     * @param {string} [uri="."] The directory URI.
+     * @param {{ depth?: number, apparent?: boolean, top?: number }} [options] The `depth` of the reported
+     * subdirectories (1 by default, 0 for the totals only), `apparent` to sum the file sizes instead of
+     * the allocated blocks, `top` is the number of the largest children kept (5 by default).
+     * @returns {Promise<DiskUsageNode>} The usage tree.
+     */
+    diskUsage(uri?: string, { depth, apparent, top }?: {
+        depth?: number;
+        apparent?: boolean;
+        top?: number;
+    }): Promise<DiskUsageNode>;
+    /**
+     * Sums the disk usage of the directory recursively.
+     * @param {string} file The directory path relative to the root.
+     * @param {number} level The directory level, 0 for the scanned directory.
+     * @param {{ depth: number, apparent: boolean, top: number, seen: Set<string> }} options
+     * The options of diskUsage() and the inodes of the counted hard links.
+     * @returns {Promise<DiskUsageNode>} The usage.
+     */
+    _diskUsage(file: string, level: number, options: {
+        depth: number;
+        apparent: boolean;
+        top: number;
+        seen: Set<string>;
+    }): Promise<DiskUsageNode>;
+    /**
+     * Hashes the stored content of the document streaming it,
+     * the compressed and encrypted documents are hashed as stored.
+     * @throws {DBFSError} If access is denied or the document is not found.
+     * @param {string} uri The document URI.
+     * @param {string} [algorithm] The node:crypto hash algorithm, the `checksums` one or "sha256" by default.
+     * @returns {Promise<string>} The hex digest.
+     */
+    hashDocument(uri: string, algorithm?: string): Promise<string>;
+    /**
+     * Checks whether the path is a temp file or inside of the hidden stores.
+     * @param {string} file The path relative to the root.
+     * @returns {boolean} True for the internal paths.
+     */
+    _isInternal(file: string): boolean;
+    /**
+     * Lists the documents (files) of the path: the document itself or the documents inside of the directory.
+     * The internal paths and the documents the access policy does not allow to read are skipped.
+     * @param {string} file The path relative to the root.
+     * @returns {Promise<string[]>} The document paths relative to the root.
+     */
+    _documentFiles(file: string): Promise<string[]>;
+    /**
+     * Records the checksums of the document or of all the documents inside of the directory.
+     * @param {string} file The path relative to the root.
+     * @param {string} algorithm The hash algorithm.
+     * @returns {Promise<string[]>} The recorded document paths.
+     */
+    _writeChecksums(file: string, algorithm: string): Promise<string[]>;
+    /**
+     * Records the checksums of the written document or directory when the checksums are on.
+     * @param {string} file The path relative to the root.
+     * @returns {Promise<string[]>} The recorded document paths.
+     */
+    _updateChecksums(file: string): Promise<string[]>;
+    /**
+     * Removes the checksums of the dropped document or directory.
+     * @param {string} file The path relative to the root.
+     * @returns {Promise<void>}
+     */
+    _dropChecksums(file: string): Promise<void>;
+    /**
+     * Records the checksums of the document or of all the documents inside of the directory,
+     * e.g. to start tracking the existing documents.
+     * @throws {AccessDeniedError} If access is denied.
+     * @param {string} [uri="."] The document or the directory URI, the whole root by default.
+     * @returns {Promise<string[]>} The recorded document paths.
+     */
+    updateChecksums(uri?: string): Promise<string[]>;
+    /**
+     * Verifies the documents against their recorded checksums to detect bit rot
+     * and the changes made outside of the database.
+     * @throws {AccessDeniedError} If access is denied.
+     * @param {string} [uri="."] The document or the directory URI, the whole root by default.
+     * @returns {Promise<import("./checksums.js").VerifyReport>} The sorted document paths by status.
+     */
+    verify(uri?: string): Promise<import("./checksums.js").VerifyReport>;
+    /**
+     * Creates (or rebuilds) the secondary index of the field over the JSON and YAML documents
+     * inside of the directory, recursively. The index is persisted in the hidden `.indexes` store
+     * and maintained by the writes, moves and drops of the database, query() uses it.
+     * The changes made outside of the database are picked up by creating the index again.
+     * ```js
+     * await db.createIndex("users", "role")
+     * const admins = await db.query("users", { where: { role: "admin" } })
+     * ```
+     * @throws {AccessDeniedError} If access is denied.
+     * @throws {TypeError} If the field path is empty.
+     * @param {string} dir The directory URI, "." for the whole root.
+     * @param {string} field The field path, e.g. "role" or "address.city"; the arrays index every item.
+     * @returns {Promise<DocumentIndex>} The index.
+     */
+    createIndex(dir: string, field: string): Promise<DocumentIndex>;
+    /**
+     * Removes the index of the field.
+     * @throws {AccessDeniedError} If access is denied.
+     * @param {string} dir The directory URI.
+     * @param {string} field The field path.
+     * @returns {Promise<boolean>} True if removed, false if there is no such index.
+     */
+    dropIndex(dir: string, field: string): Promise<boolean>;
+    /**
+     * Lists the indexes.
+     * @returns {Promise<DocumentIndex[]>} The indexes sorted by the directory and the field.
+     */
+    listIndexes(): Promise<DocumentIndex[]>;
+    /**
+     * Finds the JSON and YAML documents inside of the directory (recursively) meeting all the conditions
+     * of `where`: a value for the equality or `{ eq, in, gt, gte, lt, lte }`. The candidates are taken
+     * from the index of the first indexed field, without an index the directory is scanned.
+     * The candidates are loaded and checked against all the conditions.
+     * ```js
+     * const adults = await db.query("users", {
+     * 	where: { role: { in: ["admin", "editor"] }, age: { gte: 18 } },
+     * 	sort: "age", order: "desc", limit: 10,
+     * })
+     * for (const { uri, document } of adults) console.log(uri, document.name)
+     * ```
+     * @throws {AccessDeniedError} If access is denied.
+     * @throws {TypeError} If the conditions or the options are invalid.
+     * @throws {ParseError} If a candidate document is broken.
+     * @param {string} dir The directory URI, "." for the whole root.
+     * @param {import("./indexes.js").QueryOptions} [options] The conditions, the sort and the limit.
+     * @returns {Promise<import("./indexes.js").QueryResult[]>} The matching documents with their URIs.
+     */
+    query(dir: string, { where, sort, order, limit }?: import("./indexes.js").QueryOptions): Promise<import("./indexes.js").QueryResult[]>;
+    /**
+     * Loads the indexes from the hidden store once, the broken index documents and shards are skipped.
+     * The single file indexes of the older versions are loaded when there is no index directory,
+     * the next save replaces them by the shards.
+     * @returns {Promise<Map<string, DocumentIndex>>} The indexes by their file name.
+     */
+    _loadIndexes(): Promise<Map<string, DocumentIndex>>;
+    /**
+     * Writes the changed shards of the index into the hidden store, see _saveShards().
+     * @param {DocumentIndex} index The index.
+     * @param {boolean} [prune=false] Remove the shards unknown to the index, e.g. after it is rebuilt.
+     * @returns {Promise<void>}
+     */
+    _saveIndex(index: DocumentIndex, prune?: boolean): Promise<void>;
+    /**
+     * Writes the JSON of the data into the file of the hidden store atomically.
+     * @param {string} path The absolute file path.
+     * @param {any} data The data.
+     * @returns {Promise<void>}
+     */
+    _writeStore(path: string, data: any): Promise<void>;
+    /**
+     * Reads the JSON files of the store directory, the broken ones are skipped.
+     * @param {string} dir The absolute store directory.
+     * @returns {Promise<Map<string, any> | null>} The data by the file name, null when there is no directory.
+     */
+    _loadShards(dir: string): Promise<Map<string, any> | null>;
+    /**
+     * Writes the shards of the index changed since the last save, one file per directory of the documents,
+     * so a write costs the size of its directory and not of the whole index. The emptied shards are removed.
+     * @param {string} dir The absolute store directory.
+     * @param {DocumentIndex | SearchIndex} index The index.
+     * @param {{ prune?: boolean, legacy?: string }} [options] `prune` removes the shards unknown to the index,
+     * `legacy` is the single file store of the older versions removed once the shards are written.
+     * @returns {Promise<void>}
+     */
+    _saveShards(dir: string, index: DocumentIndex | SearchIndex, { prune, legacy }?: {
+        prune?: boolean;
+        legacy?: string;
+    }): Promise<void>;
+    /**
+     * Lists the indexed documents (JSON and YAML) of the path.
+     * @param {string} file The path relative to the root.
+     * @returns {Promise<string[]>} The document paths relative to the root.
+     */
+    _indexedFiles(file: string): Promise<string[]>;
+    /**
+     * Loads the document for the index, the broken documents are not indexed.
+     * @param {string} file The path relative to the root.
+     * @returns {Promise<any>} The document, undefined if it cannot be loaded.
+     */
+    _loadIndexed(file: string): Promise<any>;
+    /**
+     * Indexes the document in the indexes covering it. The encrypted documents are only marked
+     * as encrypted, their values never reach the plain text store, query() loads them as candidates.
+     * @param {DocumentIndex[]} indexes The indexes covering the document.
+     * @param {string} file The path relative to the root.
+     * @returns {Promise<void>}
+     */
+    _indexDocument(indexes: DocumentIndex[], file: string): Promise<void>;
+    /**
+     * Returns the indexes affected by the change of the path: covering it or inside of it.
+     * @param {string} file The path relative to the root.
+     * @returns {Promise<DocumentIndex[]>} The indexes.
+     */
+    _indexesOf(file: string): Promise<DocumentIndex[]>;
+    /**
+     * Indexes the written document or all the documents inside of the written directory,
+     * in the secondary indexes and in the search index.
+     * @param {string} file The path relative to the root.
+     * @returns {Promise<void>}
+     */
+    _updateIndexes(file: string): Promise<void>;
+    /**
+     * Removes the dropped document or directory from the secondary indexes and from the search index.
+     * @param {string} file The path relative to the root.
+     * @returns {Promise<void>}
+     */
+    _dropIndexes(file: string): Promise<void>;
+    /**
+     * Searches the text and markdown documents: the words are lowercased, folded (diacritics, "ї" as "і",
+     * "ґ" as "г"), stemmed and the English and Ukrainian stop words are skipped. A document has to contain
+     * every word of the query, the documents are ranked with BM25. With `prefix` the query words match
+     * the beginnings of the words, for the search as you type. The search index is built with
+     * rebuildSearchIndex() on the first search, stored in the hidden `.search` directory
+     * and kept up to date by the writes, moves and drops of the database.
+     * ```js
+     * for (const { uri, snippet } of await db.search("документи київ", { limit: 5 })) {
+     * 	console.log(uri, snippet)
+     * }
+     * ```
+     * @throws {TypeError} If the limit is invalid.
+     * @param {string} text The query.
+     * @param {{ prefix?: boolean, limit?: number }} [options] `prefix` matching, `limit` of the results
+     * (10 by default, -1 for all).
+     * @returns {Promise<import("./search.js").SearchResult[]>} The most relevant documents first, with the snippets.
+     */
+    search(text: string, { prefix, limit }?: {
+        prefix?: boolean;
+        limit?: number;
+    }): Promise<import("./search.js").SearchResult[]>;
+    /**
+     * Builds the search index of the text and markdown documents inside of the directory from scratch
+     * with findStream(), e.g. after the changes made outside of the database.
+     * @throws {AccessDeniedError} If access is denied.
+     * @param {string} [uri="."] The directory URI, the whole root by default.
+     * @returns {Promise<SearchIndex>} The search index.
+     */
+    rebuildSearchIndex(uri?: string): Promise<SearchIndex>;
+    /**
+     * Loads the search index from the hidden store once, the broken shards are skipped.
+     * The single file index of the older versions is loaded when there are no shards,
+     * the next save replaces it by the shards.
+     * @returns {Promise<SearchIndex | null>} The search index, null when it is not built yet.
+     */
+    _loadSearch(): Promise<SearchIndex | null>;
+    /**
+     * Writes the changed shards of the search index into the hidden store, see _saveShards().
+     * @param {SearchIndex} index The search index.
+     * @param {boolean} [prune=false] Remove the shards unknown to the index, e.g. after it is rebuilt.
+     * @returns {Promise<void>}
+     */
+    _saveSearch(index: SearchIndex, prune?: boolean): Promise<void>;
+    /**
+     * Indexes the text of the document for the search, the encrypted documents are not searched:
+     * their terms would be stored in plain text.
+     * @param {SearchIndex} index The search index.
+     * @param {string} file The path relative to the root.
+     * @returns {Promise<void>}
+     */
+    _searchDocument(index: SearchIndex, file: string): Promise<void>;
+    /**
+     * Loads the text of the searched document.
+     * @param {string} file The path relative to the root.
+     * @returns {Promise<string>} The text, empty if it cannot be loaded.
+     */
+    _loadSearched(file: string): Promise<string>;
+    /**
+     * Indexes the written text documents of the path when the search index is built.
+     * @param {string} file The path relative to the root.
+     * @returns {Promise<void>}
+     */
+    _updateSearch(file: string): Promise<void>;
+    /**
+     * Runs the callback in the transaction: the saves, writes and drops of `tx` are staged
+     * and committed together when the callback resolves, or discarded when it throws.
+     * ```js
+     * await db.transaction(async tx => {
+     * 	const balance = await tx.loadDocument("accounts/a.json", {})
+     * 	await tx.saveDocument("accounts/a.json", { ...balance, total: balance.total - 10 })
+     * 	await tx.writeDocument("ledger.log", "a -10\n")
+     * })
+     * ```
+     * @template T
+     * @throws {Error} The error of the callback or the commit, nothing is changed then.
+     * @param {(tx: Transaction) => Promise<T> | T} fn The callback.
+     * @returns {Promise<T>} The result of the callback.
+     */
+    transaction<T>(fn: (tx: Transaction) => Promise<T> | T): Promise<T>;
+    /**
+     * Completes the transactions interrupted during the commit by their journals:
+     * the ones interrupted before the first document is replaced are rolled back,
+     * the others are rolled forward. A corrupt journal is quarantined and its documents are left as they are.
+     * The journals of the commits still running in the live processes are skipped.
+     * @returns {Promise<{ id: string, action: "rollback"|"rollforward"|"quarantine" }[]>} The recovered transactions.
+     */
+    recoverTransactions(): Promise<{
+        id: string;
+        action: "rollback" | "rollforward" | "quarantine";
+    }[]>;
+    /**
+     * Moves (renames) the document or the whole directory tree.
+     * Requires read and delete access to the source and write access to the destination,
+     * for directories to every nested entry.
+     * Under the `compress` prefixes the stored document is moved, the destination keeps its suffix.
+     * In locking mode both the source and the destination are locked exclusively while moved.
+     * @throws {DBFSError} If the source is not found or the destination exists.
+     * @param {string} from The source URI.
+     * @param {string} to The destination URI.
+     * @param {{ overwrite?: boolean }} [options] Set overwrite to replace the existing destination file.
+     * @returns {Promise<boolean>} True if moved successfully.
+     */
+    moveDocument(from: string, to: string, { overwrite }?: {
+        overwrite?: boolean;
+    } | undefined): Promise<boolean>;
+    /**
+     * Copies the document or the whole directory tree.
+     * Requires read access to the source and write access to the destination,
+     * for directories to every nested entry. A file is copied atomically in atomic mode.
+     * Under the `compress` prefixes the stored document is copied, the destination keeps its suffix.
+     * In locking mode the destination is locked exclusively while written.
+     * @throws {DBFSError} If the source is not found or the destination exists.
+     * @param {string} from The source URI.
+     * @param {string} to The destination URI.
+     * @param {{ overwrite?: boolean }} [options] Set overwrite to replace the existing destination file.
+     * @returns {Promise<boolean>} True if copied successfully.
+     */
+    copyDocument(from: string, to: string, { overwrite }?: {
+        overwrite?: boolean;
+    } | undefined): Promise<boolean>;
+    /**
+     * Checks the access and the paths before moving or copying.
+     * @throws {DBFSError} If the access is denied, the source is not found or the destination exists.
+     * @param {string} from The source URI.
+     * @param {string} to The destination URI.
+     * @param {("r"|"w"|"d")[]} levels The access levels required for the source.
+     * @param {boolean} overwrite Whether the destination file can be replaced.
+     * @returns {Promise<{ stat: DocumentStat, fromFile: string, toFile: string, source: string, target: string }>}
+     */
+    _prepareTransfer(from: string, to: string, levels: ("r" | "w" | "d")[], overwrite: boolean): Promise<{
+        stat: DocumentStat;
+        fromFile: string;
+        toFile: string;
+        source: string;
+        target: string;
+    }>;
+    /**
+     * Watches the document or the directory for changes on disk.
+     * Emits normalized "create", "change", "delete" and "rename" events with the URIs
+     * relative to the root, debounces editor save bursts and invalidates the cached
+     * stat and data of the touched URIs. Temp files and not readable URIs are skipped.
+     * ```js
+     * const watcher = await db.watch("docs", { recursive: true })
+     * watcher.on("change", event => console.log(event.uri))
+     * for await (const event of watcher) { ... }
+     * watcher.close()
+     * ```
+     * @throws {DBFSError} If the document does not exist or access is denied.
+     * @param {string} [uri="."] The URI to watch.
+     * @param {{ recursive?: boolean, debounce?: number }} [options] The debounce time is in milliseconds.
+     * @returns {Promise<Watcher>} The started watcher, an event emitter and an async iterator.
+     */
+    watch(uri?: string | undefined, { recursive, debounce }?: {
+        recursive?: boolean;
+        debounce?: number;
+    } | undefined): Promise<Watcher>;
+    /**
+     * Lists the paths of all the entries inside of the directory, recursively.
+     * @param {string} file The directory path relative to the root.
+     * @returns {Promise<string[]>} The nested paths relative to the root, parents first.
+     */
+    _listTree(file: string): Promise<string[]>;
+    /**
+     * Removes the cached stat (meta) and data of the document and everything inside of it.
+     * @param {string} file The path relative to the root.
+     * @returns {string[]} The removed cache keys.
+     */
+    _forget(file: string): string[];
     /**
      * Ensures the current operation has proper access rights.
+     * The access policy rules are checked first, paths outside of the root
+     * are available only with an explicit allow rule, e.g. `../shared/llm.config.js`.
+     * @throws {AccessDeniedError} If the access is denied, the error names the rule.
      * @param {string} uri The URI to check access for.
      * @param {"r"|"w"|"d"} [level="r"] The access level: read, write, or delete.
      * @returns {Promise<boolean>} True if access is granted.
      */
     ensureAccess(uri: string, level?: "r" | "w" | "d" | undefined): Promise<boolean>;
     /**
-     * Lists the contents of a directory.
+     * Ensures the path does not escape the root through symbolic links,
+     * following the `followSymlinks` policy. For not existing documents (writes)
+     * the nearest existing ancestor is checked.
+     * @throws {AccessDeniedError} If the real path is outside of the root or a link is denied.
+     * @param {string} path The path relative to the root.
+     * @returns {Promise<boolean>} True if access is granted.
+     */
+    ensureConfined(path: string): Promise<boolean>;
+    /**
+     * Streams the directory tree with the progress, see `DB.findStream()`.
+     * The traversal options select the entries while walking the tree: the `include` and `exclude`
+     * globs (relative to the scanned URI, a glob without a slash matches the name at any depth),
+     * the `.gitignore`-style `ignoreFiles` honored in every directory, `maxDepth`, `filter(entry)`
+     * for the files and `prune(dirEntry)` for the directories. The excluded, ignored and pruned
+     * directories are never read.
+     * ```js
+     * const options = { include: "*.md", exclude: ["node_modules", ".git"], ignoreFiles: [".gitignore"] }
+     * for await (const { file } of db.findStream(".", options)) {
+     * 	console.log(file.path)
+     * }
+     * ```
+     * @throws {AccessDeniedError} If the directory is outside of the root or denied by the access policy.
+     * @param {string} uri The directory URI to scan.
+     * @param {Record<string, any> & import("./traversal.js").TraversalOptions} [options={}] The options
+     * of `DB.findStream()` (limit, sort, order, skipStat, ...) and the traversal options.
+     * @returns {AsyncGenerator<any>} The stream entries.
+     */
+    findStream(uri: string, options?: Record<string, any> & import("./traversal.js").TraversalOptions): AsyncGenerator<any>;
+    /**
+     * Reads the directory tree breadth first (directories first) for the traversal,
+     * the excluded, ignored and pruned directories are not read.
+     * @param {string} uri The directory URI to read.
+     * @param {Traversal} traversal The traversal.
+     * @returns {AsyncGenerator<DocumentEntry>} The entries with the paths relative to the root.
+     */
+    _readTree(uri: string, traversal: Traversal): AsyncGenerator<DocumentEntry>;
+    /**
+     * Lists the contents of a directory, recursively down to `maxDepth` (0 by default, -1 for no limit).
+     * The version history store and the trash are hidden unless `versions` and `trash` are set,
+     * the transaction journals, the lock files, the checksums, the indexes and the search index are always hidden,
+     * the dot files are hidden with `hidden: false`. The `include` globs select the files, the `exclude` globs skip
+     * the files and the directories with their contents, both relative to the listed directory.
+     * The entries are sorted by `sort` ("type" by default: the directories first, then by the extension)
+     * and `order`, the path breaks the ties, so the pages of `offset` and `limit` (or the `cursor`
+     * of listPage()) are stable.
+     * ```js
+     * const recent = await db.listDir("docs", { maxDepth: -1, include: "*.md", sort: "mtime", order: "desc", limit: 20 })
+     * ```
+     * @throws {TypeError} If the options or the cursor are invalid.
+     * @throws {AccessDeniedError} If the directory is outside of the root or denied by the access policy.
+     * @throws {NotFoundError} If the directory does not exist.
+     * @throws {NotADirectoryError} If the URI is a file.
      * @param {string} uri The directory URI to list.
-     * @param {{depth?: number, skipStat?: boolean}} options Options for listing.
-     * @returns {Promise<DocumentEntry[]>} The list of directory entries.
+     * @param {import("./listing.js").ListOptions} [options] Options for listing, `depth` is the depth
+     * stamped onto the entries of the listed directory.
+     * @returns {Promise<DocumentEntry[]>} The list of directory entries, their `path` is relative to the listed directory.
      */
-    listDir(uri: string, { depth, skipStat }?: {
-        depth?: number;
-        skipStat?: boolean;
+    listDir(uri: string, options?: import("./listing.js").ListOptions): Promise<DocumentEntry[]>;
+    /**
+     * Lists a page of the directory contents with the cursor of the next page, see listDir().
+     * Every page reads and stats the whole listing to sort it and count the total, so a page costs
+     * a full scan of the directory (and of the subdirectories down to maxDepth), `skipStat` saves the stats.
+     * ```js
+     * let cursor = null
+     * do {
+     * 	const page = await db.listPage("uploads", { sort: "name", limit: 100, cursor })
+     * 	render(page.entries, page.total)
+     * 	cursor = page.cursor
+     * } while (cursor)
+     * ```
+     * @throws {TypeError} If the options or the cursor are invalid.
+     * @throws {DBFSError} If the directory cannot be listed, see listDir().
+     * @param {string} uri The directory URI to list.
+     * @param {import("./listing.js").ListOptions} [options] Options for listing.
+     * @returns {Promise<import("./listing.js").ListPage>} The page with the total number of the entries
+     * and the cursor of the next page (null for the last page).
+     */
+    listPage(uri: string, options?: import("./listing.js").ListOptions): Promise<import("./listing.js").ListPage>;
+    /**
+     * Reads the stat of the directory entry. A symbolic link is followed only when the `followSymlinks`
+     * policy lets it, see ensureConfined(), otherwise the stat describes the link itself.
+     * @param {string} path The absolute entry path.
+     * @param {import("node:fs").Dirent} dirent The directory entry.
+     * @returns {Promise<import("node:fs").Stats>} The stat.
+     */
+    _direntStat(path: string, dirent: import("node:fs").Dirent): Promise<import("node:fs").Stats>;
+    /**
+     * Reads the entries of the directory and of its subdirectories within the traversal depth.
+     * Only the real subdirectories are descended into, the symbolic links to the directories are
+     * listed without their contents, so the listing never leaves the root nor loops.
+     * The entries denied to read by the access policy are skipped, the denied directories are not read.
+     * @param {string} path The absolute directory path.
+     * @param {string} prefix The directory path relative to the listed directory, "" for the listed one.
+     * @param {number} level The level of the entries, 0 for the listed directory.
+     * @param {Traversal} traversal The traversal.
+     * @param {{ depth: number, skipStat: boolean, versions: boolean, trash: boolean, hidden: boolean }} options
+     * The options of listDir().
+     * @returns {Promise<DocumentEntry[]>} The entries, the directories before their contents.
+     */
+    _listLevel(path: string, prefix: string, level: number, traversal: Traversal, options: {
+        depth: number;
+        skipStat: boolean;
+        versions: boolean;
+        trash: boolean;
+        hidden: boolean;
     }): Promise<DocumentEntry[]>;
 }
+/**
+ * The options of DBFS on top of the DB options.
+ */
+export type DBFSOptions = {
+    /**
+     * Save documents atomically.
+     */
+    atomic?: boolean | undefined;
+    /**
+     * Fsync the directory after the atomic rename.
+     */
+    fsyncDir?: boolean | undefined;
+    /**
+     * Remove the orphaned temp files of the root on connect().
+     */
+    cleanTempFiles?: boolean | undefined;
+    /**
+     * Symbolic links policy.
+     */
+    followSymlinks?: "deny" | "within-root" | "allow" | undefined;
+    /**
+     * Access policy or its document.
+     */
+    access?: object | AccessPolicy | undefined;
+    /**
+     * URI of the access policy document loaded on connect().
+     */
+    accessFile?: string | undefined;
+    /**
+     * Options of the CSV and TSV documents.
+     */
+    csv?: import("./csv.js").CSVOptions | undefined;
+    /**
+     * Compression of the saved documents by the URI prefix.
+     */
+    compress?: Record<string, "gzip" | "brotli"> | undefined;
+    /**
+     * Encryption or its options `{ paths, key, keyId }`.
+     */
+    encryption?: object | Encryption | undefined;
+    /**
+     * Keep the previous versions of the documents.
+     */
+    versioning?: boolean | {
+        keep?: number;
+        days?: number;
+    } | undefined;
+    /**
+     * Move the dropped documents into the trash.
+     */
+    trash?: boolean | undefined;
+    /**
+     * Lock the documents on write automatically.
+     */
+    locking?: boolean | {
+        timeout?: number;
+    } | undefined;
+    /**
+     * Keep the checksums of the written documents,
+     * true for "sha256" or the hash algorithm.
+     */
+    checksums?: string | boolean | {
+        algorithm?: string;
+    } | undefined;
+    /**
+     * The schema rules `{ pattern, schema, onLoad }`.
+     */
+    schemas?: (object | SchemaRule)[] | undefined;
+};
 import DB from "@nan0web/db";
+import AccessPolicy from "./AccessPolicy.js";
+import Watcher from "./Watcher.js";
+import Encryption from "./Encryption.js";
+import { DocumentVersion } from "./versions.js";
+import { TrashEntry } from "./trash.js";
+import Transaction from "./Transaction.js";
+import { FileLock } from "./lock.js";
+import { DuplicateSet } from "./duplicates.js";
+import { DiskUsageNode } from "./diskUsage.js";
+import { SchemaRule } from "./schema.js";
+import { DocumentIndex } from "./indexes.js";
+import { SearchIndex } from "./search.js";
+import { Traversal } from "./traversal.js";
+import { Readable } from "node:stream";
+import { Writable } from "node:stream";
 import { DocumentStat } from "@nan0web/db";
 import { DocumentEntry } from "@nan0web/db";
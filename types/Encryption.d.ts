@@ -0,0 +1,125 @@
+/**
+ * Converts the key into the 32 bytes buffer.
+ * @throws {TypeError} If the key is not 32 bytes.
+ * @param {EncryptionKey} key The key.
+ * @returns {Buffer} The key buffer.
+ */
+export function normalizeKey(key: EncryptionKey): Buffer;
+/**
+ * Checks whether the content is an encrypted document.
+ * @param {Buffer} buffer The content or its beginning.
+ * @returns {boolean} True if the content starts with the encryption header.
+ */
+export function isEncrypted(buffer: Buffer): boolean;
+/**
+ * Checks whether the file is an encrypted document by its header.
+ * @param {string} path The file path.
+ * @returns {Promise<boolean>} True if the file is encrypted, false also for a missing file.
+ */
+export function isEncryptedFile(path: string): Promise<boolean>;
+/**
+ * @typedef {Buffer | Uint8Array | string} EncryptionKey
+ * The 32 bytes key as a buffer, a hex (64 chars) or a base64 string.
+ */
+/**
+ * @typedef {(keyId: string) => EncryptionKey | null | undefined | Promise<EncryptionKey | null | undefined>} KeyProvider
+ * Returns the key by its id.
+ */
+/**
+ * The first bytes of the encrypted document, the last one is the format version.
+ * @type {Buffer}
+ */
+export const ENCRYPTION_MAGIC: Buffer;
+export default Encryption;
+/**
+ * The 32 bytes key as a buffer, a hex (64 chars) or a base64 string.
+ */
+export type EncryptionKey = Buffer | Uint8Array | string;
+/**
+ * Returns the key by its id.
+ */
+export type KeyProvider = (keyId: string) => EncryptionKey | null | undefined | Promise<EncryptionKey | null | undefined>;
+/**
+ * At-rest encryption of the documents matching the glob patterns with AES-256-GCM.
+ * The encrypted document is `magic | key id length | key id | iv | auth tag | ciphertext`,
+ * the header (magic and key id) is authenticated too, every save gets a new random IV.
+ */
+declare class Encryption {
+    /**
+     * Creates an Encryption instance from input parameters.
+     * @param {object} [input={}] The encryption or its options.
+     * @returns {Encryption}
+     */
+    static from(input?: object): Encryption;
+    /**
+     * @param {object} [input={}]
+     * @param {string | string[]} [input.paths=[]] The glob patterns of the encrypted documents.
+     * @param {EncryptionKey | KeyProvider} [input.key] The key or the key provider callback.
+     * @param {string} [input.keyId="default"] The id of the current key.
+     * @param {Map<string, Buffer>} [input.keys] The known keys by id.
+     */
+    constructor(input?: {
+        paths?: string | string[] | undefined;
+        key?: EncryptionKey | KeyProvider | undefined;
+        keyId?: string | undefined;
+        keys?: Map<string, Buffer<ArrayBufferLike>> | undefined;
+    });
+    /**
+     * The glob patterns of the encrypted documents, relative to the root.
+     * @type {string[]}
+     */
+    paths: string[];
+    /** @type {RegExp[]} */
+    regexps: RegExp[];
+    /**
+     * The id of the key the new documents are encrypted with, stored in the document header.
+     * @type {string}
+     */
+    keyId: string;
+    /**
+     * Returns the keys missing in `keys`, null for none.
+     * @type {KeyProvider | null}
+     */
+    provider: KeyProvider | null;
+    /**
+     * The known keys by id.
+     * @type {Map<string, Buffer>}
+     */
+    keys: Map<string, Buffer>;
+    /**
+     * Checks whether the new document must be encrypted.
+     * @param {string} path The path relative to the root.
+     * @returns {boolean} True if the path matches one of the patterns.
+     */
+    applies(path: string): boolean;
+    /**
+     * Returns the key by its id from the known keys or the provider.
+     * @throws {DecryptionError} If the key is not found.
+     * @param {string} keyId The key id.
+     * @returns {Promise<Buffer>} The key.
+     */
+    keyFor(keyId: string): Promise<Buffer>;
+    /**
+     * Encrypts the content with the current key.
+     * @param {Buffer} buffer The content.
+     * @returns {Promise<Buffer>} The encrypted document.
+     */
+    encrypt(buffer: Buffer): Promise<Buffer>;
+    /**
+     * Decrypts the document with the key of its header.
+     * @throws {DecryptionError} If the key is not found, wrong or the document is tampered.
+     * @param {Buffer} buffer The encrypted document.
+     * @param {string} [uri=""] The document URI for the error.
+     * @returns {Promise<Buffer>} The content.
+     */
+    decrypt(buffer: Buffer, uri?: string): Promise<Buffer>;
+    /**
+     * Returns the encryption of the same paths with the new current key,
+     * the known keys and the provider are kept to decrypt the older documents.
+     * @throws {TypeError} If the key id is the current one.
+     * @param {EncryptionKey | KeyProvider} key The new key or the key provider.
+     * @param {string} keyId The new key id, must differ from the keys in use.
+     * @returns {Encryption} The new encryption.
+     */
+    withKey(key: EncryptionKey | KeyProvider, keyId: string): Encryption;
+}
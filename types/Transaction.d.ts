@@ -0,0 +1,260 @@
+/**
+ * Checks whether the path (relative to the root) is inside of the journal directory.
+ * @param {string} path The path relative to the root.
+ * @returns {boolean} True for the journal paths.
+ */
+export function isJournalPath(path: string): boolean;
+/**
+ * The hidden directory inside of the root with the journals of the committing transactions.
+ * @type {string}
+ */
+export const JOURNAL_DIR: string;
+/**
+ * The suffix of the quarantined journals that cannot be parsed, they are not recovered again.
+ * @type {string}
+ */
+export const CORRUPT_SUFFIX: string;
+/**
+ * The age in ms after which the journal is recovered even if its writer pid is alive, the pid is reused then.
+ * @type {number}
+ */
+export const JOURNAL_MAX_AGE: number;
+export default Transaction;
+export type TransactionOperation = {
+    /**
+     * The operation.
+     */
+    type: "save" | "drop";
+    /**
+     * The document URI.
+     */
+    uri: string;
+    /**
+     * The document path relative to the root.
+     */
+    file: string;
+    /**
+     * The staged content path relative to the root, empty for the drops.
+     */
+    temp: string;
+    /**
+     * The previous content path relative to the root, empty for a new document.
+     */
+    backup: string;
+    /**
+     * True for the dropped directories.
+     */
+    isDirectory: boolean;
+};
+export type TransactionJournal = {
+    /**
+     * The transaction id.
+     */
+    id: string;
+    /**
+     * The id of the writer process, journals of the live writers are not recovered.
+     */
+    pid?: number | undefined;
+    /**
+     * The start time of the transaction in ms, tells the reused writer pids.
+     */
+    started?: number | undefined;
+    /**
+     * Prepared journals are rolled back, committing ones forward.
+     */
+    state: "prepared" | "committing";
+    /**
+     * The operations in order.
+     */
+    ops: TransactionOperation[];
+};
+export type DBFS = import("./DBFS.js").default;
+/**
+ * Multi-document transaction: the saves and writes are staged into temp files next to
+ * the documents, the drops are recorded, nothing is visible until commit().
+ *
+ * The commit writes the journal (".journal/<id>.json") in the "prepared" state, links
+ * the previous content as backups, switches the journal to "committing" and renames
+ * the staged files over the documents. An interrupted commit is recovered on the next
+ * connect(): "prepared" journals are rolled back, "committing" ones rolled forward.
+ */
+declare class Transaction {
+    /**
+     * Applies the operation, repeated calls are safe (used to roll forward).
+     * The replaced documents are kept in the version history, the dropped ones too unless in trash mode.
+     * @param {DBFS} db The database.
+     * @param {TransactionOperation} op The operation.
+     * @returns {Promise<void>}
+     */
+    static apply(db: DBFS, op: TransactionOperation): Promise<void>;
+    /**
+     * Reverts the applied operation from its backup.
+     * @param {DBFS} db The database.
+     * @param {TransactionOperation} op The operation.
+     * @returns {Promise<void>}
+     */
+    static revert(db: DBFS, op: TransactionOperation): Promise<void>;
+    /**
+     * Removes the backups of the committed transaction (dropped documents go to the trash
+     * in trash mode) and its journal, updates the checksums and the indexes of the changed documents.
+     * @param {DBFS} db The database.
+     * @param {TransactionJournal} journal The journal.
+     * @returns {Promise<void>}
+     */
+    static finalize(db: DBFS, journal: TransactionJournal): Promise<void>;
+    /**
+     * Removes the staged content and the backups of the not committed transaction and its journal.
+     * @param {DBFS} db The database.
+     * @param {TransactionJournal} journal The journal.
+     * @returns {Promise<void>}
+     */
+    static discard(db: DBFS, journal: TransactionJournal): Promise<void>;
+    /**
+     * Reads the journal, the journal that cannot be parsed or has no operations is corrupt.
+     * @param {string} path The journal path.
+     * @returns {Promise<TransactionJournal | null>} The journal, null when corrupt.
+     */
+    static readJournal(path: string): Promise<TransactionJournal | null>;
+    /**
+     * Checks whether the journal belongs to a commit that is still running: its writer
+     * process is alive and the journal is younger than maxAge.
+     * @param {TransactionJournal} journal The journal.
+     * @param {{ maxAge?: number, isAlive?: (pid: number) => boolean }} [options]
+     * @returns {boolean} True for the journals of the live writers.
+     */
+    static isLive(journal: TransactionJournal, { maxAge, isAlive }?: {
+        maxAge?: number;
+        isAlive?: (pid: number) => boolean;
+    }): boolean;
+    /**
+     * Recovers the interrupted commits by their journals: the "prepared" transactions
+     * are rolled back, the "committing" ones are rolled forward. A corrupt journal is
+     * quarantined, renamed to "<id>.json.corrupt", and its documents are left as they are.
+     * The journals of the commits still running in the live processes, this one included,
+     * are skipped, see isLive().
+     * @param {DBFS} db The database.
+     * @param {{ maxAge?: number, isAlive?: (pid: number) => boolean }} [options]
+     * @returns {Promise<{ id: string, action: "rollback"|"rollforward"|"quarantine" }[]>} The recovered transactions.
+     */
+    static recover(db: DBFS, options?: {
+        maxAge?: number;
+        isAlive?: (pid: number) => boolean;
+    }): Promise<{
+        id: string;
+        action: "rollback" | "rollforward" | "quarantine";
+    }[]>;
+    /**
+     * @param {DBFS} db The database.
+     */
+    constructor(db: DBFS);
+    /** @type {DBFS} */
+    db: DBFS;
+    /**
+     * The transaction id, also the journal name.
+     * @type {string}
+     */
+    id: string;
+    /**
+     * The staged operations by the document path relative to the root.
+     * @type {Map<string, TransactionOperation>}
+     */
+    ops: Map<string, TransactionOperation>;
+    /**
+     * The start time in ms, written to the journal with the process id.
+     * @type {number}
+     */
+    started: number;
+    /** @type {"open"|"committed"|"rolledback"} */
+    state: "open" | "committed" | "rolledback";
+    /**
+     * @throws {DBFSError} If the transaction is already committed or rolled back.
+     */
+    _ensureOpen(): void;
+    /**
+     * Returns the staged drop of the directory containing the path.
+     * @param {string} file The path relative to the root.
+     * @returns {TransactionOperation | null} The drop operation or null.
+     */
+    _droppedParent(file: string): TransactionOperation | null;
+    /**
+     * Replaces the staged operation of the document, removes the replaced staged content.
+     * @param {TransactionOperation} op The operation.
+     * @returns {Promise<void>}
+     */
+    _stage(op: TransactionOperation): Promise<void>;
+    /**
+     * Stages the document path for the write.
+     * @throws {DBFSError} If the directory of the document is dropped in the transaction.
+     * @param {string} uri The document URI.
+     * @param {string} operation The staged operation, e.g. "saveDocument".
+     * @returns {Promise<{ file: string, path: string, temp: string }>} The paths.
+     */
+    _prepareWrite(uri: string, operation: string): Promise<{
+        file: string;
+        path: string;
+        temp: string;
+    }>;
+    /**
+     * Stages the document save, the document is validated and written into the temp file.
+     * @throws {import("./errors.js").ValidationError} If the document does not match its schema.
+     * @throws {Error} If access is denied or the document cannot be saved.
+     * @param {string} uri The document URI.
+     * @param {any} document The document to save.
+     * @returns {Promise<boolean>} True if staged, false if no saver accepts the document.
+     */
+    saveDocument(uri: string, document: any): Promise<boolean>;
+    /**
+     * Stages the chunk appended to the document: the staged (or current) content with the chunk
+     * is written into the temp file.
+     * @throws {Error} If access is denied or the document cannot be written.
+     * @param {string} uri The document URI.
+     * @param {string} chunk The chunk to append.
+     * @returns {Promise<boolean>} True if staged.
+     */
+    writeDocument(uri: string, chunk: string): Promise<boolean>;
+    /**
+     * Stages the document drop, a directory is dropped only when empty or in recursive mode.
+     * The staged operations inside of the dropped directory are discarded.
+     * @throws {import("./errors.js").AccessDeniedError} If access is denied.
+     * @throws {DirectoryNotEmptyError} If the directory is not empty and not in recursive mode.
+     * @param {string} uri The document URI.
+     * @param {{ recursive?: boolean }} [options] Set recursive to drop the whole directory tree.
+     * @returns {Promise<boolean>} True if staged, false if the document does not exist.
+     */
+    dropDocument(uri: string, { recursive }?: {
+        recursive?: boolean;
+    }): Promise<boolean>;
+    /**
+     * Loads the document with the staged changes of the transaction.
+     * @param {string} uri The document URI.
+     * @param {any} [defaultValue=""] The default value for a missing or dropped document.
+     * @returns {Promise<any>} The document or the default value.
+     */
+    loadDocument(uri: string, defaultValue?: any): Promise<any>;
+    /**
+     * Writes the journal atomically.
+     * @param {TransactionJournal["state"]} state The journal state.
+     * @returns {Promise<void>}
+     */
+    _writeJournal(state: TransactionJournal["state"]): Promise<void>;
+    /**
+     * Commits all the staged operations together.
+     * When an operation fails the applied ones are reverted and the error is thrown.
+     * In locking mode all the documents are locked exclusively until the commit ends.
+     * @throws {Error} If the transaction is not open or the commit fails.
+     * @throws {import("./errors.js").LockTimeoutError} If a lock is not acquired in time.
+     * @returns {Promise<TransactionOperation[]>} The committed operations.
+     */
+    commit(): Promise<TransactionOperation[]>;
+    /**
+     * Commits the staged operations holding the locks.
+     * @param {TransactionOperation[]} ops The staged operations.
+     * @returns {Promise<TransactionOperation[]>} The committed operations.
+     */
+    _commit(ops: TransactionOperation[]): Promise<TransactionOperation[]>;
+    /**
+     * Discards the staged operations.
+     * @returns {Promise<void>}
+     */
+    rollback(): Promise<void>;
+}
@@ -0,0 +1,178 @@
+/**
+ * Normalized change of a document on disk.
+ */
+export class WatchEvent {
+    /**
+     * @param {object} input
+     * @param {"create"|"change"|"delete"|"rename"} input.type
+     * @param {string} input.uri
+     * @param {string} [input.from=""]
+     * @param {boolean} [input.isDirectory=false]
+     */
+    constructor(input: {
+        type: "create" | "change" | "delete" | "rename";
+        uri: string;
+        from?: string | undefined;
+        isDirectory?: boolean | undefined;
+    });
+    /**
+     * The change type.
+     * @type {"create"|"change"|"delete"|"rename"}
+     */
+    type: "create" | "change" | "delete" | "rename";
+    /**
+     * The URI relative to the DBFS root.
+     * @type {string}
+     */
+    uri: string;
+    /**
+     * The previous URI of the renamed document, empty for other types.
+     * @type {string}
+     */
+    from: string;
+    /** @type {boolean} */
+    isDirectory: boolean;
+}
+export default Watcher;
+export type KnownEntry = {
+    ino: number;
+    isDirectory: boolean;
+};
+/**
+ * @typedef {{ ino: number, isDirectory: boolean }} KnownEntry
+ */
+/**
+ * Watches the file or the directory with fs.watch and turns the raw events into WatchEvent.
+ * Raw events are debounced: when no new raw event comes during the debounce time,
+ * every touched path is compared to the known snapshot, so an editor save burst
+ * (backup, delete, rename over) becomes a single "change". A delete and a create of
+ * the same inode in one batch become a "rename".
+ *
+ * Events are emitted by name ("create", "change", "delete", "rename") and as "event",
+ * the watcher is also an async iterator of the events.
+ */
+declare class Watcher extends EventEmitter {
+    /**
+     * @param {object} input
+     * @param {string} input.root The absolute root the URIs are relative to.
+     * @param {string} input.path The absolute path to watch.
+     * @param {boolean} [input.recursive=false] Watch the nested directories too.
+     * @param {number} [input.debounce=50] The debounce time in milliseconds.
+     * @param {(uri: string) => boolean} [input.ignore] Returns true for URIs to skip.
+     * @param {(event: WatchEvent) => void} [input.onEvent] Called for every event.
+     */
+    constructor(input: {
+        root: string;
+        path: string;
+        recursive?: boolean | undefined;
+        debounce?: number | undefined;
+        ignore?: ((uri: string) => boolean) | undefined;
+        onEvent?: ((event: WatchEvent) => void) | undefined;
+    });
+    /**
+     * The absolute root the URIs are relative to.
+     * @type {string}
+     */
+    root: string;
+    /**
+     * The absolute watched path.
+     * @type {string}
+     */
+    path: string;
+    /** @type {boolean} */
+    recursive: boolean;
+    /**
+     * The debounce time in milliseconds.
+     * @type {number}
+     */
+    debounce: number;
+    /**
+     * Returns true for the URIs that must not produce events.
+     * @type {(uri: string) => boolean}
+     */
+    ignore: (uri: string) => boolean;
+    /**
+     * Called for every event before it is emitted.
+     * @type {(event: WatchEvent) => void}
+     */
+    onEvent: (event: WatchEvent) => void;
+    /**
+     * The snapshot of the known entries by URI.
+     * @type {Map<string, KnownEntry>}
+     */
+    known: Map<string, KnownEntry>;
+    /** @type {boolean} */
+    closed: boolean;
+    /** @type {boolean} */
+    isFile: boolean;
+    /** @type {Set<string>} */
+    pending: Set<string>;
+    /** @type {WatchEvent[]} */
+    queue: WatchEvent[];
+    /** @type {{ resolve: (result: IteratorResult<WatchEvent>) => void, reject: (err: Error) => void }[]} */
+    waiting: {
+        resolve: (result: IteratorResult<WatchEvent>) => void;
+        reject: (err: Error) => void;
+    }[];
+    /** @type {boolean} */
+    iterating: boolean;
+    /** @type {Error | null} */
+    error: Error | null;
+    /** @type {NodeJS.Timeout | null} */
+    timer: NodeJS.Timeout | null;
+    /** @type {import("node:fs").FSWatcher | null} */
+    fsWatcher: import("node:fs").FSWatcher | null;
+    /**
+     * Scans the current state and starts watching.
+     * @throws {Error} If the path does not exist.
+     * @returns {Promise<Watcher>} The watcher itself.
+     */
+    start(): Promise<Watcher>;
+    /**
+     * Returns the URI of the absolute path.
+     * @param {string} path The absolute path.
+     * @returns {string} The URI relative to the root.
+     */
+    uriOf(path: string): string;
+    /**
+     * Adds the path and its nested entries into the known snapshot.
+     * @param {string} path The absolute path.
+     * @param {number} [depth=0] The depth from the watched path.
+     * @returns {Promise<void>}
+     */
+    scan(path: string, depth?: number): Promise<void>;
+    /**
+     * Registers the raw event and restarts the debounce timer.
+     * @param {string} filename The file name relative to the watched path.
+     */
+    touch(filename: string): void;
+    /**
+     * Compares the touched paths with the known snapshot and emits the events.
+     * @returns {Promise<WatchEvent[]>} The emitted events.
+     */
+    flush(): Promise<WatchEvent[]>;
+    /**
+     * Removes the URI and its nested entries from the known snapshot.
+     * @param {string} uri The URI.
+     */
+    forget(uri: string): void;
+    /**
+     * Emits the event and passes it to the async iterator.
+     * @param {WatchEvent} event The event.
+     */
+    deliver(event: WatchEvent): void;
+    /**
+     * Stops watching because of the error.
+     * @param {Error} err The error.
+     */
+    fail(err: Error): void;
+    /**
+     * Stops watching, finishes the async iterators.
+     */
+    close(): void;
+    /**
+     * @returns {AsyncIterableIterator<WatchEvent>}
+     */
+    [Symbol.asyncIterator](): AsyncIterableIterator<WatchEvent>;
+}
+import { EventEmitter } from "node:events";
@@ -0,0 +1,68 @@
+/**
+ * Returns a unique sibling temporary path for the target file.
+ * The name keeps the original name and the writer PID, so orphans can be detected.
+ * @param {string} path The target file path.
+ * @param {number} [pid=process.pid] The writer process id.
+ * @returns {string} The temporary file path in the same directory.
+ */
+export function tempPathFor(path: string, pid?: number): string;
+/**
+ * Parses the temporary file name created by tempPathFor().
+ * @param {string} name The file name (without directory).
+ * @returns {{ name: string, pid: number } | null} The original name and the writer PID, or null.
+ */
+export function parseTempName(name: string): {
+    name: string;
+    pid: number;
+} | null;
+/**
+ * Checks whether the process with the given id is running.
+ * @param {number} pid The process id.
+ * @returns {boolean} True if the process is alive.
+ */
+export function isProcessAlive(pid: number): boolean;
+/**
+ * Flushes the file content to the storage device.
+ * @param {string} path The file path.
+ * @returns {Promise<void>}
+ */
+export function fsyncFile(path: string): Promise<void>;
+/**
+ * Flushes the directory entry changes (renames) to the storage device.
+ * Platforms that cannot open directories (Windows) are silently skipped.
+ * @param {string} dir The directory path.
+ * @returns {Promise<void>}
+ */
+export function fsyncDir(dir: string): Promise<void>;
+/**
+ * Moves the fully written temporary file over the target.
+ * @param {string} tmp The temporary file path.
+ * @param {string} path The target file path.
+ * @param {{ syncDir?: boolean }} [options] Set syncDir to also flush the parent directory.
+ * @returns {Promise<void>}
+ */
+export function commitFile(tmp: string, path: string, { syncDir }?: {
+    syncDir?: boolean;
+}): Promise<void>;
+/**
+ * Removes the file ignoring a missing one.
+ * @param {string} path The file path.
+ * @returns {Promise<boolean>} True if the file was removed.
+ */
+export function removeQuietly(path: string): Promise<boolean>;
+/**
+ * Recursively removes orphaned temporary files left by interrupted atomic saves.
+ * A temporary file is orphaned when its writer process is gone or it is older than maxAge.
+ * @param {string} root The directory to clean.
+ * @param {{ maxAge?: number, isAlive?: (pid: number) => boolean }} [options]
+ * @returns {Promise<string[]>} The removed file paths.
+ */
+export function removeTempFiles(root: string, { maxAge, isAlive }?: {
+    maxAge?: number;
+    isAlive?: (pid: number) => boolean;
+}): Promise<string[]>;
+/**
+ * Suffix of the temporary files written by atomic saves.
+ * @type {string}
+ */
+export const TEMP_SUFFIX: string;
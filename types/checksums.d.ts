@@ -0,0 +1,93 @@
+/**
+ * @typedef {object} Checksum
+ * @property {string} algorithm The hash algorithm, e.g. "sha256".
+ * @property {string} hash The hex digest of the stored content.
+ * @property {number} size The stored content size in bytes.
+ */
+/**
+ * @typedef {object} VerifyReport
+ * @property {string[]} ok The documents matching their checksums.
+ * @property {string[]} mismatched The documents changed since their checksums were recorded.
+ * @property {string[]} missing The documents with the checksums, but not found.
+ * @property {string[]} untracked The documents without the checksums.
+ */
+/**
+ * Checks whether the path (relative to the root) is inside of the checksums directory.
+ * @param {string} path The path relative to the root.
+ * @returns {boolean} True for the checksum paths.
+ */
+export function isChecksumPath(path: string): boolean;
+/**
+ * Validates the hash algorithm.
+ * @throws {TypeError} If the algorithm is not supported by node:crypto.
+ * @param {string} algorithm The hash algorithm.
+ * @returns {string} The algorithm.
+ */
+export function ensureAlgorithm(algorithm: string): string;
+/**
+ * Hashes the file content streaming it, without loading the whole file.
+ * @throws {TypeError} If the algorithm is not supported.
+ * @param {string} path The file path.
+ * @param {string} [algorithm="sha256"] The hash algorithm.
+ * @returns {Promise<Checksum>} The checksum.
+ */
+export function hashFile(path: string, algorithm?: string): Promise<Checksum>;
+/**
+ * Hashes the first bytes of the file, a cheap check before hashing the whole file.
+ * @throws {TypeError} If the algorithm is not supported.
+ * @param {string} path The file path.
+ * @param {number} bytes The number of the bytes to hash.
+ * @param {string} [algorithm="sha256"] The hash algorithm.
+ * @returns {Promise<string>} The hex digest.
+ */
+export function hashFileHead(path: string, bytes: number, algorithm?: string): Promise<string>;
+/**
+ * Compares the checksums.
+ * @param {Checksum} a The first checksum.
+ * @param {Checksum} b The second checksum.
+ * @returns {boolean} True for the same content.
+ */
+export function sameChecksum(a: Checksum, b: Checksum): boolean;
+/**
+ * The hidden directory inside of the root with the checksums of the documents,
+ * the checksum of `a/b.json` is the record `.checksums/a/b.json`.
+ * @type {string}
+ */
+export const CHECKSUMS_DIR: string;
+/**
+ * The default hash algorithm.
+ * @type {string}
+ */
+export const CHECKSUM_ALGORITHM: string;
+export type Checksum = {
+    /**
+     * The hash algorithm, e.g. "sha256".
+     */
+    algorithm: string;
+    /**
+     * The hex digest of the stored content.
+     */
+    hash: string;
+    /**
+     * The stored content size in bytes.
+     */
+    size: number;
+};
+export type VerifyReport = {
+    /**
+     * The documents matching their checksums.
+     */
+    ok: string[];
+    /**
+     * The documents changed since their checksums were recorded.
+     */
+    mismatched: string[];
+    /**
+     * The documents with the checksums, but not found.
+     */
+    missing: string[];
+    /**
+     * The documents without the checksums.
+     */
+    untracked: string[];
+};
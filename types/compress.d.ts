@@ -0,0 +1,53 @@
+/**
+ * Returns the compression suffix of the URI or the file path, the temp files
+ * of the atomic saves are detected by their original name.
+ * @param {string} uri The URI or the file path.
+ * @returns {string} The suffix ".gz" or ".br" in lowercase, empty for not compressed.
+ */
+export function compressionSuffix(uri: string): string;
+/**
+ * Returns the compression format of the URI or the file path.
+ * @param {string} uri The URI or the file path.
+ * @returns {CompressionFormat | null} The format or null for not compressed.
+ */
+export function compressionOf(uri: string): CompressionFormat | null;
+/**
+ * Compresses the content.
+ * @param {Buffer} buffer The content.
+ * @param {CompressionFormat} format The format.
+ * @returns {Promise<Buffer>} The compressed content.
+ */
+export function compress(buffer: Buffer, format: CompressionFormat): Promise<Buffer>;
+/**
+ * Decompresses the content, concatenated gzip members are decompressed as one content.
+ * @param {Buffer} buffer The compressed content.
+ * @param {CompressionFormat} format The format.
+ * @returns {Promise<Buffer>} The content.
+ */
+export function decompress(buffer: Buffer, format: CompressionFormat): Promise<Buffer>;
+/**
+ * Creates the decompression transform stream.
+ * @param {CompressionFormat} format The format.
+ * @returns {import("node:zlib").Gunzip | import("node:zlib").BrotliDecompress} The stream.
+ */
+export function createDecompressStream(format: CompressionFormat): import("node:zlib").Gunzip | import("node:zlib").BrotliDecompress;
+/**
+ * Creates the compression transform stream.
+ * @param {CompressionFormat} format The format.
+ * @returns {import("node:zlib").Gzip | import("node:zlib").BrotliCompress} The stream.
+ */
+export function createCompressStream(format: CompressionFormat): import("node:zlib").Gzip | import("node:zlib").BrotliCompress;
+/**
+ * @typedef {"gzip" | "brotli"} CompressionFormat
+ */
+/**
+ * Compression formats by the document suffix.
+ * @type {Readonly<Record<string, CompressionFormat>>}
+ */
+export const COMPRESSION_SUFFIXES: Readonly<Record<string, CompressionFormat>>;
+/**
+ * Document suffixes by the compression format.
+ * @type {Readonly<Record<CompressionFormat, string>>}
+ */
+export const COMPRESSION_FORMATS: Readonly<Record<CompressionFormat, string>>;
+export type CompressionFormat = "gzip" | "brotli";
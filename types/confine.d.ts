@@ -0,0 +1,45 @@
+/**
+ * Returns the nearest existing path (the path itself or its ancestor), without following the last link.
+ * @param {string} path The absolute path.
+ * @returns {Promise<string>} The nearest existing path.
+ */
+export function nearestExisting(path: string): Promise<string>;
+/**
+ * Resolves the real path even for not existing paths:
+ * the nearest existing ancestor is resolved with realpath and the rest is appended.
+ * Dangling symbolic links are followed to the place where a write would land.
+ * @param {string} path The absolute path.
+ * @param {number} [hops=0] The number of followed dangling links.
+ * @returns {Promise<string>} The real absolute path.
+ */
+export function resolveReal(path: string, hops?: number): Promise<string>;
+/**
+ * Checks whether the path is the root or inside of it.
+ * @param {string} root The absolute root path.
+ * @param {string} path The absolute path.
+ * @returns {boolean} True if the path is inside the root.
+ */
+export function isInside(root: string, path: string): boolean;
+/**
+ * Checks whether the path relative to the root leaves the root: it is ".." or starts with "../".
+ * The names starting with two dots, like "..cache", are inside of the root.
+ * @param {string} path The slash separated path relative to the root.
+ * @returns {boolean} True if the path is outside of the root.
+ */
+export function isOutsideRoot(path: string): boolean;
+/**
+ * Finds the first symbolic link on the way from the root (excluded) to the path.
+ * Only existing components are checked.
+ * @param {string} root The absolute root path.
+ * @param {string} path The absolute path inside the root.
+ * @returns {Promise<string | null>} The absolute path of the symbolic link or null.
+ */
+export function findSymlink(root: string, path: string): Promise<string | null>;
+/**
+ * Policies for symbolic links met on the way from the root to the document.
+ * - deny: any symbolic link inside the root blocks the access.
+ * - within-root: symbolic links are followed, the real path must stay inside the root.
+ * - allow: symbolic links are followed anywhere.
+ * @type {readonly ["deny", "within-root", "allow"]}
+ */
+export const SYMLINK_POLICIES: readonly ["deny", "within-root", "allow"];
@@ -0,0 +1,77 @@
+/**
+ * @typedef {object} CSVOptions
+ * @property {string} [delimiter=","] The field delimiter, "\t" for TSV.
+ * @property {string} [quote='"'] The quote character.
+ * @property {boolean} [header=true] The first row is the header: rows are mapped to objects by it.
+ * @property {boolean | ((value: string, column: string | number) => any)} [coerce=false]
+ * Convert the values: numbers, booleans, empty values to null; or a custom function.
+ * @property {string} [eol="\n"] The line ending for stringify.
+ * @property {string[]} [columns] The columns (and their order) for stringify, all the keys by default.
+ */
+/**
+ * Converts the string value into a number, boolean or null when it looks like one.
+ * @param {string} value The raw value.
+ * @returns {string | number | boolean | null} The converted value.
+ */
+export function coerceValue(value: string): string | number | boolean | null;
+/**
+ * Parses the delimited text into rows of raw string fields.
+ * Quoted fields may contain delimiters, doubled quotes and new lines.
+ * @param {string} text The document content.
+ * @param {{ delimiter?: string, quote?: string }} [options]
+ * @returns {string[][]} The rows.
+ */
+export function parseRows(text: string, { delimiter, quote }?: {
+    delimiter?: string;
+    quote?: string;
+}): string[][];
+/**
+ * Parses the CSV (TSV) document.
+ * With header the rows are objects keyed by the header columns, otherwise arrays.
+ * @param {string} text The document content.
+ * @param {CSVOptions} [options]
+ * @returns {Array<Record<string, any> | any[]>} The rows.
+ */
+export function parseCSV(text: string, options?: CSVOptions): Array<Record<string, any> | any[]>;
+/**
+ * Quotes the field when it contains the delimiter, the quote, a new line or edge spaces.
+ * @param {string} field The field.
+ * @param {string} delimiter The delimiter.
+ * @param {string} quote The quote character.
+ * @returns {string} The escaped field.
+ */
+export function escapeField(field: string, delimiter?: string, quote?: string): string;
+/**
+ * Serializes the rows into the CSV (TSV) document.
+ * Objects are written under the header of all their keys (or `columns`), arrays as they are.
+ * @param {Array<Record<string, any> | any[]>} rows The rows.
+ * @param {CSVOptions} [options]
+ * @returns {string} The document content ending with the line ending.
+ */
+export function stringifyCSV(rows: Array<Record<string, any> | any[]>, options?: CSVOptions): string;
+export type CSVOptions = {
+    /**
+     * The field delimiter, "\t" for TSV.
+     */
+    delimiter?: string | undefined;
+    /**
+     * The quote character.
+     */
+    quote?: string | undefined;
+    /**
+     * The first row is the header: rows are mapped to objects by it.
+     */
+    header?: boolean | undefined;
+    /**
+     * Convert the values: numbers, booleans, empty values to null; or a custom function.
+     */
+    coerce?: boolean | ((value: string, column: string | number) => any) | undefined;
+    /**
+     * The line ending for stringify.
+     */
+    eol?: string | undefined;
+    /**
+     * The columns (and their order) for stringify, all the keys by default.
+     */
+    columns?: string[] | undefined;
+};
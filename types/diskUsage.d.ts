@@ -0,0 +1,116 @@
+/**
+ * Returns the largest items, the largest first, the same sizes by path.
+ * @param {UsageItem[]} items The items.
+ * @param {number} count The number of the items to keep.
+ * @returns {UsageItem[]} The largest items.
+ */
+export function largestOf(items: UsageItem[], count: number): UsageItem[];
+/**
+ * Formats the size with the binary units: 512 B, 1.5 KiB, 20.0 MiB.
+ * @param {number} bytes The size in bytes.
+ * @returns {string} The formatted size.
+ */
+export function formatBytes(bytes: number): string;
+/**
+ * Renders the usage tree as a table of the directories and the largest entries of the root.
+ * @param {DiskUsageNode} root The usage tree.
+ * @param {{ sort?: "size"|"files"|"path" }} [options] The sort of the directories, the largest first by default.
+ * @returns {string} The table.
+ */
+export function renderDiskUsage(root: DiskUsageNode, { sort }?: {
+    sort?: "size" | "files" | "path";
+}): string;
+/**
+ * @typedef {object} UsageItem
+ * @property {string} path The path relative to the root.
+ * @property {number} size The cumulative size in bytes.
+ * @property {boolean} isDirectory True for a directory.
+ */
+/**
+ * The disk usage of a directory with everything inside of it.
+ */
+export class DiskUsageNode {
+    /**
+     * @param {any} input
+     * @returns {DiskUsageNode}
+     */
+    static from(input: any): DiskUsageNode;
+    /**
+     * @param {object} input
+     * @param {string} [input.path="."]
+     * @param {number} [input.size=0]
+     * @param {number} [input.files=0]
+     * @param {number} [input.dirs=0]
+     * @param {number} [input.errors=0]
+     * @param {DiskUsageNode[]} [input.children=[]]
+     * @param {UsageItem[]} [input.largest=[]]
+     */
+    constructor(input?: {
+        path?: string | undefined;
+        size?: number | undefined;
+        files?: number | undefined;
+        dirs?: number | undefined;
+        errors?: number | undefined;
+        children?: DiskUsageNode[] | undefined;
+        largest?: UsageItem[] | undefined;
+    });
+    /**
+     * The directory path relative to the root, "." for the root.
+     * @type {string}
+     */
+    path: string;
+    /**
+     * The cumulative size in bytes: allocated blocks, or the file sizes in the apparent mode.
+     * @type {number}
+     */
+    size: number;
+    /**
+     * The number of the files inside, recursively.
+     * @type {number}
+     */
+    files: number;
+    /**
+     * The number of the directories inside, recursively.
+     * @type {number}
+     */
+    dirs: number;
+    /**
+     * The number of the entries that could not be read, recursively.
+     * @type {number}
+     */
+    errors: number;
+    /**
+     * The subdirectories within the requested depth, the largest first.
+     * @type {DiskUsageNode[]}
+     */
+    children: DiskUsageNode[];
+    /**
+     * The largest direct children (files and directories), the largest first.
+     * @type {UsageItem[]}
+     */
+    largest: UsageItem[];
+    /**
+     * Adds the totals of the subdirectory.
+     * @param {DiskUsageNode} child The subdirectory usage.
+     */
+    add(child: DiskUsageNode): void;
+    /**
+     * Lists the node and all its children (within the depth), parents first.
+     * @returns {DiskUsageNode[]} The nodes.
+     */
+    flat(): DiskUsageNode[];
+}
+export type UsageItem = {
+    /**
+     * The path relative to the root.
+     */
+    path: string;
+    /**
+     * The cumulative size in bytes.
+     */
+    size: number;
+    /**
+     * True for a directory.
+     */
+    isDirectory: boolean;
+};
@@ -0,0 +1,81 @@
+/**
+ * Finds the files with the same content: the candidates are grouped by size first,
+ * then by the hash of the first bytes and only then by the hash of the whole content,
+ * so the unique files are mostly not read at all.
+ * The files that cannot be read (removed or not permitted meanwhile) are skipped,
+ * their errors are added to `errors` by URI.
+ * @param {DuplicateCandidate[]} candidates The files.
+ * @param {{ algorithm?: string, partialSize?: number, errors?: Map<string, Error> }} [options] The hash algorithm,
+ * the number of the first bytes hashed before the whole content (64 KiB by default)
+ * and the map of the read errors to fill.
+ * @throws {TypeError} If the algorithm is not supported.
+ * @returns {Promise<DuplicateSet[]>} The duplicate sets, the most wasting first.
+ */
+export function findDuplicateSets(candidates: DuplicateCandidate[], { algorithm, partialSize, errors }?: {
+    algorithm?: string;
+    partialSize?: number;
+    errors?: Map<string, Error>;
+}): Promise<DuplicateSet[]>;
+/**
+ * @typedef {object} DuplicateCandidate
+ * @property {string} uri The file URI reported in the set.
+ * @property {string} path The absolute file path to read.
+ * @property {number} size The file size in bytes.
+ * @property {string} [inode] The "dev:ino" of the file, the hard links of the same inode waste no space.
+ */
+/**
+ * The files with the same content.
+ */
+export class DuplicateSet {
+    /**
+     * @param {object} input
+     * @param {string} input.hash
+     * @param {number} input.size
+     * @param {string[]} input.files
+     * @param {number} [input.wasted] The size of every file except one by default.
+     */
+    constructor(input: {
+        hash: string;
+        size: number;
+        files: string[];
+        wasted?: number | undefined;
+    });
+    /**
+     * The hex digest of the content.
+     * @type {string}
+     */
+    hash: string;
+    /**
+     * The size of every file in bytes.
+     * @type {number}
+     */
+    size: number;
+    /**
+     * The file URIs sorted by name.
+     * @type {string[]}
+     */
+    files: string[];
+    /**
+     * The bytes wasted by the copies: the size of every file except one, the hard links are not counted.
+     * @type {number}
+     */
+    wasted: number;
+}
+export type DuplicateCandidate = {
+    /**
+     * The file URI reported in the set.
+     */
+    uri: string;
+    /**
+     * The absolute file path to read.
+     */
+    path: string;
+    /**
+     * The file size in bytes.
+     */
+    size: number;
+    /**
+     * The "dev:ino" of the file, the hard links of the same inode waste no space.
+     */
+    inode?: string | undefined;
+};
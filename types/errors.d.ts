@@ -0,0 +1,164 @@
+/**
+ * Converts the file system error into the DBFS error with the URI and the operation:
+ * ENOENT into NotFoundError, ENOTDIR into NotADirectoryError, ENOTEMPTY into DirectoryNotEmptyError,
+ * EACCES and EPERM into AccessDeniedError, the other errors are returned as they are.
+ * @param {any} err The error.
+ * @param {{ uri?: string, operation?: string }} [options]
+ * @returns {Error} The converted error.
+ */
+export function fromSystemError(err: any, { uri, operation }?: {
+    uri?: string;
+    operation?: string;
+}): Error;
+/**
+ * Base error of the DBFS operations.
+ */
+export class DBFSError extends Error {
+    /**
+     * @param {string} message The error message.
+     * @param {{ uri?: string, operation?: string, cause?: any }} [options]
+     */
+    constructor(message: string, { uri, operation, cause }?: {
+        uri?: string;
+        operation?: string;
+        cause?: any;
+    });
+    /**
+     * The URI of the document the operation failed on.
+     * @type {string}
+     */
+    uri: string;
+    /**
+     * The failed operation, e.g. "loadDocument" or the access level "r".
+     * @type {string}
+     */
+    operation: string;
+}
+/**
+ * Thrown when the access policy denies the operation.
+ */
+export class AccessDeniedError extends DBFSError {
+    /**
+     * @param {string} message The error message.
+     * @param {{ uri?: string, operation?: string, level?: "r"|"w"|"d", rule?: import("./AccessPolicy.js").AccessRule | null, cause?: any }} [options]
+     */
+    constructor(message: string, { level, rule, ...options }?: {
+        uri?: string;
+        operation?: string;
+        level?: "r" | "w" | "d";
+        rule?: import("./AccessPolicy.js").AccessRule | null;
+        cause?: any;
+    });
+    /**
+     * The denied access level.
+     * @type {"r"|"w"|"d"}
+     */
+    level: "r" | "w" | "d";
+    /**
+     * The rule denied the access, null when denied by default.
+     * @type {import("./AccessPolicy.js").AccessRule | null}
+     */
+    rule: import("./AccessPolicy.js").AccessRule | null;
+}
+/**
+ * Thrown when the encrypted document cannot be decrypted:
+ * the key is wrong or missing, or the content is tampered.
+ */
+export class DecryptionError extends DBFSError {
+    /**
+     * @param {string} message The error message.
+     * @param {{ uri?: string, operation?: string, keyId?: string, cause?: any }} [options]
+     */
+    constructor(message: string, { keyId, ...options }?: {
+        uri?: string;
+        operation?: string;
+        keyId?: string;
+        cause?: any;
+    });
+    /**
+     * The id of the key the document is encrypted with, empty when unknown.
+     * @type {string}
+     */
+    keyId: string;
+}
+/**
+ * Thrown when the lock is not acquired in time, because another holder keeps it.
+ */
+export class LockTimeoutError extends DBFSError {
+    /**
+     * @param {string} message The error message.
+     * @param {{ uri?: string, operation?: string, timeout?: number, cause?: any }} [options]
+     */
+    constructor(message: string, { timeout, ...options }?: {
+        uri?: string;
+        operation?: string;
+        timeout?: number;
+        cause?: any;
+    });
+    /**
+     * The waited time in milliseconds.
+     * @type {number}
+     */
+    timeout: number;
+}
+/**
+ * Thrown when the document or the directory does not exist.
+ */
+export class NotFoundError extends DBFSError {
+}
+/**
+ * Thrown when the operation needs a directory, but the path is a file.
+ */
+export class NotADirectoryError extends DBFSError {
+}
+/**
+ * Thrown when the directory is dropped without `recursive`, but it has children.
+ */
+export class DirectoryNotEmptyError extends DBFSError {
+}
+/**
+ * Thrown when the document content cannot be parsed in its format.
+ */
+export class ParseError extends DBFSError {
+    /**
+     * @param {string} message The error message.
+     * @param {{ uri?: string, operation?: string, format?: string, line?: number, cause?: any }} [options]
+     */
+    constructor(message: string, { format, line, ...options }?: {
+        uri?: string;
+        operation?: string;
+        format?: string;
+        line?: number;
+        cause?: any;
+    });
+    /**
+     * The document format, e.g. "json", "yaml" or "jsonl".
+     * @type {string}
+     */
+    format: string;
+    /**
+     * The line of the broken record (JSON Lines), 0 when unknown.
+     * @type {number}
+     */
+    line: number;
+}
+/**
+ * Thrown when the document does not match the schema registered for its path.
+ */
+export class ValidationError extends DBFSError {
+    /**
+     * @param {string} message The error message.
+     * @param {{ uri?: string, operation?: string, errors?: import("./schema.js").SchemaIssue[], cause?: any }} [options]
+     */
+    constructor(message: string, { errors, ...options }?: {
+        uri?: string;
+        operation?: string;
+        errors?: import("./schema.js").SchemaIssue[];
+        cause?: any;
+    });
+    /**
+     * The field-level errors.
+     * @type {import("./schema.js").SchemaIssue[]}
+     */
+    errors: import("./schema.js").SchemaIssue[];
+}
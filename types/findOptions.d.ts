@@ -0,0 +1,160 @@
+/**
+ * Parses the size with an optional binary unit: "512", "10K", "1.5M", "2GB", "1TiB".
+ * @throws {TypeError} If the size is not valid.
+ * @param {string} value The size.
+ * @returns {number} The size in bytes.
+ */
+export function parseSize(value: string): number;
+/**
+ * Parses the time: the duration ago ("30m", "12h", "7d", "2w") or the date ("2024-10-19").
+ * @throws {TypeError} If the time is not valid.
+ * @param {string} value The time.
+ * @param {number} [now=Date.now()] The current time in milliseconds.
+ * @returns {number} The time in milliseconds.
+ */
+export function parseTime(value: string, now?: number): number;
+/**
+ * Parses the space separated conditions, all of them must match:
+ * `ext:png,jpg`, `name:*.log`, `path:logs/**`, `size>1M`, `size>=1M`, `size<1K`, `size<=1K`,
+ * `newer:7d`, `older:2024-01-01`. The expressions are parsed, never evaluated as code.
+ * @throws {TypeError} If a condition is not valid.
+ * @param {string} expression The conditions.
+ * @param {number} [now=Date.now()] The current time in milliseconds.
+ * @returns {FindFilter} The filter.
+ */
+export function parseFilter(expression: string, now?: number): FindFilter;
+/**
+ * Parses the group definition "name=conditions".
+ * @throws {TypeError} If the definition is not valid.
+ * @param {string} definition The group definition.
+ * @param {number} [now=Date.now()] The current time in milliseconds.
+ * @returns {FindGroup} The group.
+ */
+export function parseGroup(definition: string, now?: number): FindGroup;
+/**
+ * Parses the command line arguments of bin/find.js.
+ * @throws {TypeError} If an option is unknown or not valid.
+ * @param {string[]} argv The arguments without the node and the script paths.
+ * @param {number} [now=Date.now()] The current time in milliseconds.
+ * @returns {FindOptions} The options.
+ */
+export function parseFindOptions(argv: string[], now?: number): FindOptions;
+/**
+ * @typedef {object} FindFile
+ * @property {string} path The path relative to the scanned root.
+ * @property {string} name The file name.
+ * @property {number} size The size in bytes.
+ * @property {number} mtimeMs The modification time in milliseconds.
+ */
+/**
+ * @typedef {(file: FindFile) => boolean} FindFilter
+ */
+/**
+ * @typedef {object} FindGroup
+ * @property {string} name The group name.
+ * @property {FindFilter} filter Checks whether the file belongs to the group.
+ */
+/**
+ * @typedef {object} FindOptions
+ * @property {string} root The directory to scan.
+ * @property {"name"|"mtime"|"size"} sort The sort field of the directory entries.
+ * @property {"asc"|"desc"} order The sort order.
+ * @property {number} limit The maximum number of the reported files, -1 for no limit.
+ * @property {number} maxDepth The maximum depth of the reported files, -1 for no limit.
+ * @property {boolean} followSymlinks Follow the symbolic links.
+ * @property {FindFilter} filter Checks whether the file is reported.
+ * @property {FindGroup[]} groups The size groups.
+ * @property {"text"|"json"|"ndjson"} output The output format.
+ * @property {boolean} progress Render the progress when the output is a terminal.
+ * @property {boolean} duplicates Report the duplicate sets instead of the files.
+ * @property {boolean} help Print the usage.
+ */
+/**
+ * The usage of bin/find.js.
+ * @type {string}
+ */
+export const FIND_USAGE: string;
+/**
+ * The groups reported when no --group is defined.
+ * @type {string[]}
+ */
+export const DEFAULT_GROUPS: string[];
+export type FindFile = {
+    /**
+     * The path relative to the scanned root.
+     */
+    path: string;
+    /**
+     * The file name.
+     */
+    name: string;
+    /**
+     * The size in bytes.
+     */
+    size: number;
+    /**
+     * The modification time in milliseconds.
+     */
+    mtimeMs: number;
+};
+export type FindFilter = (file: FindFile) => boolean;
+export type FindGroup = {
+    /**
+     * The group name.
+     */
+    name: string;
+    /**
+     * Checks whether the file belongs to the group.
+     */
+    filter: FindFilter;
+};
+export type FindOptions = {
+    /**
+     * The directory to scan.
+     */
+    root: string;
+    /**
+     * The sort field of the directory entries.
+     */
+    sort: "name" | "mtime" | "size";
+    /**
+     * The sort order.
+     */
+    order: "asc" | "desc";
+    /**
+     * The maximum number of the reported files, -1 for no limit.
+     */
+    limit: number;
+    /**
+     * The maximum depth of the reported files, -1 for no limit.
+     */
+    maxDepth: number;
+    /**
+     * Follow the symbolic links.
+     */
+    followSymlinks: boolean;
+    /**
+     * Checks whether the file is reported.
+     */
+    filter: FindFilter;
+    /**
+     * The size groups.
+     */
+    groups: FindGroup[];
+    /**
+     * The output format.
+     */
+    output: "text" | "json" | "ndjson";
+    /**
+     * Render the progress when the output is a terminal.
+     */
+    progress: boolean;
+    /**
+     * Report the duplicate sets instead of the files.
+     */
+    duplicates: boolean;
+    /**
+     * Print the usage.
+     */
+    help: boolean;
+};
@@ -0,0 +1,23 @@
+/**
+ * Converts the glob pattern into a regular expression.
+ * Supports `*`, `**`, `?`, `[abc]`, `[!abc]` and `{a,b}`.
+ * The wildcards never match the ".." segments, so only the leading "../" segments written
+ * in the pattern reach outside of the root: "**" does not match "../secret.md", "../**" does.
+ * With `matchBase` the pattern without slashes matches the name in any directory.
+ * @param {string} pattern The glob pattern.
+ * @param {{ matchBase?: boolean }} [options]
+ * @returns {RegExp} The regular expression matching the whole path.
+ */
+export function globToRegExp(pattern: string, { matchBase }?: {
+    matchBase?: boolean;
+}): RegExp;
+/**
+ * Checks whether the path matches the glob pattern.
+ * @param {string} pattern The glob pattern.
+ * @param {string} path The slash separated path.
+ * @param {{ matchBase?: boolean }} [options]
+ * @returns {boolean} True if the path matches.
+ */
+export function matchGlob(pattern: string, path: string, options?: {
+    matchBase?: boolean;
+}): boolean;
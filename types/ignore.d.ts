@@ -0,0 +1,77 @@
+/**
+ * @typedef {object} IgnoreRule
+ * @property {string} pattern The source pattern.
+ * @property {RegExp} re The pattern matching the path relative to the ignore file directory.
+ * @property {boolean} negate True for `!pattern`, the rule re-includes the matching paths.
+ * @property {boolean} directoryOnly True for `pattern/`, the rule matches only the directories.
+ */
+/**
+ * Parses the `.gitignore`-style rules: blank lines and `#` comments are skipped,
+ * `!` negates the rule, the trailing `/` matches only the directories, the pattern
+ * with a slash is anchored to the ignore file directory, without a slash it matches
+ * the name at any depth.
+ * @param {string} text The ignore file content.
+ * @returns {IgnoreRule[]} The rules in order.
+ */
+export function parseIgnore(text: string): IgnoreRule[];
+/**
+ * The ignore rules of a directory tree: every directory adds the rules of its ignore files
+ * on top of the inherited ones, the last matching rule wins.
+ */
+export class IgnoreList {
+    /**
+     * @param {{ base: string, rules: IgnoreRule[] }[]} [layers=[]]
+     */
+    constructor(layers?: {
+        base: string;
+        rules: IgnoreRule[];
+    }[]);
+    /**
+     * The rule layers by their directory, parents first.
+     * @type {{ base: string, rules: IgnoreRule[] }[]}
+     */
+    layers: {
+        base: string;
+        rules: IgnoreRule[];
+    }[];
+    /**
+     * Returns the list with the rules of the directory added, the list itself is not changed.
+     * @param {string} base The directory path of the rules, relative to the traversal root, "" for the root.
+     * @param {IgnoreRule[]} rules The rules.
+     * @returns {IgnoreList} The extended list.
+     */
+    extend(base: string, rules: IgnoreRule[]): IgnoreList;
+    /**
+     * Checks whether the path itself is ignored by the rules.
+     * @param {string} path The path relative to the traversal root.
+     * @param {boolean} isDirectory True for a directory.
+     * @returns {boolean} True if the last matching rule ignores the path.
+     */
+    _matches(path: string, isDirectory: boolean): boolean;
+    /**
+     * Checks whether the path is ignored, the paths inside of an ignored directory are ignored too
+     * (as in git, a negated rule cannot re-include them).
+     * @param {string} path The path relative to the traversal root.
+     * @param {boolean} [isDirectory=false] True for a directory.
+     * @returns {boolean} True if ignored.
+     */
+    ignores(path: string, isDirectory?: boolean): boolean;
+}
+export type IgnoreRule = {
+    /**
+     * The source pattern.
+     */
+    pattern: string;
+    /**
+     * The pattern matching the path relative to the ignore file directory.
+     */
+    re: RegExp;
+    /**
+     * True for `!pattern`, the rule re-includes the matching paths.
+     */
+    negate: boolean;
+    /**
+     * True for `pattern/`, the rule matches only the directories.
+     */
+    directoryOnly: boolean;
+};
@@ -2,4 +2,30 @@ export default DBFS;
 import DBFS from "./DBFS.js";
 import { DocumentEntry } from "@nan0web/db";
 import { DocumentStat } from "@nan0web/db";
-export { DBFS, DocumentEntry, DocumentStat };
+import AccessPolicy from "./AccessPolicy.js";
+import { AccessRule } from "./AccessPolicy.js";
+import { DBFSError } from "./errors.js";
+import { AccessDeniedError } from "./errors.js";
+import { DecryptionError } from "./errors.js";
+import { LockTimeoutError } from "./errors.js";
+import { NotFoundError } from "./errors.js";
+import { NotADirectoryError } from "./errors.js";
+import { DirectoryNotEmptyError } from "./errors.js";
+import { ParseError } from "./errors.js";
+import { ValidationError } from "./errors.js";
+import { fromSystemError } from "./errors.js";
+import Encryption from "./Encryption.js";
+import Watcher from "./Watcher.js";
+import { WatchEvent } from "./Watcher.js";
+import { parseRange } from "./range.js";
+import { DocumentVersion } from "./versions.js";
+import { TrashEntry } from "./trash.js";
+import Transaction from "./Transaction.js";
+import { FileLock } from "./lock.js";
+import { DuplicateSet } from "./duplicates.js";
+import { DiskUsageNode } from "./diskUsage.js";
+import { SchemaRule } from "./schema.js";
+import { validateSchema } from "./schema.js";
+import { DocumentIndex } from "./indexes.js";
+import { SearchIndex } from "./search.js";
+export { DBFS, DocumentEntry, DocumentStat, DocumentVersion, AccessPolicy, AccessRule, DBFSError, AccessDeniedError, DecryptionError, LockTimeoutError, NotFoundError, NotADirectoryError, DirectoryNotEmptyError, ParseError, ValidationError, fromSystemError, Encryption, Watcher, WatchEvent, TrashEntry, Transaction, FileLock, DuplicateSet, DiskUsageNode, SchemaRule, validateSchema, DocumentIndex, SearchIndex, parseRange };
@@ -0,0 +1,314 @@
+/**
+ * @typedef {object} Condition
+ * The field condition, the operators are combined with AND: `{ gte: 18, lt: 65 }`.
+ * @property {any} [eq] Equal to the value.
+ * @property {any[]} [in] Equal to one of the values.
+ * @property {any} [gt] Greater than the value.
+ * @property {any} [gte] Greater than or equal to the value.
+ * @property {any} [lt] Less than the value.
+ * @property {any} [lte] Less than or equal to the value.
+ */
+/**
+ * @typedef {object} Clause
+ * @property {string} field The field path, e.g. "address.city".
+ * @property {Condition} condition The condition.
+ */
+/**
+ * @typedef {object} QueryOptions
+ * @property {Record<string, any>} [where={}] The conditions by the field path, a plain value means `{ eq: value }`.
+ * @property {string} [sort] The field path to sort by, the URI by default.
+ * @property {"asc"|"desc"} [order="asc"] The sort order.
+ * @property {number} [limit=-1] The maximal number of the results, -1 for all.
+ */
+/**
+ * @typedef {object} QueryResult
+ * @property {string} uri The document URI relative to the root.
+ * @property {any} document The document.
+ */
+/**
+ * Checks whether the path (relative to the root) is inside of the indexes directory.
+ * @param {string} path The path relative to the root.
+ * @returns {boolean} True for the index paths.
+ */
+export function isIndexPath(path: string): boolean;
+/**
+ * Returns the name of the index directory with the shards, unique for the directory and the field.
+ * @param {string} dir The indexed directory relative to the root, "" for the root.
+ * @param {string} field The field path.
+ * @returns {string} The directory name inside of the indexes directory.
+ */
+export function indexStoreName(dir: string, field: string): string;
+/**
+ * Returns the file name of the index, unique for the directory and the field: the key of the index
+ * and the single file store of the older versions, replaced by the shards on the next save.
+ * @param {string} dir The indexed directory relative to the root, "" for the root.
+ * @param {string} field The field path.
+ * @returns {string} The file name inside of the indexes directory.
+ */
+export function indexFileName(dir: string, field: string): string;
+/**
+ * Returns the value of the field path, e.g. "address.city".
+ * @param {any} document The document.
+ * @param {string} field The field path.
+ * @returns {any} The value, undefined when missing.
+ */
+export function getField(document: any, field: string): any;
+/**
+ * Returns the indexed values of the field: the scalar value or the scalar items of the array.
+ * @param {any} document The document.
+ * @param {string} field The field path.
+ * @returns {any[]} The values, empty when the field is missing or not scalar.
+ */
+export function fieldValues(document: any, field: string): any[];
+/**
+ * Compares the values of the same type.
+ * @param {any} a The first value.
+ * @param {any} b The second value.
+ * @returns {number} Negative, positive or 0 for the comparable values, NaN for the different types.
+ */
+export function compareValues(a: any, b: any): number;
+/**
+ * Converts the where object into the clauses.
+ * ```js
+ * compileWhere({ role: "admin", age: { gte: 18 }, status: { in: ["new", "paid"] } })
+ * // [{ field: "role", condition: { eq: "admin" } }, { field: "age", condition: { gte: 18 } }, ...]
+ * ```
+ * @throws {TypeError} If the operator is unknown or `in` is not an array.
+ * @param {Record<string, any>} [where={}] The conditions by the field path.
+ * @returns {Clause[]} The clauses.
+ */
+export function compileWhere(where?: Record<string, any>): Clause[];
+/**
+ * Checks whether the value meets the condition.
+ * @param {any} value The value.
+ * @param {Condition} condition The condition.
+ * @returns {boolean} True if all the operators match.
+ */
+export function matchValue(value: any, condition: Condition): boolean;
+/**
+ * Checks whether the document meets all the clauses, an array field matches when any item does.
+ * @param {any} document The document.
+ * @param {Clause[]} clauses The clauses.
+ * @returns {boolean} True for the matching document.
+ */
+export function matchDocument(document: any, clauses: Clause[]): boolean;
+/**
+ * Sorts the query results by the field, the documents without the field go last,
+ * the values of the different types are grouped by type, the URI breaks the ties.
+ * @param {QueryResult[]} results The results, sorted in place.
+ * @param {string} [sort=""] The field path, the URI when empty.
+ * @param {"asc"|"desc"} [order="asc"] The sort order.
+ * @returns {QueryResult[]} The sorted results.
+ */
+export function sortResults(results: QueryResult[], sort?: string, order?: "asc" | "desc"): QueryResult[];
+/**
+ * The hidden directory inside of the root with the secondary indexes, every index is a directory
+ * `.indexes/<dir>@<field>` (both URI encoded) with its `{ dir, field }` in `index.json` and a JSON shard
+ * per directory of the indexed documents.
+ * @type {string}
+ */
+export const INDEXES_DIR: string;
+/**
+ * The file with the directory and the field of the index inside of the index directory.
+ * @type {string}
+ */
+export const INDEX_META: string;
+/**
+ * The extensions of the indexed documents, the compressed ones are indexed by the inner extension.
+ * @type {string[]}
+ */
+export const INDEXED_EXTENSIONS: string[];
+/**
+ * The operators of the query conditions.
+ * @type {string[]}
+ */
+export const QUERY_OPERATORS: string[];
+/**
+ * The secondary index of the field over the documents inside of the directory (recursively),
+ * persisted by shards, see toShard().
+ */
+export class DocumentIndex extends ShardedIndex {
+    /**
+     * @param {any} input
+     * @returns {DocumentIndex}
+     */
+    static from(input: any): DocumentIndex;
+    /**
+     * @param {object} input
+     * @param {string} [input.dir=""]
+     * @param {string} input.field
+     * @param {Record<string, any[]> | Map<string, any[]>} [input.docs={}]
+     * @param {Iterable<string>} [input.encrypted=[]]
+     */
+    constructor(input: {
+        dir?: string | undefined;
+        field: string;
+        docs?: Map<string, any[]> | Record<string, any[]> | undefined;
+        encrypted?: Iterable<string> | undefined;
+    });
+    /**
+     * The indexed directory relative to the root, "" for the root.
+     * @type {string}
+     */
+    dir: string;
+    /**
+     * The indexed field path, e.g. "role" or "address.city".
+     * @type {string}
+     */
+    field: string;
+    /**
+     * The indexed values by the document path relative to the root.
+     * @type {Map<string, any[]>}
+     */
+    docs: Map<string, any[]>;
+    /**
+     * The document paths by the JSON of the value.
+     * @type {Map<string, Set<string>>}
+     */
+    values: Map<string, Set<string>>;
+    /**
+     * The paths of the encrypted documents: their values are never stored, they are candidates of every find().
+     * @type {Set<string>}
+     */
+    encrypted: Set<string>;
+    /**
+     * @returns {string} The file name of the index inside of the indexes directory, the key of the index.
+     */
+    get fileName(): string;
+    /**
+     * @returns {string} The name of the directory with the shards inside of the indexes directory.
+     */
+    get storeName(): string;
+    /**
+     * Adds the documents of the persisted index or of its shard.
+     * @param {{ docs?: Record<string, any[]> | Map<string, any[]>, encrypted?: Iterable<string> }} input
+     */
+    load({ docs, encrypted }: {
+        docs?: Record<string, any[]> | Map<string, any[]>;
+        encrypted?: Iterable<string>;
+    }): void;
+    /**
+     * Checks whether the document path is inside of the indexed directory.
+     * @param {string} file The path relative to the root.
+     * @returns {boolean} True for the covered paths.
+     */
+    covers(file: string): boolean;
+    /**
+     * Adds the values of the document.
+     * @param {string} file The path relative to the root.
+     * @param {any[]} values The values.
+     */
+    _add(file: string, values: any[]): void;
+    /**
+     * Indexes the document, replacing its previous values.
+     * @param {string} file The path relative to the root.
+     * @param {any} document The document.
+     */
+    set(file: string, document: any): void;
+    /**
+     * Marks the document as encrypted, replacing its previous values: its values stay out of the index,
+     * so the encrypted content is never stored in plain text.
+     * @param {string} file The path relative to the root.
+     */
+    setEncrypted(file: string): void;
+    /**
+     * Removes the document or all the documents inside of the directory.
+     * @param {string} file The path relative to the root, "" for everything.
+     * @returns {boolean} True if anything is removed.
+     */
+    delete(file: string): boolean;
+    /**
+     * Finds the documents with a value meeting the condition, the encrypted documents are
+     * always returned: their values are unknown to the index, the caller checks them.
+     * @param {Condition} condition The condition.
+     * @returns {string[]} The sorted document paths relative to the root.
+     */
+    find(condition: Condition): string[];
+    /**
+     * @returns {{ dir: string, field: string, docs: Record<string, any[]>, encrypted: string[] }} The persisted index.
+     */
+    toJSON(): {
+        dir: string;
+        field: string;
+        docs: Record<string, any[]>;
+        encrypted: string[];
+    };
+    /**
+     * Returns the persisted shard: the documents of one directory.
+     * @param {string} shard The shard directory, see shardOf().
+     * @returns {{ shard: string, docs: Record<string, any[]>, encrypted: string[] }} The shard.
+     */
+    toShard(shard: string): {
+        shard: string;
+        docs: Record<string, any[]>;
+        encrypted: string[];
+    };
+}
+/**
+ * The field condition, the operators are combined with AND: `{ gte: 18, lt: 65 }`.
+ */
+export type Condition = {
+    /**
+     * Equal to the value.
+     */
+    eq?: any;
+    /**
+     * Equal to one of the values.
+     */
+    in?: any[] | undefined;
+    /**
+     * Greater than the value.
+     */
+    gt?: any;
+    /**
+     * Greater than or equal to the value.
+     */
+    gte?: any;
+    /**
+     * Less than the value.
+     */
+    lt?: any;
+    /**
+     * Less than or equal to the value.
+     */
+    lte?: any;
+};
+export type Clause = {
+    /**
+     * The field path, e.g. "address.city".
+     */
+    field: string;
+    /**
+     * The condition.
+     */
+    condition: Condition;
+};
+export type QueryOptions = {
+    /**
+     * The conditions by the field path, a plain value means `{ eq: value }`.
+     */
+    where?: Record<string, any> | undefined;
+    /**
+     * The field path to sort by, the URI by default.
+     */
+    sort?: string | undefined;
+    /**
+     * The sort order.
+     */
+    order?: "asc" | "desc" | undefined;
+    /**
+     * The maximal number of the results, -1 for all.
+     */
+    limit?: number | undefined;
+};
+export type QueryResult = {
+    /**
+     * The document URI relative to the root.
+     */
+    uri: string;
+    /**
+     * The document.
+     */
+    document: any;
+};
+import { ShardedIndex } from "./shards.js";
@@ -0,0 +1,33 @@
+/**
+ * Parses one line of the JSON Lines document.
+ * @throws {SyntaxError} If the line is not valid JSON, the message contains the line number.
+ * @param {string} line The line.
+ * @param {number} [lineNumber] The line number (1-based) for the error message.
+ * @returns {any} The record.
+ */
+export function parseRecord(line: string, lineNumber?: number): any;
+/**
+ * Parses the JSON Lines document into the records, empty lines are skipped.
+ * @throws {SyntaxError} If a line is not valid JSON.
+ * @param {string} text The document content.
+ * @returns {any[]} The records.
+ */
+export function parseJSONL(text: string): any[];
+/**
+ * Serializes the record into one line ending with a new line.
+ * @throws {TypeError} If the record cannot be serialized.
+ * @param {any} record The record.
+ * @returns {string} The line.
+ */
+export function stringifyRecord(record: any): string;
+/**
+ * Serializes the records into the JSON Lines document.
+ * @param {any[]} records The records.
+ * @returns {string} The document content.
+ */
+export function stringifyJSONL(records: any[]): string;
+/**
+ * Extensions of the JSON Lines (NDJSON) documents.
+ * @type {string[]}
+ */
+export const JSONL_EXTENSIONS: string[];
@@ -0,0 +1,139 @@
+/**
+ * @typedef {object} ListedEntry
+ * @property {string} name The entry name.
+ * @property {string} path The entry path relative to the listed directory.
+ * @property {{ isDirectory?: boolean, size?: number, mtimeMs?: number }} stat The entry stat.
+ */
+/**
+ * @typedef {object} ListPage
+ * @property {any[]} entries The entries of the page.
+ * @property {number} total The number of all the matching entries.
+ * @property {string | null} cursor The cursor of the next page, null for the last page.
+ */
+/**
+ * @typedef {object} PageOptions
+ * @property {"name"|"size"|"mtime"|"type"} [sort="type"] The sort key, the path breaks the ties.
+ * @property {"asc"|"desc"} [order="asc"] The sort order.
+ * @property {number} [offset=0] The number of the entries to skip (after the cursor, if set).
+ * @property {number} [limit=-1] The page size, -1 for all the entries.
+ * @property {string | null} [cursor=null] The cursor returned with the previous page.
+ */
+/**
+ * @typedef {PageOptions & object} ListOptions
+ * @property {number} [depth=0] The depth stamped onto the entries of the listed directory.
+ * @property {number} [maxDepth=0] The deepest level listed, 0 for the listed directory only, -1 for no limit.
+ * @property {string | string[]} [include] The globs of the listed files, relative to the listed directory.
+ * @property {string | string[]} [exclude] The globs of the skipped files and directories.
+ * @property {boolean} [hidden=true] List the dot files and directories.
+ * @property {boolean} [skipStat=false] Skip the stat, only the entry types are known.
+ * @property {boolean} [versions=false] List the version history store.
+ * @property {boolean} [trash=false] List the trash.
+ */
+/**
+ * Returns the sort key of the entry: the sorted value with the path as the tie breaker,
+ * "type" sorts the directories first, then by the extension.
+ * @param {ListedEntry} entry The entry.
+ * @param {string} sort The sort key name.
+ * @returns {(string|number)[]} The key.
+ */
+export function sortKey(entry: ListedEntry, sort: string): (string | number)[];
+/**
+ * Compares the sort keys element by element.
+ * @param {(string|number)[]} a The first key.
+ * @param {(string|number)[]} b The second key.
+ * @returns {number} Negative if a goes first, positive if b goes first, 0 for the same keys.
+ */
+export function compareKeys(a: (string | number)[], b: (string | number)[]): number;
+/**
+ * Encodes the position after the key as an opaque cursor.
+ * @param {(string|number)[]} key The sort key of the last entry of the page.
+ * @param {string} sort The sort key name.
+ * @param {string} order The sort order.
+ * @returns {string} The cursor.
+ */
+export function encodeCursor(key: (string | number)[], sort: string, order: string): string;
+/**
+ * Decodes the cursor.
+ * @throws {TypeError} If the cursor is invalid or belongs to another sort.
+ * @param {string} cursor The cursor.
+ * @param {string} sort The sort key name.
+ * @param {string} order The sort order.
+ * @returns {(string|number)[]} The sort key of the last entry of the previous page.
+ */
+export function decodeCursor(cursor: string, sort: string, order: string): (string | number)[];
+/**
+ * Sorts the entries and returns the requested page, the order is stable (the path breaks the ties),
+ * so the cursor stays valid when the entries before it are added or removed.
+ * The page and the total depend on the order of all the entries, so every page takes all of them:
+ * the caller reads (and stats) the whole listing for each page, the cursor only saves the transfer.
+ * @template {ListedEntry} T
+ * @throws {TypeError} If the options or the cursor are invalid.
+ * @param {T[]} entries The entries.
+ * @param {PageOptions} [options]
+ * @returns {{ entries: T[], total: number, cursor: string | null }} The page.
+ */
+export function paginate<T extends ListedEntry>(entries: T[], { sort, order, offset, limit, cursor }?: PageOptions): {
+    entries: T[];
+    total: number;
+    cursor: string | null;
+};
+/**
+ * The sort keys of listDir().
+ * @type {string[]}
+ */
+export const LIST_SORTS: string[];
+export type ListedEntry = {
+    /**
+     * The entry name.
+     */
+    name: string;
+    /**
+     * The entry path relative to the listed directory.
+     */
+    path: string;
+    /**
+     * The entry stat.
+     */
+    stat: {
+        isDirectory?: boolean;
+        size?: number;
+        mtimeMs?: number;
+    };
+};
+export type ListPage = {
+    /**
+     * The entries of the page.
+     */
+    entries: any[];
+    /**
+     * The number of all the matching entries.
+     */
+    total: number;
+    /**
+     * The cursor of the next page, null for the last page.
+     */
+    cursor: string | null;
+};
+export type PageOptions = {
+    /**
+     * The sort key, the path breaks the ties.
+     */
+    sort?: "name" | "size" | "type" | "mtime" | undefined;
+    /**
+     * The sort order.
+     */
+    order?: "asc" | "desc" | undefined;
+    /**
+     * The number of the entries to skip (after the cursor, if set).
+     */
+    offset?: number | undefined;
+    /**
+     * The page size, -1 for all the entries.
+     */
+    limit?: number | undefined;
+    /**
+     * The cursor returned with the previous page.
+     */
+    cursor?: string | null | undefined;
+};
+export type ListOptions = PageOptions & object;
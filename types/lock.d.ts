@@ -0,0 +1,117 @@
+/**
+ * @typedef {object} LockHolder
+ * @property {string} id The lock id.
+ * @property {number} pid The holder process id.
+ * @property {boolean} shared True for the shared (read) lock.
+ * @property {number} time The acquisition time in milliseconds.
+ */
+/**
+ * Checks whether the path (relative to the root) is inside of the locks directory.
+ * @param {string} path The path relative to the root.
+ * @returns {boolean} True for the lock paths.
+ */
+export function isLockPath(path: string): boolean;
+/**
+ * Reads the holders of the lock file, the holders of the dead processes are skipped.
+ * @param {string} path The lock file path.
+ * @returns {Promise<LockHolder[]>} The alive holders.
+ */
+export function readLockHolders(path: string): Promise<LockHolder[]>;
+/**
+ * Acquires the advisory lock: any number of shared locks or one exclusive lock.
+ * The lock file keeps the holders with their process ids, the locks of the dead processes are stale
+ * and ignored. The locks are not reentrant, the same process waits for its own locks too.
+ * @throws {LockTimeoutError} If the lock is not acquired in time.
+ * @param {string} path The lock file path.
+ * @param {{ shared?: boolean, timeout?: number, retry?: number, uri?: string, onRelease?: (lock: FileLock) => void }} [options]
+ * The timeout and the delay between the attempts are in milliseconds, 0 timeout for a single attempt.
+ * @returns {Promise<FileLock>} The acquired lock.
+ */
+export function acquireLock(path: string, { shared, timeout, retry, uri, onRelease }?: {
+    shared?: boolean;
+    timeout?: number;
+    retry?: number;
+    uri?: string;
+    onRelease?: (lock: FileLock) => void;
+}): Promise<FileLock>;
+/**
+ * The hidden directory inside of the root with the lock files,
+ * the document `a/b.json` is locked with `.locks/a/b.json.lock`.
+ * @type {string}
+ */
+export const LOCKS_DIR: string;
+/**
+ * The default time to wait for the lock in milliseconds.
+ * @type {number}
+ */
+export const LOCK_TIMEOUT: number;
+/**
+ * The acquired advisory lock, release it when the operation completes.
+ */
+export class FileLock {
+    /**
+     * @param {object} input
+     * @param {string} input.id
+     * @param {string} input.path
+     * @param {string} [input.uri=""]
+     * @param {boolean} [input.shared=false]
+     * @param {(lock: FileLock) => void} [input.onRelease]
+     */
+    constructor(input: {
+        id: string;
+        path: string;
+        uri?: string | undefined;
+        shared?: boolean | undefined;
+        onRelease?: ((lock: FileLock) => void) | undefined;
+    });
+    /**
+     * The lock id.
+     * @type {string}
+     */
+    id: string;
+    /**
+     * The lock file path.
+     * @type {string}
+     */
+    path: string;
+    /**
+     * The locked document URI.
+     * @type {string}
+     */
+    uri: string;
+    /**
+     * True for the shared (read) lock.
+     * @type {boolean}
+     */
+    shared: boolean;
+    /** @type {boolean} */
+    released: boolean;
+    /**
+     * Called once on release.
+     * @type {(lock: FileLock) => void}
+     */
+    onRelease: (lock: FileLock) => void;
+    /**
+     * Releases the lock, repeated calls are ignored.
+     * @returns {Promise<void>}
+     */
+    release(): Promise<void>;
+}
+export type LockHolder = {
+    /**
+     * The lock id.
+     */
+    id: string;
+    /**
+     * The holder process id.
+     */
+    pid: number;
+    /**
+     * True for the shared (read) lock.
+     */
+    shared: boolean;
+    /**
+     * The acquisition time in milliseconds.
+     */
+    time: number;
+};
@@ -0,0 +1,13 @@
+/**
+ * Parses the HTTP Range header (single bytes range) for the document of the given size.
+ * The result is inclusive, as the `start` and `end` options of createReadStream().
+ * Multiple ranges and invalid headers are ignored (null), the whole document is served then.
+ * @throws {RangeError} If the range is not satisfiable (HTTP 416).
+ * @param {string | undefined | null} header The Range header value, e.g. "bytes=0-499".
+ * @param {number} size The document size in bytes.
+ * @returns {{ start: number, end: number } | null} The byte range or null for the whole document.
+ */
+export function parseRange(header: string | undefined | null, size: number): {
+    start: number;
+    end: number;
+} | null;
@@ -0,0 +1,185 @@
+/**
+ * @typedef {object} SchemaIssue
+ * @property {string} path The path of the invalid field, e.g. "address.city" or "tags[1]", "" for the document.
+ * @property {string} keyword The failed keyword, e.g. "required".
+ * @property {string} message The human readable message, e.g. "must be >= 0".
+ */
+/**
+ * @typedef {(document: any, uri: string) => SchemaIssue[] | Promise<SchemaIssue[]>} SchemaValidator
+ * The custom validator, returns the issues, an empty array for the valid document.
+ */
+/**
+ * @typedef {object} Schema
+ * The JSON Schema subset of the built-in validator.
+ * @property {string | string[]} [type] The allowed type(s), see SCHEMA_TYPES.
+ * @property {any[]} [enum] The allowed values.
+ * @property {string[]} [required] The required properties of the object.
+ * @property {Record<string, Schema>} [properties] The schemas of the object properties.
+ * @property {boolean | Schema} [additionalProperties] False to forbid the other properties, or their schema.
+ * @property {Schema} [items] The schema of the array items.
+ * @property {number} [minimum] The minimal number.
+ * @property {number} [maximum] The maximal number.
+ * @property {number} [minLength] The minimal string length.
+ * @property {number} [maxLength] The maximal string length.
+ * @property {number} [minItems] The minimal array length.
+ * @property {number} [maxItems] The maximal array length.
+ * @property {string} [pattern] The regular expression the string must match.
+ */
+/**
+ * Returns the schema type of the value.
+ * @param {any} value The value.
+ * @returns {string} The type, "integer" for the integer numbers, "number" for the others.
+ */
+export function typeOf(value: any): string;
+/**
+ * Validates the value with the built-in JSON Schema subset: type, enum, required, properties,
+ * additionalProperties, items, minimum, maximum, minLength, maxLength, minItems, maxItems, pattern.
+ * The other keywords are ignored.
+ * ```js
+ * validateSchema({ type: "object", required: ["name"], properties: { age: { type: "integer", minimum: 0 } } }, { age: -1 })
+ * // [{ path: "name", keyword: "required", ... }, { path: "age", keyword: "minimum", message: "must be >= 0" }]
+ * ```
+ * @param {Schema} schema The schema.
+ * @param {any} value The value.
+ * @param {string} [path=""] The path of the value.
+ * @returns {SchemaIssue[]} The issues, an empty array for the valid value.
+ */
+export function validateSchema(schema: Schema, value: any, path?: string): SchemaIssue[];
+/**
+ * Formats the issues for the error message: `name is required, age must be >= 0`.
+ * @param {SchemaIssue[]} issues The issues.
+ * @returns {string} The formatted issues.
+ */
+export function formatIssues(issues: SchemaIssue[]): string;
+/**
+ * The types of the `type` keyword.
+ * @type {string[]}
+ */
+export const SCHEMA_TYPES: string[];
+/**
+ * The schema of the documents matching the glob patterns.
+ */
+export class SchemaRule {
+    /**
+     * Creates a SchemaRule instance from input parameters.
+     * @param {object} input The rule or its options.
+     * @returns {SchemaRule}
+     */
+    static from(input: object): SchemaRule;
+    /**
+     * @param {object} input
+     * @param {string | string[]} input.pattern The glob pattern(s), e.g. "users/*.json".
+     * @param {Schema | SchemaValidator} input.schema The schema or the custom validator.
+     * @param {boolean} [input.onLoad=false] Validate the loaded documents too.
+     */
+    constructor(input: {
+        pattern: string | string[];
+        schema: Schema | SchemaValidator;
+        onLoad?: boolean | undefined;
+    });
+    /**
+     * The glob patterns of the validated documents, relative to the root.
+     * @type {string[]}
+     */
+    patterns: string[];
+    /** @type {RegExp[]} */
+    regexps: RegExp[];
+    /**
+     * The schema for the built-in validator or the custom validator.
+     * @type {Schema | SchemaValidator}
+     */
+    schema: Schema | SchemaValidator;
+    /**
+     * Validate the loaded documents too, not only the saved ones.
+     * @type {boolean}
+     */
+    onLoad: boolean;
+    /**
+     * Checks whether the rule applies to the path.
+     * @param {string} path The path relative to the root.
+     * @returns {boolean} True if the rule applies.
+     */
+    applies(path: string): boolean;
+    /**
+     * Validates the document.
+     * @param {any} document The document.
+     * @param {string} uri The document URI.
+     * @returns {Promise<SchemaIssue[]>} The issues, an empty array for the valid document.
+     */
+    validate(document: any, uri: string): Promise<SchemaIssue[]>;
+}
+export type SchemaIssue = {
+    /**
+     * The path of the invalid field, e.g. "address.city" or "tags[1]", "" for the document.
+     */
+    path: string;
+    /**
+     * The failed keyword, e.g. "required".
+     */
+    keyword: string;
+    /**
+     * The human readable message, e.g. "must be >= 0".
+     */
+    message: string;
+};
+/**
+ * The custom validator, returns the issues, an empty array for the valid document.
+ */
+export type SchemaValidator = (document: any, uri: string) => SchemaIssue[] | Promise<SchemaIssue[]>;
+/**
+ * The JSON Schema subset of the built-in validator.
+ */
+export type Schema = {
+    /**
+     * The allowed type(s), see SCHEMA_TYPES.
+     */
+    type?: string | string[] | undefined;
+    /**
+     * The allowed values.
+     */
+    enum?: any[] | undefined;
+    /**
+     * The required properties of the object.
+     */
+    required?: string[] | undefined;
+    /**
+     * The schemas of the object properties.
+     */
+    properties?: Record<string, Schema> | undefined;
+    /**
+     * False to forbid the other properties, or their schema.
+     */
+    additionalProperties?: boolean | Schema | undefined;
+    /**
+     * The schema of the array items.
+     */
+    items?: Schema | undefined;
+    /**
+     * The minimal number.
+     */
+    minimum?: number | undefined;
+    /**
+     * The maximal number.
+     */
+    maximum?: number | undefined;
+    /**
+     * The minimal string length.
+     */
+    minLength?: number | undefined;
+    /**
+     * The maximal string length.
+     */
+    maxLength?: number | undefined;
+    /**
+     * The minimal array length.
+     */
+    minItems?: number | undefined;
+    /**
+     * The maximal array length.
+     */
+    maxItems?: number | undefined;
+    /**
+     * The regular expression the string must match.
+     */
+    pattern?: string | undefined;
+};
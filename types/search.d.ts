@@ -0,0 +1,219 @@
+/**
+ * Checks whether the path (relative to the root) is inside of the search index directory.
+ * @param {string} path The path relative to the root.
+ * @returns {boolean} True for the search index paths.
+ */
+export function isSearchPath(path: string): boolean;
+/**
+ * Lowercases the word and folds the diacritics: "Café" is "cafe", "Їжак" is "іжак", "ґанок" is "ганок",
+ * the apostrophes are removed: "м'ята" is "мята".
+ * @param {string} word The word.
+ * @returns {string} The normalized word.
+ */
+export function normalize(word: string): string;
+/**
+ * Reduces the normalized word to its stem by stripping the common English and Ukrainian endings,
+ * the stem keeps at least 3 letters: "running" is "run", "документами" is "документ".
+ * @param {string} word The normalized word.
+ * @returns {string} The stem.
+ */
+export function stem(word: string): string;
+/**
+ * @typedef {object} Token
+ * @property {string} word The word as it is in the text.
+ * @property {string} term The normalized stem of the word.
+ * @property {number} index The position of the word in the text.
+ */
+/**
+ * Splits the text into the tokens, the stop words are skipped.
+ * @param {string} text The text.
+ * @returns {Token[]} The tokens in the text order.
+ */
+export function tokenize(text: string): Token[];
+/**
+ * Cuts the fragment of the text around the first word of the terms, on the word boundaries,
+ * the cut ends are marked with "…", the white space is collapsed.
+ * @param {string} text The text.
+ * @param {Iterable<string>} terms The matched terms.
+ * @param {number} [length=160] The maximal snippet length.
+ * @returns {string} The snippet, the beginning of the text when no term is found.
+ */
+export function snippet(text: string, terms: Iterable<string>, length?: number): string;
+/**
+ * The hidden directory inside of the root with the full-text search index, a JSON shard per directory
+ * of the searched documents, the search index is built when the directory exists.
+ * @type {string}
+ */
+export const SEARCH_DIR: string;
+/**
+ * The single file of the search index of the older versions inside of the search directory,
+ * replaced by the shards on the next save.
+ * @type {string}
+ */
+export const SEARCH_INDEX: string;
+/**
+ * The extensions of the searched documents, the compressed ones are searched by the inner extension.
+ * @type {string[]}
+ */
+export const SEARCHED_EXTENSIONS: string[];
+/**
+ * The stop words skipped by the index and the queries, English and Ukrainian.
+ * @type {Set<string>}
+ */
+export const STOP_WORDS: Set<string>;
+/**
+ * @typedef {object} SearchHit
+ * @property {string} file The document path relative to the root.
+ * @property {number} score The BM25 relevance score.
+ * @property {string[]} terms The matched terms of the index.
+ */
+/**
+ * @typedef {object} SearchResult
+ * @property {string} uri The document URI relative to the root.
+ * @property {number} score The BM25 relevance score.
+ * @property {string} snippet The fragment of the text around the first match.
+ */
+/**
+ * The inverted index of the documents: the term frequencies by the document and the documents by the term.
+ * The documents are ranked with BM25, a document has to match every query term. The index is persisted
+ * by shards, see toShard().
+ */
+export class SearchIndex extends ShardedIndex {
+    /**
+     * @param {any} input
+     * @returns {SearchIndex}
+     */
+    static from(input: any): SearchIndex;
+    /**
+     * @param {object} [input={}]
+     * @param {Record<string, { length: number, terms: Record<string, number> }>} [input.docs={}]
+     */
+    constructor(input?: {
+        docs?: Record<string, {
+            length: number;
+            terms: Record<string, number>;
+        }> | undefined;
+    });
+    /**
+     * The term frequencies and the number of the terms by the document path relative to the root.
+     * @type {Map<string, { length: number, terms: Record<string, number> }>}
+     */
+    docs: Map<string, {
+        length: number;
+        terms: Record<string, number>;
+    }>;
+    /**
+     * The term frequencies by the document path, by the term.
+     * @type {Map<string, Map<string, number>>}
+     */
+    postings: Map<string, Map<string, number>>;
+    /**
+     * The total number of the terms of all the documents.
+     * @type {number}
+     */
+    totalLength: number;
+    /**
+     * Adds the documents of the persisted index or of its shard.
+     * @param {{ docs?: Record<string, { length: number, terms: Record<string, number> }> }} input
+     */
+    load({ docs }: {
+        docs?: Record<string, {
+            length: number;
+            terms: Record<string, number>;
+        }>;
+    }): void;
+    /**
+     * Adds the term frequencies of the document.
+     * @param {string} file The path relative to the root.
+     * @param {{ length: number, terms: Record<string, number> }} doc The term frequencies.
+     */
+    _add(file: string, doc: {
+        length: number;
+        terms: Record<string, number>;
+    }): void;
+    /**
+     * Indexes the document text, replacing its previous terms.
+     * @param {string} file The path relative to the root.
+     * @param {string} text The text.
+     */
+    set(file: string, text: string): void;
+    /**
+     * Removes the document or all the documents inside of the directory.
+     * @param {string} file The path relative to the root, "" for everything.
+     * @returns {boolean} True if anything is removed.
+     */
+    delete(file: string): boolean;
+    /**
+     * Finds the documents matching every term of the query, the most relevant first.
+     * @param {string} query The query text.
+     * @param {{ prefix?: boolean }} [options] Set prefix to match the index terms starting with the query terms.
+     * @returns {SearchHit[]} The hits sorted by the score, then by the path.
+     */
+    search(query: string, { prefix }?: {
+        prefix?: boolean;
+    }): SearchHit[];
+    /**
+     * @returns {{ docs: Record<string, { length: number, terms: Record<string, number> }> }} The persisted index.
+     */
+    toJSON(): {
+        docs: Record<string, {
+            length: number;
+            terms: Record<string, number>;
+        }>;
+    };
+    /**
+     * Returns the persisted shard: the documents of one directory.
+     * @param {string} shard The shard directory, see shardOf().
+     * @returns {{ shard: string, docs: Record<string, { length: number, terms: Record<string, number> }> }} The shard.
+     */
+    toShard(shard: string): {
+        shard: string;
+        docs: Record<string, {
+            length: number;
+            terms: Record<string, number>;
+        }>;
+    };
+}
+export type Token = {
+    /**
+     * The word as it is in the text.
+     */
+    word: string;
+    /**
+     * The normalized stem of the word.
+     */
+    term: string;
+    /**
+     * The position of the word in the text.
+     */
+    index: number;
+};
+export type SearchHit = {
+    /**
+     * The document path relative to the root.
+     */
+    file: string;
+    /**
+     * The BM25 relevance score.
+     */
+    score: number;
+    /**
+     * The matched terms of the index.
+     */
+    terms: string[];
+};
+export type SearchResult = {
+    /**
+     * The document URI relative to the root.
+     */
+    uri: string;
+    /**
+     * The BM25 relevance score.
+     */
+    score: number;
+    /**
+     * The fragment of the text around the first match.
+     */
+    snippet: string;
+};
+import { ShardedIndex } from "./shards.js";
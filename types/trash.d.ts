@@ -0,0 +1,62 @@
+/**
+ * Checks whether the path (relative to the root) is inside of the trash directory.
+ * @param {string} path The path relative to the root.
+ * @returns {boolean} True for the trash paths.
+ */
+export function isTrashPath(path: string): boolean;
+/**
+ * The hidden directory inside of the root with the soft deleted documents.
+ * Every dropped document is moved into `.trash/<id>`, its record is `.trash/<id>.json`.
+ * @type {string}
+ */
+export const TRASH_DIR: string;
+/**
+ * The soft deleted document or directory.
+ */
+export class TrashEntry {
+    /**
+     * Creates a TrashEntry instance from input parameters.
+     * @param {object} input The entry or its record.
+     * @returns {TrashEntry}
+     */
+    static from(input: object): TrashEntry;
+    /**
+     * @param {object} input
+     * @param {string} input.id
+     * @param {string} input.uri
+     * @param {Date | string | number} [input.deletedAt=new Date()]
+     * @param {boolean} [input.isDirectory=false]
+     */
+    constructor(input: {
+        id: string;
+        uri: string;
+        deletedAt?: string | number | Date | undefined;
+        isDirectory?: boolean | undefined;
+    });
+    /**
+     * The trash id, sorted chronologically as a string.
+     * @type {string}
+     */
+    id: string;
+    /**
+     * The original URI relative to the root.
+     * @type {string}
+     */
+    uri: string;
+    /**
+     * The deletion time.
+     * @type {Date}
+     */
+    deletedAt: Date;
+    /** @type {boolean} */
+    isDirectory: boolean;
+    /**
+     * @returns {{ id: string, uri: string, deletedAt: string, isDirectory: boolean }} The record to store.
+     */
+    toJSON(): {
+        id: string;
+        uri: string;
+        deletedAt: string;
+        isDirectory: boolean;
+    };
+}
@@ -0,0 +1,94 @@
+/**
+ * @typedef {import("@nan0web/db").DocumentEntry} DocumentEntry
+ */
+/**
+ * @typedef {object} TraversalOptions
+ * @property {string | string[]} [include] The globs of the yielded files, relative to the traversal root.
+ * @property {string | string[]} [exclude] The globs of the skipped files and directories, the excluded
+ * directories are not read.
+ * @property {string[]} [ignoreFiles] The names of the `.gitignore`-style files honored in every directory.
+ * @property {number} [maxDepth=-1] The deepest level read, 0 for the entries of the root only, -1 for no limit.
+ * @property {(entry: DocumentEntry) => boolean} [filter] Returns false to skip the file.
+ * @property {(entry: DocumentEntry) => boolean} [prune] Returns true to skip the directory with its subtree.
+ */
+/**
+ * The option names of the traversal.
+ * @type {string[]}
+ */
+export const TRAVERSAL_OPTIONS: string[];
+/**
+ * Decides which entries of the directory tree are read and yielded, so the excluded subtrees
+ * are never read. The paths are relative to the traversal root.
+ */
+export class Traversal {
+    /**
+     * Checks whether any traversal option is set.
+     * @param {object} options The findStream() options.
+     * @returns {boolean} True if the traversal is needed.
+     */
+    static isSet(options: object): boolean;
+    /**
+     * @param {TraversalOptions} [input={}]
+     */
+    constructor(input?: TraversalOptions);
+    /** @type {RegExp[]} */
+    include: RegExp[];
+    /** @type {RegExp[]} */
+    exclude: RegExp[];
+    /** @type {string[]} */
+    ignoreFiles: string[];
+    /** @type {number} */
+    maxDepth: number;
+    /** @type {(entry: DocumentEntry) => boolean} */
+    filter: (entry: DocumentEntry) => boolean;
+    /** @type {(entry: DocumentEntry) => boolean} */
+    prune: (entry: DocumentEntry) => boolean;
+    /**
+     * Checks whether the file is yielded: it matches an include glob (if any) and the filter.
+     * @param {string} path The file path relative to the traversal root.
+     * @param {DocumentEntry} entry The file entry.
+     * @returns {boolean} True to yield the file.
+     */
+    accepts(path: string, entry: DocumentEntry): boolean;
+    /**
+     * Checks whether the directory is yielded and read: it is not excluded and not pruned.
+     * @param {string} path The directory path relative to the traversal root.
+     * @param {DocumentEntry} entry The directory entry.
+     * @returns {boolean} True to yield the directory.
+     */
+    enters(path: string, entry: DocumentEntry): boolean;
+    /**
+     * Checks whether the directories of the depth are read.
+     * @param {number} depth The directory depth, 0 for the entries of the root.
+     * @returns {boolean} True if the directory contents are within maxDepth.
+     */
+    descends(depth: number): boolean;
+}
+export type DocumentEntry = any;
+export type TraversalOptions = {
+    /**
+     * The globs of the yielded files, relative to the traversal root.
+     */
+    include?: string | string[] | undefined;
+    /**
+     * The globs of the skipped files and directories, the excluded
+     * directories are not read.
+     */
+    exclude?: string | string[] | undefined;
+    /**
+     * The names of the `.gitignore`-style files honored in every directory.
+     */
+    ignoreFiles?: string[] | undefined;
+    /**
+     * The deepest level read, 0 for the entries of the root only, -1 for no limit.
+     */
+    maxDepth?: number | undefined;
+    /**
+     * Returns false to skip the file.
+     */
+    filter?: ((entry: DocumentEntry) => boolean) | undefined;
+    /**
+     * Returns true to skip the directory with its subtree.
+     */
+    prune?: ((entry: DocumentEntry) => boolean) | undefined;
+};
@@ -0,0 +1,62 @@
+/**
+ * Creates the version id from the time, the ids of the process are increasing,
+ * so they are sorted chronologically as strings, e.g. "20241019T101530123Z-a1b2".
+ * @param {number} [time=Date.now()] The time in milliseconds.
+ * @returns {string} The version id.
+ */
+export function createVersionId(time?: number): string;
+/**
+ * Returns the time of the version id.
+ * @param {string} id The version id.
+ * @returns {Date | null} The date or null for not a version id.
+ */
+export function parseVersionId(id: string): Date | null;
+/**
+ * Checks whether the path (relative to the root) is inside of the versions directory.
+ * @param {string} path The path relative to the root.
+ * @returns {boolean} True for the history store paths.
+ */
+export function isVersionPath(path: string): boolean;
+/**
+ * The hidden directory inside of the root with the previous versions of the documents.
+ * @type {string}
+ */
+export const VERSIONS_DIR: string;
+/**
+ * The kept previous content of the document.
+ */
+export class DocumentVersion {
+    /**
+     * @param {object} input
+     * @param {string} input.id
+     * @param {string} input.uri
+     * @param {Date} [input.date] Parsed from the id by default.
+     * @param {number} [input.size=0]
+     */
+    constructor(input: {
+        id: string;
+        uri: string;
+        date?: Date | undefined;
+        size?: number | undefined;
+    });
+    /**
+     * The version id, sorted chronologically as a string.
+     * @type {string}
+     */
+    id: string;
+    /**
+     * The document URI.
+     * @type {string}
+     */
+    uri: string;
+    /**
+     * The time the content was replaced or dropped.
+     * @type {Date}
+     */
+    date: Date;
+    /**
+     * The stored content size in bytes.
+     * @type {number}
+     */
+    size: number;
+}